@@ -13,21 +13,83 @@ const CONFIG = {
     ACHIEVEMENTS: 'Achievements',
     POMODORO_SESSIONS: 'Pomodoro_Sessions',
     SETTINGS: 'Settings',
-    USER_STATS: 'User_Stats'
+    USER_STATS: 'User_Stats',
+    STUDY_TASKS: 'StudyTasks',
+    STUDY_SESSIONS: 'StudySessions',
+    REVIEW_QUEUE: 'ReviewQueue',
+    ACHIEVEMENT_UNLOCKS: 'AchievementUnlocks',
+    SCHEMA: '_Schema',
+    AUTH_LOG: '_AuthLog'
   },
-  RANGES: {
-    TASKS: 'A:G',
-    SUBJECTS: 'A:D',
-    CATEGORIES: 'A:D', 
-    ACHIEVEMENTS: 'A:I',
-    POMODORO_SESSIONS: 'A:H',
-    SETTINGS: 'A:D',
-    USER_STATS: 'A:F'
-  }
+  // Current layout of every sheet - ensureSchema creates missing sheets and moves columns into this order
+  HEADERS: {
+    TASKS: ['task_name', 'description', 'category', 'subject', 'correctness', 'timestamp', 'session_id', 'task_id', 'updated_at', 'user_id'],
+    SUBJECTS: ['subject_name', 'color', 'icon', 'active'],
+    CATEGORIES: ['category_name', 'subject_name', 'difficulty', 'active'],
+    POMODORO_SESSIONS: ['session_id', 'start_time', 'end_time', 'duration_minutes', 'subject', 'category', 'completed', 'tasks_completed', 'user_id'],
+    USER_STATS: ['date', 'tasks_completed', 'correct_tasks', 'points_earned', 'pomodoro_sessions', 'study_time_minutes', 'user_id'],
+    // Definitions only - which profile unlocked what is in ACHIEVEMENT_UNLOCKS
+    ACHIEVEMENTS: ['achievement_id', 'name', 'description', 'icon', 'type', 'target_value', 'points_reward', 'rule'],
+    SETTINGS: ['setting_key', 'value', 'type', 'description', 'updated_at'],
+    STUDY_TASKS: ['task_id', 'task_name', 'description', 'categories', 'correctly_completed', 'start_time', 'end_time', 'location', 'subject', 'session_id', 'updated_at', 'user_id'],
+    STUDY_SESSIONS: ['session_id', 'start_time', 'end_time', 'duration_minutes', 'total_tasks', 'correct_tasks', 'accuracy_percentage', 'notes', 'user_id'],
+    REVIEW_QUEUE: ['card_id', 'task_id', 'task_name', 'subject', 'categories', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'due_date', 'last_reviewed', 'last_outcome', 'created_at', 'user_id'],
+    ACHIEVEMENT_UNLOCKS: ['achievement_id', 'user_id', 'unlock_date'],
+    SCHEMA: ['version', 'description', 'applied_at'],
+    AUTH_LOG: ['time', 'method', 'action', 'reason']
+  },
+  // Column names used by older versions of the backend, per sheet (compared in lower case)
+  HEADER_ALIASES: {
+    TASKS: { nazwa: 'task_name', 'treść': 'description', kategorie: 'category', przedmiot: 'subject', 'poprawność': 'correctness' },
+    SUBJECTS: { 'nazwa przedmiotu': 'subject_name' },
+    CATEGORIES: { 'nazwa kategorii': 'category_name' },
+    SETTINGS: { setting_value: 'value', setting_type: 'type' }
+  },
+  // Version of the sheet layout this script writes - see MIGRATIONS
+  SCHEMA_VERSION: 5,
+  // Sheets whose rows belong to one student profile (`user_id` column) - see filterByProfile
+  PROFILE_SHEETS: ['TASKS', 'STUDY_TASKS', 'STUDY_SESSIONS', 'POMODORO_SESSIONS', 'REVIEW_QUEUE', 'ACHIEVEMENT_UNLOCKS', 'USER_STATS'],
+  // Lower-case spellings of each task outcome - the same table as ALIASES in js/correctness.js (see getTaskOutcome)
+  CORRECTNESS_ALIASES: {
+    correct: ['yes', 'tak', 'true', '1', 'correct', 'poprawnie', 'poprawne', 'dobrze'],
+    partial: ['50/50', 'partial', 'częściowo', 'czesciowo', '0.5', '0,5'],
+    incorrect: ['no', 'nie', 'false', '0', 'incorrect', 'wrong', 'błędnie', 'blednie', 'błędne', 'bledne', 'źle', 'zle', 'niepoprawnie', 'niepoprawne']
+  },
+  // Profile of rows without a user_id (written before profiles existed or typed into the sheet)
+  DEFAULT_USER_ID: 'default',
+  // Sheets whose rows edited by hand get a new updated_at, so incremental reads send them again - see stampEditedRows
+  EDIT_STAMPED_SHEETS: ['TASKS', 'STUDY_TASKS'],
+  // Largest page getTasks / getStudyTasks return for one request (`limit` parameter)
+  MAX_PAGE_SIZE: 2000,
+  // Most tasks one importStudyTasks request may carry
+  MAX_IMPORT_BATCH: 200,
+  // Signed requests - see verifyRequest. Authentication is on once the API_SECRET script property is set.
+  AUTH: {
+    SECRET_PROPERTY: 'API_SECRET',
+    // How far the request's `ts` may be from the server clock
+    MAX_CLOCK_SKEW_MS: 5 * 60 * 1000,
+    // How long a used nonce is remembered (must cover the clock skew window on both sides)
+    NONCE_TTL_SECONDS: 600,
+    // Script property with the id of the spreadsheet whose _AuthLog sheet records rejected requests.
+    // Never the spreadsheetId a request sends - an unauthenticated caller must not pick where the script writes.
+    // Without it rejections only go to the execution log.
+    LOG_SPREADSHEET_PROPERTY: 'AUTH_LOG_SPREADSHEET_ID',
+    // Rows kept in the _AuthLog sheet
+    LOG_LIMIT: 500,
+    // At most LOG_RATE_LIMIT rejections are written per LOG_WINDOW_SECONDS; the rest only go to the execution log
+    LOG_RATE_LIMIT: 20,
+    LOG_WINDOW_SECONDS: 600,
+    // Longest `action` text written to the log
+    LOG_ACTION_MAX_LENGTH: 100
+  },
+  // Actions that modify the spreadsheet - also accepted by doGet as a fallback transport
+  WRITE_ACTIONS: ['addTask', 'addStudyTask', 'importStudyTasks', 'updateTask', 'deleteTask', 'addStudySession', 'addPomodoroSession', 'saveReviewCards', 'updateAchievement', 'updateSetting', 'addUserStat', 'addSubject', 'addCategory', 'update', 'deleteSubject', 'deleteCategory']
 };
 
 /**
- * Main entry point for POST requests from web app
+ * Main entry point for POST requests from web app.
+ * Accepts form-encoded parameters or a JSON body sent as text/plain
+ * (readable by the browser without a CORS preflight).
  */
 function doPost(e) {
   try {
@@ -36,44 +98,105 @@ function doPost(e) {
     // Handle case where e or e.parameter might be undefined
     if (!e || !e.parameter) {
       console.log('Event object or parameters missing:', e);
-      return createErrorResponse('Missing request parameters');
+      return createErrorResponse(createValidationError('Missing request parameters'));
     }
     
+    e.parameter = getRequestParameters(e);
     console.log('Parameters:', e.parameter);
     
     const action = e.parameter.action || 'addTask';
     const spreadsheetId = e.parameter.spreadsheetId;
     
     if (!spreadsheetId) {
-      throw new Error('Missing spreadsheetId parameter');
+      throw createValidationError('Missing spreadsheetId parameter');
     }
     
+    authorizeRequest(e, 'POST');
+    
     const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    ensureSchema(spreadsheet);
     
+    return handleWriteAction(action, e, spreadsheet);
+    
+  } catch (error) {
+    console.error('Error in doPost:', error);
+    return createErrorResponse(error);
+  }
+}
+
+/**
+ * Route a write action to its handler.
+ * Writes are serialized with a script lock so concurrent requests cannot interleave rows.
+ */
+function handleWriteAction(action, e, spreadsheet) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  
+  try {
     switch (action) {
       case 'addTask':
         return handleAddTask(e, spreadsheet);
+      case 'addStudyTask':
+        return handleAddStudyTask(e, spreadsheet);
+      case 'importStudyTasks':
+        return handleImportStudyTasks(e, spreadsheet);
+      case 'updateTask':
+        return handleUpdateTask(e, spreadsheet);
+      case 'deleteTask':
+        return handleDeleteTask(e, spreadsheet);
+      case 'addStudySession':
+        return handleAddStudySession(e, spreadsheet);
       case 'addPomodoroSession':
         return handleAddPomodoroSession(e, spreadsheet);
+      case 'saveReviewCards':
+        return handleSaveReviewCards(e, spreadsheet);
       case 'updateAchievement':
         return handleUpdateAchievement(e, spreadsheet);
       case 'updateSetting':
         return handleUpdateSetting(e, spreadsheet);
       case 'addUserStat':
         return handleAddUserStat(e, spreadsheet);
+      case 'addSubject':
+        return handleAddSubject(e, spreadsheet);
+      case 'addCategory':
+        return handleAddCategory(e, spreadsheet);
+      case 'update':
+        return handleUpdate(e, spreadsheet);
+      case 'deleteSubject':
+        return handleDeleteNamedRow(e, getOrCreateSheet(spreadsheet, CONFIG.SHEETS.SUBJECTS, CONFIG.HEADERS.SUBJECTS), CONFIG.HEADERS.SUBJECTS, 'deleteSubject');
+      case 'deleteCategory':
+        return handleDeleteNamedRow(e, getOrCreateSheet(spreadsheet, CONFIG.SHEETS.CATEGORIES, CONFIG.HEADERS.CATEGORIES), CONFIG.HEADERS.CATEGORIES, 'deleteCategory');
       default:
-        throw new Error('Unknown action: ' + action);
+        throw createValidationError('Unknown action: ' + action);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Merge a JSON request body (text/plain POST) into the request parameters.
+ * `data` is kept as a JSON string so handlers can parse it the same way for every transport.
+ */
+function getRequestParameters(e) {
+  const params = Object.assign({}, e.parameter || {});
+  const contents = e.postData && e.postData.contents;
+  
+  if (contents && contents.trim().charAt(0) === '{') {
+    let body;
+    try {
+      body = JSON.parse(contents);
+    } catch (parseError) {
+      throw createValidationError('Request body is not valid JSON');
     }
     
-  } catch (error) {
-    console.error('Error in doPost:', error);
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    Object.keys(body).forEach(key => {
+      const value = body[key];
+      params[key] = (key === 'data' && typeof value !== 'string') ? JSON.stringify(value) : value;
+    });
   }
+  
+  return params;
 }
 
 /**
@@ -98,7 +221,15 @@ function doGet(e) {
       throw new Error('Missing spreadsheetId parameter');
     }
     
+    authorizeRequest(e, 'GET');
+    
     const spreadsheet = SpreadsheetApp.openById(spreadsheetId);
+    ensureSchema(spreadsheet);
+    
+    // GET fallback for writes when the browser cannot read a POST response
+    if (CONFIG.WRITE_ACTIONS.indexOf(action) !== -1) {
+      return handleWriteAction(action, e, spreadsheet);
+    }
     
     switch (action) {
       case 'getTasks':
@@ -109,6 +240,12 @@ function doGet(e) {
         return handleGetCategories(e, spreadsheet);
       case 'getAchievements':
         return handleGetAchievements(e, spreadsheet);
+      case 'getStudyTasks':
+        return handleGetStudyTasks(e, spreadsheet);
+      case 'getStudySessions':
+        return handleGetStudySessions(e, spreadsheet);
+      case 'getReviewQueue':
+        return handleGetReviewQueue(e, spreadsheet);
       case 'getPomodoroSessions':
         return handleGetPomodoroSessions(e, spreadsheet);
       case 'getSettings':
@@ -117,589 +254,1942 @@ function doGet(e) {
         return handleGetUserStats(e, spreadsheet);
       case 'getAnalytics':
         return handleGetAnalytics(e, spreadsheet);
+      case 'getDailyStats':
+        return handleGetDailyStats(e, spreadsheet);
       default:
         throw new Error('Unknown action: ' + action);
     }
     
   } catch (error) {
     console.error('Error in doGet:', error);
-    return ContentService
-      .createTextOutput(JSON.stringify({
-        success: false,
-        error: error.toString()
-      }))
-      .setMimeType(ContentService.MimeType.JSON);
+    return createErrorResponse(error);
   }
 }
 
 /**
- * Add a new task to the Tasks sheet
+ * Reject requests that are not signed with the API secret, and record them (see logRejectedRequest)
  */
-function handleAddTask(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
-  if (!sheet) {
-    throw new Error('Tasks sheet not found');
+function authorizeRequest(e, method) {
+  try {
+    verifyRequest(e.parameter);
+  } catch (error) {
+    if (error.code === 'UNAUTHORIZED') {
+      logRejectedRequest(e.parameter, method, error.message);
+    }
+    throw error;
   }
+}
+
+/**
+ * Check the request signature. The web app signs every request with the secret the user entered
+ * in Settings, which is the API_SECRET script property - the secret itself is never sent:
+ *   ts        - client time in milliseconds
+ *   nonce     - random value, accepted once
+ *   signature - hex HMAC-SHA256 of getSigningString(parameters) with the secret as key
+ * Without the script property every request is accepted (authentication off).
+ */
+function verifyRequest(params) {
+  const secret = PropertiesService.getScriptProperties().getProperty(CONFIG.AUTH.SECRET_PROPERTY);
+  if (!secret) return;
   
-  const data = JSON.parse(e.parameter.data || '[]');
-  console.log('Adding task:', data);
+  if (!params.signature || !params.ts || !params.nonce) {
+    throw createAuthError('Missing request signature');
+  }
   
-  // Validate data
-  if (!Array.isArray(data) || data.length < 6) {
-    throw new Error('Invalid task data format');
+  if (!(Math.abs(Date.now() - Number(params.ts)) <= CONFIG.AUTH.MAX_CLOCK_SKEW_MS)) {
+    throw createAuthError('Request timestamp is outside the allowed window');
   }
   
-  // Add task to sheet
-  sheet.appendRow(data);
+  if (!safeEquals(String(params.signature), computeSignature(getSigningString(params), secret))) {
+    throw createAuthError('Invalid request signature');
+  }
   
-  // Update daily stats
-  updateDailyStats(spreadsheet);
+  // A signed request copied from the network cannot be sent again
+  const cache = CacheService.getScriptCache();
+  const nonceKey = 'nonce_' + params.nonce;
+  if (cache.get(nonceKey)) {
+    throw createAuthError('Request was already used');
+  }
+  cache.put(nonceKey, '1', CONFIG.AUTH.NONCE_TTL_SECONDS);
+}
+
+/**
+ * Signed text of a request: every parameter except `signature`, sorted by name, URI-encoded
+ * as name=value and joined with '&' (GoogleSheetsStorage.getSigningString builds the same text)
+ */
+function getSigningString(params) {
+  return Object.keys(params).filter(function(key) {
+    return key !== 'signature';
+  }).sort().map(function(key) {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(String(params[key]));
+  }).join('&');
+}
+
+/**
+ * Hex HMAC-SHA256 of `message`
+ */
+function computeSignature(message, secret) {
+  return Utilities.computeHmacSha256Signature(message, secret, Utilities.Charset.UTF_8).map(function(byte) {
+    return ('0' + (byte & 0xff).toString(16)).slice(-2);
+  }).join('');
+}
+
+/**
+ * Compare two strings in time that does not depend on where they differ
+ */
+function safeEquals(a, b) {
+  if (a.length !== b.length) return false;
   
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      message: 'Task added successfully'
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
 }
 
 /**
- * Add a Pomodoro session
+ * Create an error for requests without a valid signature
  */
-function handleAddPomodoroSession(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.POMODORO_SESSIONS);
-  if (!sheet) {
-    throw new Error('Pomodoro_Sessions sheet not found');
+function createAuthError(message) {
+  const error = new Error(message);
+  error.code = 'UNAUTHORIZED';
+  return error;
+}
+
+/**
+ * Record a rejected request in the execution log and in the _AuthLog sheet of the spreadsheet set in the
+ * AUTH_LOG_SPREADSHEET_ID script property, keeping the newest CONFIG.AUTH.LOG_LIMIT rows.
+ * Sheet writes are rate limited so a flood of rejected requests cannot use up the script's quota.
+ * Logging never hides the rejection.
+ */
+function logRejectedRequest(params, method, reason) {
+  // The action comes from an unauthenticated caller - plain text of a bounded length
+  const action = String(params.action || '').slice(0, CONFIG.AUTH.LOG_ACTION_MAX_LENGTH);
+  console.warn('Rejected ' + method + ' ' + JSON.stringify(action) + ': ' + reason);
+  
+  try {
+    const logSpreadsheetId = PropertiesService.getScriptProperties().getProperty(CONFIG.AUTH.LOG_SPREADSHEET_PROPERTY);
+    if (!logSpreadsheetId || !takeAuthLogSlot()) return;
+    
+    const sheet = getOrCreateSheet(SpreadsheetApp.openById(logSpreadsheetId), CONFIG.SHEETS.AUTH_LOG, CONFIG.HEADERS.AUTH_LOG);
+    // A leading apostrophe stores the value as text, so "=IMPORTXML(...)" is never run as a formula
+    sheet.appendRow([new Date().toISOString(), method, "'" + action, reason]);
+    
+    const excess = sheet.getLastRow() - 1 - CONFIG.AUTH.LOG_LIMIT;
+    if (excess > 0) {
+      sheet.deleteRows(2, excess);
+    }
+  } catch (logError) {
+    console.error('Could not log rejected request:', logError);
+  }
+}
+
+/**
+ * Count a rejected request towards the current log window
+ * @returns {boolean} Whether it may still be written to the _AuthLog sheet
+ */
+function takeAuthLogSlot() {
+  const cache = CacheService.getScriptCache();
+  const key = 'auth_log_' + Math.floor(Date.now() / (CONFIG.AUTH.LOG_WINDOW_SECONDS * 1000));
+  const count = Number(cache.get(key)) || 0;
+  if (count >= CONFIG.AUTH.LOG_RATE_LIMIT) return false;
+  
+  cache.put(key, String(count + 1), CONFIG.AUTH.LOG_WINDOW_SECONDS);
+  return true;
+}
+
+/**
+ * Generate a new API secret and store it as the API_SECRET script property.
+ * Run once from the Apps Script editor, then enter the logged secret in the app's Settings.
+ */
+function createApiSecret() {
+  const secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+  PropertiesService.getScriptProperties().setProperty(CONFIG.AUTH.SECRET_PROPERTY, secret);
+  console.log('API secret (enter it in Settings > Klucz dostępu):', secret);
+  return secret;
+}
+
+/**
+ * Add a new task to the Tasks sheet.
+ * Expected data: { task_name, description, category, subject, correctness, timestamp, session_id, task_id, user_id }
+ * A task whose task_id is already in the sheet is updated in place, so client retries never duplicate rows.
+ * The backend stamps `updated_at` for incremental reads.
+ */
+function handleAddTask(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.TASKS, CONFIG.HEADERS.TASKS);
+  
+  const task = toRecord(parseDataParameter(e), CONFIG.HEADERS.TASKS);
+  console.log('Adding task:', task);
+  
+  if (!task.task_name || !task.timestamp) {
+    throw createValidationError('Invalid task data - task_name and timestamp are required');
   }
   
-  const data = JSON.parse(e.parameter.data || '[]');
-  console.log('Adding Pomodoro session:', data);
+  if (!task.task_id) task.task_id = generateId('task');
+  if (!task.user_id) task.user_id = CONFIG.DEFAULT_USER_ID;
+  task.updated_at = new Date().toISOString();
   
-  sheet.appendRow(data);
+  const result = upsertRecord(sheet, CONFIG.HEADERS.TASKS, 'task_id', task);
   
   // Update daily stats
   updateDailyStats(spreadsheet);
   
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      message: 'Pomodoro session added successfully'
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+  return createWriteResponse('addTask', {
+    message: result.created ? 'Task added successfully' : 'Task already stored - row updated',
+    rowId: task.task_id,
+    rowNumber: result.rowNumber,
+    duplicate: !result.created
+  });
 }
 
 /**
- * Get all tasks
+ * Add a task to the StudyTasks sheet
+ * Expected data: { task_id, task_name, description, categories, correctly_completed, start_time, end_time, location, subject, session_id, user_id }
+ * The backend stamps `updated_at` for incremental reads.
  */
-function handleGetTasks(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
-  if (!sheet) {
-    throw new Error('Tasks sheet not found');
-  }
+function handleAddStudyTask(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, CONFIG.HEADERS.STUDY_TASKS);
   
-  const range = sheet.getRange(CONFIG.RANGES.TASKS);
-  const values = range.getValues();
+  const task = toRecord(parseDataParameter(e), CONFIG.HEADERS.STUDY_TASKS);
+  console.log('Adding study task:', task);
   
-  if (values.length <= 1) {
-    return createSuccessResponse([]);
+  if (!task.task_name) {
+    throw createValidationError('Required field task_name is empty');
   }
   
-  // Skip header row and convert to objects
-  const headers = values[0];
-  const tasks = values.slice(1).map(row => {
-    const task = {};
-    headers.forEach((header, index) => {
-      task[header] = row[index];
-    });
-    return task;
-  }).filter(task => task.task_name); // Filter out empty rows
+  if (!task.task_id) task.task_id = generateId('task');
+  if (!task.user_id) task.user_id = CONFIG.DEFAULT_USER_ID;
+  const now = new Date().toISOString();
+  if (!task.start_time) task.start_time = now;
+  if (!task.end_time) task.end_time = now;
+  task.updated_at = now;
   
-  console.log(`Retrieved ${tasks.length} tasks`);
+  const result = upsertRecord(sheet, CONFIG.HEADERS.STUDY_TASKS, 'task_id', task);
   
-  return createSuccessResponse(tasks);
+  updateDailyStats(spreadsheet);
+  
+  return createWriteResponse('addStudyTask', {
+    message: result.created ? 'Study task added successfully' : 'Study task already stored - row updated',
+    rowId: task.task_id,
+    rowNumber: result.rowNumber,
+    duplicate: !result.created
+  });
 }
 
 /**
- * Get all subjects
+ * Insert tasks imported from a file into the StudyTasks sheet in one write
+ * Expected data: [{ task_id, task_name, description, categories, correctly_completed, start_time, end_time, location, subject, user_id }, ...]
+ * Every task is checked before anything is written, so a batch is stored whole or not at all.
+ * Tasks are keyed by task_id: a batch sent again (e.g. replayed from the outbox) updates its rows.
  */
-function handleGetSubjects(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SUBJECTS);
-  if (!sheet) {
-    // Create default subjects if sheet doesn't exist
-    return createSuccessResponse(getDefaultSubjects());
+function handleImportStudyTasks(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, CONFIG.HEADERS.STUDY_TASKS);
+  
+  const data = parseDataParameter(e);
+  if (!Array.isArray(data) || data.length === 0) {
+    throw createValidationError('Invalid import data - expected an array of tasks');
   }
+  if (data.length > CONFIG.MAX_IMPORT_BATCH) {
+    throw createValidationError('Too many tasks in one import: ' + data.length + ' (at most ' + CONFIG.MAX_IMPORT_BATCH + ')');
+  }
+  console.log('Importing ' + data.length + ' study tasks');
   
-  const range = sheet.getRange(CONFIG.RANGES.SUBJECTS);
-  const values = range.getValues();
+  const now = new Date().toISOString();
+  const seen = {};
+  const tasks = data.map(function(item, index) {
+    const task = toRecord(item, CONFIG.HEADERS.STUDY_TASKS);
+    const label = 'Task ' + (index + 1) + ': ';
+    
+    if (!task.task_id) throw createValidationError(label + 'task_id is empty');
+    if (!task.task_name) throw createValidationError(label + 'required field task_name is empty');
+    if (!task.start_time || isNaN(new Date(task.start_time).getTime())) {
+      throw createValidationError(label + 'invalid start_time: ' + task.start_time);
+    }
+    if (seen[task.task_id]) throw createValidationError(label + 'task_id ' + task.task_id + ' appears twice');
+    seen[task.task_id] = true;
+    
+    if (!task.user_id) task.user_id = CONFIG.DEFAULT_USER_ID;
+    if (!task.end_time) task.end_time = task.start_time;
+    task.updated_at = now;
+    return task;
+  });
   
-  if (values.length <= 1) {
-    return createSuccessResponse(getDefaultSubjects());
+  // Ids already in the sheet are read once for the whole batch
+  const layout = getSheetLayout(sheet, CONFIG.HEADERS.STUDY_TASKS);
+  const lastRow = sheet.getLastRow();
+  const rowsById = {};
+  if (lastRow >= 2) {
+    sheet.getRange(2, layout.columns.task_id, lastRow - 1, 1).getValues().forEach(function(cell, index) {
+      rowsById[String(cell[0])] = index + 2;
+    });
   }
   
-  const headers = values[0];
-  const subjects = values.slice(1).map(row => {
-    const subject = {};
-    headers.forEach((header, index) => {
-      subject[header] = row[index];
-    });
-    return subject;
-  }).filter(subject => subject.subject_name && subject.active !== false);
+  const newRows = [];
+  tasks.forEach(function(task) {
+    const rowNumber = rowsById[String(task.task_id)];
+    if (rowNumber) {
+      writeRecord(sheet, layout, rowNumber, task);
+    } else {
+      newRows.push(recordToRow(layout, task));
+    }
+  });
   
-  console.log(`Retrieved ${subjects.length} subjects`);
+  if (newRows.length > 0) {
+    sheet.getRange(lastRow + 1, 1, newRows.length, layout.headers.length).setValues(newRows);
+  }
   
-  return createSuccessResponse(subjects);
+  updateDailyStats(spreadsheet);
+  
+  return createWriteResponse('importStudyTasks', {
+    message: 'Imported ' + tasks.length + ' study tasks (' + newRows.length + ' new)',
+    rowId: '',
+    saved: tasks.length,
+    created: newRows.length
+  });
 }
 
 /**
- * Get all categories
+ * Update fields of an existing StudyTasks row
+ * Expected data: { task_id, changes: { task_name, description, categories, correctly_completed, location, subject, ... } }
+ * Any column of the sheet can be changed, including ones added by the user.
  */
-function handleGetCategories(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.CATEGORIES);
-  if (!sheet) {
-    return createSuccessResponse(getDefaultCategories());
-  }
+function handleUpdateTask(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, CONFIG.HEADERS.STUDY_TASKS);
   
-  const range = sheet.getRange(CONFIG.RANGES.CATEGORIES);
-  const values = range.getValues();
+  const data = parseDataParameter(e);
+  console.log('Updating study task:', data);
   
-  if (values.length <= 1) {
-    return createSuccessResponse(getDefaultCategories());
+  if (!data || !data.task_id || !data.changes || typeof data.changes !== 'object') {
+    throw createValidationError('Invalid update data - expected { task_id, changes }');
   }
   
-  const headers = values[0];
-  const categories = values.slice(1).map(row => {
-    const category = {};
-    headers.forEach((header, index) => {
-      category[header] = row[index];
-    });
-    return category;
-  }).filter(category => category.category_name && category.active !== false);
+  const layout = getSheetLayout(sheet, CONFIG.HEADERS.STUDY_TASKS);
+  const rowNumber = findRowById(sheet, layout.columns.task_id, data.task_id);
+  if (!rowNumber) {
+    throw createValidationError('Task not found: ' + data.task_id);
+  }
   
-  const subjectFilter = e.parameter.subject;
-  let filteredCategories = categories;
+  Object.keys(data.changes).forEach(function(field) {
+    // task_id is the row key and cannot be changed
+    if (!layout.columns[field] || field === 'task_id') {
+      throw createValidationError('Unknown or read-only task field: ' + field);
+    }
+  });
   
-  if (subjectFilter) {
-    filteredCategories = categories.filter(cat => cat.subject_name === subjectFilter);
+  if ('task_name' in data.changes && !data.changes.task_name) {
+    throw createValidationError('Required field task_name is empty');
   }
   
-  console.log(`Retrieved ${filteredCategories.length} categories`);
+  writeRecord(sheet, layout, rowNumber, Object.assign({}, data.changes, { updated_at: new Date().toISOString() }));
   
-  return createSuccessResponse(filteredCategories);
+  updateDailyStats(spreadsheet);
+  
+  return createWriteResponse('updateTask', {
+    message: 'Study task updated successfully',
+    rowId: data.task_id,
+    rowNumber: rowNumber
+  });
 }
 
 /**
- * Get all achievements
+ * Delete a StudyTasks row
+ * Expected data: { task_id }
+ * Deleting a row that is already gone succeeds, so a replayed delete is harmless.
  */
-function handleGetAchievements(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.ACHIEVEMENTS);
-  if (!sheet) {
-    return createSuccessResponse(getDefaultAchievements());
+function handleDeleteTask(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, CONFIG.HEADERS.STUDY_TASKS);
+  
+  const data = parseDataParameter(e);
+  console.log('Deleting study task:', data);
+  
+  if (!data || !data.task_id) {
+    throw createValidationError('Invalid delete data - expected { task_id }');
+  }
+  
+  const layout = getSheetLayout(sheet, CONFIG.HEADERS.STUDY_TASKS);
+  const rowNumber = findRowById(sheet, layout.columns.task_id, data.task_id);
+  if (rowNumber) {
+    sheet.deleteRow(rowNumber);
+    updateDailyStats(spreadsheet);
   }
   
-  const range = sheet.getRange(CONFIG.RANGES.ACHIEVEMENTS);
-  const values = range.getValues();
+  return createWriteResponse('deleteTask', {
+    message: rowNumber ? 'Study task deleted successfully' : 'Study task already deleted',
+    rowId: data.task_id,
+    rowNumber: rowNumber,
+    duplicate: !rowNumber
+  });
+}
+
+/**
+ * Add a session summary to the StudySessions sheet
+ * Expected data: { session_id, start_time, end_time, duration_minutes, total_tasks, correct_tasks, accuracy_percentage, notes, user_id }
+ */
+function handleAddStudySession(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_SESSIONS, CONFIG.HEADERS.STUDY_SESSIONS);
+  
+  const session = toRecord(parseDataParameter(e), CONFIG.HEADERS.STUDY_SESSIONS);
+  console.log('Adding study session:', session);
   
-  if (values.length <= 1) {
-    return createSuccessResponse(getDefaultAchievements());
+  if (!session.start_time) {
+    throw createValidationError('Invalid study session data - start_time is required');
   }
   
-  const headers = values[0];
-  const achievements = values.slice(1).map(row => {
-    const achievement = {};
-    headers.forEach((header, index) => {
-      achievement[header] = row[index];
-    });
-    return achievement;
-  }).filter(achievement => achievement.achievement_id);
+  if (!session.session_id) session.session_id = generateId('session');
+  if (!session.user_id) session.user_id = CONFIG.DEFAULT_USER_ID;
   
-  console.log(`Retrieved ${achievements.length} achievements`);
+  const result = upsertRecord(sheet, CONFIG.HEADERS.STUDY_SESSIONS, 'session_id', session);
   
-  return createSuccessResponse(achievements);
+  return createWriteResponse('addStudySession', {
+    message: result.created ? 'Study session added successfully' : 'Study session already stored - row updated',
+    rowId: session.session_id,
+    rowNumber: result.rowNumber,
+    duplicate: !result.created
+  });
 }
 
 /**
- * Get analytics data
+ * Add a Pomodoro session
+ * Expected data: { session_id, start_time, end_time, duration_minutes, subject, category, completed, tasks_completed, user_id }
  */
-function handleGetAnalytics(e, spreadsheet) {
-  try {
-    const tasksSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
-    const pomodoroSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.POMODORO_SESSIONS);
-    
-    let analytics = {
-      totalTasks: 0,
-      correctTasks: 0,
-      totalPoints: 0,
-      totalSessions: 0,
-      totalStudyTime: 0,
-      subjectStats: {},
-      categoryStats: {},
-      recentTasks: [],
-      weeklyProgress: []
-    };
-    
-    // Analyze tasks
-    if (tasksSheet) {
-      const taskRange = tasksSheet.getRange(CONFIG.RANGES.TASKS);
-      const taskValues = taskRange.getValues();
-      
-      if (taskValues.length > 1) {
-        const taskHeaders = taskValues[0];
-        const tasks = taskValues.slice(1).filter(row => row[0]); // Filter non-empty rows
-        
-        analytics.totalTasks = tasks.length;
-        analytics.correctTasks = tasks.filter(row => {
-          const correctnessIndex = taskHeaders.indexOf('correctness');
-          return row[correctnessIndex] === 'Poprawnie';
-        }).length;
-        
-        analytics.totalPoints = tasks.reduce((sum, row) => {
-          const pointsIndex = taskHeaders.indexOf('points');
-          return sum + (Number(row[pointsIndex]) || 0);
-        }, 0);
-        
-        // Subject and category stats
-        tasks.forEach(row => {
-          const subjectIndex = taskHeaders.indexOf('subject');
-          const categoryIndex = taskHeaders.indexOf('category');
-          const pointsIndex = taskHeaders.indexOf('points');
-          
-          const subject = row[subjectIndex];
-          const category = row[categoryIndex];
-          const points = Number(row[pointsIndex]) || 0;
-          
-          if (subject) {
-            analytics.subjectStats[subject] = (analytics.subjectStats[subject] || 0) + points;
-          }
-          
-          if (category) {
-            analytics.categoryStats[category] = (analytics.categoryStats[category] || 0) + points;
-          }
-        });
-        
-        // Recent tasks (last 10)
-        analytics.recentTasks = tasks.slice(-10).reverse();
-      }
-    }
-    
-    // Analyze Pomodoro sessions
-    if (pomodoroSheet) {
-      const pomodoroRange = pomodoroSheet.getRange(CONFIG.RANGES.POMODORO_SESSIONS);
-      const pomodoroValues = pomodoroRange.getValues();
-      
-      if (pomodoroValues.length > 1) {
-        const sessions = pomodoroValues.slice(1).filter(row => row[0]); // Filter non-empty rows
-        analytics.totalSessions = sessions.length;
-        
-        analytics.totalStudyTime = sessions.reduce((sum, row) => {
-          const durationIndex = 3; // duration_minutes column
-          return sum + (Number(row[durationIndex]) || 0);
-        }, 0);
-      }
-    }
-    
-    console.log('Analytics generated:', analytics);
-    
-    return createSuccessResponse(analytics);
-    
-  } catch (error) {
-    console.error('Error generating analytics:', error);
-    throw error;
-  }
+function handleAddPomodoroSession(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.POMODORO_SESSIONS, CONFIG.HEADERS.POMODORO_SESSIONS);
+  
+  const session = toRecord(parseDataParameter(e), CONFIG.HEADERS.POMODORO_SESSIONS);
+  console.log('Adding Pomodoro session:', session);
+  
+  if (!session.session_id) session.session_id = generateId('session');
+  if (!session.user_id) session.user_id = CONFIG.DEFAULT_USER_ID;
+  
+  const result = upsertRecord(sheet, CONFIG.HEADERS.POMODORO_SESSIONS, 'session_id', session);
+  
+  // Update daily stats
+  updateDailyStats(spreadsheet);
+  
+  return createWriteResponse('addPomodoroSession', {
+    message: result.created ? 'Pomodoro session added successfully' : 'Pomodoro session already stored - row updated',
+    rowId: session.session_id,
+    rowNumber: result.rowNumber,
+    duplicate: !result.created
+  });
 }
 
 /**
- * Update achievement status
+ * Insert or replace spaced-repetition cards in the ReviewQueue sheet
+ * Expected data: [{ card_id, task_id, task_name, subject, categories, ease_factor, interval_days, repetitions, lapses, due_date, last_reviewed, last_outcome, created_at, user_id }, ...]
+ * Cards are keyed by card_id, so saving the same card again overwrites its schedule.
  */
-function handleUpdateAchievement(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.ACHIEVEMENTS);
-  if (!sheet) {
-    throw new Error('Achievements sheet not found');
+function handleSaveReviewCards(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.REVIEW_QUEUE, CONFIG.HEADERS.REVIEW_QUEUE);
+  
+  const data = parseDataParameter(e);
+  console.log('Saving review cards:', data);
+  
+  const cards = Array.isArray(data) ? data.map(function(card) {
+    return card && typeof card === 'object' ? toRecord(card, CONFIG.HEADERS.REVIEW_QUEUE) : {};
+  }) : [];
+  if (!Array.isArray(data) || cards.some(card => !card.card_id)) {
+    throw createValidationError('Invalid review card data - expected an array of cards with card_id');
   }
   
-  const achievementId = e.parameter.achievementId;
-  const unlocked = e.parameter.unlocked === 'true';
-  const unlockDate = e.parameter.unlockDate;
+  let created = 0;
+  cards.forEach(function(card) {
+    if (!card.user_id) card.user_id = CONFIG.DEFAULT_USER_ID;
+    if (upsertRecord(sheet, CONFIG.HEADERS.REVIEW_QUEUE, 'card_id', card).created) created++;
+  });
+  
+  return createWriteResponse('saveReviewCards', {
+    message: 'Saved ' + cards.length + ' review cards (' + created + ' new)',
+    rowId: cards.length === 1 ? cards[0].card_id : '',
+    saved: cards.length,
+    created: created
+  });
+}
+
+/**
+ * Add a row to the User_Stats sheet
+ * Expected data: { date, tasks_completed, correct_tasks, points_earned, pomodoro_sessions, study_time_minutes, user_id }
+ */
+function handleAddUserStat(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.USER_STATS, CONFIG.HEADERS.USER_STATS);
   
-  const range = sheet.getRange(CONFIG.RANGES.ACHIEVEMENTS);
-  const values = range.getValues();
+  const stat = toRecord(parseDataParameter(e), CONFIG.HEADERS.USER_STATS);
+  console.log('Adding user stat:', stat);
   
-  if (values.length <= 1) {
-    throw new Error('No achievements data found');
+  if (!stat.date) {
+    throw createValidationError('Invalid user stat data - date is required');
   }
   
-  // Find achievement row
-  const headers = values[0];
-  const idIndex = headers.indexOf('achievement_id');
-  const unlockedIndex = headers.indexOf('unlocked');
-  const dateIndex = headers.indexOf('unlock_date');
+  sheet.appendRow(recordToRow(getSheetLayout(sheet, CONFIG.HEADERS.USER_STATS), stat));
   
-  for (let i = 1; i < values.length; i++) {
-    if (values[i][idIndex] === achievementId) {
-      values[i][unlockedIndex] = unlocked;
-      if (unlocked && unlockDate) {
-        values[i][dateIndex] = new Date(unlockDate);
-      }
-      
-      // Update the sheet
-      range.setValues(values);
-      
-      return createSuccessResponse({
-        message: 'Achievement updated successfully'
-      });
-    }
+  return createWriteResponse('addUserStat', {
+    message: 'User stat added successfully',
+    rowId: stat.date,
+    rowNumber: sheet.getLastRow()
+  });
+}
+
+/**
+ * Add a subject
+ * Expected data: { subject_name, color, icon }
+ * Subjects are keyed by name; adding a deleted (inactive) subject again restores it.
+ */
+function handleAddSubject(e, spreadsheet) {
+  const subject = toRecord(parseDataParameter(e), CONFIG.HEADERS.SUBJECTS);
+  console.log('Adding subject:', subject);
+  
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.SUBJECTS, CONFIG.HEADERS.SUBJECTS);
+  return addNamedRow(sheet, CONFIG.HEADERS.SUBJECTS, 'addSubject', Object.assign(subject, {
+    color: subject.color || '#667eea',
+    icon: subject.icon || '📚'
+  }));
+}
+
+/**
+ * Add a category
+ * Expected data: { category_name, subject_name, difficulty }
+ */
+function handleAddCategory(e, spreadsheet) {
+  const category = toRecord(parseDataParameter(e), CONFIG.HEADERS.CATEGORIES);
+  console.log('Adding category:', category);
+  
+  if (!category.subject_name) {
+    throw createValidationError('Required field subject_name is empty');
   }
   
-  throw new Error('Achievement not found: ' + achievementId);
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.CATEGORIES, CONFIG.HEADERS.CATEGORIES);
+  return addNamedRow(sheet, CONFIG.HEADERS.CATEGORIES, 'addCategory', Object.assign(category, {
+    difficulty: category.difficulty || 'Średni'
+  }));
 }
 
 /**
- * Update daily statistics
+ * Insert a Subjects / Categories row keyed by the name in its first column
  */
-function updateDailyStats(spreadsheet) {
-  try {
-    const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.USER_STATS);
-    if (!sheet) {
-      console.log('User_Stats sheet not found, skipping stats update');
-      return;
+function addNamedRow(sheet, headers, action, record) {
+  const keyField = headers[0];
+  const name = String(record[keyField] || '').trim();
+  if (!name) {
+    throw createValidationError('Name is required');
+  }
+  record[keyField] = name;
+  record.active = true;
+  
+  const layout = getSheetLayout(sheet, headers);
+  const rowNumber = findRowById(sheet, layout.columns[keyField], name);
+  if (rowNumber && sheet.getRange(rowNumber, layout.columns.active).getValue() !== false) {
+    throw createValidationError('"' + name + '" already exists');
+  }
+  
+  const result = upsertRecord(sheet, headers, keyField, record);
+  
+  return createWriteResponse(action, {
+    message: result.created ? 'Added successfully' : 'Restored successfully',
+    rowId: name,
+    rowNumber: result.rowNumber
+  });
+}
+
+/**
+ * Update a subject or category
+ * Parameters: formType ('subject' | 'category'), itemId (current name)
+ * Expected data: { subject_name, color, icon } or { category_name, subject_name, difficulty }
+ * Empty fields keep their value. Renaming a subject moves its categories along.
+ */
+function handleUpdate(e, spreadsheet) {
+  const formType = e.parameter.formType;
+  const itemId = e.parameter.itemId;
+  if (formType !== 'subject' && formType !== 'category') {
+    throw createValidationError('Unknown update type: ' + formType);
+  }
+  
+  const key = formType === 'subject' ? 'SUBJECTS' : 'CATEGORIES';
+  const headers = CONFIG.HEADERS[key];
+  const keyField = headers[0];
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS[key], headers);
+  const layout = getSheetLayout(sheet, headers);
+  
+  const record = toRecord(parseDataParameter(e), headers);
+  console.log('Updating ' + formType + ' ' + itemId + ':', record);
+  
+  const rowNumber = findRowById(sheet, layout.columns[keyField], itemId);
+  if (!rowNumber) {
+    throw createValidationError('Item not found: ' + itemId);
+  }
+  
+  const name = String(record[keyField] || '').trim();
+  if (!name) {
+    throw createValidationError('Name is required');
+  }
+  
+  const existing = findRowById(sheet, layout.columns[keyField], name);
+  if (existing && existing !== rowNumber) {
+    throw createValidationError('"' + name + '" already exists');
+  }
+  
+  const changes = {};
+  Object.keys(record).forEach(function(field) {
+    if (field !== 'active' && record[field] !== '' && record[field] !== null && record[field] !== undefined) {
+      changes[field] = record[field];
     }
+  });
+  changes[keyField] = name;
+  writeRecord(sheet, layout, rowNumber, changes);
+  
+  if (formType === 'subject' && name !== itemId) {
+    const categories = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.CATEGORIES, CONFIG.HEADERS.CATEGORIES);
+    const categoryLayout = getSheetLayout(categories, CONFIG.HEADERS.CATEGORIES);
+    const lastRow = categories.getLastRow();
+    if (lastRow > 1) {
+      const subjectColumn = categories.getRange(2, categoryLayout.columns.subject_name, lastRow - 1, 1);
+      subjectColumn.setValues(subjectColumn.getValues().map(function(cell) {
+        return [String(cell[0]) === String(itemId) ? name : cell[0]];
+      }));
+    }
+  }
+  
+  return createWriteResponse('update', {
+    message: 'Updated successfully',
+    rowId: name,
+    rowNumber: rowNumber
+  });
+}
+
+/**
+ * Delete a subject or category (parameter `name`) by marking it inactive,
+ * so tasks logged under it keep their history. Deleting it again succeeds.
+ */
+function handleDeleteNamedRow(e, sheet, headers, action) {
+  const name = e.parameter.name || e.parameter.id;
+  if (!name) {
+    throw createValidationError('Name is required');
+  }
+  
+  const layout = getSheetLayout(sheet, headers);
+  const rowNumber = findRowById(sheet, layout.columns[headers[0]], name);
+  const active = rowNumber ? sheet.getRange(rowNumber, layout.columns.active).getValue() !== false : false;
+  if (active) {
+    writeRecord(sheet, layout, rowNumber, { active: false });
+  }
+  
+  return createWriteResponse(action, {
+    message: active ? 'Deleted successfully' : 'Already deleted',
+    rowId: name,
+    rowNumber: rowNumber,
+    duplicate: !active
+  });
+}
+
+/**
+ * Get tasks of a profile (`user_id` parameter - see filterByProfile), optionally only the
+ * ones changed since a time and in pages (`since`, `limit` and `cursor` - see getRowsPage)
+ */
+function handleGetTasks(e, spreadsheet) {
+  const serverTime = new Date().toISOString();
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
+  if (!sheet) {
+    throw new Error('Tasks sheet not found');
+  }
+  
+  const tasks = filterByProfile(readRecords(sheet).map((task, index) => {
+    // Rows typed into the sheet without a task_id are keyed by their row number
+    if (!task.task_id) task.task_id = 'row_' + (index + 2);
+    return task;
+  }).filter(task => task.task_name), e.parameter); // Filter out empty rows
+  
+  const page = getRowsPage(tasks, e.parameter, serverTime, task => task.timestamp);
+  console.log(`Retrieved ${page.rows.length} of ${tasks.length} tasks`);
+  
+  return createPageResponse(page);
+}
+
+/**
+ * Get all subjects
+ */
+function handleGetSubjects(e, spreadsheet) {
+  const rows = readSheetObjects(spreadsheet, CONFIG.SHEETS.SUBJECTS, 'subject_name');
+  if (rows.length === 0) {
+    return createSuccessResponse(getDefaultSubjects());
+  }
+  
+  const subjects = rows.filter(subject => subject.active !== false);
+  console.log(`Retrieved ${subjects.length} subjects`);
+  
+  return createSuccessResponse(subjects);
+}
+
+/**
+ * Get all categories
+ */
+function handleGetCategories(e, spreadsheet) {
+  const rows = readSheetObjects(spreadsheet, CONFIG.SHEETS.CATEGORIES, 'category_name');
+  if (rows.length === 0) {
+    return createSuccessResponse(getDefaultCategories());
+  }
+  
+  const categories = rows.filter(category => category.active !== false);
+  
+  const subjectFilter = e.parameter.subject;
+  let filteredCategories = categories;
+  
+  if (subjectFilter) {
+    filteredCategories = categories.filter(cat => cat.subject_name === subjectFilter);
+  }
+  
+  console.log(`Retrieved ${filteredCategories.length} categories`);
+  
+  return createSuccessResponse(filteredCategories);
+}
+
+/**
+ * Get all achievements, each `unlocked` (with its `unlock_date`) when the profile named by the
+ * `user_id` parameter unlocked it - the default profile when the parameter is missing
+ */
+function handleGetAchievements(e, spreadsheet) {
+  const rows = readSheetObjects(spreadsheet, CONFIG.SHEETS.ACHIEVEMENTS, 'achievement_id');
+  const definitions = rows.length > 0 ? rows : getDefaultAchievements();
+  
+  const unlockDates = {};
+  getProfileUnlocks(spreadsheet, e.parameter).forEach(function(unlock) {
+    unlockDates[String(unlock.achievement_id)] = unlock.unlock_date;
+  });
+  
+  const achievements = definitions.map(function(achievement) {
+    const unlockDate = unlockDates[String(achievement.achievement_id)];
+    achievement.unlocked = unlockDate !== undefined;
+    achievement.unlock_date = unlockDate ? new Date(unlockDate).toISOString() : null;
+    return achievement;
+  });
+  
+  console.log(`Retrieved ${achievements.length} achievements`);
+  
+  return createSuccessResponse(achievements);
+}
+
+/**
+ * Rows of the AchievementUnlocks sheet of one profile (`user_id` parameter, the default profile without it)
+ */
+function getProfileUnlocks(spreadsheet, params) {
+  const userId = (params && params.user_id) || CONFIG.DEFAULT_USER_ID;
+  return filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.ACHIEVEMENT_UNLOCKS, 'achievement_id'), { user_id: userId });
+}
+
+/**
+ * Get study tasks of a profile (`user_id`), optionally only those of one session (`sessionId` parameter),
+ * changed since a time and in pages (`since`, `limit` and `cursor` - see getRowsPage)
+ */
+function handleGetStudyTasks(e, spreadsheet) {
+  const serverTime = new Date().toISOString();
+  const taskTime = task => task.end_time || task.start_time;
+  
+  let tasks = filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, 'task_id'), e.parameter);
+  
+  const sessionFilter = e.parameter.sessionId;
+  if (sessionFilter) {
+    tasks = tasks.filter(task => String(task.session_id) === sessionFilter);
+  }
+  
+  const page = getRowsPage(tasks, e.parameter, serverTime, taskTime);
+  console.log(`Retrieved ${page.rows.length} of ${tasks.length} study tasks`);
+  
+  return createPageResponse(page);
+}
+
+/**
+ * Get the study sessions of a profile (`user_id`)
+ */
+function handleGetStudySessions(e, spreadsheet) {
+  return createSuccessResponse(filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.STUDY_SESSIONS, 'session_id'), e.parameter));
+}
+
+/**
+ * Get the Pomodoro sessions of a profile (`user_id`)
+ */
+function handleGetPomodoroSessions(e, spreadsheet) {
+  return createSuccessResponse(filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.POMODORO_SESSIONS, 'session_id'), e.parameter));
+}
+
+/**
+ * Get the daily stats rows of a profile (`user_id`)
+ */
+function handleGetUserStats(e, spreadsheet) {
+  return createSuccessResponse(filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.USER_STATS, 'date'), e.parameter));
+}
+
+/**
+ * Per-day summary of a profile's (`user_id`) StudyTasks, oldest first - the same as
+ * computeDailyStats of the local backend (js/storageAdapters.js). Accuracy weighs a
+ * partial answer as half, the default weights of js/correctness.js.
+ */
+function handleGetDailyStats(e, spreadsheet) {
+  const scores = { correct: 1, partial: 0.5, incorrect: 0 };
+  const days = {};
+  
+  filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, 'task_id'), e.parameter).forEach(function(task) {
+    if (!task.start_time) return;
+    // Sheets may hand back an ISO start_time as a Date
+    const date = (task.start_time instanceof Date ? task.start_time.toISOString() : String(task.start_time)).split('T')[0];
+    (days[date] = days[date] || []).push(task);
+  });
+  
+  const stats = Object.keys(days).sort().map(function(date) {
+    const tasks = days[date];
+    const subjectCounts = {};
+    const sessions = {};
+    let correct = 0;
+    let score = 0;
+    let studyMinutes = 0;
     
-    const today = new Date();
-    const todayString = Utilities.formatDate(today, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    tasks.forEach(function(task) {
+      const outcome = getTaskOutcome(task);
+      if (outcome === 'correct') correct++;
+      score += scores[outcome];
+      
+      subjectCounts[task.subject] = (subjectCounts[task.subject] || 0) + 1;
+      if (task.session_id) sessions[task.session_id] = true;
+      const duration = new Date(task.end_time) - new Date(task.start_time);
+      if (duration > 0) studyMinutes += duration / 60000;
+    });
     
-    // Get current stats
-    const range = sheet.getRange(CONFIG.RANGES.USER_STATS);
-    const values = range.getValues();
+    const subjects = Object.keys(subjectCounts).filter(Boolean);
     
-    // Calculate today's stats from Tasks and Pomodoro sheets
-    const todayStats = calculateTodayStats(spreadsheet, today);
+    return {
+      date: date,
+      total_tasks: tasks.length,
+      correct_tasks: correct,
+      accuracy_percentage: Math.round((score / tasks.length) * 100),
+      total_study_time: Math.round(studyMinutes),
+      sessions_count: Object.keys(sessions).length,
+      subjects: subjects,
+      top_subject: subjects.sort(function(a, b) { return subjectCounts[b] - subjectCounts[a]; })[0] || ''
+    };
+  });
+  
+  return createSuccessResponse(stats);
+}
+
+/**
+ * Get the spaced-repetition cards of a profile (`user_id`)
+ */
+function handleGetReviewQueue(e, spreadsheet) {
+  return createSuccessResponse(filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.REVIEW_QUEUE, 'card_id'), e.parameter));
+}
+
+/**
+ * Keep the rows of the profile named by the `user_id` parameter. Rows without a user_id belong
+ * to CONFIG.DEFAULT_USER_ID. Requests without the parameter (older web apps) get every row.
+ */
+function filterByProfile(rows, params) {
+  const userId = params && params.user_id;
+  if (!userId) return rows;
+  
+  return rows.filter(function(row) {
+    return String(row.user_id || CONFIG.DEFAULT_USER_ID) === String(userId);
+  });
+}
+
+/**
+ * Outcome of one correctness value, like Correctness.normalize in js/correctness.js
+ * @param {*} value - Boolean, number (1 / 0.5 / 0) or any spelling of CONFIG.CORRECTNESS_ALIASES
+ * @returns {string|null} 'correct' | 'partial' | 'incorrect', or null when the value is empty or unknown
+ */
+function getCorrectnessOutcome(value) {
+  if (typeof value === 'boolean') return value ? 'correct' : 'incorrect';
+  if (typeof value === 'number') return value >= 1 ? 'correct' : value <= 0 ? 'incorrect' : 'partial';
+  if (typeof value !== 'string') return null;
+  
+  const key = value.trim().toLowerCase();
+  if (!key) return null;
+  
+  return Object.keys(CONFIG.CORRECTNESS_ALIASES).filter(function(outcome) {
+    return CONFIG.CORRECTNESS_ALIASES[outcome].indexOf(key) !== -1;
+  })[0] || null;
+}
+
+/**
+ * Outcome of a Tasks or StudyTasks row, like Correctness.getOutcome: the first recognizable
+ * correctness field; rows without one count as incorrect
+ */
+function getTaskOutcome(task) {
+  const fields = ['correctly_completed', 'correctness', 'poprawnosc'];
+  for (let i = 0; i < fields.length; i++) {
+    const outcome = getCorrectnessOutcome(task[fields[i]]);
+    if (outcome) return outcome;
+  }
+  return 'incorrect';
+}
+
+/**
+ * Get analytics data of a profile (`user_id`)
+ */
+function handleGetAnalytics(e, spreadsheet) {
+  try {
+    const tasks = filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.TASKS, 'task_name'), e.parameter);
+    const sessions = filterByProfile(readSheetObjects(spreadsheet, CONFIG.SHEETS.POMODORO_SESSIONS, 'session_id'), e.parameter);
     
-    let updated = false;
+    let analytics = {
+      totalTasks: tasks.length,
+      correctTasks: 0,
+      totalPoints: 0,
+      totalSessions: sessions.length,
+      totalStudyTime: 0,
+      subjectStats: {},
+      categoryStats: {},
+      recentTasks: tasks.slice(-10).reverse(),
+      weeklyProgress: []
+    };
     
-    // Check if today's stats already exist
-    if (values.length > 1) {
-      const headers = values[0];
-      const dateIndex = headers.indexOf('date');
+    // Analyze tasks - `points` is only present in sheets kept from older versions
+    tasks.forEach(task => {
+      const points = Number(task.points) || 0;
       
-      for (let i = 1; i < values.length; i++) {
-        const rowDate = Utilities.formatDate(values[i][dateIndex], Session.getScriptTimeZone(), 'yyyy-MM-dd');
-        if (rowDate === todayString) {
-          // Update existing row
-          values[i] = [
-            values[i][dateIndex], // Keep original date
-            todayStats.tasks_completed,
-            todayStats.correct_tasks,
-            todayStats.points_earned,
-            todayStats.pomodoro_sessions,
-            todayStats.study_time_minutes
-          ];
-          range.setValues(values);
-          updated = true;
-          break;
-        }
+      if (getTaskOutcome(task) === 'correct') {
+        analytics.correctTasks++;
+      }
+      analytics.totalPoints += points;
+      
+      if (task.subject) {
+        analytics.subjectStats[task.subject] = (analytics.subjectStats[task.subject] || 0) + points;
       }
+      
+      if (task.category) {
+        analytics.categoryStats[task.category] = (analytics.categoryStats[task.category] || 0) + points;
+      }
+    });
+    
+    // Analyze Pomodoro sessions
+    analytics.totalStudyTime = sessions.reduce((sum, session) => sum + (Number(session.duration_minutes) || 0), 0);
+    
+    console.log('Analytics generated:', analytics);
+    
+    return createSuccessResponse(analytics);
+    
+  } catch (error) {
+    console.error('Error generating analytics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a profile's unlock of an achievement: { achievement_id, unlocked, unlock_date, user_id }.
+ * Unlocks are rows of the AchievementUnlocks sheet, one per achievement and profile; a reset deletes the row.
+ * A missing or empty Achievements sheet is first filled with the default achievements.
+ * Unlocking an achievement that is already unlocked keeps the first unlock date.
+ */
+function handleUpdateAchievement(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.ACHIEVEMENTS, CONFIG.HEADERS.ACHIEVEMENTS);
+  
+  const data = parseDataParameter(e);
+  console.log('Updating achievement:', data);
+  
+  if (!data || !data.achievement_id) {
+    throw createValidationError('Invalid achievement data - expected { achievement_id, unlocked, unlock_date, user_id }');
+  }
+  
+  const layout = getSheetLayout(sheet, ['achievement_id']);
+  if (sheet.getLastRow() < 2) {
+    appendObjects(sheet, getDefaultAchievements());
+  }
+  
+  if (!findRowById(sheet, layout.columns.achievement_id, data.achievement_id)) {
+    throw createValidationError('Achievement not found: ' + data.achievement_id);
+  }
+  
+  const userId = String(data.user_id || CONFIG.DEFAULT_USER_ID);
+  const unlocked = data.unlocked === true || String(data.unlocked) === 'true';
+  const unlocksSheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.ACHIEVEMENT_UNLOCKS, CONFIG.HEADERS.ACHIEVEMENT_UNLOCKS);
+  const unlocksLayout = getSheetLayout(unlocksSheet, CONFIG.HEADERS.ACHIEVEMENT_UNLOCKS);
+  const rowNumbers = readRecords(unlocksSheet).map(function(unlock, index) {
+    return String(unlock.achievement_id) === String(data.achievement_id)
+      && String(unlock.user_id || CONFIG.DEFAULT_USER_ID) === userId ? index + 2 : null;
+  }).filter(Boolean);
+  
+  if (!unlocked) {
+    // Bottom up, so the row numbers still to delete stay valid
+    rowNumbers.reverse().forEach(function(rowNumber) {
+      unlocksSheet.deleteRow(rowNumber);
+    });
+    return createWriteResponse('updateAchievement', {
+      message: 'Achievement reset',
+      rowId: data.achievement_id,
+      unlock_date: ''
+    });
+  }
+  
+  if (rowNumbers.length > 0) {
+    const current = readRecord(unlocksSheet, unlocksLayout, rowNumbers[0]);
+    return createWriteResponse('updateAchievement', {
+      message: 'Achievement already unlocked',
+      rowId: data.achievement_id,
+      rowNumber: rowNumbers[0],
+      unlock_date: current.unlock_date ? new Date(current.unlock_date).toISOString() : ''
+    });
+  }
+  
+  const unlockDate = new Date(data.unlock_date || new Date());
+  if (isNaN(unlockDate.getTime())) {
+    throw createValidationError('Invalid unlock_date: ' + data.unlock_date);
+  }
+  
+  unlocksSheet.appendRow(recordToRow(unlocksLayout, {
+    achievement_id: data.achievement_id,
+    user_id: userId,
+    unlock_date: unlockDate.toISOString()
+  }));
+  
+  return createWriteResponse('updateAchievement', {
+    message: 'Achievement unlocked',
+    rowId: data.achievement_id,
+    rowNumber: unlocksSheet.getLastRow(),
+    unlock_date: unlockDate.toISOString()
+  });
+}
+
+/**
+ * Update daily statistics
+ */
+function updateDailyStats(spreadsheet) {
+  try {
+    const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.USER_STATS);
+    if (!sheet) {
+      console.log('User_Stats sheet not found, skipping stats update');
+      return;
     }
     
-    // Add new row if not updated
-    if (!updated) {
-      sheet.appendRow([
-        today,
-        todayStats.tasks_completed,
-        todayStats.correct_tasks,
-        todayStats.points_earned,
-        todayStats.pomodoro_sessions,
-        todayStats.study_time_minutes
-      ]);
+    const today = new Date();
+    const timeZone = Session.getScriptTimeZone();
+    const todayString = Utilities.formatDate(today, timeZone, 'yyyy-MM-dd');
+    
+    // Calculate today's stats of every profile from Tasks and Pomodoro sheets
+    const todayStats = calculateTodayStats(spreadsheet, today);
+    
+    // Update each profile's row of today if it already exists
+    const layout = getSheetLayout(sheet, CONFIG.HEADERS.USER_STATS);
+    const todayRows = {};
+    readRecords(sheet).forEach((stat, index) => {
+      if (stat.date && Utilities.formatDate(new Date(stat.date), timeZone, 'yyyy-MM-dd') === todayString) {
+        todayRows[String(stat.user_id || CONFIG.DEFAULT_USER_ID)] = index + 2;
+      }
+    });
+    
+    // A profile whose last task of today was deleted goes back to zero
+    Object.keys(todayRows).forEach(userId => {
+      todayStats[userId] = todayStats[userId] || createEmptyDayStats();
+    });
+    
+    Object.keys(todayStats).forEach(userId => {
+      if (todayRows[userId]) {
+        writeRecord(sheet, layout, todayRows[userId], todayStats[userId]);
+      } else {
+        sheet.appendRow(recordToRow(layout, Object.assign({ date: today, user_id: userId }, todayStats[userId])));
+      }
+    });
+    
+    console.log('Daily stats updated:', todayStats);
+    
+  } catch (error) {
+    console.error('Error updating daily stats:', error);
+  }
+}
+
+/**
+ * Calculate today's statistics of every profile with activity today
+ * @returns {Object} { user_id: { tasks_completed, correct_tasks, points_earned, pomodoro_sessions, study_time_minutes } }
+ */
+function calculateTodayStats(spreadsheet, date) {
+  const timeZone = Session.getScriptTimeZone();
+  const today = Utilities.formatDate(date, timeZone, 'yyyy-MM-dd');
+  const isToday = value => Boolean(value) && Utilities.formatDate(new Date(value), timeZone, 'yyyy-MM-dd') === today;
+  
+  const statsByProfile = {};
+  const statsOf = row => {
+    const userId = String(row.user_id || CONFIG.DEFAULT_USER_ID);
+    return statsByProfile[userId] = statsByProfile[userId] || createEmptyDayStats();
+  };
+  
+  // Calculate task stats
+  readSheetObjects(spreadsheet, CONFIG.SHEETS.TASKS, 'task_name').forEach(task => {
+    if (isToday(task.timestamp)) {
+      const stats = statsOf(task);
+      stats.tasks_completed++;
+      if (getTaskOutcome(task) === 'correct') {
+        stats.correct_tasks++;
+      }
+      stats.points_earned += Number(task.points) || 0;
+    }
+  });
+  
+  // Calculate Pomodoro stats
+  readSheetObjects(spreadsheet, CONFIG.SHEETS.POMODORO_SESSIONS, 'session_id').forEach(session => {
+    if (isToday(session.start_time)) {
+      const stats = statsOf(session);
+      stats.pomodoro_sessions++;
+      stats.study_time_minutes += Number(session.duration_minutes) || 0;
+    }
+  });
+  
+  return statsByProfile;
+}
+
+function createEmptyDayStats() {
+  return {
+    tasks_completed: 0,
+    correct_tasks: 0,
+    points_earned: 0,
+    pomodoro_sessions: 0,
+    study_time_minutes: 0
+  };
+}
+
+/**
+ * Default subjects if sheet is empty
+ */
+function getDefaultSubjects() {
+  return [
+    { subject_name: 'Matematyka', color: '#FF6B6B', icon: '📐', active: true },
+    { subject_name: 'Polski', color: '#4ECDC4', icon: '📝', active: true },
+    { subject_name: 'Angielski', color: '#45B7D1', icon: '🇬🇧', active: true },
+    { subject_name: 'Historia', color: '#F7B731', icon: '📚', active: true }
+  ];
+}
+
+/**
+ * Default categories if sheet is empty
+ */
+function getDefaultCategories() {
+  return [
+    { category_name: 'Algebra', subject_name: 'Matematyka', difficulty: 'Średni', active: true },
+    { category_name: 'Geometria', subject_name: 'Matematyka', difficulty: 'Trudny', active: true },
+    { category_name: 'Części mowy', subject_name: 'Polski', difficulty: 'Łatwy', active: true },
+    { category_name: 'Składnia', subject_name: 'Polski', difficulty: 'Trudny', active: true },
+    { category_name: 'Grammar', subject_name: 'Angielski', difficulty: 'Średni', active: true },
+    { category_name: 'Vocabulary', subject_name: 'Angielski', difficulty: 'Łatwy', active: true }
+  ];
+}
+
+/**
+ * Default achievements if sheet is empty.
+ * `rule` is optional JSON for the client's rule engine (js/achievementRules.js);
+ * without it an achievement is reached when `type` reaches `target_value`.
+ */
+function getDefaultAchievements() {
+  return [
+    { 
+      achievement_id: 'first_task', 
+      name: 'Pierwsze kroki', 
+      description: 'Wykonaj pierwsze zadanie', 
+      icon: '🎯', 
+      type: 'tasks', 
+      target_value: 1, 
+      points_reward: 10, 
+      unlocked: false,
+      unlock_date: null
+    },
+    { 
+      achievement_id: 'streak_7', 
+      name: 'Tydzień pasma', 
+      description: 'Utrzymaj passę przez 7 dni', 
+      icon: '🔥', 
+      type: 'streak', 
+      target_value: 7, 
+      points_reward: 50, 
+      unlocked: false,
+      unlock_date: null
+    },
+    { 
+      achievement_id: 'pomodoro_10', 
+      name: 'Skupiony', 
+      description: 'Ukończ 10 sesji Pomodoro', 
+      icon: '🍅', 
+      type: 'pomodoro', 
+      target_value: 10, 
+      points_reward: 30, 
+      unlocked: false,
+      unlock_date: null
+    },
+    { 
+      achievement_id: 'tasks_100', 
+      name: 'Setka', 
+      description: 'Rozwiąż 100 zadań', 
+      icon: '💯', 
+      type: 'tasks', 
+      target_value: 100, 
+      points_reward: 40, 
+      unlocked: false,
+      unlock_date: null
+    },
+    { 
+      achievement_id: 'correct_50', 
+      name: 'Celne oko', 
+      description: 'Rozwiąż poprawnie 50 zadań', 
+      icon: '✅', 
+      type: 'correct_tasks', 
+      target_value: 50, 
+      points_reward: 40, 
+      unlocked: false,
+      unlock_date: null
+    },
+    { 
+      achievement_id: 'geometry_week', 
+      name: 'Tydzień z geometrią', 
+      description: 'Rozwiąż poprawnie 20 zadań z geometrii w ciągu 7 dni', 
+      icon: '📐', 
+      type: 'correct_tasks', 
+      target_value: 20, 
+      points_reward: 50, 
+      unlocked: false,
+      unlock_date: null,
+      rule: '{"metric":"correct_tasks","window":7,"threshold":20,"filters":{"category":"Geometria"}}'
+    },
+    { 
+      achievement_id: 'early_bird', 
+      name: 'Ranny ptaszek', 
+      description: 'Rozpocznij 5 sesji nauki przed 8:00', 
+      icon: '🌅', 
+      type: 'sessions', 
+      target_value: 5, 
+      points_reward: 30, 
+      unlocked: false,
+      unlock_date: null,
+      rule: '{"metric":"sessions","threshold":5,"filters":{"before_hour":8}}'
+    }
+  ];
+}
+
+/**
+ * Create success response
+ */
+function createSuccessResponse(data) {
+  return ContentService
+    .createTextOutput(JSON.stringify({
+      success: true,
+      data: data
+    }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Create a page of rows: { success, data: rows, next_cursor, server_time, ids }
+ */
+function createPageResponse(page) {
+  return ContentService
+    .createTextOutput(JSON.stringify({
+      success: true,
+      data: page.rows,
+      next_cursor: page.nextCursor,
+      server_time: page.serverTime,
+      ids: page.ids
+    }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Create acknowledged write response: { success, action, data: { rowId, rowNumber, message } }
+ */
+function createWriteResponse(action, data) {
+  return ContentService
+    .createTextOutput(JSON.stringify({
+      success: true,
+      action: action,
+      data: data
+    }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Create error response.
+ * `code` and `retryable` tell the client whether resending the same write can succeed.
+ */
+function createErrorResponse(error) {
+  const message = error.toString();
+  const code = (error && error.code) || classifyError(message);
+  
+  return ContentService
+    .createTextOutput(JSON.stringify({
+      success: false,
+      error: message,
+      code: code,
+      retryable: code === 'QUOTA_EXCEEDED' || code === 'LOCK_TIMEOUT' || code === 'SERVICE_ERROR'
+    }))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Create an error for requests that will never succeed as sent
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+/**
+ * Map Apps Script error messages to error codes
+ */
+function classifyError(message) {
+  if (/too many times|quota|rate limit/i.test(message)) {
+    return 'QUOTA_EXCEEDED';
+  }
+  if (/lock/i.test(message)) {
+    return 'LOCK_TIMEOUT';
+  }
+  if (/service .*(error|unavailable|timed out)|exceeded maximum execution time/i.test(message)) {
+    return 'SERVICE_ERROR';
+  }
+  return 'SERVER_ERROR';
+}
+
+/**
+ * Parse the JSON `data` parameter of a write request
+ */
+function parseDataParameter(e) {
+  try {
+    return JSON.parse(e.parameter.data || '[]');
+  } catch (parseError) {
+    throw createValidationError('Failed to parse data: ' + parseError.toString());
+  }
+}
+
+/**
+ * Get a sheet by name, creating it with a header row if it does not exist
+ */
+function getOrCreateSheet(spreadsheet, name, headers) {
+  let sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    console.log('Created ' + name + ' sheet with headers:', headers);
+  }
+  return sheet;
+}
+
+/**
+ * One page of the rows changed since a time. Request parameters:
+ *   since  - ISO time; only rows whose updated_at is at or after it (rows written before
+ *            the updated_at column use `getFallbackTime`)
+ *   limit  - page size, at most CONFIG.MAX_PAGE_SIZE (all rows when missing)
+ *   cursor - next_cursor of the previous page
+ * Pass the page's `server_time` as the next `since`. The first page of an incremental
+ * read also lists the task_id of every row, so clients can drop rows deleted meanwhile.
+ * @returns {{rows: Array, nextCursor: string|null, serverTime: string, ids: Array|null}}
+ */
+function getRowsPage(rows, params, serverTime, getFallbackTime) {
+  const since = params.since ? new Date(params.since).getTime() : null;
+  if (since !== null && isNaN(since)) {
+    throw createValidationError('Invalid since parameter: ' + params.since);
+  }
+  
+  const offset = params.cursor ? parseInt(params.cursor, 10) : 0;
+  if (isNaN(offset) || offset < 0) {
+    throw createValidationError('Invalid cursor parameter: ' + params.cursor);
+  }
+  
+  const limit = params.limit ? Math.min(parseInt(params.limit, 10), CONFIG.MAX_PAGE_SIZE) : null;
+  if (limit !== null && !(limit > 0)) {
+    throw createValidationError('Invalid limit parameter: ' + params.limit);
+  }
+  
+  const changed = since === null ? rows : rows.filter(function(row) {
+    const time = new Date(row.updated_at || getFallbackTime(row)).getTime();
+    // Rows without any readable time are always sent
+    return isNaN(time) || time >= since;
+  });
+  
+  const end = limit ? offset + limit : changed.length;
+  
+  return {
+    rows: changed.slice(offset, end),
+    nextCursor: end < changed.length ? String(end) : null,
+    serverTime: serverTime,
+    ids: since !== null && offset === 0 ? rows.map(function(row) { return String(row.task_id); }) : null
+  };
+}
+
+/**
+ * Install the edit trigger of the spreadsheet this script is bound to (see stampEditedRows).
+ * Run once from the Apps Script editor; running it again replaces the trigger instead of adding a second one.
+ */
+function installEditTrigger() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === 'stampEditedRows') {
+      ScriptApp.deleteTrigger(trigger);
     }
-    
-    console.log('Daily stats updated:', todayStats);
-    
-  } catch (error) {
-    console.error('Error updating daily stats:', error);
+  });
+  
+  ScriptApp.newTrigger('stampEditedRows').forSpreadsheet(spreadsheet).onEdit().create();
+  console.log('Edit trigger installed for spreadsheet', spreadsheet.getId());
+}
+
+/**
+ * Edit trigger: stamp `updated_at` on the Tasks and StudyTasks rows changed by hand, so the app's
+ * incremental reads (`since`) download them again. Writes of the web app do not fire it - they stamp
+ * the rows themselves. An edit of the updated_at column alone is kept as typed.
+ * @param {Object} e - Apps Script edit event ({ range })
+ */
+function stampEditedRows(e) {
+  if (!e || !e.range) return;
+  
+  const sheet = e.range.getSheet();
+  const stamped = CONFIG.EDIT_STAMPED_SHEETS.some(function(key) {
+    return CONFIG.SHEETS[key] === sheet.getName();
+  });
+  if (!stamped) return;
+  
+  const column = getSheetLayout(sheet, []).columns.updated_at;
+  if (!column || (e.range.getColumn() === column && e.range.getNumColumns() === 1)) return;
+  
+  // The header row is not a task
+  const firstRow = Math.max(e.range.getRow(), 2);
+  const lastRow = e.range.getRow() + e.range.getNumRows() - 1;
+  if (lastRow < firstRow) return;
+  
+  const now = new Date().toISOString();
+  const values = [];
+  for (let row = firstRow; row <= lastRow; row++) values.push([now]);
+  sheet.getRange(firstRow, column, values.length, 1).setValues(values);
+}
+
+/**
+ * Columns of a sheet by header name. Data is always read and written through this
+ * mapping, so columns can be moved and new ones (e.g. "Źródło") added in the sheet.
+ * @param {Array} required - Headers the sheet must have (a CONFIG.HEADERS layout)
+ * @returns {{headers: Array, columns: Object}} Header row and 1-based column of every named header
+ */
+function getSheetLayout(sheet, required) {
+  const width = Math.max(sheet.getLastColumn(), 1);
+  const headers = sheet.getRange(1, 1, 1, width).getValues()[0].map(function(header) {
+    return String(header).trim();
+  });
+  
+  const columns = {};
+  headers.forEach(function(header, index) {
+    if (header && !columns[header]) columns[header] = index + 1;
+  });
+  
+  const missing = (required || []).filter(function(header) { return !columns[header]; });
+  if (missing.length > 0) {
+    throw createValidationError('Sheet ' + sheet.getName() + ' is missing required columns: ' + missing.join(', '));
   }
+  
+  return { headers: headers, columns: columns };
 }
 
 /**
- * Calculate today's statistics
+ * Record sent by the client as an object keyed by header name.
+ * Positional arrays written by older clients (still replayed from offline outboxes)
+ * are read in the order of `headers`.
  */
-function calculateTodayStats(spreadsheet, date) {
-  const today = Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+function toRecord(data, headers) {
+  if (Array.isArray(data)) {
+    const record = {};
+    headers.forEach(function(header, index) {
+      if (index < data.length) record[header] = data[index];
+    });
+    return record;
+  }
   
-  let stats = {
-    tasks_completed: 0,
-    correct_tasks: 0,
-    points_earned: 0,
-    pomodoro_sessions: 0,
-    study_time_minutes: 0
-  };
+  if (!data || typeof data !== 'object') {
+    throw createValidationError('Invalid data - expected an object keyed by column name');
+  }
+  return Object.assign({}, data);
+}
+
+/**
+ * Sheet row for a record. Fields without a column in the sheet are left out;
+ * columns the record has no field for keep the value of `row` (empty for a new row).
+ */
+function recordToRow(layout, record, row) {
+  const output = row ? row.slice() : layout.headers.map(function() { return ''; });
+  while (output.length < layout.headers.length) output.push('');
   
-  // Calculate task stats
-  const tasksSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
-  if (tasksSheet) {
-    const taskRange = tasksSheet.getRange(CONFIG.RANGES.TASKS);
-    const taskValues = taskRange.getValues();
-    
-    if (taskValues.length > 1) {
-      const headers = taskValues[0];
-      const timestampIndex = headers.indexOf('timestamp');
-      const correctnessIndex = headers.indexOf('correctness');
-      const pointsIndex = headers.indexOf('points');
-      
-      taskValues.slice(1).forEach(row => {
-        if (row[timestampIndex]) {
-          const taskDate = Utilities.formatDate(new Date(row[timestampIndex]), Session.getScriptTimeZone(), 'yyyy-MM-dd');
-          if (taskDate === today) {
-            stats.tasks_completed++;
-            if (row[correctnessIndex] === 'Poprawnie') {
-              stats.correct_tasks++;
-            }
-            stats.points_earned += Number(row[pointsIndex]) || 0;
-          }
-        }
-      });
+  Object.keys(record).forEach(function(field) {
+    const column = layout.columns[field];
+    if (column) {
+      output[column - 1] = record[field] === null || record[field] === undefined ? '' : record[field];
     }
+  });
+  return output;
+}
+
+/**
+ * One row as an object keyed by header name
+ */
+function readRecord(sheet, layout, rowNumber) {
+  const row = sheet.getRange(rowNumber, 1, 1, layout.headers.length).getValues()[0];
+  const record = {};
+  layout.headers.forEach(function(header, index) {
+    if (header && !(header in record)) record[header] = row[index];
+  });
+  return record;
+}
+
+/**
+ * Write the fields of `record` to an existing row, keeping every other column
+ */
+function writeRecord(sheet, layout, rowNumber, record) {
+  const range = sheet.getRange(rowNumber, 1, 1, layout.headers.length);
+  range.setValues([recordToRow(layout, record, range.getValues()[0])]);
+}
+
+/**
+ * Write a record keyed by the client-generated id in `keyField`: update the row
+ * with that id, or append a new one.
+ * @returns {{rowNumber: number, created: boolean}}
+ */
+function upsertRecord(sheet, required, keyField, record) {
+  const layout = getSheetLayout(sheet, required);
+  const id = String(record[keyField]);
+  const rowNumber = findRowById(sheet, layout.columns[keyField], id);
+  
+  if (rowNumber) {
+    writeRecord(sheet, layout, rowNumber, record);
+    console.log('Updated existing row ' + rowNumber + ' for id ' + id);
+    return { rowNumber: rowNumber, created: false };
   }
   
-  // Calculate Pomodoro stats
-  const pomodoroSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.POMODORO_SESSIONS);
-  if (pomodoroSheet) {
-    const pomodoroRange = pomodoroSheet.getRange(CONFIG.RANGES.POMODORO_SESSIONS);
-    const pomodoroValues = pomodoroRange.getValues();
-    
-    if (pomodoroValues.length > 1) {
-      pomodoroValues.slice(1).forEach(row => {
-        if (row[1]) { // start_time
-          const sessionDate = Utilities.formatDate(new Date(row[1]), Session.getScriptTimeZone(), 'yyyy-MM-dd');
-          if (sessionDate === today) {
-            stats.pomodoro_sessions++;
-            stats.study_time_minutes += Number(row[3]) || 0; // duration_minutes
-          }
+  sheet.appendRow(recordToRow(layout, record));
+  return { rowNumber: sheet.getLastRow(), created: true };
+}
+
+/**
+ * Every data row as an object keyed by the header row, in sheet order.
+ * Columns without a header are left out.
+ */
+function readRecords(sheet) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  
+  const values = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1)).getValues();
+  const headers = values[0].map(header => String(header).trim());
+  return values.slice(1).map(row => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header && !(header in record)) record[header] = row[index];
+    });
+    return record;
+  });
+}
+
+/**
+ * Rows of a sheet as objects keyed by the header row; rows without `keyField` are skipped
+ */
+function readSheetObjects(spreadsheet, sheetName, keyField) {
+  const sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    return [];
+  }
+  
+  const rows = readRecords(sheet).filter(item => item[keyField]);
+  console.log(`Retrieved ${rows.length} rows from ${sheetName}`);
+  
+  return rows;
+}
+
+/**
+ * Find the row holding `id` in `idColumn` (1-based)
+ * @returns {number|null} Row number, or null when no row has that id
+ */
+function findRowById(sheet, idColumn, id) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return null;
+  
+  const ids = sheet.getRange(2, idColumn, lastRow - 1, 1).getValues();
+  for (let i = 0; i < ids.length; i++) {
+    if (String(ids[i][0]) === String(id)) {
+      return i + 2;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generate a row id for records submitted without one
+ */
+function generateId(prefix) {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Schema migrations, oldest first. Each one runs once per spreadsheet and is recorded as a row
+ * of the _Schema sheet; the highest recorded version is the spreadsheet's schema version.
+ * A migration must be safe to run again - it is repeated when the script fails before recording it.
+ * To change a sheet layout, update CONFIG.HEADERS, add a migration and raise CONFIG.SCHEMA_VERSION.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create missing sheets and columns, move legacy columns into the current layout',
+    up: function(spreadsheet) {
+      Object.keys(CONFIG.HEADERS).forEach(function(key) {
+        // Internal sheets are created by the code that writes them
+        if (key === 'SCHEMA' || key === 'AUTH_LOG') return;
+        const created = !spreadsheet.getSheetByName(CONFIG.SHEETS[key]);
+        const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS[key], CONFIG.HEADERS[key]);
+        
+        if (created && key === 'SUBJECTS') {
+          appendObjects(sheet, getDefaultSubjects());
+        } else if (created && key === 'CATEGORIES') {
+          appendObjects(sheet, getDefaultCategories());
+        } else if (!created) {
+          migrateSheetLayout(sheet, CONFIG.HEADERS[key], CONFIG.HEADER_ALIASES[key] || {});
         }
       });
     }
+  },
+  {
+    version: 2,
+    description: 'Copy Tasks rows into StudyTasks',
+    up: function(spreadsheet) {
+      copyTasksToStudyTasks(spreadsheet);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add the user_id column to the sheets kept per student profile',
+    up: function(spreadsheet) {
+      CONFIG.PROFILE_SHEETS.forEach(function(key) {
+        const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS[key], CONFIG.HEADERS[key]);
+        migrateSheetLayout(sheet, CONFIG.HEADERS[key], CONFIG.HEADER_ALIASES[key] || {});
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Move achievement unlocks to AchievementUnlocks, kept per student profile',
+    up: function(spreadsheet) {
+      moveAchievementUnlocks(spreadsheet);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add the user_id column to User_Stats, kept per student profile',
+    up: function(spreadsheet) {
+      const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.USER_STATS, CONFIG.HEADERS.USER_STATS);
+      migrateSheetLayout(sheet, CONFIG.HEADERS.USER_STATS, CONFIG.HEADER_ALIASES.USER_STATS || {});
+    }
+  }
+];
+
+/**
+ * Bring the spreadsheet to CONFIG.SCHEMA_VERSION. Called on every request; when the
+ * spreadsheet is already current this only reads the _Schema sheet.
+ * @returns {number} Schema version of the spreadsheet
+ */
+function ensureSchema(spreadsheet) {
+  if (getSchemaVersion(spreadsheet) >= CONFIG.SCHEMA_VERSION) {
+    return CONFIG.SCHEMA_VERSION;
   }
   
-  return stats;
+  const lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    // Another request may have migrated the spreadsheet while this one waited for the lock
+    let version = getSchemaVersion(spreadsheet);
+    const schemaSheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.SCHEMA, CONFIG.HEADERS.SCHEMA);
+    
+    MIGRATIONS.forEach(function(migration) {
+      if (migration.version <= version) return;
+      
+      console.log('Migrating spreadsheet to schema version ' + migration.version + ': ' + migration.description);
+      migration.up(spreadsheet);
+      schemaSheet.appendRow([migration.version, migration.description, new Date().toISOString()]);
+      version = migration.version;
+    });
+    
+    return version;
+  } finally {
+    lock.releaseLock();
+  }
 }
 
 /**
- * Default subjects if sheet is empty
+ * Highest version recorded in the _Schema sheet (0 for a spreadsheet that was never migrated)
  */
-function getDefaultSubjects() {
-  return [
-    { subject_name: 'Matematyka', color: '#FF6B6B', icon: '📐', active: true },
-    { subject_name: 'Polski', color: '#4ECDC4', icon: '📝', active: true },
-    { subject_name: 'Angielski', color: '#45B7D1', icon: '🇬🇧', active: true },
-    { subject_name: 'Historia', color: '#F7B731', icon: '📚', active: true }
-  ];
+function getSchemaVersion(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SCHEMA);
+  if (!sheet || sheet.getLastRow() < 2) {
+    return 0;
+  }
+  
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().reduce(function(max, row) {
+    return Math.max(max, Number(row[0]) || 0);
+  }, 0);
 }
 
 /**
- * Default categories if sheet is empty
+ * Rewrite a sheet so its columns follow `headers`. Legacy column names are renamed with
+ * `aliases`, missing columns are added and columns the layout does not know are kept after
+ * the known ones. A column with data but no header takes the name of its position in
+ * `headers` (older scripts wrote task_id and updated_at without adding a header).
  */
-function getDefaultCategories() {
-  return [
-    { category_name: 'Algebra', subject_name: 'Matematyka', difficulty: 'Średni', active: true },
-    { category_name: 'Geometria', subject_name: 'Matematyka', difficulty: 'Trudny', active: true },
-    { category_name: 'Części mowy', subject_name: 'Polski', difficulty: 'Łatwy', active: true },
-    { category_name: 'Składnia', subject_name: 'Polski', difficulty: 'Trudny', active: true },
-    { category_name: 'Grammar', subject_name: 'Angielski', difficulty: 'Średni', active: true },
-    { category_name: 'Vocabulary', subject_name: 'Angielski', difficulty: 'Łatwy', active: true }
-  ];
+function migrateSheetLayout(sheet, headers, aliases) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    return;
+  }
+  
+  const width = Math.max(sheet.getLastColumn(), headers.length);
+  const values = sheet.getRange(1, 1, lastRow, width).getValues();
+  
+  const names = values[0].map(function(header) {
+    const name = String(header).trim();
+    const lower = name.toLowerCase();
+    return aliases[lower] || (headers.indexOf(lower) !== -1 ? lower : name);
+  });
+  names.forEach(function(name, index) {
+    if (name) {
+      // A repeated name would hide the second column's data
+      if (names.indexOf(name) !== index) names[index] = name + '_' + (index + 1);
+      return;
+    }
+    if (index < headers.length && names.indexOf(headers[index]) === -1) {
+      names[index] = headers[index];
+    } else if (values.some(function(row) { return row[index] !== ''; })) {
+      names[index] = 'column_' + (index + 1);
+    }
+  });
+  
+  const extra = names.filter(function(name) {
+    return name && headers.indexOf(name) === -1;
+  });
+  const layout = headers.concat(extra);
+  if (layout.every(function(name, index) { return values[0][index] === name; })) {
+    return;
+  }
+  
+  const rows = values.slice(1).map(function(row) {
+    return layout.map(function(name) {
+      const index = names.indexOf(name);
+      return index === -1 ? '' : row[index];
+    });
+  });
+  
+  // Pad to the old width so columns that moved left do not leave a copy behind
+  const output = [layout].concat(rows).map(function(row) {
+    while (row.length < width) row.push('');
+    return row;
+  });
+  sheet.getRange(1, 1, output.length, output[0].length).setValues(output);
+  console.log('Migrated ' + sheet.getName() + ' columns to:', layout);
 }
 
 /**
- * Default achievements if sheet is empty
+ * Copy rows of the Tasks sheet that have no StudyTasks row yet into StudyTasks.
+ * Tasks rows without a task_id get one first, so running this again copies nothing twice.
+ * The Tasks sheet itself is kept - the quick task form still writes to it.
  */
-function getDefaultAchievements() {
-  return [
-    { 
-      achievement_id: 'first_task', 
-      name: 'Pierwsze kroki', 
-      description: 'Wykonaj pierwsze zadanie', 
-      icon: '🎯', 
-      type: 'tasks', 
-      target_value: 1, 
-      points_reward: 10, 
-      unlocked: false,
-      unlock_date: null
-    },
-    { 
-      achievement_id: 'streak_7', 
-      name: 'Tydzień pasma', 
-      description: 'Utrzymaj passę przez 7 dni', 
-      icon: '🔥', 
-      type: 'streak', 
-      target_value: 7, 
-      points_reward: 50, 
-      unlocked: false,
-      unlock_date: null
-    },
-    { 
-      achievement_id: 'pomodoro_10', 
-      name: 'Skupiony', 
-      description: 'Ukończ 10 sesji Pomodoro', 
-      icon: '🍅', 
-      type: 'pomodoro', 
-      target_value: 10, 
-      points_reward: 30, 
-      unlocked: false,
-      unlock_date: null
+function copyTasksToStudyTasks(spreadsheet) {
+  const tasksSheet = spreadsheet.getSheetByName(CONFIG.SHEETS.TASKS);
+  if (!tasksSheet || tasksSheet.getLastRow() < 2) return;
+  
+  const taskLayout = getSheetLayout(tasksSheet, CONFIG.HEADERS.TASKS);
+  const tasksRange = tasksSheet.getRange(2, 1, tasksSheet.getLastRow() - 1, taskLayout.headers.length);
+  const rows = tasksRange.getValues();
+  const now = new Date().toISOString();
+  
+  let idsAdded = false;
+  const tasks = rows.map(function(row, index) {
+    const task = {};
+    taskLayout.headers.forEach(function(header, column) {
+      if (header && !(header in task)) task[header] = row[column];
+    });
+    if (task.task_name && !task.task_id) {
+      task.task_id = generateId('task');
+      task.updated_at = now;
+      rows[index] = recordToRow(taskLayout, { task_id: task.task_id, updated_at: now }, row);
+      idsAdded = true;
     }
-  ];
+    return task;
+  });
+  if (idsAdded) {
+    tasksRange.setValues(rows);
+  }
+  
+  const studySheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.STUDY_TASKS, CONFIG.HEADERS.STUDY_TASKS);
+  const studyLayout = getSheetLayout(studySheet, CONFIG.HEADERS.STUDY_TASKS);
+  const existing = {};
+  if (studySheet.getLastRow() > 1) {
+    studySheet.getRange(2, studyLayout.columns.task_id, studySheet.getLastRow() - 1, 1).getValues().forEach(function(row) {
+      existing[String(row[0])] = true;
+    });
+  }
+  
+  const outcomes = { correct: 'Yes', partial: '50/50', incorrect: 'No' };
+  const copies = tasks.filter(function(task) {
+    return task.task_name && !existing[String(task.task_id)];
+  }).map(function(task) {
+    const time = task.timestamp instanceof Date ? task.timestamp.toISOString() : task.timestamp;
+    return recordToRow(studyLayout, {
+      task_id: task.task_id,
+      task_name: task.task_name,
+      description: task.description,
+      categories: task.category,
+      correctly_completed: outcomes[getCorrectnessOutcome(task.correctness)] || task.correctness,
+      start_time: time,
+      end_time: time,
+      subject: task.subject,
+      session_id: task.session_id,
+      updated_at: now,
+      user_id: task.user_id
+    });
+  });
+  
+  if (copies.length > 0) {
+    studySheet.getRange(studySheet.getLastRow() + 1, 1, copies.length, studyLayout.headers.length).setValues(copies);
+    console.log('Copied ' + copies.length + ' Tasks rows into StudyTasks');
+  }
 }
 
 /**
- * Create success response
+ * Copy the unlocks stored in the unlocked / unlock_date columns of the Achievements sheet
+ * (before unlocks were kept per profile) to AchievementUnlocks as the default profile's,
+ * then clear those columns. Unlocks already copied are not added again.
  */
-function createSuccessResponse(data) {
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: true,
-      data: data
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+function moveAchievementUnlocks(spreadsheet) {
+  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.ACHIEVEMENTS);
+  const unlocksSheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.ACHIEVEMENT_UNLOCKS, CONFIG.HEADERS.ACHIEVEMENT_UNLOCKS);
+  if (!sheet || sheet.getLastRow() < 2) return;
+  
+  const layout = getSheetLayout(sheet, []);
+  if (!layout.columns.unlocked) return;
+  
+  const copied = {};
+  readRecords(unlocksSheet).forEach(function(unlock) {
+    copied[String(unlock.achievement_id) + '|' + String(unlock.user_id || CONFIG.DEFAULT_USER_ID)] = true;
+  });
+  
+  const unlocksLayout = getSheetLayout(unlocksSheet, CONFIG.HEADERS.ACHIEVEMENT_UNLOCKS);
+  const rows = readRecords(sheet).filter(function(achievement) {
+    const unlocked = achievement.unlocked === true || String(achievement.unlocked).toUpperCase() === 'TRUE';
+    return achievement.achievement_id && unlocked && !copied[String(achievement.achievement_id) + '|' + CONFIG.DEFAULT_USER_ID];
+  }).map(function(achievement) {
+    const unlockDate = achievement.unlock_date ? new Date(achievement.unlock_date) : new Date();
+    return recordToRow(unlocksLayout, {
+      achievement_id: achievement.achievement_id,
+      user_id: CONFIG.DEFAULT_USER_ID,
+      unlock_date: (isNaN(unlockDate.getTime()) ? new Date() : unlockDate).toISOString()
+    });
+  });
+  
+  if (rows.length > 0) {
+    unlocksSheet.getRange(unlocksSheet.getLastRow() + 1, 1, rows.length, unlocksLayout.headers.length).setValues(rows);
+    console.log('Moved ' + rows.length + ' achievement unlocks to AchievementUnlocks');
+  }
+  
+  // The old columns stay (the layout keeps unknown columns) but no longer say anything
+  ['unlocked', 'unlock_date'].forEach(function(header) {
+    const column = layout.columns[header];
+    if (!column) return;
+    const blank = [];
+    for (let i = 2; i <= sheet.getLastRow(); i++) blank.push(['']);
+    sheet.getRange(2, column, blank.length, 1).setValues(blank);
+  });
 }
 
 /**
- * Create error response
+ * Append objects as rows, each field in the column of the same name
  */
-function createErrorResponse(error) {
-  return ContentService
-    .createTextOutput(JSON.stringify({
-      success: false,
-      error: error.toString()
-    }))
-    .setMimeType(ContentService.MimeType.JSON);
+function appendObjects(sheet, objects) {
+  const layout = getSheetLayout(sheet, []);
+  objects.forEach(function(object) {
+    sheet.appendRow(recordToRow(layout, object));
+  });
 }
 
 /**
- * Get settings
+ * Get settings as { key: { value, type, description, updated_at } }
+ * updated_at is empty for defaults and rows written by hand.
  */
 function handleGetSettings(e, spreadsheet) {
-  const sheet = spreadsheet.getSheetByName(CONFIG.SHEETS.SETTINGS);
-  if (!sheet) {
+  const rows = readSheetObjects(spreadsheet, CONFIG.SHEETS.SETTINGS, 'setting_key');
+  if (rows.length === 0) {
     return createSuccessResponse(getDefaultSettings());
   }
   
-  const range = sheet.getRange(CONFIG.RANGES.SETTINGS);
-  const values = range.getValues();
+  const settings = {};
+  rows.forEach(row => {
+    const type = row.type || 'string';
+    settings[row.setting_key] = {
+      value: formatSettingValue(row.value, type),
+      type: type,
+      description: row.description || '',
+      updated_at: row.updated_at ? new Date(row.updated_at).toISOString() : ''
+    };
+  });
   
-  if (values.length <= 1) {
-    return createSuccessResponse(getDefaultSettings());
+  return createSuccessResponse(settings);
+}
+
+/**
+ * Sheets turn typed dates into Date cells - send them back as 'yyyy-MM-dd'
+ */
+function formatSettingValue(value, type) {
+  if (value instanceof Date) {
+    return type === 'date'
+      ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+      : value.toISOString();
   }
+  return value;
+}
+
+/**
+ * Insert or update one setting
+ * Expected data: { key, value, type, description, updated_at }
+ * The newer updated_at wins: a change older than the stored one (e.g. replayed from an
+ * offline device) is not written and the stored setting is returned instead.
+ */
+function handleUpdateSetting(e, spreadsheet) {
+  const sheet = getOrCreateSheet(spreadsheet, CONFIG.SHEETS.SETTINGS, CONFIG.HEADERS.SETTINGS);
   
-  const settings = {};
-  values.slice(1).forEach(row => {
-    if (row[0]) { // setting_key
-      settings[row[0]] = {
-        value: row[1],
-        type: row[2] || 'string',
-        description: row[3] || ''
-      };
+  const data = parseDataParameter(e);
+  console.log('Updating setting:', data);
+  
+  if (!data || !data.key || data.value === undefined || data.value === null) {
+    throw createValidationError('Invalid setting data - expected { key, value }');
+  }
+  
+  const updatedAt = data.updated_at ? new Date(data.updated_at) : new Date();
+  if (isNaN(updatedAt.getTime())) {
+    throw createValidationError('Invalid updated_at: ' + data.updated_at);
+  }
+  
+  const layout = getSheetLayout(sheet, CONFIG.HEADERS.SETTINGS);
+  const rowNumber = findRowById(sheet, layout.columns.setting_key, data.key);
+  if (rowNumber) {
+    const current = readRecord(sheet, layout, rowNumber);
+    if (current.updated_at && new Date(current.updated_at).getTime() > updatedAt.getTime()) {
+      return createWriteResponse('updateSetting', {
+        message: 'A newer value is already stored',
+        rowId: data.key,
+        rowNumber: rowNumber,
+        stale: true,
+        setting: {
+          value: formatSettingValue(current.value, current.type || 'string'),
+          type: current.type || 'string',
+          updated_at: new Date(current.updated_at).toISOString()
+        }
+      });
     }
+  }
+  
+  const defaults = getDefaultSettings()[data.key] || {};
+  const result = upsertRecord(sheet, CONFIG.HEADERS.SETTINGS, 'setting_key', {
+    setting_key: data.key,
+    value: data.value,
+    type: data.type || defaults.type || 'string',
+    description: data.description || defaults.description || '',
+    updated_at: updatedAt.toISOString()
   });
   
-  return createSuccessResponse(settings);
+  return createWriteResponse('updateSetting', {
+    message: result.created ? 'Setting created' : 'Setting updated',
+    rowId: data.key,
+    rowNumber: result.rowNumber,
+    stale: false
+  });
 }
 
 /**
@@ -710,9 +2200,11 @@ function getDefaultSettings() {
     exam_date: { value: '2024-06-15', type: 'date', description: 'Data egzaminu maturalnego' },
     exam_name: { value: 'Matura 2024', type: 'string', description: 'Nazwa egzaminu' },
     daily_goal: { value: '10', type: 'number', description: 'Dzienny cel zadań' },
+    day_start_hour: { value: '3', type: 'number', description: 'Godzina początku dnia dla passy (0-6)' },
     work_duration: { value: '25', type: 'number', description: 'Czas pracy Pomodoro (minuty)' },
     short_break: { value: '5', type: 'number', description: 'Krótka przerwa (minuty)' },
-    long_break: { value: '15', type: 'number', description: 'Długa przerwa (minuty)' }
+    long_break: { value: '15', type: 'number', description: 'Długa przerwa (minuty)' },
+    sound_enabled: { value: 'true', type: 'boolean', description: 'Dźwięk po zakończeniu Pomodoro' }
   };
 }
 
@@ -751,7 +2243,7 @@ function testDoPost() {
     parameter: {
       action: 'addTask',
       spreadsheetId: 'test_spreadsheet_id',
-      data: JSON.stringify(['Test Task', 'Test Category', 'Test Subject', 'Poprawnie', new Date().toISOString(), 5, ''])
+      data: JSON.stringify(['Test Task', '', 'Test Category', 'Test Subject', 'Poprawnie', new Date().toISOString(), '', 'task_test_1'])
     }
   };
   
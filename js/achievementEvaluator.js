@@ -0,0 +1,98 @@
+/**
+ * Achievement Evaluator
+ * Progress of the achievements defined in the Achievements sheet, measured
+ * over the real StudyTasks / StudySessions / PomodoroSessions history.
+ * Pure functions - no DOM, no network - covered by
+ * tests/achievement-evaluator.test.js.
+ *
+ * Each achievement row is turned into a rule (see AchievementRules): its
+ * `rule` column, or the shorthand "`type` is at least `target_value`".
+ * Reached achievements that the sheet does not mark as unlocked yet are
+ * returned as `newlyUnlocked` so the caller can store their unlock date.
+ */
+const AchievementEvaluator = {
+    // Category tab of each metric in the achievements view
+    CATEGORIES: {
+        tasks: 'tasks',
+        correct_tasks: 'tasks',
+        accuracy: 'tasks',
+        sessions: 'sessions',
+        study_minutes: 'sessions',
+        pomodoro: 'pomodoro',
+        streak: 'streaks',
+        active_days: 'streaks'
+    },
+
+    /**
+     * Clean up an achievement read from a sheet (numbers and booleans may arrive as strings)
+     * @param {Object} achievement - Raw Achievements row
+     * @returns {Object} Achievement
+     */
+    normalize(achievement) {
+        const unlockDate = achievement.unlock_date ? new Date(achievement.unlock_date) : null;
+        return {
+            ...achievement,
+            achievement_id: String(achievement.achievement_id || ''),
+            type: String(achievement.type || '').trim().toLowerCase(),
+            target_value: Number(achievement.target_value) || 1,
+            points_reward: Number(achievement.points_reward) || 0,
+            unlocked: achievement.unlocked === true || String(achievement.unlocked).toLowerCase() === 'true',
+            unlock_date: unlockDate && !isNaN(unlockDate.getTime()) ? unlockDate.toISOString() : ''
+        };
+    },
+
+    /**
+     * Progress of every achievement
+     * @param {Array} achievements - Achievements rows
+     * @param {Object} history - { tasks, sessions, pomodoros }
+     * @param {Object} context - { categories: Categories rows (for difficulty filters), now }
+     * @returns {Object} { achievements: [{ ...achievement, rule, current, percentage, reached, errors }], newlyUnlocked: [achievement] }
+     */
+    evaluate(achievements, history, context = {}) {
+        const fullHistory = {
+            tasks: history.tasks || [],
+            sessions: history.sessions || [],
+            pomodoros: history.pomodoros || []
+        };
+
+        const evaluated = achievements
+            .map(achievement => AchievementEvaluator.normalize(achievement))
+            .filter(achievement => achievement.achievement_id)
+            .map(achievement => {
+                const rule = AchievementRules.fromAchievement(achievement);
+                const result = AchievementRules.evaluate(rule, fullHistory, context);
+                return {
+                    ...achievement,
+                    rule,
+                    current: result.current,
+                    percentage: result.percentage,
+                    errors: result.errors,
+                    // Unlocks stored in the sheet stay unlocked even if the history shrinks
+                    reached: achievement.unlocked || result.reached
+                };
+            });
+
+        return {
+            achievements: evaluated,
+            newlyUnlocked: evaluated.filter(achievement => achievement.reached && !achievement.unlocked)
+        };
+    },
+
+    /**
+     * @param {string} metric - Rule metric
+     * @returns {string} Category used by the view's filter tabs
+     */
+    getCategory(metric) {
+        return AchievementEvaluator.CATEGORIES[metric] || 'other';
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementEvaluator;
+}
+
+// Make AchievementEvaluator available globally
+if (typeof window !== 'undefined') {
+    window.AchievementEvaluator = AchievementEvaluator;
+}
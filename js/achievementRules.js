@@ -0,0 +1,273 @@
+/**
+ * Achievement Rules
+ * A small rule language for achievements, so new ones are added as data
+ * (the `rule` column of the Achievements sheet) instead of code. Pure
+ * functions - no DOM, no network - covered by tests/achievement-rules.test.js.
+ *
+ * A rule is a JSON object:
+ *   {
+ *     "metric": "correct_tasks",        // see METRICS
+ *     "window": 7,                      // days; the best window in the history counts (omit for all time)
+ *     "comparator": ">=",               // >=, >, <=, <, ==
+ *     "threshold": 20,
+ *     "filters": { "subject": "Matematyka", "category": "Geometria" }
+ *   }
+ *
+ * Filters: subject, category, difficulty (of the task's categories),
+ * outcome ('correct' | 'partial' | 'incorrect'), before_hour / after_hour
+ * (local start hour, e.g. before_hour 8 = started before 8:00) and
+ * min_count (fewest items for `accuracy` to count).
+ *
+ * Achievements without a rule use the shorthand { metric: type, threshold: target_value }.
+ *
+ * `streak` and `active_days` count study days the way StreakCalculator does: the
+ * day starts at the day-start hour and is active with MIN_TASKS_PER_DAY tasks.
+ * `streak` is StreakCalculator's longest streak, freezes included, so the streak
+ * achievements follow the streak shown in the header.
+ */
+const AchievementRules = {
+    // source: history list, value: amount per item, aggregate: how items become one number
+    METRICS: {
+        tasks: { source: 'tasks', aggregate: 'sum' },
+        correct_tasks: { source: 'tasks', aggregate: 'sum', outcome: 'correct' },
+        accuracy: { source: 'tasks', aggregate: 'accuracy' },
+        active_days: { source: 'tasks', aggregate: 'days' },
+        streak: { source: 'tasks', aggregate: 'streak' },
+        sessions: { source: 'sessions', aggregate: 'sum' },
+        study_minutes: { source: 'sessions', aggregate: 'sum', value: session => Number(session.duration_minutes) || 0 },
+        pomodoro: { source: 'pomodoros', aggregate: 'sum', completedOnly: true }
+    },
+
+    COMPARATORS: {
+        '>=': (value, threshold) => value >= threshold,
+        '>': (value, threshold) => value > threshold,
+        '<=': (value, threshold) => value <= threshold,
+        '<': (value, threshold) => value < threshold,
+        '==': (value, threshold) => value === threshold
+    },
+
+    FILTERS: ['subject', 'category', 'difficulty', 'outcome', 'before_hour', 'after_hour', 'min_count'],
+
+    /**
+     * Rule of an achievement row: the `rule` column (JSON text or object), else the type/target_value shorthand
+     * @param {Object} achievement - Achievements row
+     * @returns {Object} Rule with defaults filled in
+     */
+    fromAchievement(achievement) {
+        let rule = achievement.rule;
+        if (typeof rule === 'string') {
+            rule = rule.trim() ? AchievementRules.parse(rule) : null;
+        }
+        rule = rule || {};
+
+        const result = {
+            metric: String(rule.metric || achievement.type || '').trim().toLowerCase(),
+            window: AchievementRules.parseWindow(rule.window),
+            comparator: rule.comparator || '>=',
+            threshold: Number(rule.threshold !== undefined ? rule.threshold : achievement.target_value) || 0,
+            filters: rule.filters || {}
+        };
+        if (rule.error) {
+            result.error = rule.error;
+        }
+        return result;
+    },
+
+    /**
+     * @param {string} text - Rule JSON
+     * @returns {Object} Parsed rule, or { error } when it is not valid JSON
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { error: 'Nieprawidłowy JSON reguły: ' + error.message };
+        }
+    },
+
+    /**
+     * @param {number|string|Object} window - 7, '7', '7d', { days: 7 } or 'all'
+     * @returns {number|null} Days, or null for all time
+     */
+    parseWindow(window) {
+        if (window === undefined || window === null || window === '' || window === 'all') return null;
+        const days = parseInt(typeof window === 'object' ? window.days : window, 10);
+        return days > 0 ? days : null;
+    },
+
+    /**
+     * Problems that make a rule unusable
+     * @param {Object} rule - Rule from fromAchievement
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    validate(rule) {
+        const errors = [];
+        if (rule.error) errors.push(rule.error);
+        if (!AchievementRules.METRICS[rule.metric]) errors.push(`Nieznana metryka: "${rule.metric}"`);
+        if (!AchievementRules.COMPARATORS[rule.comparator]) errors.push(`Nieznany operator: "${rule.comparator}"`);
+        Object.keys(rule.filters).forEach(name => {
+            if (!AchievementRules.FILTERS.includes(name)) errors.push(`Nieznany filtr: "${name}"`);
+        });
+        return errors;
+    },
+
+    /**
+     * Evaluate a rule over the history
+     * @param {Object} rule - Rule from fromAchievement
+     * @param {Object} history - { tasks, sessions, pomodoros }
+     * @param {Object} context - { categories: [{ category_name, difficulty }], now, dayStartHour }
+     * @returns {Object} { current, reached, percentage, errors }
+     */
+    evaluate(rule, history, context = {}) {
+        const errors = AchievementRules.validate(rule);
+        if (errors.length > 0) {
+            return { current: 0, reached: false, percentage: 0, errors };
+        }
+
+        const metric = AchievementRules.METRICS[rule.metric];
+        const now = context.now || new Date();
+        const items = (history[metric.source] || [])
+            .filter(item => AchievementRules.matches(item, rule, metric, context));
+
+        const current = metric.aggregate === 'streak'
+            ? StreakCalculator.calculate(items, history.sessions || [], { now, dayStartHour: context.dayStartHour }).longestStreak
+            : AchievementRules.aggregate(items, metric, rule, now, context);
+        const reached = AchievementRules.COMPARATORS[rule.comparator](current, rule.threshold);
+        const growing = rule.comparator === '>=' || rule.comparator === '>';
+        const percentage = growing && rule.threshold > 0
+            ? Math.min(100, Math.round((current / rule.threshold) * 100))
+            : (reached ? 100 : 0);
+
+        return { current, reached, percentage, errors: [] };
+    },
+
+    /**
+     * Whether an item passes the metric's and the rule's filters
+     */
+    matches(item, rule, metric, context) {
+        const filters = rule.filters;
+        const outcome = filters.outcome || metric.outcome;
+        const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+        if (metric.completedOnly && (item.completed === false || String(item.completed).toLowerCase() === 'false')) return false;
+        if (outcome && Correctness.getOutcome(item) !== outcome) return false;
+        if (filters.subject && !sameText(item.subject, filters.subject)) return false;
+
+        const categories = AchievementRules.getCategories(item);
+        if (filters.category && !categories.some(name => sameText(name, filters.category))) return false;
+        if (filters.difficulty) {
+            const difficulties = (context.categories || [])
+                .filter(category => categories.some(name => sameText(name, category.category_name)))
+                .map(category => category.difficulty);
+            if (!difficulties.some(difficulty => sameText(difficulty, filters.difficulty))) return false;
+        }
+
+        if (filters.before_hour !== undefined || filters.after_hour !== undefined) {
+            const start = new Date(AchievementRules.getTime(item));
+            if (isNaN(start.getTime())) return false;
+            const hour = start.getHours() + start.getMinutes() / 60;
+            if (filters.before_hour !== undefined && hour >= Number(filters.before_hour)) return false;
+            if (filters.after_hour !== undefined && hour < Number(filters.after_hour)) return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * One number from the matching items: all time, or the best `window`-day stretch
+     */
+    aggregate(items, metric, rule, now, context = {}) {
+        const value = metric.value || (() => 1);
+        const dayOf = item => AchievementRules.getDayNumber(AchievementRules.getTime(item) || now);
+        items = items.filter(item => dayOf(item) !== null);
+
+        switch (metric.aggregate) {
+            case 'accuracy': {
+                // Accuracy looks at the last `window` days, not the best stretch
+                const today = AchievementRules.getDayNumber(now);
+                const recent = rule.window ? items.filter(item => dayOf(item) > today - rule.window) : items;
+                const minCount = Number(rule.filters.min_count) || 1;
+                if (recent.length < minCount) return 0;
+                return Math.round((recent.reduce((sum, item) => sum + Correctness.getScore(item), 0) / recent.length) * 100);
+            }
+
+            case 'days': {
+                // Study days as StreakCalculator counts them
+                const settings = StreakCalculator.getSettings();
+                const dayStartHour = context.dayStartHour !== undefined ? Number(context.dayStartHour) : settings.DAY_START_HOUR;
+                const perDay = new Map();
+                items.forEach(item => {
+                    const day = AchievementRules.getDayNumber(StreakCalculator.getDayKey(AchievementRules.getTime(item) || now, dayStartHour));
+                    if (day !== null) perDay.set(day, (perDay.get(day) || 0) + 1);
+                });
+                const activeDays = Array.from(perDay.keys()).filter(day => perDay.get(day) >= settings.MIN_TASKS_PER_DAY);
+                return AchievementRules.bestWindow(activeDays.map(day => ({ day, amount: 0 })), rule.window, true);
+            }
+
+            default:
+                return Math.round(AchievementRules.bestWindow(items.map(item => ({ day: dayOf(item), amount: value(item) })), rule.window, false) * 100) / 100;
+        }
+    },
+
+    /**
+     * Largest total (or number of distinct days) within any `window` consecutive days
+     * @param {Array} entries - [{ day: day number, amount }]
+     * @param {number|null} window - Days, null for all time
+     * @param {boolean} countDays - Count distinct days instead of summing amounts
+     * @returns {number} Best value
+     */
+    bestWindow(entries, window, countDays) {
+        const perDay = new Map();
+        entries.forEach(({ day, amount }) => perDay.set(day, (perDay.get(day) || 0) + (countDays ? 0 : amount)));
+        const days = Array.from(perDay.keys()).sort((a, b) => a - b);
+        const valueOf = day => (countDays ? 1 : perDay.get(day));
+
+        let best = 0;
+        let total = 0;
+        let start = 0;
+        days.forEach((day, end) => {
+            total += valueOf(day);
+            while (window && days[start] <= day - window) {
+                total -= valueOf(days[start]);
+                start++;
+            }
+            best = Math.max(best, total);
+        });
+        return best;
+    },
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    getTime(item) {
+        return item.start_time || item.timestamp || item.date || null;
+    },
+
+    /**
+     * Local calendar day as a whole number, so consecutive days differ by one
+     * @returns {number|null} Day number, or null for an invalid date
+     */
+    getDayNumber(value) {
+        const dateKey = AnalyticsMath.toDateKey(value);
+        if (!dateKey) return null;
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    },
+
+    getCategories(item) {
+        const value = item.categories !== undefined ? item.categories : item.category;
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        return list.map(name => String(name).trim()).filter(Boolean);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementRules;
+}
+
+// Make AchievementRules available globally
+if (typeof window !== 'undefined') {
+    window.AchievementRules = AchievementRules;
+}
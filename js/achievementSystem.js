@@ -1,149 +1,166 @@
 /**
  * Achievement System
- * Handles unlocking achievements, badges, and milestone tracking
+ * Achievements are defined in the Achievements sheet and evaluated against the
+ * StudyTasks / StudySessions / PomodoroSessions history (see AchievementEvaluator),
+ * so every device shows the same progress. Unlocks are written back to the sheet
+ * with their unlock date, for the active student profile.
  */
 class AchievementSystem {
-    constructor(config) {
+    constructor(config, googleSheetsAPI) {
         this.config = config;
-        this.unlockedAchievements = new Set();
-        this.totalTasks = 0;
-        this.totalPomodoroSessions = 0;
-        this.perfectStreak = 0;
-        
+        this.googleSheetsAPI = googleSheetsAPI;
+        this.achievements = [];
+        this.loaded = false;
+        this.loadingPromise = null;
+
         this.init();
     }
-    
+
     /**
      * Initialize achievement system
      */
     init() {
-        this.loadUnlockedAchievements();
-        this.updateAchievementCounts();
-        
-        // Achievement System initialized
-    }
-    
-    /**
-     * Load unlocked achievements from local storage
-     */
-    loadUnlockedAchievements() {
-        const stored = localStorage.getItem(this.config.STORAGE_KEYS.UNLOCKED_ACHIEVEMENTS);
-        if (stored) {
-            this.unlockedAchievements = new Set(JSON.parse(stored));
+        const closeAchievement = document.getElementById('close-achievement');
+        if (closeAchievement) {
+            closeAchievement.addEventListener('click', () => this.hideAchievementNotification());
         }
+
+        this.setupCategoryFiltering();
     }
-    
-    /**
-     * Save unlocked achievements to local storage
-     */
-    saveUnlockedAchievements() {
-        localStorage.setItem(
-            this.config.STORAGE_KEYS.UNLOCKED_ACHIEVEMENTS,
-            JSON.stringify([...this.unlockedAchievements])
-        );
-    }
-    
+
+    // =============================================
+    // DATA
+    // =============================================
+
     /**
-     * Unlock an achievement
+     * Load achievements and history, unlock the ones reached since the last check
+     * @returns {Promise<Array>} Evaluated achievements
      */
-    unlockAchievement(achievementKey) {
-        if (this.unlockedAchievements.has(achievementKey)) {
-            return false; // Already unlocked
+    load() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchAndEvaluate().finally(() => {
+                this.loadingPromise = null;
+            });
         }
-        
-        const achievement = this.config.ACHIEVEMENTS[achievementKey];
-        if (!achievement) {
-            console.error('Achievement not found:', achievementKey);
-            return false;
+        return this.loadingPromise;
+    }
+
+    async fetchAndEvaluate() {
+        const [achievementsResponse, tasksResponse, sessionsResponse, pomodoros, categoriesResponse] = await Promise.all([
+            this.googleSheetsAPI.fetchAchievements(),
+            this.googleSheetsAPI.getStudyTasks(),
+            this.googleSheetsAPI.getStudySessions(),
+            this.loadPomodoroSessions(),
+            this.googleSheetsAPI.fetchCategories()
+        ]);
+
+        if (!achievementsResponse.success || !tasksResponse.success || !sessionsResponse.success) {
+            throw new Error(achievementsResponse.error || tasksResponse.error || sessionsResponse.error || 'Nie udało się wczytać osiągnięć');
         }
-        
-        // Unlock achievement
-        this.unlockedAchievements.add(achievementKey);
-        this.saveUnlockedAchievements();
-        
-        // Award points
-        if (window.streakManager) {
-            window.streakManager.addPoints(achievement.points);
+
+        const { achievements, newlyUnlocked } = AchievementEvaluator.evaluate(achievementsResponse.data, {
+            tasks: tasksResponse.tasks,
+            sessions: sessionsResponse.sessions,
+            pomodoros
+        }, {
+            // Only difficulty filters need categories - rules without them still work if this fails
+            categories: categoriesResponse.success ? categoriesResponse.categories : [],
+            // Streak rules count days like the streak in the header
+            dayStartHour: window.streakManager ? window.streakManager.getDayStartHour() : undefined
+        });
+        this.achievements = achievements;
+
+        achievements.filter(achievement => achievement.errors.length > 0).forEach(achievement => {
+            console.warn(`⚠️ Achievement ${achievement.achievement_id} has an invalid rule:`, achievement.errors);
+        });
+        this.loaded = true;
+
+        await this.unlockAchievements(newlyUnlocked);
+        this.notifyChanged();
+
+        console.log(`🏆 Achievements evaluated: ${this.getAchievementStats().unlocked}/${achievements.length} unlocked`);
+        return achievements;
+    }
+
+    async loadPomodoroSessions() {
+        try {
+            const response = await this.googleSheetsAPI.getPomodoroSessions();
+            return response && response.success && Array.isArray(response.data) ? response.data : [];
+        } catch (error) {
+            // Pomodoro achievements simply stay at 0 without the sheet
+            return [];
         }
-        
-        // Show notification
-        this.showAchievementNotification(achievement);
-        
-        // Update display
-        this.updateAchievementCounts();
-        
-        console.log('Achievement unlocked:', achievementKey, achievement);
-        return true;
     }
-    
+
     /**
-     * Check task-related achievements
+     * Re-evaluate after new tasks or sessions were saved
      */
-    checkTaskAchievements() {
-        this.totalTasks++;
-        
-        // First task achievement
-        if (this.totalTasks === 1) {
-            this.unlockAchievement('FIRST_TASK');
+    async refresh() {
+        try {
+            await this.load();
+        } catch (error) {
+            console.warn('⚠️ Could not refresh achievements:', error);
         }
-        
-        // 100 tasks achievement
-        if (this.totalTasks === 100) {
-            this.unlockAchievement('TASKS_100');
-        }
-        
-        // Check perfectionist achievement (this would need more complex tracking)
-        // For now, simplified implementation
-        this.checkPerfectionistAchievement();
     }
-    
+
     /**
-     * Check Pomodoro-related achievements
+     * Mark reached achievements as unlocked and store the unlock date for the active profile
+     * @param {Array} achievements - Evaluated achievements that were just reached
      */
-    checkPomodoroAchievements() {
-        this.totalPomodoroSessions++;
-        
-        // Update local storage for persistence
-        const today = new Date().toISOString().split('T')[0];
-        const sessionsKey = `pomodoro_sessions_${today}`;
-        const sessions = JSON.parse(localStorage.getItem(sessionsKey) || '[]');
-        sessions.push({
-            timestamp: new Date().toISOString(),
-            duration: 25 // Default duration
-        });
-        localStorage.setItem(sessionsKey, JSON.stringify(sessions));
-        
-        // Pomodoro master achievement
-        if (this.totalPomodoroSessions === 50) {
-            this.unlockAchievement('POMODORO_MASTER');
+    async unlockAchievements(achievements) {
+        for (const achievement of achievements) {
+            achievement.unlocked = true;
+            achievement.unlock_date = new Date().toISOString();
+
+            try {
+                await this.googleSheetsAPI.updateAchievement(achievement.achievement_id, true, achievement.unlock_date);
+            } catch (error) {
+                // Still reached on the next evaluation, which retries the write
+                console.warn(`⚠️ Could not save achievement ${achievement.achievement_id}:`, error);
+            }
+
+            this.showAchievementNotification(achievement);
+            console.log('🏆 Achievement unlocked:', achievement.achievement_id, achievement);
         }
     }
-    
-    /**
-     * Check perfectionist achievement (simplified)
-     */
-    checkPerfectionistAchievement() {
-        // This would need more sophisticated tracking
-        // For now, we'll implement a simplified version
-        const recentTasks = this.getRecentTasksFromStorage();
-        const correctTasks = recentTasks.filter(task => task.correctness === true);
-        
-        if (correctTasks.length >= 20) {
-            this.unlockAchievement('PERFECTIONIST');
+
+    notifyChanged() {
+        this.updateAchievementCounts();
+        window.dispatchEvent(new CustomEvent('achievementsUpdated', {
+            detail: this.getAchievementStats()
+        }));
+
+        const container = document.getElementById('achievements-container');
+        if (container && container.style.display !== 'none') {
+            this.renderAchievements();
         }
     }
-    
+
+    // =============================================
+    // VIEW
+    // =============================================
+
     /**
-     * Get recent tasks from local storage (simplified)
+     * Show the view (called by LeftNavigationManager)
      */
-    getRecentTasksFromStorage() {
-        // This is a simplified implementation
-        // In a real app, you'd track this more systematically
-        const today = new Date().toISOString().split('T')[0];
-        const tasksKey = `tasks_${today}`;
-        return JSON.parse(localStorage.getItem(tasksKey) || '[]');
+    async show() {
+        const achievementsList = document.getElementById('achievements-list');
+        if (!achievementsList) return;
+
+        if (!this.loaded) {
+            achievementsList.innerHTML = '<div class="achievement-placeholder">⏳ Ładowanie osiągnięć...</div>';
+            try {
+                await this.load();
+            } catch (error) {
+                console.error('❌ Achievements failed to load:', error);
+                achievementsList.innerHTML = `<div class="achievement-placeholder">❌ ${this.escapeHtml(error.message)}</div>`;
+                return;
+            }
+        }
+
+        this.renderAchievements();
     }
-    
+
     /**
      * Show achievement notification
      */
@@ -151,20 +168,20 @@ class AchievementSystem {
         const notification = document.getElementById('achievement-notification');
         const title = document.getElementById('achievement-title');
         const description = document.getElementById('achievement-description');
-        
+
         if (notification && title && description) {
-            title.textContent = achievement.name;
+            title.textContent = `${achievement.icon || '🏆'} ${achievement.name}`;
             description.textContent = achievement.description;
-            
+
             notification.style.display = 'block';
             notification.classList.add('show');
-            
+
             // Auto-hide after 5 seconds
             setTimeout(() => {
                 this.hideAchievementNotification();
             }, 5000);
         }
-        
+
         // Also show in navigation message system
         if (window.navigationManager) {
             window.navigationManager.showMessage(
@@ -173,7 +190,7 @@ class AchievementSystem {
             );
         }
     }
-    
+
     /**
      * Hide achievement notification
      */
@@ -186,113 +203,109 @@ class AchievementSystem {
             }, 300);
         }
     }
-    
+
     /**
      * Update achievement counts in UI
      */
     updateAchievementCounts() {
-        const totalAchievements = Object.keys(this.config.ACHIEVEMENTS).length;
-        const unlockedCount = this.unlockedAchievements.size;
-        const lockedCount = totalAchievements - unlockedCount;
-        
+        const stats = this.getAchievementStats();
+
         // Update summary cards
         const unlockedElement = document.getElementById('unlocked-achievements');
         const lockedElement = document.getElementById('locked-achievements');
         const pointsElement = document.getElementById('achievement-points');
-        
+
         if (unlockedElement) {
-            unlockedElement.textContent = unlockedCount;
+            unlockedElement.textContent = stats.unlocked;
         }
-        
+
         if (lockedElement) {
-            lockedElement.textContent = lockedCount;
+            lockedElement.textContent = stats.locked;
         }
-        
+
         if (pointsElement) {
-            const totalPoints = [...this.unlockedAchievements]
-                .reduce((sum, key) => sum + (this.config.ACHIEVEMENTS[key]?.points || 0), 0);
-            pointsElement.textContent = totalPoints;
+            pointsElement.textContent = stats.totalPoints;
         }
     }
-    
+
     /**
-     * Render achievements list
+     * Render achievements list with progress toward each rule's threshold
      */
     renderAchievements() {
         const achievementsList = document.getElementById('achievements-list');
         if (!achievementsList) return;
-        
-        const achievementsHTML = Object.entries(this.config.ACHIEVEMENTS).map(([key, achievement]) => {
-            const isUnlocked = this.unlockedAchievements.has(key);
-            const category = this.getAchievementCategory(key);
-            
+
+        if (this.achievements.length === 0) {
+            achievementsList.innerHTML = '<div class="achievement-placeholder">Brak zdefiniowanych osiągnięć w arkuszu Achievements.</div>';
+            return;
+        }
+
+        const achievementsHTML = this.achievements.map(achievement => {
+            const isUnlocked = achievement.unlocked;
+            const category = AchievementEvaluator.getCategory(achievement.rule.metric);
+            const target = achievement.rule.threshold;
+            const current = isUnlocked ? target : Math.min(achievement.current, target);
+
             return `
                 <div class="achievement-item ${isUnlocked ? 'unlocked' : 'locked'}" data-category="${category}">
                     <div class="achievement-icon">
-                        ${isUnlocked ? '🏆' : '🔒'}
+                        ${isUnlocked ? this.escapeHtml(achievement.icon || '🏆') : '🔒'}
                     </div>
                     <div class="achievement-content">
-                        <div class="achievement-name">${achievement.name}</div>
-                        <div class="achievement-description">${achievement.description}</div>
-                        <div class="achievement-points">${achievement.points} punktów</div>
+                        <div class="achievement-name">${this.escapeHtml(achievement.name)}</div>
+                        <div class="achievement-description">${this.escapeHtml(achievement.description)}</div>
+                        <div class="achievement-progress">
+                            <div class="achievement-progress-bar">
+                                <div class="achievement-progress-fill" style="width: ${isUnlocked ? 100 : achievement.percentage}%"></div>
+                            </div>
+                            <span class="achievement-progress-text">${current} / ${target}</span>
+                        </div>
+                        ${achievement.errors.length > 0 ? `<div class="achievement-error">⚠️ ${this.escapeHtml(achievement.errors.join('; '))}</div>` : ''}
+                        <div class="achievement-points">${achievement.points_reward} punktów</div>
                     </div>
                     <div class="achievement-status">
-                        ${isUnlocked ? 
-                            '<span class="status-badge unlocked">Odblokowane</span>' : 
+                        ${isUnlocked ?
+                            `<span class="status-badge unlocked">Odblokowane${achievement.unlock_date ? ` ${this.formatDate(achievement.unlock_date)}` : ''}</span>` :
                             '<span class="status-badge locked">Zablokowane</span>'
                         }
                     </div>
                 </div>
             `;
         }).join('');
-        
+
         achievementsList.innerHTML = achievementsHTML;
-        
-        // Setup category filtering
-        this.setupCategoryFiltering();
-    }
-    
-    /**
-     * Get achievement category
-     */
-    getAchievementCategory(achievementKey) {
-        if (achievementKey.includes('TASK') || achievementKey === 'FIRST_TASK' || achievementKey === 'PERFECTIONIST') {
-            return 'tasks';
-        } else if (achievementKey.includes('STREAK')) {
-            return 'streaks';
-        } else if (achievementKey.includes('POMODORO')) {
-            return 'pomodoro';
-        }
-        return 'other';
+
+        const activeTab = document.querySelector('.category-tab.active');
+        this.filterAchievementsByCategory(activeTab ? activeTab.dataset.category : 'all');
     }
-    
+
     /**
      * Setup category filtering for achievements
      */
     setupCategoryFiltering() {
         const categoryTabs = document.querySelectorAll('.category-tab');
-        
+
         categoryTabs.forEach(tab => {
             tab.addEventListener('click', (e) => {
                 e.preventDefault();
-                
+
                 // Update active tab
                 categoryTabs.forEach(t => t.classList.remove('active'));
                 tab.classList.add('active');
-                
+
                 // Filter achievements
                 const category = tab.dataset.category;
                 this.filterAchievementsByCategory(category);
             });
         });
     }
-    
+
     /**
      * Filter achievements by category
      */
     filterAchievementsByCategory(category) {
         const achievementItems = document.querySelectorAll('.achievement-item');
-        
+
         achievementItems.forEach(item => {
             if (category === 'all' || item.dataset.category === category) {
                 item.style.display = 'flex';
@@ -301,58 +314,73 @@ class AchievementSystem {
             }
         });
     }
-    
+
     /**
      * Get achievement statistics
      */
     getAchievementStats() {
-        const totalAchievements = Object.keys(this.config.ACHIEVEMENTS).length;
-        const unlockedCount = this.unlockedAchievements.size;
-        const totalPoints = [...this.unlockedAchievements]
-            .reduce((sum, key) => sum + (this.config.ACHIEVEMENTS[key]?.points || 0), 0);
-        
+        const totalAchievements = this.achievements.length;
+        const unlocked = this.achievements.filter(achievement => achievement.unlocked);
+        const totalPoints = unlocked.reduce((sum, achievement) => sum + achievement.points_reward, 0);
+
         return {
             total: totalAchievements,
-            unlocked: unlockedCount,
-            locked: totalAchievements - unlockedCount,
+            unlocked: unlocked.length,
+            locked: totalAchievements - unlocked.length,
             totalPoints: totalPoints,
-            completionPercentage: Math.round((unlockedCount / totalAchievements) * 100)
+            completionPercentage: totalAchievements > 0 ? Math.round((unlocked.length / totalAchievements) * 100) : 0
         };
     }
-    
+
     /**
      * Check if achievement is unlocked
      */
-    isAchievementUnlocked(achievementKey) {
-        return this.unlockedAchievements.has(achievementKey);
+    isAchievementUnlocked(achievementId) {
+        return this.achievements.some(achievement => achievement.achievement_id === achievementId && achievement.unlocked);
     }
-    
+
     /**
-     * Reset all achievements (for testing or manual reset)
+     * Reset all achievements (for testing or manual reset).
+     * Achievements still reached by the history unlock again, with a new date, on the next evaluation.
      */
-    resetAllAchievements() {
-        this.unlockedAchievements.clear();
-        this.totalTasks = 0;
-        this.totalPomodoroSessions = 0;
-        this.perfectStreak = 0;
-        
-        localStorage.removeItem(this.config.STORAGE_KEYS.UNLOCKED_ACHIEVEMENTS);
-        
+    async resetAllAchievements() {
+        const unlocked = this.achievements.filter(achievement => achievement.unlocked);
+
+        for (const achievement of unlocked) {
+            achievement.unlocked = false;
+            achievement.unlock_date = '';
+            try {
+                await this.googleSheetsAPI.updateAchievement(achievement.achievement_id, false);
+            } catch (error) {
+                console.warn(`⚠️ Could not reset achievement ${achievement.achievement_id}:`, error);
+            }
+        }
+
         this.updateAchievementCounts();
         this.renderAchievements();
     }
-}
 
-// Initialize achievement system when DOM is ready
-let achievementSystem;
-document.addEventListener('DOMContentLoaded', () => {
-    achievementSystem = new AchievementSystem(CONFIG);
-    
-    // Setup close button for achievement notification
-    const closeAchievement = document.getElementById('close-achievement');
-    if (closeAchievement) {
-        closeAchievement.addEventListener('click', () => {
-            achievementSystem.hideAchievementNotification();
-        });
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit', year: 'numeric' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
     }
-});
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AchievementSystem;
+}
+
+// Make AchievementSystem available globally
+if (typeof window !== 'undefined') {
+    window.AchievementSystem = AchievementSystem;
+}
@@ -11,6 +11,7 @@ class AnalyticsManager {
         this.categories = [];
         this.currentFilter = 'all';
         this.isDataLoaded = false;
+        this.dataStore = window.DataStore ? DataStore.getShared() : null;
         
         // Initialize data structures
         this.overallStats = { totalTasks: 0, correctTasks: 0, correctPercentage: 0 };
@@ -41,9 +42,35 @@ init() {
                 this.subjectTimeAnalysisManager = new SubjectTimeAnalysisManager(this);
             }
         }
+        this.subscribeToDataStore();
         // Analytics Manager initialized
     }
     
+    /**
+     * Recompute analytics when a background refresh of the data store brings changes.
+     * Open pages are not re-rendered (that would collapse expanded lists); the next
+     * page opened shows the new numbers.
+     */
+    subscribeToDataStore() {
+        if (!this.dataStore) return;
+        
+        const apply = (name, rows) => {
+            // Nothing to recompute before the first load
+            if (!this.subjectAnalytics) return;
+            
+            if (name === 'tasks') {
+                this.tasks = this.normalizeTasks(rows);
+            } else {
+                this[name] = rows;
+            }
+            this.processAnalyticsData();
+        };
+        
+        ['tasks', 'subjects', 'categories'].forEach(name => {
+            this.dataStore.subscribe(name, rows => apply(name, rows));
+        });
+    }
+    
     /**
      * Set loaded data from AppLoader
      */
@@ -106,6 +133,22 @@ init() {
                 this.showSummaryAnalytics();
             });
         }
+
+        // Edit/delete controls rendered inside task lists
+        document.addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('button[data-action="edit-task"], button[data-action="delete-task"]');
+            if (!actionBtn) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const taskId = actionBtn.getAttribute('data-row-id');
+            if (actionBtn.getAttribute('data-action') === 'edit-task') {
+                this.showEditTaskModal(taskId);
+            } else {
+                this.deleteTask(taskId);
+            }
+        });
     }
     
     /**
@@ -171,8 +214,12 @@ init() {
             
             // Load subjects and categories in parallel (demo mode is instant)
             [subjectsResponse, categoriesResponse] = await Promise.all([
-                this.googleSheetsAPI.fetchSubjects(),
-                this.googleSheetsAPI.fetchCategories()
+                this.dataStore
+                    ? this.dataStore.load('subjects').then(subjects => ({ success: true, subjects }))
+                    : this.googleSheetsAPI.fetchSubjects(),
+                this.dataStore
+                    ? this.dataStore.load('categories').then(categories => ({ success: true, categories }))
+                    : this.googleSheetsAPI.fetchCategories()
             ]);
             
             // For demo mode, render immediately after tasks are loaded
@@ -301,73 +348,19 @@ init() {
         console.log('%c📊 [ANALYTICS] Loading StudyTasks Data...', 'color: #2563eb; font-weight: bold; font-size: 14px;');
         console.log('Demo mode:', this.googleSheetsAPI?.config?.DEMO_MODE);
         
-        // Use GoogleSheetsAPI getStudyTasks method to get data from StudyTasks sheet
+        // Tasks come from the StudyTasks sheet
         try {
-            const tasksResponse = await this.googleSheetsAPI.getStudyTasks();
+            // Shared data store: cached rows come back at once and are revalidated in the background
+            const tasksResponse = this.dataStore
+                ? await this.dataStore.load('tasks').then(tasks => ({ success: true, tasks }))
+                : await this.googleSheetsAPI.getStudyTasks();
             
             if (tasksResponse.success) {
                 const tasks = tasksResponse.data || tasksResponse.tasks || [];
                 
                 console.log('%c📋 [ANALYTICS] Raw StudyTasks data:', 'color: #7c3aed; font-weight: bold;', tasks);
                 
-                // Normalize task format for analytics - StudyTasks structure with multiple categories support
-                this.tasks = tasks.map((task, index) => {
-                    try {
-                        const categoriesString = task.categories || task.category || 'Unknown';
-                        
-                        // Debug logging for problematic categories
-                        if (index < 3) {
-                            console.log(`%c🔍 [ANALYTICS] Task ${index + 1} categories debug:`, 'color: #f59e0b; font-weight: 600;');
-                            console.log('Raw categories value:', categoriesString);
-                            console.log('Categories type:', typeof categoriesString);
-                            console.log('Categories is array:', Array.isArray(categoriesString));
-                        }
-                        
-                        const categoriesArray = this.parseCategoriesString(categoriesString);
-                        
-                        if (index < 3) {
-                            console.log('Parsed categories array:', categoriesArray);
-                        }
-                        
-                        return {
-                            name: task.task_name || task.name || 'Unnamed Task',
-                            subject: task.subject || 'Unknown',
-                            category: categoriesString, // Keep original for backward compatibility
-                            categories: categoriesArray, // Array of individual categories
-                            categoriesString: categoriesString, // Original string for display
-                            correctness: task.correctly_completed === 'Yes' || task.correctness === 'Poprawnie' || task.correctness === true,
-                            timestamp: task.start_time || task.timestamp || new Date().toISOString(),
-                            date: (task.start_time || task.timestamp || new Date().toISOString()).split('T')[0],
-                            description: task.description || '',
-                            location: task.location || '',
-                            session_id: task.session_id || '',
-                            task_id: task.task_id || '',
-                            // Additional StudyTasks fields
-                            start_time: task.start_time || null,
-                            end_time: task.end_time || null
-                        };
-                    } catch (taskError) {
-                        console.error(`Error processing task ${index + 1}:`, taskError);
-                        console.error('Problematic task data:', task);
-                        
-                        // Return safe fallback task
-                        return {
-                            name: task.task_name || task.name || 'Error Task',
-                            subject: task.subject || 'Unknown',
-                            category: 'Unknown',
-                            categories: ['Unknown'],
-                            categoriesString: 'Unknown',
-                            correctness: false,
-                            timestamp: new Date().toISOString(),
-                            date: new Date().toISOString().split('T')[0],
-                            description: 'Task processing error',
-                            location: '',
-                            session_id: task.session_id || '',
-                            task_id: task.task_id || '',
-                            end_time: null
-                        };
-                    }
-                });
+                this.tasks = this.normalizeTasks(tasks);
                 
                 console.log('%c✅ Analytics StudyTasks loaded:', 'color: #10b981; font-weight: 600;', this.tasks.length, 'tasks');
                 console.log('%c🔍 Sample StudyTask data:', 'color: #8b5cf6; font-weight: 600;', this.tasks.slice(0, 3));
@@ -384,6 +377,71 @@ init() {
         }
     }
     
+    /**
+     * Normalize StudyTasks rows for analytics - StudyTasks structure with multiple categories support
+     * @param {Array} tasks - StudyTasks rows
+     * @returns {Array} Analytics tasks
+     */
+    normalizeTasks(tasks) {
+        return tasks.map((task, index) => {
+            try {
+                const categoriesString = task.categories || task.category || 'Unknown';
+                
+                // Debug logging for problematic categories
+                if (index < 3) {
+                    console.log(`%c🔍 [ANALYTICS] Task ${index + 1} categories debug:`, 'color: #f59e0b; font-weight: 600;');
+                    console.log('Raw categories value:', categoriesString);
+                    console.log('Categories type:', typeof categoriesString);
+                    console.log('Categories is array:', Array.isArray(categoriesString));
+                }
+                
+                const categoriesArray = this.parseCategoriesString(categoriesString);
+                
+                if (index < 3) {
+                    console.log('Parsed categories array:', categoriesArray);
+                }
+                
+                return {
+                    name: task.task_name || task.name || 'Unnamed Task',
+                    subject: task.subject || 'Unknown',
+                    category: categoriesString, // Keep original for backward compatibility
+                    categories: categoriesArray, // Array of individual categories
+                    categoriesString: categoriesString, // Original string for display
+                    correctness: Correctness.getOutcome(task), // 'correct' | 'partial' | 'incorrect'
+                    timestamp: task.start_time || task.timestamp || new Date().toISOString(),
+                    date: (task.start_time || task.timestamp || new Date().toISOString()).split('T')[0],
+                    description: task.description || '',
+                    location: task.location || '',
+                    session_id: task.session_id || '',
+                    task_id: task.task_id || '',
+                    // Additional StudyTasks fields
+                    start_time: task.start_time || null,
+                    end_time: task.end_time || null
+                };
+            } catch (taskError) {
+                console.error(`Error processing task ${index + 1}:`, taskError);
+                console.error('Problematic task data:', task);
+                
+                // Return safe fallback task
+                return {
+                    name: task.task_name || task.name || 'Error Task',
+                    subject: task.subject || 'Unknown',
+                    category: 'Unknown',
+                    categories: ['Unknown'],
+                    categoriesString: 'Unknown',
+                    correctness: Correctness.OUTCOMES.INCORRECT,
+                    timestamp: new Date().toISOString(),
+                    date: new Date().toISOString().split('T')[0],
+                    description: 'Task processing error',
+                    location: '',
+                    session_id: task.session_id || '',
+                    task_id: task.task_id || '',
+                    end_time: null
+                };
+            }
+        });
+    }
+    
     /**
      * Parse categories string into array of individual categories
      * @param {any} categoriesString - Comma-separated categories string (or other data types)
@@ -460,10 +518,71 @@ processAnalyticsData() {
             this.timeSeriesData = {};
         }
         
+        this.updateExamReadiness();
+        
         console.log('%c✅ [ANALYTICS] Processed Subject Analytics:', 'color: #10b981; font-weight: bold;', this.subjectAnalytics);
         console.log('%c📈 [ANALYTICS] Time Series Data:', 'color: #8b5cf6; font-weight: bold;', this.timeSeriesData);
     }
     
+    /**
+     * Assess readiness for every configured exam and notify the countdown tiles
+     */
+    updateExamReadiness() {
+        if (typeof ExamReadiness === 'undefined') return;
+        
+        try {
+            this.examReadiness = ExamReadiness.assessAll(ExamReadiness.getExams(this.config), this.tasks || [], {
+                categories: this.categories || [],
+                subjectNames: Object.keys(this.subjectAnalytics || {}),
+                getScore: task => this.getTaskScore(task)
+            });
+            window.dispatchEvent(new CustomEvent('examReadinessUpdated', {
+                detail: { assessments: this.examReadiness }
+            }));
+        } catch (e) {
+            console.warn('Exam readiness calculation failed:', e);
+            this.examReadiness = [];
+        }
+    }
+    
+    /**
+     * Readiness cards for the exams of one subject
+     */
+    renderExamReadiness(subjectName) {
+        const assessments = (this.examReadiness || []).filter(a =>
+            a.subject && a.subject.toLowerCase() === String(subjectName).toLowerCase() && a.status !== 'finished'
+        );
+        if (assessments.length === 0) return '';
+        
+        const trendText = trend => trend.direction === 'improving' ? `📈 +${trend.percentage} pp`
+            : trend.direction === 'declining' ? `📉 ${trend.percentage} pp`
+            : trend.direction === 'stable' ? '➡️ stabilnie' : '—';
+        
+        return `
+            <div class="exam-readiness-list">
+                ${assessments.map(a => `
+                    <div class="exam-readiness-card ${a.status}">
+                        <div class="exam-readiness-header">
+                            <span class="exam-readiness-name">🎓 ${this.escapeHtml(a.exam.name)}</span>
+                            <span class="exam-readiness-status">${ExamReadiness.getLabel(a.status)}</span>
+                        </div>
+                        <div class="exam-readiness-scores">
+                            <div><strong>${a.readiness}%</strong><span>Gotowość teraz</span></div>
+                            <div><strong>${a.projectedScore}%</strong><span>Prognoza na egzamin</span></div>
+                            <div><strong>${a.daysRemaining}</strong><span>Dni do egzaminu</span></div>
+                        </div>
+                        <div class="exam-readiness-details">
+                            🎯 Skuteczność ${a.accuracy}% · ${trendText(a.trend)}
+                            · 🏷️ Kategorie ${a.coverage.covered}/${a.coverage.total}
+                            · 📦 Zadania ${a.volume.total} (${a.volume.perDay}/dzień)
+                            ${a.requiredPerDay > 0 ? `· ⏫ cel: ~${a.requiredPerDay} zadań dziennie` : ''}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
     /**
      * Group tasks by subject - each subject completely separate with multiple categories support
      */
@@ -527,34 +646,7 @@ processAnalyticsData() {
      * Calculate statistics for a single subject
      */
     calculateSubjectStats(tasks) {
-        if (tasks.length === 0) {
-            return {
-                totalTasks: 0,
-                correctTasks: 0,
-                incorrectTasks: 0,
-                correctPercentage: 0
-            };
-        }
-        
-        const correctTasks = tasks.filter(task => {
-            if (typeof task.correctness === 'boolean') {
-                return task.correctness === true;
-            } else if (typeof task.correctness === 'string') {
-                const corrValue = task.correctness.toLowerCase();
-                return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true';
-            }
-            return false;
-        }).length;
-        
-        const incorrectTasks = tasks.length - correctTasks;
-        const correctPercentage = Math.round((correctTasks / tasks.length) * 100);
-        
-        return {
-            totalTasks: tasks.length,
-            correctTasks: correctTasks,
-            incorrectTasks: incorrectTasks,
-            correctPercentage: correctPercentage
-        };
+        return AnalyticsMath.calculateSubjectStats(tasks, task => this.getTaskScore(task));
     }
     
     /**
@@ -585,23 +677,13 @@ processAnalyticsData() {
             };
         }
         
-        const correctTasks = tasks.filter(task => {
-            // Handle both boolean and string correctness values
-            if (typeof task.correctness === 'boolean') {
-                return task.correctness === true;
-            } else if (typeof task.correctness === 'string') {
-                const corrValue = task.correctness.toLowerCase();
-                return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true';
-            }
-            return false;
-        }).length;
-        
-        const correctPercentage = Math.round((correctTasks / tasks.length) * 100);
+        const summary = Correctness.summarize(tasks);
         
         return {
             totalTasks: tasks.length,
-            correctTasks: correctTasks,
-            correctPercentage: correctPercentage
+            correctTasks: summary.correct,
+            partialTasks: summary.partial,
+            correctPercentage: summary.accuracy
         };
     }
     
@@ -619,6 +701,7 @@ processAnalyticsData() {
                     subject: task.subject,
                     totalTasks: 0,
                     correctTasks: 0,
+                    score: 0,
                     tasks: []
                 };
             }
@@ -626,27 +709,19 @@ processAnalyticsData() {
             categoryStats[task.category].totalTasks++;
             categoryStats[task.category].tasks.push(task);
             
-            // Handle both boolean and string correctness values
-            let isCorrect = false;
-            if (typeof task.correctness === 'boolean') {
-                isCorrect = task.correctness === true;
-            } else if (typeof task.correctness === 'string') {
-                const corrValue = task.correctness.toLowerCase();
-                isCorrect = corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true';
-            }
-            
-            if (isCorrect) {
+            if (this.isTaskCorrect(task)) {
                 categoryStats[task.category].correctTasks++;
             }
+            categoryStats[task.category].score += this.getTaskScore(task);
         });
         
         // Calculate percentages and add metadata
         return Object.values(categoryStats).map(category => ({
             ...category,
             correctPercentage: category.totalTasks > 0 ? 
-                Math.round((category.correctTasks / category.totalTasks) * 100) : 0,
+                Math.round((category.score / category.totalTasks) * 100) : 0,
             isWeak: category.totalTasks >= 3 && 
-                   (category.correctTasks / category.totalTasks) < 0.6 // Less than 60% correct
+                   (category.score / category.totalTasks) < 0.6 // Less than 60% correct
         })).sort((a, b) => a.correctPercentage - b.correctPercentage);
     }
     
@@ -1282,10 +1357,11 @@ async showSubjectAnalytics(subjectName) {
         const containerId = `recent-${Date.now()}-${Math.floor(Math.random()*1000)}`;
 
         // Compute stats
-        const correctCount = recentTasks.filter(t => this.isTaskCorrect(t)).length;
+        const summary = Correctness.summarize(recentTasks);
+        const correctCount = summary.correct;
         const total = recentTasks.length;
         const incorrectCount = total - correctCount;
-        const percent = total > 0 ? Math.round((correctCount/total)*100) : 0;
+        const percent = summary.accuracy;
 
         // Current incorrect-only streak or correct-streak? We'll show current correct streak
         let currentCorrectStreak = 0;
@@ -1295,9 +1371,8 @@ async showSubjectAnalytics(subjectName) {
 
         // Build timeline bars
         const timeline = recentTasks.map((task, index) => {
-            const isCorrect = this.isTaskCorrect(task);
-            const className = isCorrect ? 'correct' : 'incorrect';
-            const statusText = isCorrect ? 'Poprawne' : 'Błędne';
+            const className = Correctness.getOutcome(task);
+            const statusText = Correctness.LABELS[className];
             const label = task.name ? this.escapeHtml(task.name) : (task.timestamp || 'Zadanie');
             const dateStr = this.formatTaskDate(task.timestamp);
             const timeStr = this.formatTaskTime(task.timestamp);
@@ -1307,9 +1382,8 @@ async showSubjectAnalytics(subjectName) {
 
         // Build details list
         const details = recentTasks.map((task, index) => {
-            const isCorrect = this.isTaskCorrect(task);
-            const correctnessClass = isCorrect ? 'correct' : 'incorrect';
-            const correctnessText = isCorrect ? '✅ Poprawne' : '❌ Niepoprawne';
+            const correctnessClass = Correctness.getOutcome(task);
+            const correctnessText = Correctness.getLabel(task);
             const dateStr = this.formatTaskDate(task.timestamp);
             const timeStr = this.formatTaskTime(task.timestamp);
             const cats = task.categoriesString || task.category || '';
@@ -1320,7 +1394,7 @@ async showSubjectAnalytics(subjectName) {
                 if (dur > 0) durationHtml = `<span class="detail-time">⏱️ ${this.formatDuration(dur)}</span>`;
             }
             return `
-                <div class="detail-item ${correctnessClass}" data-incorrect="${!isCorrect}">
+                <div class="detail-item ${correctnessClass}" data-incorrect="${correctnessClass === Correctness.OUTCOMES.INCORRECT}">
                     <div class="detail-left">
                         <div class="dot ${correctnessClass}"></div>
                         <div class="detail-main">
@@ -1397,11 +1471,11 @@ async showSubjectAnalytics(subjectName) {
         const recentTasks = tasks.slice(-5);
         const earlierTasks = tasks.slice(0, 5);
         
-        const recentCorrect = recentTasks.filter(task => this.isTaskCorrect(task)).length;
-        const earlierCorrect = earlierTasks.filter(task => this.isTaskCorrect(task)).length;
+        const recentScore = recentTasks.reduce((sum, task) => sum + this.getTaskScore(task), 0);
+        const earlierScore = earlierTasks.reduce((sum, task) => sum + this.getTaskScore(task), 0);
         
-        const recentPercentage = (recentCorrect / recentTasks.length) * 100;
-        const earlierPercentage = earlierTasks.length > 0 ? (earlierCorrect / earlierTasks.length) * 100 : recentPercentage;
+        const recentPercentage = (recentScore / recentTasks.length) * 100;
+        const earlierPercentage = earlierTasks.length > 0 ? (earlierScore / earlierTasks.length) * 100 : recentPercentage;
         
         const difference = recentPercentage - earlierPercentage;
         
@@ -1425,9 +1499,8 @@ async showSubjectAnalytics(subjectName) {
         // Get last 10 tasks for mini chart
         const recentTasks = tasks.slice(-10);
         const chartBars = recentTasks.map(task => {
-            const isCorrect = this.isTaskCorrect(task);
-            const barClass = isCorrect ? 'correct' : 'incorrect';
-            return `<div class="mini-bar ${barClass}" title="${task.name}: ${isCorrect ? 'Poprawne' : 'Błędne'}"></div>`;
+            const barClass = Correctness.getOutcome(task);
+            return `<div class="mini-bar ${barClass}" title="${task.name}: ${Correctness.LABELS[barClass]}"></div>`;
         }).join('');
         
         return `
@@ -1461,7 +1534,7 @@ async showSubjectAnalytics(subjectName) {
             else key = 'NOC';
             
             periods[key].total++;
-            if (this.isTaskCorrect(task)) periods[key].correct++;
+            periods[key].correct += this.getTaskScore(task);
             
             // Calculate time spent if available
             if (task.start_time && task.end_time) {
@@ -1585,6 +1658,8 @@ const lastActivity = subject.tasks.length > 0 ? this.formatTimeAgo(subject.tasks
                         <div class="kpi-card grad" aria-label="Ostatnia aktywność"><div class="kpi-icon">⏱️</div><div class="kpi-title">Ostatnio</div><div class="kpi-value">${lastActivity}</div><div class="kpi-diff">—</div></div>
                     </div>
 
+                    ${this.renderExamReadiness(subject.name)}
+
 
                 <!-- Extra Subject Metrics -->
                 ${(() => {
@@ -1673,7 +1748,13 @@ const lastActivity = subject.tasks.length > 0 ? this.formatTimeAgo(subject.tasks
                 <section class="subject-section" id="section-sessions-${safeId}">
                     <div class="subject-section-header"><span class="section-title">Sesje</span><button class="btn-mini" data-accordion="toggle">▾</button></div>
                     <div class="sessions-list" id="sessions-list-${safeId}"></div>
-                    <div style="margin-top:8px;"><button class="btn-mini" id="sessions-more-${safeId}">Pokaż więcej</button></div>
+                    <div class="sessions-actions">
+                        <button class="btn-mini" id="sessions-more-${safeId}">Pokaż więcej</button>
+                        <div class="table-export" role="group" aria-label="Eksport sesji">
+                            <button type="button" class="btn-mini" data-export-sessions="csv" title="Wszystkie dni nauki z wybranego zakresu i z wybranymi filtrami">⬇️ CSV</button>
+                            <button type="button" class="btn-mini" data-export-sessions="xlsx" title="Wszystkie dni nauki z wybranego zakresu i z wybranymi filtrami">⬇️ XLSX</button>
+                        </div>
+                    </div>
                 </section>
                 
                 <div class="mobile-action-bar" id="mobile-action-bar-${safeId}">
@@ -1762,6 +1843,10 @@ renderSubjectDetailedTable(categoryPerformance, subjectName) {
                             <input type="checkbox" id="table-one-open-${safeId}">
                             Tylko jedna sekcja rozwinięta
                         </label>
+                        <div class="table-export" role="group" aria-label="Eksport tabeli">
+                            <button type="button" class="btn-mini" data-export-table="csv" title="Kategorie widoczne w tabeli, w wybranym zakresie i z wybranymi filtrami">⬇️ CSV</button>
+                            <button type="button" class="btn-mini" data-export-table="xlsx" title="Kategorie widoczne w tabeli, w wybranym zakresie i z wybranymi filtrami">⬇️ XLSX</button>
+                        </div>
                     </div>
                 </div>
                 
@@ -1876,9 +1961,8 @@ renderTaskList(tasks) {
      * Render individual task item
      */
 renderTaskItem(task) {
-        const isCorrect = this.isTaskCorrect(task);
-        const correctnessClass = isCorrect ? 'correct' : 'incorrect';
-        const correctnessText = isCorrect ? '✅ Poprawne' : '❌ Niepoprawne';
+        const correctnessClass = Correctness.getOutcome(task);
+        const correctnessText = Correctness.getLabel(task);
         const catBand = this.getCategoryAccentColor((task.categories && task.categories[0]) || task.category || 'Unknown');
         
         // Generate task ID for unique identification
@@ -1890,7 +1974,7 @@ renderTaskItem(task) {
         const timeAgo = this.formatTimeAgo(task.timestamp);
         
         return `
-            <div class="task-item ${correctnessClass}" data-task-id="${taskId}" style="border-left-color:${catBand}">
+            <div class="task-item ${correctnessClass}" data-task-id="${taskId}" data-row-id="${this.escapeHtml(task.task_id || '')}" style="border-left-color:${catBand}">
                 <div class="task-header">
                     <div class="task-main-info">
                         <div class="task-title-section">
@@ -1920,11 +2004,384 @@ renderTaskItem(task) {
                         <span class="task-time">🕰️ ${taskTime}</span>
                         <span class="task-time-ago">${timeAgo}</span>
                     </div>
+                    ${task.task_id ? `
+                    <div class="task-actions">
+                        <button type="button" class="btn-mini" data-action="edit-task" data-row-id="${this.escapeHtml(task.task_id)}" title="Edytuj zadanie">✏️ Edytuj</button>
+                        <button type="button" class="btn-mini btn-mini-danger" data-action="delete-task" data-row-id="${this.escapeHtml(task.task_id)}" title="Usuń zadanie">🗑️ Usuń</button>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
         `;
     }
     
+    // =============================================
+    // TABLE EXPORT
+    // =============================================
+
+    /**
+     * Export the performance table as shown: the selected subject tab and sort order
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    async exportPerformanceTable(format) {
+        const activeSort = document.querySelector('.sort-btn.active');
+        await this.downloadTable({
+            name: `skutecznosc-${this.currentFilter === 'all' ? 'wszystkie' : this.currentFilter}`,
+            format,
+            columns: [
+                { label: 'Kategoria', value: category => category.name },
+                { label: 'Przedmiot', value: category => category.subject },
+                ...this.getCategoryExportColumns()
+            ],
+            records: this.categoryPerformance,
+            info: [
+                ['Tabela', 'Skuteczność według kategorii'],
+                ['Przedmiot', this.currentFilter === 'all' ? 'Wszystkie' : this.currentFilter],
+                ['Sortowanie', activeSort ? activeSort.textContent.trim() : 'Od najniższej skuteczności'],
+                ['Wyeksportowano', new Date().toLocaleString('pl-PL')]
+            ]
+        });
+    }
+
+    /**
+     * Export the detailed table of a subject: its categories counted from the tasks in the
+     * selected timeframe and filters, limited to the ones matching the table search
+     * @param {string} safeId - Subject section id
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    async exportSubjectTable(safeId, format) {
+        const subject = Object.values(this.subjectAnalytics || {}).find(item => this.getSafeId(item.name) === safeId);
+        if (!subject) return;
+
+        let state = {};
+        try { state = JSON.parse(localStorage.getItem(`subjectFilters:${safeId}`) || '{}'); } catch(_) { state = {}; }
+        const search = document.getElementById(`table-search-${safeId}`);
+        const query = search ? search.value.trim().toLowerCase() : '';
+
+        const categories = {};
+        this.applySubjectFilters(subject.tasks, state).forEach(task => {
+            (task.categories && task.categories.length ? task.categories : ['Unknown']).forEach(name => {
+                if (!categories[name]) categories[name] = { name, tasks: [] };
+                categories[name].tasks.push(task);
+            });
+        });
+        const records = this.calculateSubjectCategoryPerformance(categories)
+            .filter(category => category.name.toLowerCase().includes(query));
+
+        const filters = this.describeSubjectFilters(state);
+        if (query) filters.push(`Szukaj: ${query}`);
+
+        await this.downloadTable({
+            name: `${subject.name}-kategorie-${state.range === 'all' ? 'calosc' : `${state.range || '30'}-dni`}`,
+            format,
+            columns: [
+                { label: 'Kategoria', value: category => category.name },
+                ...this.getCategoryExportColumns(true)
+            ],
+            records,
+            info: [
+                ['Tabela', `Szczegółowe statystyki - ${subject.name}`],
+                ['Zakres', this.describeRange(state.range || '30')],
+                ['Filtry', filters.length ? filters.join(', ') : 'Bez filtrów'],
+                ['Sortowanie', 'Od najniższej skuteczności'],
+                ['Wyeksportowano', new Date().toLocaleString('pl-PL')]
+            ]
+        });
+    }
+
+    /**
+     * Export the sessions of a subject: every day studied in the selected timeframe and filters,
+     * newest first - all of them, not only the ones the list shows so far
+     * @param {string} safeId - Subject section id
+     * @param {string} format - 'csv' or 'xlsx'
+     */
+    async exportSubjectSessions(safeId, format) {
+        const subject = Object.values(this.subjectAnalytics || {}).find(item => this.getSafeId(item.name) === safeId);
+        if (!subject) return;
+
+        let state = {};
+        try { state = JSON.parse(localStorage.getItem(`subjectFilters:${safeId}`) || '{}'); } catch(_) { state = {}; }
+        const filters = this.describeSubjectFilters(state);
+
+        await this.downloadTable({
+            name: `${subject.name}-sesje-${state.range === 'all' ? 'calosc' : `${state.range || '30'}-dni`}`,
+            format,
+            columns: [
+                { label: 'Dzień', value: session => session.date },
+                { label: 'Czas nauki (min)', value: session => Math.round(session.durationMs / 60000) },
+                { label: 'Zadania', value: session => session.tasks },
+                { label: 'Poprawne', value: session => session.correct },
+                { label: 'Błędne', value: session => session.incorrect },
+                { label: 'Skuteczność (%)', value: session => session.tasks > 0 ? Math.round((session.correct / session.tasks) * 100) : 0 }
+            ],
+            records: this.buildSessions(this.applySubjectFilters(subject.tasks, state)),
+            info: [
+                ['Tabela', `Sesje - ${subject.name}`],
+                ['Zakres', this.describeRange(state.range || '30')],
+                ['Filtry', filters.length ? filters.join(', ') : 'Bez filtrów'],
+                ['Sortowanie', 'Od najnowszego dnia'],
+                ['Wyeksportowano', new Date().toLocaleString('pl-PL')]
+            ]
+        });
+    }
+
+    /**
+     * Labels of the filter chips and selects of a subject view, for the info sheet of an export
+     * @param {Object} state - Saved subject filters
+     * @returns {Array<string>}
+     */
+    describeSubjectFilters(state) {
+        const filters = [];
+        if (state.filters?.correct) filters.push('Poprawne');
+        if (state.filters?.incorrect) filters.push('Błędne');
+        if (state.category) filters.push(`Kategoria: ${state.category}`);
+        if (state.location) filters.push(`Miejsce: ${state.location}`);
+        if (state.difficulty) filters.push(`Trudność: ${state.difficulty}`);
+        return filters;
+    }
+
+    /**
+     * Columns shared by the category tables
+     * @param {boolean} withBreakdown - Add partial and incorrect counts (per-subject stats have them)
+     */
+    getCategoryExportColumns(withBreakdown = false) {
+        return [
+            { label: 'Poprawne', value: category => category.correctTasks },
+            ...(withBreakdown ? [
+                { label: 'Częściowo', value: category => category.partialTasks },
+                { label: 'Błędne', value: category => category.incorrectTasks }
+            ] : []),
+            { label: 'Zadania', value: category => category.totalTasks },
+            { label: 'Skuteczność (%)', value: category => category.correctPercentage },
+            { label: 'Status', value: category => this.getStatusLabel(category.correctPercentage) }
+        ];
+    }
+
+    async downloadTable(options) {
+        if (!options.records.length) {
+            this.showError('Brak danych do eksportu');
+            return;
+        }
+        try {
+            const fileName = await TableExport.download(options);
+            this.showMessage(`Zapisano ${fileName}`);
+        } catch (error) {
+            console.error('❌ Table export failed:', error);
+            this.showError(`Eksport nie powiódł się: ${error.message}`);
+        }
+    }
+
+    // =============================================
+    // TASK EDITING
+    // =============================================
+
+    /**
+     * Find a loaded task by its StudyTasks id
+     * @param {string} taskId - Task ID
+     * @returns {Object|undefined} Normalized task
+     */
+    findTaskById(taskId) {
+        return this.tasks.find(task => task.task_id === taskId);
+    }
+
+    /**
+     * Show modal for editing a task
+     * @param {string} taskId - Task ID
+     */
+    showEditTaskModal(taskId) {
+        const task = this.findTaskById(taskId);
+        if (!task) {
+            this.showError('Nie znaleziono zadania do edycji');
+            return;
+        }
+
+        this.closeEditTaskModal();
+
+        const outcome = Correctness.getOutcome(task);
+        const categoriesValue = Array.isArray(task.categories) ? task.categories.join(', ') : (task.category || '');
+
+        const modalHtml = `
+            <div class="modal-overlay task-edit-modal" id="edit-task-modal">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 class="modal-title">✏️ Edytuj zadanie</h3>
+                        <button type="button" class="modal-close" data-dismiss="edit-task-modal">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <form id="edit-task-form">
+                            <div class="form-group">
+                                <label for="edit-task-name" class="form-label">Nazwa zadania <span class="required">*</span></label>
+                                <input type="text" id="edit-task-name" name="task_name" class="form-control" value="${this.escapeHtml(task.name)}" maxlength="200" required>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-task-correctness" class="form-label">Poprawność</label>
+                                <select id="edit-task-correctness" name="correctly_completed" class="form-control">
+                                    <option value="Yes" ${outcome === Correctness.OUTCOMES.CORRECT ? 'selected' : ''}>✅ Poprawnie</option>
+                                    <option value="50/50" ${outcome === Correctness.OUTCOMES.PARTIAL ? 'selected' : ''}>🟡 Częściowo (50/50)</option>
+                                    <option value="No" ${outcome === Correctness.OUTCOMES.INCORRECT ? 'selected' : ''}>❌ Błędnie</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-task-categories" class="form-label">Kategorie (oddzielone przecinkami)</label>
+                                <input type="text" id="edit-task-categories" name="categories" class="form-control" value="${this.escapeHtml(categoriesValue)}">
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-task-description" class="form-label">Opis</label>
+                                <textarea id="edit-task-description" name="description" class="form-control" maxlength="1000">${this.escapeHtml(task.description)}</textarea>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-task-location" class="form-label">Źródło / lokalizacja</label>
+                                <input type="text" id="edit-task-location" name="location" class="form-control" value="${this.escapeHtml(task.location)}">
+                            </div>
+                            <div class="modal-actions">
+                                <button type="submit" class="btn btn-primary">💾 Zapisz zmiany</button>
+                                <button type="button" class="btn btn-secondary" data-dismiss="edit-task-modal">Anuluj</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modal = document.getElementById('edit-task-modal');
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-dismiss="edit-task-modal"]')) {
+                this.closeEditTaskModal();
+            }
+        });
+
+        document.getElementById('edit-task-form').addEventListener('submit', (e) => {
+            this.handleEditTaskSubmit(e, taskId);
+        });
+    }
+
+    /**
+     * Close the edit task modal
+     */
+    closeEditTaskModal() {
+        const modal = document.getElementById('edit-task-modal');
+        if (modal) {
+            modal.remove();
+        }
+    }
+
+    /**
+     * Handle edit task form submission
+     * @param {Event} event - Submit event
+     * @param {string} taskId - Task ID
+     */
+    async handleEditTaskSubmit(event, taskId) {
+        event.preventDefault();
+
+        const form = event.target;
+        const formData = new FormData(form);
+        const changes = {
+            task_name: formData.get('task_name').trim(),
+            correctly_completed: formData.get('correctly_completed'),
+            categories: formData.get('categories').split(',').map(cat => cat.trim()).filter(Boolean).join(', '),
+            description: formData.get('description').trim(),
+            location: formData.get('location').trim()
+        };
+
+        if (!changes.task_name) {
+            this.showError('Nazwa zadania jest wymagana');
+            return;
+        }
+
+        const submitButton = form.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        submitButton.textContent = '💾 Zapisywanie...';
+
+        try {
+            const response = await this.googleSheetsAPI.updateTask(taskId, changes);
+
+            if (!response.success) {
+                throw new Error(response.error || 'Nieznany błąd');
+            }
+
+            const task = this.findTaskById(taskId);
+            if (task) {
+                const categoriesString = changes.categories || 'Unknown';
+                Object.assign(task, {
+                    name: changes.task_name,
+                    correctness: Correctness.getOutcome(changes.correctly_completed),
+                    category: categoriesString,
+                    categories: this.parseCategoriesString(categoriesString),
+                    categoriesString: categoriesString,
+                    description: changes.description,
+                    location: changes.location
+                });
+                this.applyTaskChange(taskId);
+            }
+
+            this.closeEditTaskModal();
+            this.showMessage(response.queued
+                ? 'Brak połączenia - zmiana zostanie zapisana automatycznie'
+                : 'Zadanie zostało zaktualizowane');
+        } catch (error) {
+            console.error('Error updating task:', error);
+            this.showError('Błąd podczas aktualizacji zadania: ' + error.message);
+            submitButton.disabled = false;
+            submitButton.textContent = '💾 Zapisz zmiany';
+        }
+    }
+
+    /**
+     * Delete a task with confirmation
+     * @param {string} taskId - Task ID
+     */
+    async deleteTask(taskId) {
+        const task = this.findTaskById(taskId);
+        const taskName = task ? task.name : taskId;
+
+        if (!confirm(`Czy na pewno chcesz usunąć zadanie "${taskName}"?\n\nTa operacja jest nieodwracalna.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.googleSheetsAPI.deleteTask(taskId);
+
+            if (!response.success) {
+                throw new Error(response.error || 'Nieznany błąd');
+            }
+
+            const index = this.tasks.findIndex(item => item.task_id === taskId);
+            if (index !== -1) {
+                this.tasks.splice(index, 1);
+            }
+            this.applyTaskChange(taskId);
+
+            this.showMessage(response.queued
+                ? 'Brak połączenia - zadanie zostanie usunięte automatycznie'
+                : 'Zadanie zostało usunięte');
+        } catch (error) {
+            console.error('Error deleting task:', error);
+            this.showError('Błąd podczas usuwania zadania: ' + error.message);
+        }
+    }
+
+    /**
+     * Recompute analytics after a task was edited or deleted and refresh its
+     * rendered items in place, so expanded lists stay open
+     * @param {string} taskId - Task ID
+     */
+    applyTaskChange(taskId) {
+        this.processAnalyticsData();
+
+        const task = this.findTaskById(taskId);
+        document.querySelectorAll('.task-item[data-row-id]').forEach(item => {
+            if (item.getAttribute('data-row-id') !== taskId) return;
+
+            if (task) {
+                item.outerHTML = this.renderTaskItem(task);
+            } else {
+                item.remove();
+            }
+        });
+    }
+
     getCategoryAccentColor(name){
         const palette = ['#67e8f9','#60a5fa','#a78bfa','#f472b6','#f47272','#fbbf24','#34d399','#22c55e','#4ade80','#93c5fd'];
         const idx = Math.abs(this.simpleHash(String(name))) % palette.length;
@@ -1935,13 +2392,14 @@ renderTaskItem(task) {
      * Check if task is correct (helper method)
      */
     isTaskCorrect(task) {
-        if (typeof task.correctness === 'boolean') {
-            return task.correctness === true;
-        } else if (typeof task.correctness === 'string') {
-            const corrValue = task.correctness.toLowerCase();
-            return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true' || corrValue === 'correct';
-        }
-        return false;
+        return Correctness.isCorrect(task);
+    }
+    
+    /**
+     * Score of a task between 0 and 1 (partial solutions count by CONFIG.CORRECTNESS.WEIGHTS)
+     */
+    getTaskScore(task) {
+        return Correctness.getScore(task);
     }
     
     /**
@@ -2063,6 +2521,10 @@ renderTaskItem(task) {
         }
         
         const tableHTML = `
+                <div class="table-export" role="group" aria-label="Eksport tabeli">
+                    <button type="button" class="btn-mini" data-export-table="csv">⬇️ CSV</button>
+                    <button type="button" class="btn-mini" data-export-table="xlsx">⬇️ XLSX</button>
+                </div>
                 <table class="performance-table">
                     <thead>
                         <tr>
@@ -2120,6 +2582,9 @@ renderTaskItem(task) {
         `;
         
         performanceTable.innerHTML = tableHTML;
+        performanceTable.querySelectorAll('[data-export-table]').forEach(button => {
+            button.addEventListener('click', () => this.exportPerformanceTable(button.getAttribute('data-export-table')));
+        });
     }
     
     /**
@@ -2284,17 +2749,26 @@ renderTaskItem(task) {
      */
     getStatusBadge(category) {
         const percentage = category.correctPercentage;
-        
-        if (percentage >= 90) {
-            return '<span class="status-badge excellent">🏆 Doskonały</span>';
-        } else if (percentage >= 70) {
-            return '<span class="status-badge good">✅ Dobry</span>';
-        } else if (percentage >= 50) {
-            return '<span class="status-badge average">🔶 Średni</span>';
-        } else if (percentage >= 30) {
-            return '<span class="status-badge poor">⚠️ Słaby punkt</span>';
-        } else {
-            return '<span class="status-badge critical">🚨 Wymaga uwagi</span>';
+        return `<span class="status-badge ${this.getPerformanceClass(percentage)}">${this.getStatusLabel(percentage)}</span>`;
+    }
+    
+    /**
+     * Get status text based on performance
+     */
+    getStatusLabel(percentage) {
+        if (percentage >= 90) return '🏆 Doskonały';
+        if (percentage >= 70) return '✅ Dobry';
+        if (percentage >= 50) return '🔶 Średni';
+        if (percentage >= 30) return '⚠️ Słaby punkt';
+        return '🚨 Wymaga uwagi';
+    }
+    
+    /**
+     * Show success message
+     */
+    showMessage(message) {
+        if (window.navigationManager) {
+            window.navigationManager.showMessage(message, 'success');
         }
     }
     
@@ -2310,12 +2784,15 @@ renderTaskItem(task) {
     }
     
     /**
-     * Escape HTML to prevent XSS
+     * Escape HTML to prevent XSS - also quotes, as the result is used inside attribute values
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -2586,6 +3063,12 @@ renderTaskItem(task) {
         }
         // Delegated clicks
         section.addEventListener('click', (e) => {
+            const exportBtn = e.target.closest('[data-export-table]');
+            if (exportBtn) {
+                e.preventDefault();
+                this.exportSubjectTable(safeId, exportBtn.getAttribute('data-export-table'));
+                return;
+            }
             const toggleEl = e.target.closest('[data-toggle="category"]');
             if (toggleEl) {
                 const targetId = toggleEl.getAttribute('data-target');
@@ -2723,6 +3206,13 @@ getSubjectAccentColor(name) {
                 const cid = recentBtn.getAttribute('data-container');
                 if (cid) this.toggleRecentDetails(cid);
             }
+            // Sessions: export
+            const sessionsExportBtn = e.target.closest('[data-export-sessions]');
+            if (sessionsExportBtn) {
+                e.preventDefault();
+                this.exportSubjectSessions(safeId, sessionsExportBtn.getAttribute('data-export-sessions'));
+                return;
+            }
             // Sessions: load more
             const moreBtn = e.target.closest(`#sessions-more-${safeId}`);
             if (moreBtn) {
@@ -3170,17 +3660,18 @@ renderActiveFilters(safeId, subject, state){
         (tasks||[]).forEach(t => {
             const cats = (t.categories && t.categories.length ? t.categories : [t.category || 'Unknown']);
             cats.forEach(c => {
-                const m = map.get(c) || { name:c, total:0, correct:0 };
+                const m = map.get(c) || { name:c, total:0, correct:0, score:0 };
                 m.total++;
                 if (this.isTaskCorrect(t)) m.correct++;
+                m.score += this.getTaskScore(t);
                 map.set(c, m);
             });
         });
-        const rows = Array.from(map.values()).sort((a,b)=> (b.correct/b.total)-(a.correct/a.total)).slice(0,8);
+        const rows = Array.from(map.values()).sort((a,b)=> (b.score/b.total)-(a.score/a.total)).slice(0,8);
         if (!rows.length) return '<div class="placeholder-text">Brak danych kategorii</div>';
         const maxTotal = Math.max(...rows.map(r=>r.total));
         return rows.map(r=>{
-            const pct = r.total>0 ? Math.round((r.correct/r.total)*100) : 0;
+            const pct = r.total>0 ? Math.round((r.score/r.total)*100) : 0;
             const width = maxTotal>0 ? Math.max(6, Math.round(r.total/maxTotal*100)) : 0;
             const inc = Math.max(0, r.total - r.correct);
             const corrWidth = maxTotal>0 ? Math.round((r.correct / maxTotal) * 100) : 0;
@@ -3374,7 +3865,7 @@ list.innerHTML = shown.map(s => {
         const inRange = (t, a, b) => { const ts=new Date(t.start_time || t.timestamp || Date.now()); return ts>=a && ts<b; };
         const cur = allTasks.filter(t => inRange(t, start, end));
         const prev = allTasks.filter(t => inRange(t, prevStart, prevEnd));
-        const pct = (arr)=> arr.length ? Math.round(arr.filter(t=>this.isTaskCorrect(t)).length/arr.length*100) : 0;
+        const pct = (arr)=> Correctness.summarize(arr).accuracy;
 const cards = document.querySelectorAll(`#section-overview-${safeId} .kpi-card`);
         if (cards.length >= 2) {
             const totalCard = cards[0];
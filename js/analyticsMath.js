@@ -0,0 +1,292 @@
+/**
+ * Analytics Math
+ * Pure calculations behind the analytics views (no DOM, no network, no `this`),
+ * shared by AnalyticsManager, ChartsManager and EnhancedAnalytics and covered by
+ * the Node test suite in tests/analytics-math.test.js.
+ *
+ * Days are keyed as 'YYYY-MM-DD' in the browser's local time zone, so a task
+ * done at 00:30 counts for the day the user saw on the clock.
+ */
+const AnalyticsMath = {
+    /**
+     * Local calendar day of a timestamp
+     * @param {Date|string|number} value - Date, ISO string, 'YYYY-MM-DD' or 'YYYY-MM-DD HH:mm:ss' (sheet format)
+     * @returns {string|null} 'YYYY-MM-DD', or null when the value is empty or not a date
+     */
+    toDateKey(value) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (typeof value === 'string') {
+            const trimmed = value.trim();
+            // A bare date is already a calendar day - new Date() would read it as UTC midnight
+            if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+            value = trimmed.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2');
+        }
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Local midnight of a day key
+     * @param {string} dateKey - 'YYYY-MM-DD'
+     * @returns {Date} Date
+     */
+    fromDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Day key of a task: start_time, then the legacy timestamp, then `fallbackDate`
+     * @param {Object} task - Task
+     * @param {Date} fallbackDate - Day used for tasks without a usable date
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    getTaskDateKey(task, fallbackDate = new Date()) {
+        return AnalyticsMath.toDateKey(task.start_time)
+            || AnalyticsMath.toDateKey(task.timestamp)
+            || AnalyticsMath.toDateKey(fallbackDate);
+    },
+
+    /**
+     * Total, correct, partial, incorrect and rounded percentage for a list of tasks.
+     * A task with a score of 1 is correct, 0 incorrect, anything in between partial;
+     * the percentage is the average score.
+     * @param {Array} tasks - Tasks
+     * @param {Function} getScore - (task) => number between 0 and 1
+     * @returns {Object} { totalTasks, correctTasks, partialTasks, incorrectTasks, correctPercentage }
+     */
+    calculateSubjectStats(tasks, getScore) {
+        if (tasks.length === 0) {
+            return {
+                totalTasks: 0,
+                correctTasks: 0,
+                partialTasks: 0,
+                incorrectTasks: 0,
+                correctPercentage: 0
+            };
+        }
+
+        const scores = tasks.map(task => getScore(task));
+        const correctTasks = scores.filter(score => score >= 1).length;
+        const incorrectTasks = scores.filter(score => score <= 0).length;
+        const totalScore = scores.reduce((sum, score) => sum + score, 0);
+
+        return {
+            totalTasks: tasks.length,
+            correctTasks: correctTasks,
+            partialTasks: tasks.length - correctTasks - incorrectTasks,
+            incorrectTasks: incorrectTasks,
+            correctPercentage: Math.round((totalScore / tasks.length) * 100)
+        };
+    },
+
+    /**
+     * Group tasks by day. Only days with tasks are returned, oldest first.
+     * Accuracy is the average score, so partial solutions count by their weight.
+     * @param {Array} tasks - Tasks
+     * @param {Function} getScore - (task) => number between 0 and 1
+     * @param {Object} options - { now } day used for tasks without a date
+     * @returns {Array} [{ date, displayDate, total, correct, partial, incorrect, accuracy }]
+     */
+    buildDailyAggregates(tasks, getScore, options = {}) {
+        const now = options.now || new Date();
+        const byDate = {};
+
+        tasks.forEach(task => {
+            const date = AnalyticsMath.getTaskDateKey(task, now);
+            if (!byDate[date]) {
+                byDate[date] = { date, total: 0, correct: 0, partial: 0, incorrect: 0, score: 0 };
+            }
+            const score = getScore(task);
+            byDate[date].total++;
+            byDate[date].score += score;
+            if (score >= 1) {
+                byDate[date].correct++;
+            } else if (score <= 0) {
+                byDate[date].incorrect++;
+            } else {
+                byDate[date].partial++;
+            }
+        });
+
+        return Object.keys(byDate).sort().map(date => ({
+            date,
+            displayDate: AnalyticsMath.fromDateKey(date).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit' }),
+            total: byDate[date].total,
+            correct: byDate[date].correct,
+            partial: byDate[date].partial,
+            incorrect: byDate[date].incorrect,
+            accuracy: byDate[date].total > 0 ? Math.round((byDate[date].score / byDate[date].total) * 100) : 0
+        }));
+    },
+
+    /**
+     * One entry per calendar day for the last `days` days (today included), days without tasks included
+     * @param {Array} tasks - Tasks
+     * @param {Array} sessions - Study sessions
+     * @param {Object} options - { days = 90, threshold = 1 tasks for an active day, now }
+     * @returns {Array} [{ date, tasks, sessions, active, subjects: Set }], oldest first
+     */
+    buildDailyActivity(tasks, sessions, options = {}) {
+        const days = options.days || 90;
+        const threshold = options.threshold || 1;
+        const now = options.now || new Date();
+        const dailyActivity = {};
+
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+            const dateKey = AnalyticsMath.toDateKey(date);
+            dailyActivity[dateKey] = {
+                date: dateKey,
+                tasks: 0,
+                sessions: 0,
+                active: false,
+                subjects: new Set()
+            };
+        }
+
+        tasks.forEach(task => {
+            const day = dailyActivity[AnalyticsMath.getTaskDateKey(task, now)];
+            if (day) {
+                day.tasks++;
+                day.subjects.add(task.subject);
+                day.active = day.tasks >= threshold;
+            }
+        });
+
+        sessions.forEach(session => {
+            const day = dailyActivity[AnalyticsMath.toDateKey(session.start_time) || AnalyticsMath.toDateKey(now)];
+            if (day) {
+                day.sessions++;
+            }
+        });
+
+        return Object.values(dailyActivity);
+    },
+
+    /**
+     * Compare the average accuracy of the last 7 data points with the first ones.
+     * Needs at least 8 points; a change above 5 percentage points counts as a trend.
+     * @param {Array} data - Daily data with `accuracy`, oldest first
+     * @returns {Object} { direction: 'improving'|'declining'|'stable'|'neutral', percentage }
+     */
+    calculateTrend(data) {
+        if (data.length < 2) return { direction: 'neutral', percentage: 0 };
+
+        const recent = data.slice(-7); // Last 7 data points
+        const earlier = data.slice(0, Math.min(7, data.length - 7));
+
+        if (earlier.length === 0) return { direction: 'neutral', percentage: 0 };
+
+        const recentAvg = recent.reduce((sum, item) => sum + item.accuracy, 0) / recent.length;
+        const earlierAvg = earlier.reduce((sum, item) => sum + item.accuracy, 0) / earlier.length;
+
+        const change = recentAvg - earlierAvg;
+        const direction = change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable';
+
+        return { direction, percentage: Math.round(change) };
+    },
+
+    /**
+     * Compare the accuracy of the last 5 tasks with the 5 before them.
+     * Needs at least 6 tasks; a change above 10 percentage points counts as a trend.
+     * @param {Array} tasks - Tasks (any order, not modified)
+     * @param {Function} getScore - (task) => number between 0 and 1
+     * @returns {Object} { direction: 'improving'|'declining'|'stable'|'neutral', percentage }
+     */
+    calculateTaskTrend(tasks, getScore) {
+        if (tasks.length < 6) return { direction: 'neutral', percentage: 0 };
+
+        const time = task => new Date(task.start_time || task.timestamp).getTime();
+        const sortedTasks = [...tasks].sort((a, b) => time(a) - time(b));
+        const recent = sortedTasks.slice(-5); // Last 5 tasks
+        const earlier = sortedTasks.slice(-10, -5); // The 5 before them (fewer with under 10 tasks)
+
+        const accuracy = list => Math.round((list.reduce((sum, task) => sum + getScore(task), 0) / list.length) * 100);
+        const change = accuracy(recent) - accuracy(earlier);
+        const direction = change > 10 ? 'improving' : change < -10 ? 'declining' : 'stable';
+
+        return { direction, percentage: Math.round(change) };
+    },
+
+    /**
+     * Rolling accuracy averages. Windows count data points (days with tasks), not calendar days.
+     * @param {Array} dailyData - Daily data with `accuracy`, oldest first
+     * @param {Array<number>} windows - Window sizes, e.g. [7, 14, 30]
+     * @returns {Object} { '7day': [..], '14day': [..] } - one rounded value per data point
+     */
+    calculateRollingAverages(dailyData, windows) {
+        const averages = {};
+
+        windows.forEach(window => {
+            averages[`${window}day`] = dailyData.map((_, index) => {
+                const start = Math.max(0, index - window + 1);
+                const windowData = dailyData.slice(start, index + 1);
+                const avg = windowData.reduce((sum, day) => sum + day.accuracy, 0) / windowData.length;
+                return Math.round(avg);
+            });
+        });
+
+        return averages;
+    },
+
+    /**
+     * How steady daily accuracy is: 100 minus the standard deviation, floored at 0
+     * @param {Array} dailyData - Daily data with `accuracy`
+     * @returns {number} 0-100 (0 with fewer than two days)
+     */
+    calculateConsistencyScore(dailyData) {
+        if (dailyData.length < 2) return 0;
+
+        const accuracies = dailyData.map(day => day.accuracy);
+        const mean = accuracies.reduce((sum, acc) => sum + acc, 0) / accuracies.length;
+        const variance = accuracies.reduce((sum, acc) => sum + Math.pow(acc - mean, 2), 0) / accuracies.length;
+
+        return Math.max(0, Math.round(100 - Math.sqrt(variance)));
+    },
+
+    /**
+     * Runs of consecutive active days
+     * @param {Array} dailyActivity - [{ date, active }] for consecutive calendar days, oldest first
+     * @returns {Array} [{ start, end, length }], longest first
+     */
+    calculateStreaks(dailyActivity) {
+        const streaks = [];
+        let currentStreak = null;
+
+        dailyActivity.forEach(day => {
+            if (day.active) {
+                if (!currentStreak) {
+                    currentStreak = { start: day.date, end: day.date, length: 1 };
+                } else {
+                    currentStreak.end = day.date;
+                    currentStreak.length++;
+                }
+            } else if (currentStreak) {
+                streaks.push(currentStreak);
+                currentStreak = null;
+            }
+        });
+
+        if (currentStreak) {
+            streaks.push(currentStreak);
+        }
+
+        return streaks.sort((a, b) => b.length - a.length);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalyticsMath;
+}
+
+// Make AnalyticsMath available globally
+if (typeof window !== 'undefined') {
+    window.AnalyticsMath = AnalyticsMath;
+}
@@ -0,0 +1,153 @@
+/**
+ * Anki Export
+ * Turns StudyTasks into Anki notes to drill mistakes outside the app: the task name
+ * is the front, the description with subject, day and result is the back, and the
+ * task's categories are the tags. The deck is a tab-separated text file with Anki's
+ * file headers (File → Import, Anki 2.1.55+), so the note type, deck and tags columns
+ * are picked without setting up the import by hand. Pure functions - the view is
+ * AnkiExportManager.
+ *
+ * Each note carries the task id as its GUID, so importing a newer export of the same
+ * tasks updates the notes instead of adding duplicates.
+ */
+const AnkiExport = {
+    // Wrong answers are what the export is for - partial and correct ones are opt-in
+    DEFAULT_OUTCOMES: ['incorrect'],
+
+    DEFAULT_DECK: 'Study Tracker::Błędy',
+
+    // Notes shown in the preview of the view; the file holds all of them
+    PREVIEW_LIMIT: 5,
+
+    // Anki's built-in note type with two fields (Front, Back)
+    NOTE_TYPE: 'Basic',
+
+    /**
+     * Tasks matching the export filters
+     * @param {Array} tasks - StudyTasks of the active profile
+     * @param {Object} filters
+     * @param {string} [filters.subject] - Subject name; empty for all
+     * @param {string} [filters.category] - Category name; empty for all
+     * @param {string} [filters.from] - First day, 'YYYY-MM-DD'
+     * @param {string} [filters.to] - Last day, 'YYYY-MM-DD' (inclusive)
+     * @param {Array<string>} [filters.outcomes] - Correctness outcomes to include
+     * @returns {Array} Matching tasks, oldest first
+     */
+    filterTasks(tasks, { subject = '', category = '', from = '', to = '', outcomes = AnkiExport.DEFAULT_OUTCOMES } = {}) {
+        return tasks
+            .filter(task => {
+                if (!String(task.task_name || '').trim()) return false;
+                if (subject && task.subject !== subject) return false;
+                if (category && !TaskImport.splitList(task.categories).includes(category)) return false;
+                if (!outcomes.includes(Correctness.getOutcome(task))) return false;
+
+                if (from || to) {
+                    // Tasks without a date cannot be placed in a range
+                    const day = AnalyticsMath.toDateKey(task.start_time) || AnalyticsMath.toDateKey(task.timestamp);
+                    if (!day || (from && day < from) || (to && day > to)) return false;
+                }
+                return true;
+            })
+            .sort((a, b) => new Date(a.start_time || a.timestamp || 0) - new Date(b.start_time || b.timestamp || 0));
+    },
+
+    /**
+     * Anki note of a task
+     * @param {Object} task - StudyTask
+     * @returns {Object} { guid, front, back, tags } - front and back are HTML
+     */
+    toNote(task) {
+        const description = String(task.description || '').trim();
+        const day = AnalyticsMath.toDateKey(task.start_time) || AnalyticsMath.toDateKey(task.timestamp);
+        const outcome = Correctness.getOutcome(task);
+        const details = [task.subject, day, Correctness.LABELS[outcome]]
+            .filter(Boolean)
+            .map(AnkiExport.escapeHtml)
+            .join(' · ');
+
+        return {
+            guid: AnkiExport.getGuid(task),
+            front: AnkiExport.escapeHtml(String(task.task_name).trim()),
+            back: [
+                description ? AnkiExport.escapeHtml(description).replace(/\r?\n/g, '<br>') : '',
+                `<small>${details}</small>`
+            ].filter(Boolean).join('<br><br>'),
+            tags: TaskImport.splitList(task.categories).map(AnkiExport.toTag)
+        };
+    },
+
+    /**
+     * Anki tag of a category - tags are separated by spaces, so words are joined with "_"
+     */
+    toTag(category) {
+        return category.trim().replace(/\s+/g, '_');
+    },
+
+    /**
+     * GUID of a task's note: its task_id, or for older rows without one the id an import
+     * of the task would get
+     */
+    getGuid(task) {
+        const id = task.task_id || TaskImport.getTaskId({
+            start_time: String(task.start_time || task.timestamp || ''),
+            task_name: String(task.task_name || ''),
+            subject: String(task.subject || '')
+        });
+        return `study-tracker-${id}`;
+    },
+
+    /**
+     * Text of the deck file: Anki's headers, then one note per line
+     * @param {Array<Object>} notes - Notes from toNote
+     * @param {Object} options - { deck }
+     * @returns {string} Tab-separated notes
+     */
+    toTSV(notes, { deck = AnkiExport.DEFAULT_DECK } = {}) {
+        // Fields are HTML, so tabs and line breaks are the only characters left to clean
+        const field = value => String(value).replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+        const headers = [
+            '#separator:tab',
+            '#html:true',
+            `#notetype:${AnkiExport.NOTE_TYPE}`,
+            `#deck:${field(deck).replace(/<br>/g, ' ').trim() || AnkiExport.DEFAULT_DECK}`,
+            '#guid column:1',
+            '#tags column:4'
+        ];
+        const lines = notes.map(note => [note.guid, note.front, note.back, note.tags.join(' ')].map(field).join('\t'));
+        return headers.concat(lines).join('\n') + '\n';
+    },
+
+    /**
+     * Save the deck of the filtered tasks
+     * @param {Array} tasks - Tasks from filterTasks
+     * @param {Object} options - { deck }
+     * @returns {string} Name of the saved file
+     */
+    download(tasks, { deck = AnkiExport.DEFAULT_DECK } = {}) {
+        const text = AnkiExport.toTSV(tasks.map(AnkiExport.toNote), { deck });
+        // No BOM - Anki reads the headers from the very first line
+        const fileName = TableExport.getFileName(`anki ${deck.replace(/::/g, ' ')}`, 'txt');
+        TableExport.saveBlob(new Blob([text], { type: 'text/plain;charset=utf-8;' }), fileName);
+
+        console.log(`🃏 Exported ${tasks.length} Anki notes to ${fileName}`);
+        return fileName;
+    },
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnkiExport;
+}
+
+// Make AnkiExport available globally
+if (typeof window !== 'undefined') {
+    window.AnkiExport = AnkiExport;
+}
@@ -0,0 +1,224 @@
+/**
+ * Anki Export Manager
+ * "Fiszki Anki" view: StudyTasks filtered by subject, category, date range and
+ * correctness are previewed as flashcards and saved as an Anki deck (AnkiExport).
+ */
+class AnkiExportManager {
+    constructor(config, googleSheetsAPI) {
+        this.config = config;
+        this.googleSheetsAPI = googleSheetsAPI;
+        this.tasks = [];
+        this.filtered = [];
+
+        this.init();
+    }
+
+    init() {
+        const deckInput = document.getElementById('anki-deck');
+        if (deckInput && !deckInput.value) {
+            deckInput.value = AnkiExport.DEFAULT_DECK;
+        }
+
+        const subjectSelect = document.getElementById('anki-subject');
+        if (subjectSelect) {
+            // The category list follows the subject
+            subjectSelect.addEventListener('change', () => {
+                this.renderCategoryOptions();
+                this.applyFilters();
+            });
+        }
+
+        ['anki-category', 'anki-from', 'anki-to'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.addEventListener('change', () => this.applyFilters());
+        });
+
+        document.querySelectorAll('input[name="anki-outcome"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.applyFilters());
+        });
+
+        const downloadBtn = document.getElementById('anki-download');
+        if (downloadBtn) {
+            downloadBtn.addEventListener('click', () => this.download());
+        }
+    }
+
+    /**
+     * Show the view (called by LeftNavigationManager) - tasks are read anew every time
+     */
+    show() {
+        this.load();
+    }
+
+    // =============================================
+    // DATA
+    // =============================================
+
+    async load() {
+        this.setStatus('⏳ Wczytywanie zadań...');
+        this.updateButton();
+
+        try {
+            const response = await this.googleSheetsAPI.getStudyTasks();
+            if (!response.success) {
+                throw new Error(response.error || 'Nie udało się wczytać zadań');
+            }
+
+            this.tasks = response.tasks || [];
+            this.renderSubjectOptions();
+            this.renderCategoryOptions();
+            this.applyFilters();
+        } catch (error) {
+            console.error('❌ Anki export tasks failed to load:', error);
+            this.tasks = [];
+            this.filtered = [];
+            this.setStatus(`❌ ${error.message}`);
+            this.renderPreview();
+            this.updateButton();
+        }
+    }
+
+    getFilters() {
+        const value = id => {
+            const input = document.getElementById(id);
+            return input ? input.value : '';
+        };
+
+        return {
+            subject: value('anki-subject'),
+            category: value('anki-category'),
+            from: value('anki-from'),
+            to: value('anki-to'),
+            outcomes: Array.from(document.querySelectorAll('input[name="anki-outcome"]:checked')).map(checkbox => checkbox.value)
+        };
+    }
+
+    applyFilters() {
+        const filters = this.getFilters();
+        this.filtered = AnkiExport.filterTasks(this.tasks, filters);
+
+        if (filters.outcomes.length === 0) {
+            this.setStatus('Zaznacz co najmniej jeden wynik zadań.');
+        } else if (filters.from && filters.to && filters.from > filters.to) {
+            this.setStatus('Data początkowa jest późniejsza niż końcowa.');
+        } else {
+            this.setStatus(`🃏 ${this.filtered.length} z ${this.tasks.length} zadań trafi do talii`);
+        }
+
+        this.renderPreview();
+        this.updateButton();
+    }
+
+    // =============================================
+    // VIEW
+    // =============================================
+
+    renderSubjectOptions() {
+        const select = document.getElementById('anki-subject');
+        if (!select) return;
+
+        const current = select.value;
+        const subjects = [...new Set(this.tasks.map(task => task.subject).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b, 'pl'));
+
+        select.innerHTML = '<option value="">Wszystkie przedmioty</option>' + subjects
+            .map(subject => `<option value="${this.escapeHtml(subject)}">${this.escapeHtml(subject)}</option>`)
+            .join('');
+        select.value = subjects.includes(current) ? current : '';
+    }
+
+    renderCategoryOptions() {
+        const select = document.getElementById('anki-category');
+        if (!select) return;
+
+        const current = select.value;
+        const subject = document.getElementById('anki-subject')?.value || '';
+        const categories = [...new Set(this.tasks
+            .filter(task => !subject || task.subject === subject)
+            .flatMap(task => TaskImport.splitList(task.categories)))]
+            .sort((a, b) => a.localeCompare(b, 'pl'));
+
+        select.innerHTML = '<option value="">Wszystkie kategorie</option>' + categories
+            .map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`)
+            .join('');
+        select.value = categories.includes(current) ? current : '';
+    }
+
+    renderPreview() {
+        const container = document.getElementById('anki-preview');
+        if (!container) return;
+
+        if (this.filtered.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // Notes are HTML already (AnkiExport.toNote escapes the task text)
+        const notes = this.filtered.slice(-AnkiExport.PREVIEW_LIMIT).reverse().map(task => AnkiExport.toNote(task));
+        container.innerHTML = `
+            <h3>Podgląd (najnowsze fiszki)</h3>
+            <div class="anki-cards">
+                ${notes.map(note => `
+                    <div class="anki-card">
+                        <div class="anki-card-front">${note.front}</div>
+                        <div class="anki-card-back">${note.back}</div>
+                        ${note.tags.length > 0 ? `
+                            <div class="anki-card-tags">${note.tags.map(tag => `<span class="anki-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    updateButton() {
+        const downloadBtn = document.getElementById('anki-download');
+        if (downloadBtn) downloadBtn.disabled = this.filtered.length === 0;
+    }
+
+    setStatus(message) {
+        const status = document.getElementById('anki-status');
+        if (status) status.textContent = message;
+    }
+
+    // =============================================
+    // EXPORT
+    // =============================================
+
+    download() {
+        if (this.filtered.length === 0) return;
+
+        const deck = document.getElementById('anki-deck')?.value.trim() || AnkiExport.DEFAULT_DECK;
+        try {
+            const fileName = AnkiExport.download(this.filtered, { deck });
+            this.setStatus(`✅ Zapisano ${this.filtered.length} fiszek do pliku ${fileName}`);
+        } catch (error) {
+            console.error('❌ Anki export failed:', error);
+            this.setStatus(`❌ Nie udało się zapisać talii: ${error.message}`);
+        }
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    // Also quotes - the result is used inside attribute values
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnkiExportManager;
+}
+
+// Make AnkiExportManager available globally
+if (typeof window !== 'undefined') {
+    window.AnkiExportManager = AnkiExportManager;
+}
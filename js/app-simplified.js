@@ -30,6 +30,13 @@ class SimplifiedFormApp {
         this.setupNavigation();
         this.setupForm();
         this.setupAnalytics();
+        this.setupReviewQueue();
+        this.setupImport();
+        this.setupAnkiExport();
+        this.setupReport();
+        this.setupAchievements();
+        this.setupStreaks();
+        this.setupSettingsSync();
         this.setupStudyTracking();
         this.showView('form'); // Default to form view
     }
@@ -124,6 +131,87 @@ class SimplifiedFormApp {
         }
     }
 
+    /**
+     * Setup the spaced-repetition review queue
+     */
+    setupReviewQueue() {
+        if (typeof ReviewManager !== 'undefined') {
+            this.reviewManager = new ReviewManager(this.config, this.googleSheetsAPI);
+            // Expose globally for LeftNavigation to access
+            window.reviewManager = this.reviewManager;
+            // Load in the background so the nav badge shows what is due today
+            this.reviewManager.load().catch(e => console.warn('Review queue preload failed:', e));
+        }
+    }
+
+    /**
+     * Setup the CSV/XLSX task import view
+     */
+    setupImport() {
+        if (typeof ImportManager !== 'undefined') {
+            this.importManager = new ImportManager(this.config, this.googleSheetsAPI);
+            // Expose globally for LeftNavigation to access
+            window.importManager = this.importManager;
+        }
+    }
+
+    /**
+     * Setup the Anki deck export of wrong answers
+     */
+    setupAnkiExport() {
+        if (typeof AnkiExportManager !== 'undefined') {
+            this.ankiExportManager = new AnkiExportManager(this.config, this.googleSheetsAPI);
+            // Expose globally for LeftNavigation to access
+            window.ankiExportManager = this.ankiExportManager;
+        }
+    }
+
+    /**
+     * Setup the printable progress report view
+     */
+    setupReport() {
+        if (typeof ReportManager !== 'undefined') {
+            this.reportManager = new ReportManager(this.config, this.googleSheetsAPI);
+            // Expose globally for LeftNavigation to access
+            window.reportManager = this.reportManager;
+        }
+    }
+
+    /**
+     * Setup achievements evaluated from the Achievements sheet and the task history
+     */
+    setupAchievements() {
+        if (typeof AchievementSystem !== 'undefined') {
+            this.achievementSystem = new AchievementSystem(this.config, this.googleSheetsAPI);
+            // Expose globally for LeftNavigation and SettingsManager
+            window.achievementSystem = this.achievementSystem;
+            // Evaluate in the background so unlocks since the last visit are announced
+            this.achievementSystem.refresh();
+        }
+    }
+
+    /**
+     * Setup streaks recomputed from the task history
+     */
+    setupStreaks() {
+        if (typeof StreakManager !== 'undefined') {
+            this.streakManager = new StreakManager(this.config, this.googleSheetsAPI);
+            // Expose globally for achievements, quick tasks and SettingsManager
+            window.streakManager = this.streakManager;
+            this.streakManager.refresh();
+        }
+    }
+
+    /**
+     * Sync exam, goal and Pomodoro settings with the Settings sheet
+     */
+    setupSettingsSync() {
+        if (window.settingsManager) {
+            window.settingsManager.connect(this.googleSheetsAPI)
+                .catch(e => console.warn('Settings sync failed:', e));
+        }
+    }
+
     /**
      * Setup study tracking functionality
      */
@@ -189,20 +277,28 @@ class SimplifiedFormApp {
         
         // Task completion buttons
         const correctTaskBtn = document.getElementById('correct-task-btn');
+        const partialTaskBtn = document.getElementById('partial-task-btn');
         const incorrectTaskBtn = document.getElementById('incorrect-task-btn');
         
         if (correctTaskBtn) {
             correctTaskBtn.addEventListener('click', () => {
                 console.log('✅ Correct task recorded');
-                this.recordStudyTask(true);
+                this.recordStudyTask(Correctness.OUTCOMES.CORRECT);
                 this.showDopamineFeedback(true, correctTaskBtn);
             });
         }
         
+        if (partialTaskBtn) {
+            partialTaskBtn.addEventListener('click', () => {
+                console.log('🟡 Partially correct task recorded');
+                this.recordStudyTask(Correctness.OUTCOMES.PARTIAL);
+            });
+        }
+        
         if (incorrectTaskBtn) {
             incorrectTaskBtn.addEventListener('click', () => {
                 console.log('❌ Incorrect task recorded');
-                this.recordStudyTask(false);
+                this.recordStudyTask(Correctness.OUTCOMES.INCORRECT);
                 this.showDopamineFeedback(false, incorrectTaskBtn);
             });
         }
@@ -1357,6 +1453,7 @@ class SimplifiedFormApp {
     resetStudyCounters() {
         const totalCounter = document.getElementById('total-tasks-counter');
         const correctCounter = document.getElementById('correct-tasks-counter');
+        const partialCounter = document.getElementById('partial-tasks-counter');
         const incorrectCounter = document.getElementById('incorrect-tasks-counter');
         const currentTaskNumber = document.getElementById('current-task-number');
         const currentTaskTime = document.getElementById('current-task-time');
@@ -1364,6 +1461,7 @@ class SimplifiedFormApp {
         
         if (totalCounter) totalCounter.textContent = '0';
         if (correctCounter) correctCounter.textContent = '0';
+        if (partialCounter) partialCounter.textContent = '0';
         if (incorrectCounter) incorrectCounter.textContent = '0';
         if (currentTaskNumber) currentTaskNumber.textContent = '1';
         if (currentTaskTime) currentTaskTime.textContent = '00:00';
@@ -1496,6 +1594,12 @@ class SimplifiedFormApp {
                 
                 subjectSelect.innerHTML = optionsHTML;
                 subjectSelect.disabled = false;
+                
+                // Review sessions start on the subject of the reviewed task
+                const reviewSubject = this.reviewManager ? this.reviewManager.getPendingSubject() : null;
+                if (reviewSubject) {
+                    subjectSelect.value = reviewSubject;
+                }
             }
         } catch (error) {
             console.warn('Could not load subjects for session config:', error);
@@ -1529,6 +1633,7 @@ class SimplifiedFormApp {
             durationMinutes: 0,
             totalTasks: 0,
             correctTasks: 0,
+            partialTasks: 0,
             incorrectTasks: 0,
             accuracyPercentage: 0,
             notes: sessionNotes || '',
@@ -1569,32 +1674,34 @@ class SimplifiedFormApp {
     
     /**
      * Record a task during the session - saves with current form data
+     * @param {string|boolean} outcome - 'correct', 'partial' or 'incorrect' (any value Correctness accepts)
      */
-    recordStudyTask(isCorrect) {
+    recordStudyTask(outcome) {
         if (!this.isSessionActive || !this.currentSession) {
             this.startStudySession();
             return;
         }
         
+        const normalizedOutcome = Correctness.getOutcome(outcome);
+        
         // Immediate visual feedback
-        this.showTaskRecordingFeedback(isCorrect);
+        this.showTaskRecordingFeedback(normalizedOutcome);
         
         // Store the correctness for when the task is saved
-        this.pendingTaskCorrectness = isCorrect;
+        this.pendingTaskCorrectness = normalizedOutcome;
         
         // Save the task with current form data
         this.saveCurrentTask();
         
-        console.log('📝 Task correctness recorded:', isCorrect, 'saving with form data');
+        console.log('📝 Task correctness recorded:', normalizedOutcome, 'saving with form data');
     }
     
     /**
      * Show immediate visual feedback for task recording
+     * @param {string} outcome - 'correct', 'partial' or 'incorrect'
      */
-    showTaskRecordingFeedback(isCorrect) {
-        const button = isCorrect ? 
-            document.getElementById('correct-task-btn') : 
-            document.getElementById('incorrect-task-btn');
+    showTaskRecordingFeedback(outcome) {
+        const button = document.getElementById(`${outcome}-task-btn`);
             
         if (button) {
             // Add immediate visual feedback
@@ -1632,6 +1739,13 @@ class SimplifiedFormApp {
         // Apply saved defaults (if any) after categories are populated
         this.applyTaskDefaultsToForm();
         
+        // A task picked in the review queue replaces the defaults
+        const review = this.reviewManager ? this.reviewManager.takePendingReview() : null;
+        if (review) {
+            this.applyTaskValuesToForm(review);
+            console.log('🔁 Task form pre-filled from the review queue:', review.task_name);
+        }
+        
         console.log('📋 Task form initialized for session (with defaults if available)');
     }
     
@@ -1747,17 +1861,13 @@ class SimplifiedFormApp {
         
         this.sessionTasks.push(task);
         
-        // Update session counters
-        this.currentSession.totalTasks++;
-        if (this.pendingTaskCorrectness) {
-            this.currentSession.correctTasks++;
-        } else {
-            this.currentSession.incorrectTasks++;
-        }
-        
-        // Calculate accuracy
-        this.currentSession.accuracyPercentage = this.currentSession.totalTasks > 0 ? 
-            Math.round((this.currentSession.correctTasks / this.currentSession.totalTasks) * 100) : 0;
+        // Update session counters - accuracy counts partial solutions with their weight
+        const summary = Correctness.summarize(this.sessionTasks);
+        this.currentSession.totalTasks = summary.total;
+        this.currentSession.correctTasks = summary.correct;
+        this.currentSession.partialTasks = summary.partial;
+        this.currentSession.incorrectTasks = summary.incorrect;
+        this.currentSession.accuracyPercentage = summary.accuracy;
         
         // Update UI counters
         this.updateTaskCounters();
@@ -1858,13 +1968,10 @@ class SimplifiedFormApp {
         const form = document.getElementById('task-edit-form');
         if (!form) return;
         
-        // Apply text fields
-        const nameInput = form.querySelector('input[name="task_name"]');
-        const descTextarea = form.querySelector('textarea[name="description"]');
-        if (nameInput && defaults.task_name) nameInput.value = defaults.task_name;
-        if (descTextarea && typeof defaults.description === 'string') descTextarea.value = defaults.description;
+        this.applyTaskValuesToForm(defaults);
         
         // Show or clear auto-increment hint
+        const nameInput = form.querySelector('input[name="task_name"]');
         if (defaults.autoIncrementInfo && nameInput) {
             this.showTaskNameAutoHint(defaults.autoIncrementInfo);
         } else {
@@ -1877,10 +1984,27 @@ class SimplifiedFormApp {
             nameInput.dataset.hintListener = 'true';
         }
         
+        console.log('✅ Applied saved task defaults to form');
+    }
+    
+    /**
+     * Fill the task form and mobile selector
+     * @param {Object} values - { task_name, description, categories: [] }
+     */
+    applyTaskValuesToForm(values) {
+        const form = document.getElementById('task-edit-form');
+        if (!form) return;
+        
+        // Apply text fields
+        const nameInput = form.querySelector('input[name="task_name"]');
+        const descTextarea = form.querySelector('textarea[name="description"]');
+        if (nameInput && values.task_name) nameInput.value = values.task_name;
+        if (descTextarea && typeof values.description === 'string') descTextarea.value = values.description;
+        
         // Apply categories to both the hidden and visible selects if present
         const hiddenSelect = document.getElementById('category-select-hidden');
         const visibleSelect = form.querySelector('select[name="category"]');
-        const categories = Array.isArray(defaults.categories) ? defaults.categories : [];
+        const categories = Array.isArray(values.categories) ? values.categories : [];
         
         const applySelection = (selectEl) => {
             if (!selectEl) return;
@@ -1901,8 +2025,6 @@ class SimplifiedFormApp {
         if (hiddenSelect && countDisplay) {
             this.updateCategoryCount(hiddenSelect, countDisplay);
         }
-        
-        console.log('✅ Applied saved task defaults to form');
     }
     
     /**
@@ -1993,11 +2115,13 @@ class SimplifiedFormApp {
     updateTaskCounters() {
         const totalCounter = document.getElementById('total-tasks-counter');
         const correctCounter = document.getElementById('correct-tasks-counter');
+        const partialCounter = document.getElementById('partial-tasks-counter');
         const incorrectCounter = document.getElementById('incorrect-tasks-counter');
         const currentTaskNumber = document.getElementById('current-task-number');
         
         if (totalCounter) totalCounter.textContent = this.currentSession?.totalTasks || 0;
         if (correctCounter) correctCounter.textContent = this.currentSession?.correctTasks || 0;
+        if (partialCounter) partialCounter.textContent = this.currentSession?.partialTasks || 0;
         if (incorrectCounter) incorrectCounter.textContent = this.currentSession?.incorrectTasks || 0;
         if (currentTaskNumber) currentTaskNumber.textContent = (this.sessionTasks.length + 1) || 1;
     }
@@ -2081,11 +2205,13 @@ class SimplifiedFormApp {
         
         const finalTotalTasks = document.getElementById('final-total-tasks');
         const finalCorrectTasks = document.getElementById('final-correct-tasks');
+        const finalPartialTasks = document.getElementById('final-partial-tasks');
         const finalIncorrectTasks = document.getElementById('final-incorrect-tasks');
         const finalAccuracy = document.getElementById('final-accuracy');
         
         if (finalTotalTasks) finalTotalTasks.textContent = this.currentSession.totalTasks || 0;
         if (finalCorrectTasks) finalCorrectTasks.textContent = this.currentSession.correctTasks || 0;
+        if (finalPartialTasks) finalPartialTasks.textContent = this.currentSession.partialTasks || 0;
         if (finalIncorrectTasks) finalIncorrectTasks.textContent = this.currentSession.incorrectTasks || 0;
         if (finalAccuracy) finalAccuracy.textContent = `${this.currentSession.accuracyPercentage || 0}%`;
     }
@@ -2261,8 +2387,8 @@ class SimplifiedFormApp {
             <div class="task-header">
                 <h4 class="task-title">
                     <span class="task-number">Zadanie ${index + 1}</span>
-                    <span class="correctness-badge ${task.correctness === true ? 'correct' : 'incorrect'}">
-                        ${task.correctness === true ? '✅ Poprawnie' : '❌ Błędnie'}
+                    <span class="correctness-badge ${Correctness.getOutcome(task.correctness)}">
+                        ${Correctness.getLabel(task.correctness)}
                     </span>
                 </h4>
             </div>
@@ -2459,10 +2585,12 @@ class SimplifiedFormApp {
     updateSessionSummary() {
         const totalEl = document.getElementById('summary-total');
         const correctEl = document.getElementById('summary-correct');
+        const partialEl = document.getElementById('summary-partial');
         const incorrectEl = document.getElementById('summary-incorrect');
         
         if (totalEl) totalEl.textContent = this.currentSession?.totalTasks || 0;
         if (correctEl) correctEl.textContent = this.currentSession?.correctTasks || 0;
+        if (partialEl) partialEl.textContent = this.currentSession?.partialTasks || 0;
         if (incorrectEl) incorrectEl.textContent = this.currentSession?.incorrectTasks || 0;
     }
     
@@ -2533,6 +2661,17 @@ class SimplifiedFormApp {
             if (response.success) {
                 console.log('✅ Session saved successfully:', response);
                 this.showSuccessNotification('✅ Sesja zapisana pomyślnie!', `ID: ${response.sessionId} | Zadań: ${response.tasksCount}`);
+                if (this.reviewManager) {
+                    // Grade re-attempts and queue new mistakes; the session is saved either way
+                    this.reviewManager.processSavedTasks(tasksForSaving)
+                        .catch(error => console.warn('⚠️ Review queue update failed:', error));
+                }
+                if (this.achievementSystem) {
+                    this.achievementSystem.refresh();
+                }
+                if (this.streakManager) {
+                    this.streakManager.refresh();
+                }
                 this.resetSession();
                 this.hideAnalysisModal();
                 return response;
@@ -2565,7 +2704,7 @@ class SimplifiedFormApp {
         const preparedTasks = this.sessionTasks.map((task, index) => {
             console.log(`📝 Preparing task ${index + 1}:`, task);
             
-            // Convert correctness to Yes/No format for Google Sheets
+            // Convert correctness to the sheet format (Yes / 50/50 / No)
             const correctnessString = this.convertCorrectnessToString(task.correctness);
             console.log(`  - Correctness: ${task.correctness} → ${correctnessString}`);
             
@@ -2631,7 +2770,7 @@ class SimplifiedFormApp {
             const sessionId = form.querySelector('input[name="session_id"]')?.value?.trim() || '';
             const taskOrder = form.querySelector('input[name="task_order"]')?.value?.trim() || '';
             
-            // Convert correctness to Yes/No format for Google Sheets
+            // Convert correctness to the sheet format (Yes / 50/50 / No)
             console.log(`📊 Correctness debug for task ${index + 1}:`);
             console.log('  - Original task:', originalTask);
             console.log('  - Original correctness:', originalTask.correctness, '(type:', typeof originalTask.correctness, ')');
@@ -2707,7 +2846,7 @@ class SimplifiedFormApp {
                     task_name: task.task_name,
                     description: task.description,
                     categories: task.categories, // This will be mapped correctly
-                    correctly_completed: task.correctly_completed, // This is already 'Yes'/'No'
+                    correctly_completed: task.correctly_completed, // Already in sheet format (Yes / 50/50 / No)
                     start_time: task.start_time,
                     end_time: task.end_time,
                     location: task.location,
@@ -2716,7 +2855,10 @@ class SimplifiedFormApp {
                 };
                 
                 try {
-                    await this.googleSheetsAPI.submitStudyTask(taskDataForAPI);
+                    const result = await this.googleSheetsAPI.submitStudyTask(taskDataForAPI);
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
                     tasksSaved++;
                     console.log(`✅ Task ${tasksSaved} saved successfully`);
                 } catch (taskError) {
@@ -2727,7 +2869,10 @@ class SimplifiedFormApp {
             
             // Save session summary
             try {
-                await this.googleSheetsAPI.addStudySession(sessionData.sessionData);
+                const result = await this.googleSheetsAPI.addStudySession(sessionData.sessionData);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
                 sessionSaved = true;
                 console.log('✅ Session summary saved successfully');
             } catch (sessionError) {
@@ -2753,39 +2898,6 @@ class SimplifiedFormApp {
         }
     }
     
-    /**
-     * Legacy save method (kept for fallback)
-     */
-    async saveToGoogleSheets(sessionData) {
-        try {
-            const formData = new FormData();
-            formData.append('action', 'saveCompleteStudySession');
-            formData.append('spreadsheetId', this.config.SPREADSHEET_ID);
-            formData.append('data', JSON.stringify(sessionData));
-            
-            const response = await fetch(this.config.GAS_WEB_APP_URL, {
-                method: 'POST',
-                mode: 'no-cors',
-                body: formData
-            });
-            
-            // Note: no-cors mode means we can't read the response body
-            // We assume success if no error is thrown
-            return {
-                success: true,
-                message: 'Session saved successfully',
-                sessionId: sessionData.sessionData.session_id,
-                tasksCount: sessionData.tasks.length
-            };
-            
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-    
     /**
      * Reset session data
      */
@@ -2810,33 +2922,12 @@ class SimplifiedFormApp {
     }
     
     /**
-     * Convert correctness value to standardized Yes/No string for Google Sheets
+     * Convert correctness value to the value stored in the correctly_completed column
      * @param {*} correctness - Correctness value (boolean, string, etc.)
-     * @returns {string} "Yes" or "No"
+     * @returns {string} "Yes", "50/50" or "No"
      */
     convertCorrectnessToString(correctness) {
-        // Handle boolean values
-        if (typeof correctness === 'boolean') {
-            return correctness ? 'Yes' : 'No';
-        }
-        
-        // Handle string values
-        if (typeof correctness === 'string') {
-            const corrValue = correctness.toLowerCase();
-            if (corrValue === 'yes' || corrValue === 'true' || corrValue === 'poprawnie' || corrValue === 'dobrze') {
-                return 'Yes';
-            }
-            if (corrValue === 'no' || corrValue === 'false' || corrValue === 'błędnie' || corrValue === 'źle') {
-                return 'No';
-            }
-            // If already "Yes" or "No", return as is
-            if (corrValue === 'yes') return 'Yes';
-            if (corrValue === 'no') return 'No';
-        }
-        
-        // Default to 'No' for any unrecognized values
-        console.warn('Unknown correctness value:', correctness, 'defaulting to "No"');
-        return 'No';
+        return Correctness.toSheetValue(correctness);
     }
     
     /**
@@ -3159,9 +3250,15 @@ class SimplifiedFormApp {
             updateLoadingStep(loadingId, 3, 'active');
             updateLoadingText(loadingId, 'Zapisywanie w Google Sheets...');
             
+            // One id per filled-in form: resubmitting after an error updates the same row
+            if (!form.dataset.taskId) {
+                form.dataset.taskId = this.generateTaskId();
+            }
+            
             // Prepare data for Google Apps Script backend using StudyTasks structure
             // Backend expects StudyTasks format: task_id, task_name, description, categories, correctly_completed, start_time, end_time, location, subject, session_id
             const taskData = {
+                task_id: form.dataset.taskId,
                 task_name: formData.task_name,
                 description: formData.description,
                 categories: formData.categories,
@@ -3188,7 +3285,10 @@ class SimplifiedFormApp {
                 }, 1000);
                 
                 form.reset();
+                delete form.dataset.taskId;
                 this.clearValidation(form);
+            } else {
+                throw new Error(result.error || 'Nieznany błąd');
             }
         } catch (error) {
             console.error('Submission error:', error);
@@ -389,7 +389,7 @@ class AppLoader {
             
             if (typeof AchievementSystem !== 'undefined') {
                 try {
-                    window.achievementSystem = new AchievementSystem(this.config);
+                    window.achievementSystem = new AchievementSystem(this.config, this.googleSheetsAPI);
                 } catch (error) {}
             }
 
@@ -401,7 +401,7 @@ class AppLoader {
             
             if (typeof StreakManager !== 'undefined') {
                 try {
-                    window.streakManager = new StreakManager(this.config);
+                    window.streakManager = new StreakManager(this.config, this.googleSheetsAPI);
                 } catch (error) {}
             }
             
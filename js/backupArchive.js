@@ -0,0 +1,349 @@
+/**
+ * Backup Archive
+ * Full backup of the study data as one versioned JSON file, and its restore
+ * into either storage backend (Google Sheets or this browser's IndexedDB).
+ *
+ * An archive holds every collection of BackupArchive.COLLECTIONS read through
+ * a storage adapter, the synced settings and a snapshot of the streak. A
+ * restore is validated and compared with the target first (new records,
+ * unchanged ones and conflicts - same key, different values), then replayed
+ * with the backend's own write actions. Those writes are upserts keyed like
+ * the sheet rows, so restoring the same archive twice changes nothing.
+ */
+const BackupArchive = {
+    FORMAT: 'studyflow-backup',
+    // Raise when the archive layout changes; validate() refuses newer archives
+    VERSION: 1,
+
+    // Records of a collection are written in batches of this size (batch actions only)
+    BATCH_SIZE: 100,
+
+    // Fields the backend writes itself - differences in them are not conflicts
+    IGNORED_FIELDS: ['updated_at', 'user_id', 'active'],
+
+    /**
+     * Collections of the archive:
+     *   read / write - storage actions, key - field that identifies a record,
+     *   perProfile   - rows belong to the active student profile (user_id),
+     *   profileKeys  - every profile has its own record of a key (achievement unlocks),
+     *                  so the stored rows a restore is compared with are the target profile's,
+     *   updateType   - formType of the `update` action that overwrites an existing record,
+     *   batch        - write takes an array of records
+     */
+    COLLECTIONS: {
+        studyTasks: { label: 'Zadania', read: 'getStudyTasks', write: 'addStudyTask', key: 'task_id', perProfile: true },
+        tasks: { label: 'Szybkie zadania', read: 'getTasks', write: 'addTask', key: 'task_id', perProfile: true },
+        studySessions: { label: 'Sesje nauki', read: 'getStudySessions', write: 'addStudySession', key: 'session_id', perProfile: true },
+        pomodoroSessions: { label: 'Sesje Pomodoro', read: 'getPomodoroSessions', write: 'addPomodoroSession', key: 'session_id', perProfile: true },
+        reviewCards: { label: 'Karty powtórek', read: 'getReviewQueue', write: 'saveReviewCards', key: 'card_id', perProfile: true, batch: true },
+        subjects: { label: 'Przedmioty', read: 'getSubjects', write: 'addSubject', key: 'subject_name', updateType: 'subject' },
+        categories: { label: 'Kategorie', read: 'getCategories', write: 'addCategory', key: 'category_name', updateType: 'category' },
+        achievements: { label: 'Osiągnięcia', read: 'getAchievements', write: 'updateAchievement', key: 'achievement_id', perProfile: true, profileKeys: true }
+    },
+
+    // =============================================
+    // EXPORT
+    // =============================================
+
+    /**
+     * Read every collection from a storage backend
+     * @param {StorageAdapter} storage - Backend to read
+     * @param {string} profileId - Student profile whose rows are read ('' for every row)
+     * @param {string} targetProfileId - Profile read for `profileKeys` collections (defaults to profileId)
+     * @returns {Promise<Object>} { collection: records }
+     * @throws {Error} When a collection cannot be read
+     */
+    async readCollections(storage, profileId = '', targetProfileId = profileId) {
+        const collections = {};
+
+        for (const [name, collection] of Object.entries(BackupArchive.COLLECTIONS)) {
+            const userId = collection.profileKeys ? targetProfileId : profileId;
+            const params = collection.perProfile && userId ? { user_id: userId } : {};
+            const response = await storage.read(collection.read, params);
+            if (!response || !response.success) {
+                throw new Error(`${collection.label}: ${(response && response.error) || 'nie udało się odczytać danych'}`);
+            }
+            collections[name] = Array.isArray(response.data) ? response.data : [];
+        }
+
+        return collections;
+    },
+
+    /**
+     * Build an archive
+     * @param {Object} contents - { collections, settings, streak, profile, source }
+     * @returns {Object} Archive
+     */
+    create({ collections, settings = {}, streak = {}, profile = null, source = '' }) {
+        return {
+            format: BackupArchive.FORMAT,
+            version: BackupArchive.VERSION,
+            exported_at: new Date().toISOString(),
+            source,
+            profile,
+            settings,
+            streak,
+            collections
+        };
+    },
+
+    /**
+     * File name of an archive: studyflow-backup-<profile>-<date>.json
+     * @param {Object} archive - Archive
+     * @returns {string} File name
+     */
+    getFileName(archive) {
+        const profile = archive.profile && archive.profile.id ? `-${archive.profile.id}` : '';
+        return `${BackupArchive.FORMAT}${profile}-${String(archive.exported_at).slice(0, 10)}.json`;
+    },
+
+    // =============================================
+    // IMPORT
+    // =============================================
+
+    /**
+     * Check that a parsed file is an archive this version can restore
+     * @param {*} archive - Parsed JSON
+     * @returns {Object} { valid, errors: [string], warnings: [string] }
+     */
+    validate(archive) {
+        const errors = [];
+        const warnings = [];
+
+        if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+            return { valid: false, errors: ['Plik nie zawiera obiektu JSON'], warnings };
+        }
+        if (archive.format !== BackupArchive.FORMAT) {
+            return { valid: false, errors: ['To nie jest kopia zapasowa StudyFlow (brak pola format)'], warnings };
+        }
+        if (!Number.isInteger(archive.version) || archive.version < 1) {
+            errors.push(`Nieprawidłowa wersja kopii: ${archive.version}`);
+        } else if (archive.version > BackupArchive.VERSION) {
+            errors.push(`Kopia pochodzi z nowszej wersji aplikacji (wersja ${archive.version}) - zaktualizuj aplikację`);
+        }
+
+        const collections = archive.collections;
+        if (!collections || typeof collections !== 'object' || Array.isArray(collections)) {
+            errors.push('Kopia nie zawiera danych (collections)');
+            return { valid: false, errors, warnings };
+        }
+
+        Object.keys(collections).forEach(name => {
+            const collection = BackupArchive.COLLECTIONS[name];
+            if (!collection) {
+                warnings.push(`Nieznany zbiór "${name}" zostanie pominięty`);
+                return;
+            }
+
+            const records = collections[name];
+            if (!Array.isArray(records)) {
+                errors.push(`${collection.label}: oczekiwano listy rekordów`);
+                return;
+            }
+
+            const seen = new Set();
+            records.forEach((record, index) => {
+                const key = record && typeof record === 'object' ? String(record[collection.key] ?? '').trim() : '';
+                if (!key) {
+                    errors.push(`${collection.label}: rekord ${index + 1} nie ma pola ${collection.key}`);
+                } else if (seen.has(key)) {
+                    warnings.push(`${collection.label}: "${key}" występuje kilka razy - przywrócony zostanie ostatni`);
+                }
+                seen.add(key);
+            });
+        });
+
+        if (archive.settings !== undefined && (typeof archive.settings !== 'object' || Array.isArray(archive.settings))) {
+            errors.push('Ustawienia w kopii mają nieprawidłowy format');
+        }
+
+        return { valid: errors.length === 0, errors, warnings };
+    },
+
+    /**
+     * Compare the archive with the data already in the target backend. Records are keyed
+     * across profiles, so `current` should hold the rows of every profile.
+     * @param {Object} archive - Valid archive
+     * @param {Object} current - { collection: records } of the target
+     * @returns {Object} { collection: { added: [record], unchanged: [record], conflicts: [{ key, fields, record, target }] } }
+     */
+    compare(archive, current) {
+        const comparison = {};
+
+        Object.entries(BackupArchive.COLLECTIONS).forEach(([name, collection]) => {
+            const result = { added: [], unchanged: [], conflicts: [] };
+            comparison[name] = result;
+
+            const existing = new Map();
+            (current[name] || []).forEach(record => existing.set(String(record[collection.key]), record));
+
+            BackupArchive.getRecords(archive, name).forEach(record => {
+                const key = String(record[collection.key]).trim();
+                const target = existing.get(key);
+
+                // Only unlocks are restored - they add to what is stored and never conflict
+                if (name === 'achievements') {
+                    const unlocks = BackupArchive.isUnlocked(record) && !(target && BackupArchive.isUnlocked(target));
+                    result[unlocks ? 'added' : 'unchanged'].push(record);
+                    return;
+                }
+
+                if (!target) {
+                    result.added.push(record);
+                    return;
+                }
+
+                const fields = BackupArchive.getChangedFields(record, target);
+                if (fields.length === 0) {
+                    result.unchanged.push(record);
+                } else {
+                    result.conflicts.push({ key, fields, record, target });
+                }
+            });
+        });
+
+        return comparison;
+    },
+
+    /**
+     * Records of one collection, the last one of each key (see validate)
+     */
+    getRecords(archive, name) {
+        const collection = BackupArchive.COLLECTIONS[name];
+        const byKey = new Map();
+        (archive.collections[name] || []).forEach(record => byKey.set(String(record[collection.key]).trim(), record));
+        return Array.from(byKey.values());
+    },
+
+    /**
+     * Fields whose value differs between an archived record and the stored one
+     * @returns {Array<string>} Field names
+     */
+    getChangedFields(record, target) {
+        return Object.keys(record).filter(field => {
+            if (BackupArchive.IGNORED_FIELDS.includes(field)) return false;
+            return BackupArchive.normalizeValue(record[field]) !== BackupArchive.normalizeValue(target[field]);
+        });
+    },
+
+    /**
+     * Value as compared between backends: sheets return numbers, booleans and dates
+     * where IndexedDB may keep strings
+     */
+    normalizeValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        const text = String(value).trim();
+        if (/^(true|false)$/i.test(text)) return text.toLowerCase();
+        // ISO times written by different backends may differ in precision
+        if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !isNaN(Date.parse(text))) return new Date(text).toISOString();
+        return text;
+    },
+
+    isUnlocked(achievement) {
+        return achievement.unlocked === true || String(achievement.unlocked).toLowerCase() === 'true';
+    },
+
+    /**
+     * Writes that restore an archive
+     * @param {Object} comparison - Result of compare()
+     * @param {Object} options - { overwrite: replace conflicting records, profileId: profile new rows are restored to }
+     * @returns {Array} [{ collection, action, data, params, keys }]
+     */
+    planWrites(comparison, { overwrite = false, profileId = '' } = {}) {
+        const writes = [];
+
+        Object.entries(BackupArchive.COLLECTIONS).forEach(([name, collection]) => {
+            const result = comparison[name];
+            if (!result) return;
+
+            // Overwritten rows stay with the profile they belong to
+            const toRecord = (record, target) => {
+                const copy = { ...record };
+                if (collection.perProfile && profileId) copy.user_id = (target && target.user_id) || profileId;
+                return copy;
+            };
+            const keyOf = record => String(record[collection.key]).trim();
+
+            const added = result.added.map(record => toRecord(record));
+            const conflicting = overwrite ? result.conflicts.map(conflict => toRecord(conflict.record, conflict.target)) : [];
+
+            if (collection.batch) {
+                const records = added.concat(conflicting);
+                for (let i = 0; i < records.length; i += BackupArchive.BATCH_SIZE) {
+                    const batch = records.slice(i, i + BackupArchive.BATCH_SIZE);
+                    writes.push({ collection: name, action: collection.write, data: batch, params: {}, keys: batch.map(keyOf) });
+                }
+                return;
+            }
+
+            const write = (record, action, params = {}) => {
+                writes.push({ collection: name, action, data: record, params, keys: [keyOf(record)] });
+            };
+
+            added.forEach(record => write(BackupArchive.toWriteData(name, record), collection.write));
+            conflicting.forEach(record => {
+                if (collection.updateType) {
+                    // Adding a name that exists is refused - the stored record is updated instead
+                    write(record, 'update', { formType: collection.updateType, itemId: keyOf(record) });
+                } else {
+                    write(BackupArchive.toWriteData(name, record), collection.write);
+                }
+            });
+        });
+
+        return writes;
+    },
+
+    /**
+     * `data` of a write for one archived record
+     */
+    toWriteData(name, record) {
+        if (name === 'achievements') {
+            const data = { achievement_id: record.achievement_id, unlocked: true, unlock_date: record.unlock_date || '' };
+            if (record.user_id) data.user_id = record.user_id;
+            return data;
+        }
+        return record;
+    },
+
+    /**
+     * Send the planned writes one after another. A failed write does not stop the restore.
+     * @param {StorageAdapter} storage - Target backend
+     * @param {Array} writes - Result of planWrites()
+     * @param {Function} onProgress - (done, total) after every write
+     * @returns {Promise<Object>} { written, failed: [{ collection, keys, error }] }
+     */
+    async restore(storage, writes, onProgress = () => {}) {
+        let written = 0;
+        const failed = [];
+
+        for (let i = 0; i < writes.length; i++) {
+            const write = writes[i];
+            try {
+                const result = await storage.write(write.action, write.data, write.params);
+                if (!result || !result.success) {
+                    throw new Error((result && result.error) || 'Zapis odrzucony');
+                }
+                written += write.keys.length;
+            } catch (error) {
+                console.warn(`⚠️ Backup restore: ${write.action} ${write.keys.join(', ')} failed`, error);
+                failed.push({ collection: write.collection, keys: write.keys, error: error.message });
+            }
+            onProgress(i + 1, writes.length);
+        }
+
+        console.log(`♻️ Backup restored: ${written} records, ${failed.length} failed writes`);
+        return { written, failed };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupArchive;
+}
+
+// Make BackupArchive available globally
+if (typeof window !== 'undefined') {
+    window.BackupArchive = BackupArchive;
+}
@@ -25,28 +25,7 @@ class ChartsManager {
      * Utility to group tasks by date and compute correct/incorrect and accuracy per day
      */
     buildDailyAggregates(tasks) {
-        const byDate = {};
-        tasks.forEach(task => {
-            const date = (task.start_time || task.timestamp || new Date().toISOString()).split('T')[0];
-            if (!byDate[date]) {
-                byDate[date] = { date, total: 0, correct: 0, incorrect: 0 };
-            }
-            byDate[date].total++;
-            if (this.isTaskCorrect(task)) {
-                byDate[date].correct++;
-            } else {
-                byDate[date].incorrect++;
-            }
-        });
-        const sortedDates = Object.keys(byDate).sort();
-        return sortedDates.map(d => ({
-            date: d,
-            displayDate: new Date(d).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit' }),
-            total: byDate[d].total,
-            correct: byDate[d].correct,
-            incorrect: byDate[d].incorrect,
-            accuracy: byDate[d].total > 0 ? Math.round((byDate[d].correct / byDate[d].total) * 100) : 0
-        }));
+        return AnalyticsMath.buildDailyAggregates(tasks, task => this.getTaskScore(task));
     }
 
     /**
@@ -81,6 +60,14 @@ class ChartsManager {
                         borderWidth: 1,
                         stack: 'tasks'
                     },
+                    {
+                        label: 'Częściowe',
+                        data: daily.map(d => d.partial),
+                        backgroundColor: this.chartColors.warning + 'cc',
+                        borderColor: this.chartColors.warning,
+                        borderWidth: 1,
+                        stack: 'tasks'
+                    },
                     {
                         label: 'Niepoprawne',
                         data: daily.map(d => d.incorrect),
@@ -155,6 +142,17 @@ class ChartsManager {
                         stack: 'tasks',
                         order: 1
                     },
+                    {
+                        type: 'bar',
+                        label: 'Zadania: częściowe',
+                        data: daily.map(d => d.partial),
+                        backgroundColor: this.chartColors.warning + 'b3',
+                        borderColor: this.chartColors.warning,
+                        borderWidth: 1,
+                        yAxisID: 'y1',
+                        stack: 'tasks',
+                        order: 1
+                    },
                     {
                         type: 'bar',
                         label: 'Zadania: niepoprawne',
@@ -263,7 +261,7 @@ class ChartsManager {
                 byDateCat[date] = byDateCat[date] || {};
                 byDateCat[date][cat] = byDateCat[date][cat] || { total: 0, correct: 0 };
                 byDateCat[date][cat].total++;
-                if (this.isTaskCorrect(task)) byDateCat[date][cat].correct++;
+                byDateCat[date][cat].correct += this.getTaskScore(task);
             });
         });
         const sortedDates = Array.from(datesSet).sort();
@@ -606,9 +604,7 @@ container.innerHTML = `
                 
                 dateGroups[date].total++;
                 
-                if (this.isTaskCorrect(task)) {
-                    dateGroups[date].correct++;
-                }
+                dateGroups[date].correct += this.getTaskScore(task);
             });
             
             // Convert to sorted array and calculate cumulative correct count
@@ -1898,13 +1894,14 @@ container.innerHTML = `
      * Helper method to check if task is correct
      */
     isTaskCorrect(task) {
-        if (typeof task.correctness === 'boolean') {
-            return task.correctness === true;
-        } else if (typeof task.correctness === 'string') {
-            const corrValue = task.correctness.toLowerCase();
-            return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true' || corrValue === 'correct';
-        }
-        return false;
+        return Correctness.isCorrect(task);
+    }
+
+    /**
+     * Credit for a task between 0 and 1 (partial solutions count by CONFIG.CORRECTNESS.WEIGHTS)
+     */
+    getTaskScore(task) {
+        return Correctness.getScore(task);
     }
 
     /**
@@ -1931,6 +1928,11 @@ container.innerHTML = `
 }
 
 // Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartsManager;
+}
+
+// Make ChartsManager available globally
 if (typeof window !== 'undefined') {
     window.ChartsManager = ChartsManager;
 }
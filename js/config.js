@@ -22,7 +22,7 @@ const CONFIG = {
         },
         ACHIEVEMENTS: {
             SHEET_NAME: 'Achievements',
-            RANGE: 'A:D' // id, name, description, unlocked_date
+            RANGE: 'A:J' // achievement_id, name, description, icon, type, target_value, points_reward, unlocked, unlock_date, rule
         },
         STUDY_TASKS: {
             SHEET_NAME: 'StudyTasks',
@@ -31,6 +31,10 @@ const CONFIG = {
         STUDY_SESSIONS: {
             SHEET_NAME: 'StudySessions',
             RANGE: 'A:H' // session_id, start_time, end_time, duration_minutes, total_tasks, correct_tasks, accuracy_percentage, notes
+        },
+        REVIEW_QUEUE: {
+            SHEET_NAME: 'ReviewQueue',
+            RANGE: 'A:M' // card_id, task_id, task_name, subject, categories, ease_factor, interval_days, repetitions, lapses, due_date, last_reviewed, last_outcome, created_at
         }
     },
     
@@ -40,18 +44,25 @@ const CONFIG = {
         NAME: 'Egzamin Główny',
         COUNTDOWN_UPDATE_INTERVAL: 1000 // Update every second
     },
-    // Optional: multiple exams (up to 5) for multi-countdown
+    // Optional: multiple exams (up to 5) for multi-countdown.
+    // `subject` links an exam to a subject's tasks for the readiness score (js/examReadiness.js).
     EXAMS: [
-        { name: 'Język polski – pp',     date: '2026-05-04T09:00:00' },
-        { name: 'Matematyka – pp',       date: '2026-05-05T09:00:00' },
-        { name: 'Język angielski – pp',  date: '2026-05-06T09:00:00' },
-        { name: 'Język angielski – pr',  date: '2026-05-07T09:00:00' },
-        { name: 'Matematyka – pr',       date: '2026-05-11T09:00:00' },
-        { name: 'Informatyka – pr',      date: '2026-05-14T09:00:00' }
+        { name: 'Język polski – pp',     date: '2026-05-04T09:00:00', subject: 'Polski' },
+        { name: 'Matematyka – pp',       date: '2026-05-05T09:00:00', subject: 'Matematyka' },
+        { name: 'Język angielski – pp',  date: '2026-05-06T09:00:00', subject: 'Angielski' },
+        { name: 'Język angielski – pr',  date: '2026-05-07T09:00:00', subject: 'Angielski' },
+        { name: 'Matematyka – pr',       date: '2026-05-11T09:00:00', subject: 'Matematyka' },
+        { name: 'Informatyka – pr',      date: '2026-05-14T09:00:00', subject: 'Informatyka' }
     ],
     
     // Google Apps Script Web App URL
     GAS_WEB_APP_URL: 'https://script.google.com/macros/s/AKfycbzoBNAoL9hsXgGkChm5JTUCnQPLrstVRFlqqYNTXs1Sj6aWpT9x-5aFG2EjGAP6ieQ/exec',
+    // Requests to it are signed with the API token each user enters in Settings (STORAGE_KEYS.API_TOKEN).
+    // This file is public - never put the token here.
+    
+    // Storage backend: 'sheets' (Google Apps Script web app) or 'local' (IndexedDB in this browser only).
+    // Can be changed by the user in Settings; the choice is stored under STORAGE_KEYS.STORAGE_BACKEND.
+    STORAGE_BACKEND: 'sheets',
     
     // Demo mode for testing analytics without real Google Sheets data
     DEMO_MODE: false, // Set to false when using real Google Sheets data
@@ -59,8 +70,8 @@ const CONFIG = {
     
     
     
-    // Achievement System - REMOVED - Only use imported data
-    ACHIEVEMENTS: {},
+    // Achievements are defined in the Achievements sheet and evaluated from the
+    // task history (js/achievementEvaluator.js) - nothing to configure here
     
     // Task field configuration
     TASK_FIELDS: {
@@ -116,7 +127,7 @@ const CONFIG = {
             label: 'Wykonano poprawnie',
             type: 'select',
             required: true,
-            options: ['Yes', 'No']
+            options: ['Yes', '50/50', 'No']
         },
         location: {
             name: 'location',
@@ -206,30 +217,86 @@ const CONFIG = {
         }
     },
     
-    // Dashboard configuration
-    DASHBOARD: {
-        CORRECTNESS_MAPPING: {
-            'Dobrze': 'correct',
-            'Źle': 'incorrect', 
-            '50/50': 'partial'
-        },
-        CORRECTNESS_WEIGHTS: {
+    // Correctness scoring (see js/correctness.js) - accuracy is the average score of the tasks
+    CORRECTNESS: {
+        WEIGHTS: {
             'correct': 1.0,
             'incorrect': 0.0,
             'partial': 0.5
         }
     },
     
+    // Exam readiness per CONFIG.EXAMS entry (see js/examReadiness.js)
+    READINESS: {
+        // Share of each component (0-100) in the readiness score
+        WEIGHTS: {
+            'accuracy': 0.5,
+            'coverage': 0.3,
+            'volume': 0.2
+        },
+        TARGET_SCORE: 70,              // Projected score needed to be "on track"
+        TARGET_TASKS: 200,             // Tasks per subject that count as full volume
+        MIN_TASKS_PER_CATEGORY: 3,     // Tasks before a category counts as covered
+        RECENT_DAYS: 30                // Window for current accuracy and study pace
+    },
+    
+    // Spaced repetition of wrong and partial tasks (see js/reviewScheduler.js, SM-2)
+    REVIEW: {
+        // Answer quality (0-5) given to each outcome of a re-attempt; below 3 restarts the card
+        QUALITY: {
+            'correct': 5,
+            'partial': 3,
+            'incorrect': 1
+        },
+        INITIAL_EASE: 2.5,
+        MIN_EASE: 1.3,
+        MAX_INTERVAL_DAYS: 180
+    },
+    
+    // Points per saved task: INCORRECT_TASK for trying, up to CORRECT_TASK by correctness score
+    POINTS: {
+        CORRECT_TASK: 10,
+        INCORRECT_TASK: 2
+    },
+    
+    // Study streaks computed from the task history (see js/streakCalculator.js)
+    STREAKS: {
+        DAY_START_HOUR: 3,             // Tasks before 3:00 count for the previous day (overridable in Settings)
+        MIN_TASKS_PER_DAY: 1,          // Tasks needed for a day to count as active
+        CALENDAR_DAYS: 35,             // Days shown in the streak calendar
+        FREEZES: {
+            ENABLED: true,
+            POINTS_PER_FREEZE: 200,    // One freeze per this many points earned
+            MAX_AVAILABLE: 2           // Freezes held at once
+        }
+    },
+    
+    // Incremental reads of the Tasks / StudyTasks sheets (see js/taskCache.js) and the shared data store (js/dataStore.js)
+    SYNC: {
+        PAGE_SIZE: 500,                // Rows per request
+        FULL_SYNC_HOURS: 24,           // Task cache: download every row again after this long (rows edited by hand)
+        STALE_AFTER_MS: 60000          // Data store: rows older than this are refreshed in the background
+    },
+    
     // Local Storage Keys
     STORAGE_KEYS: {
         EXAM_DATE: 'examDate',
-        CURRENT_STREAK: 'currentStreak',
-        LAST_ACTIVITY_DATE: 'lastActivityDate',
-        TOTAL_POINTS: 'totalPoints',
-        UNLOCKED_ACHIEVEMENTS: 'unlockedAchievements',
         POMODORO_COUNT: 'pomodoroCount',
         TIMER_SETTINGS: 'timerSettings',
-        THEME_PREFERENCE: 'themePreference'
+        THEME_PREFERENCE: 'themePreference',
+        STORAGE_BACKEND: 'storageBackend',
+        API_TOKEN: 'apiToken', // Secret that signs requests to the Apps Script web app (API_SECRET script property)
+        PROFILES: 'profiles', // Student profiles added in this browser (js/profiles.js)
+        ACTIVE_PROFILE: 'activeProfile', // Profile whose data is shown
+        SETTINGS_SYNC: 'settingsSync' // { setting_key: updated_at } of values known to the Settings sheet
+    },
+    
+    // Pomodoro defaults (seconds) - used by Settings and the Pomodoro timer
+    POMODORO: {
+        WORK_DURATION: 25 * 60,
+        SHORT_BREAK: 5 * 60,
+        LONG_BREAK: 15 * 60,
+        SOUND_ENABLED: true
     },
     
     // Goals
@@ -0,0 +1,175 @@
+/**
+ * Correctness
+ * The one place that decides how a task was solved. Sheets, forms and older
+ * data store correctness as booleans, "Yes"/"No", "Poprawnie"/"Błędnie",
+ * "Dobrze"/"Źle" or "50/50"; everything is normalized to an outcome
+ * (correct / partial / incorrect) worth a score from CONFIG.CORRECTNESS.WEIGHTS.
+ * Accuracy is the average score, so a partial solution counts as half by default.
+ */
+const Correctness = {
+    OUTCOMES: {
+        CORRECT: 'correct',
+        PARTIAL: 'partial',
+        INCORRECT: 'incorrect'
+    },
+
+    DEFAULT_WEIGHTS: {
+        correct: 1.0,
+        partial: 0.5,
+        incorrect: 0.0
+    },
+
+    // Written to the correctly_completed column
+    SHEET_VALUES: {
+        correct: 'Yes',
+        partial: '50/50',
+        incorrect: 'No'
+    },
+
+    LABELS: {
+        correct: 'Poprawnie',
+        partial: 'Częściowo',
+        incorrect: 'Błędnie'
+    },
+
+    ICONS: {
+        correct: '✅',
+        partial: '🟡',
+        incorrect: '❌'
+    },
+
+    // Lower-case spellings accepted for each outcome
+    ALIASES: {
+        correct: ['yes', 'tak', 'true', '1', 'correct', 'poprawnie', 'poprawne', 'dobrze'],
+        partial: ['50/50', 'partial', 'częściowo', 'czesciowo', '0.5', '0,5'],
+        incorrect: ['no', 'nie', 'false', '0', 'incorrect', 'wrong', 'błędnie', 'blednie', 'błędne', 'bledne', 'źle', 'zle', 'niepoprawnie', 'niepoprawne']
+    },
+
+    /**
+     * Outcome of a single correctness value
+     * @param {*} value - Boolean, number (1 / 0.5 / 0) or any accepted spelling
+     * @returns {string|null} 'correct' | 'partial' | 'incorrect', or null when the value is empty or unknown
+     */
+    normalize(value) {
+        if (typeof value === 'boolean') {
+            return value ? Correctness.OUTCOMES.CORRECT : Correctness.OUTCOMES.INCORRECT;
+        }
+
+        if (typeof value === 'number') {
+            if (value >= 1) return Correctness.OUTCOMES.CORRECT;
+            if (value <= 0) return Correctness.OUTCOMES.INCORRECT;
+            return Correctness.OUTCOMES.PARTIAL;
+        }
+
+        if (typeof value !== 'string') return null;
+
+        const key = value.trim().toLowerCase();
+        if (!key) return null;
+
+        return Object.keys(Correctness.ALIASES).find(outcome => Correctness.ALIASES[outcome].includes(key)) || null;
+    },
+
+    /**
+     * Outcome of a task, whichever field its source used
+     * (correctly_completed from StudyTasks, correctness from Tasks/forms, poprawnosc from legacy entries).
+     * Tasks without a recognizable value count as incorrect.
+     * @param {Object|*} task - Task, or a bare correctness value
+     * @returns {string} Outcome
+     */
+    getOutcome(task) {
+        if (task === null || typeof task !== 'object') {
+            return Correctness.normalize(task) || Correctness.OUTCOMES.INCORRECT;
+        }
+
+        const fields = ['correctly_completed', 'correctness', 'poprawnosc'];
+        for (const field of fields) {
+            const outcome = Correctness.normalize(task[field]);
+            if (outcome) return outcome;
+        }
+
+        return Correctness.OUTCOMES.INCORRECT;
+    },
+
+    /**
+     * Current weights (CONFIG.CORRECTNESS.WEIGHTS when the app config is loaded)
+     * @returns {Object} { correct, partial, incorrect }
+     */
+    getWeights() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : null;
+        return { ...Correctness.DEFAULT_WEIGHTS, ...(config && config.CORRECTNESS && config.CORRECTNESS.WEIGHTS) };
+    },
+
+    /**
+     * Score of a task between 0 and 1
+     * @param {Object|*} task - Task or correctness value
+     * @returns {number} Score
+     */
+    getScore(task) {
+        return Correctness.getWeights()[Correctness.getOutcome(task)];
+    },
+
+    /**
+     * Fully correct (partial solutions are not)
+     * @param {Object|*} task - Task or correctness value
+     * @returns {boolean}
+     */
+    isCorrect(task) {
+        return Correctness.getOutcome(task) === Correctness.OUTCOMES.CORRECT;
+    },
+
+    /**
+     * @param {Object|*} task - Task or correctness value
+     * @returns {boolean}
+     */
+    isPartial(task) {
+        return Correctness.getOutcome(task) === Correctness.OUTCOMES.PARTIAL;
+    },
+
+    /**
+     * Value stored in the correctly_completed column
+     * @param {*} value - Correctness value or task
+     * @returns {string} 'Yes' | '50/50' | 'No'
+     */
+    toSheetValue(value) {
+        return Correctness.SHEET_VALUES[Correctness.getOutcome(value)];
+    },
+
+    /**
+     * Polish label with icon, e.g. "✅ Poprawnie"
+     * @param {*} value - Correctness value or task
+     * @returns {string} Label
+     */
+    getLabel(value) {
+        const outcome = Correctness.getOutcome(value);
+        return `${Correctness.ICONS[outcome]} ${Correctness.LABELS[outcome]}`;
+    },
+
+    /**
+     * Counts and score-based accuracy of a list of tasks
+     * @param {Array} tasks - Tasks
+     * @returns {Object} { total, correct, partial, incorrect, score, accuracy } - accuracy in whole percent
+     */
+    summarize(tasks) {
+        const summary = { total: tasks.length, correct: 0, partial: 0, incorrect: 0, score: 0, accuracy: 0 };
+        const weights = Correctness.getWeights();
+
+        tasks.forEach(task => {
+            const outcome = Correctness.getOutcome(task);
+            summary[outcome]++;
+            summary.score += weights[outcome];
+        });
+
+        summary.accuracy = summary.total > 0 ? Math.round((summary.score / summary.total) * 100) : 0;
+        return summary;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Correctness;
+}
+
+// Make Correctness available globally
+if (typeof window !== 'undefined') {
+    window.Correctness = Correctness;
+}
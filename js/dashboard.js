@@ -13,6 +13,8 @@ class DashboardManager {
         this.dashboardData = {};
         this.selectedSubject = null;
         this.isLoading = false;
+        this.hasLoaded = false;
+        this.dataStore = window.DataStore ? DataStore.getShared() : null;
 
         this.init();
     }
@@ -26,6 +28,27 @@ class DashboardManager {
         } else {
             this.setupEventListeners();
         }
+        this.subscribeToDataStore();
+    }
+
+    /**
+     * Re-render when a background refresh of the shared data store brings changes
+     */
+    subscribeToDataStore() {
+        if (!this.dataStore) return;
+
+        ['subjects', 'categories', 'entries'].forEach(name => {
+            this.dataStore.subscribe(name, () => {
+                // The first render is done by loadDashboardData (it handles empty states)
+                if (!this.hasLoaded || this.isLoading) return;
+
+                this.subjects = this.dataStore.get('subjects');
+                this.categories = this.dataStore.get('categories');
+                this.entries = this.dataStore.get('entries');
+                this.processDashboardData();
+                this.tryRenderDashboard();
+            });
+        });
     }
 
     /**
@@ -90,7 +113,7 @@ class DashboardManager {
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => {
                 // console.log('Manual refresh clicked - attempting to load real data from Google Sheets...');
-                this.loadDashboardData();
+                this.refreshDashboardData();
             });
         }
 
@@ -99,6 +122,18 @@ class DashboardManager {
         // Dashboard data will be loaded via AppLoader
     }
 
+    /**
+     * Read the dashboard data from the backend again (skips the cache), then render
+     */
+    async refreshDashboardData() {
+        if (this.dataStore) {
+            await Promise.all(['subjects', 'categories', 'entries'].map(name =>
+                this.dataStore.revalidate(name).catch(error => console.warn(`⚠️ Dashboard: could not refresh ${name}`, error))
+            ));
+        }
+        return this.loadDashboardData();
+    }
+
 
     /**
      * Load all dashboard data
@@ -150,9 +185,14 @@ class DashboardManager {
                 let categoriesResponse = { success: false, categories: [] };
                 let entriesResponse = { success: false, entries: [] };
                 
+                // Shared data store: cached rows come back at once and are revalidated in the background
+                const load = (name, key, request) => this.dataStore
+                    ? this.dataStore.load(name).then(rows => ({ success: true, [key]: rows }))
+                    : request();
+                
                 try {
                     // console.log('Fetching subjects...');
-                    subjectsResponse = await fetchWithTimeout(this.googleSheetsAPI.fetchSubjects());
+                    subjectsResponse = await fetchWithTimeout(load('subjects', 'subjects', () => this.googleSheetsAPI.fetchSubjects()));
                     // console.log('%c📚 [DASHBOARD] Subjects response:', 'color: #e67e22; font-weight: bold;', subjectsResponse);
                 } catch (subError) {
                     // console.error('%c❌ [DASHBOARD] Failed to fetch subjects:', 'color: #e74c3c; font-weight: bold;', subError);
@@ -160,7 +200,7 @@ class DashboardManager {
                 
                 try {
                     // console.log('Fetching categories...');
-                    categoriesResponse = await fetchWithTimeout(this.googleSheetsAPI.fetchCategories());
+                    categoriesResponse = await fetchWithTimeout(load('categories', 'categories', () => this.googleSheetsAPI.fetchCategories()));
                     // console.log('%c🏷️ [DASHBOARD] Categories response:', 'color: #8e44ad; font-weight: bold;', categoriesResponse);
                 } catch (catError) {
                     // console.error('%c❌ [DASHBOARD] Failed to fetch categories:', 'color: #e74c3c; font-weight: bold;', catError);
@@ -168,7 +208,7 @@ class DashboardManager {
                 
                 try {
                     // console.log('Fetching tasks...');
-                    entriesResponse = await fetchWithTimeout(this.googleSheetsAPI.getTasks());
+                    entriesResponse = await fetchWithTimeout(load('entries', 'data', () => this.googleSheetsAPI.getTasks()));
                     // console.log('%c📝 [DASHBOARD] Tasks response:', 'color: #27ae60; font-weight: bold;', entriesResponse);
                 } catch (entError) {
                     // console.error('%c❌ [DASHBOARD] Failed to fetch tasks:', 'color: #e74c3c; font-weight: bold;', entError);
@@ -214,6 +254,7 @@ class DashboardManager {
                 // console.log('Using real data from Google Sheets');
                 this.processDashboardData();
                 this.renderDashboard();
+                this.hasLoaded = true;
                 
                 // console.log('Dashboard rendering completed with real data');
                 
@@ -265,16 +306,9 @@ class DashboardManager {
 
         // Clean summary of imported data
         if (this.entries.length > 0) {
-            const correctTasks = this.entries.filter(entry => {
-                if (typeof entry.correctness === 'string') {
-                    return entry.correctness.toLowerCase() === 'poprawnie';
-                } else if (typeof entry.correctness === 'boolean') {
-                    return entry.correctness === true;
-                }
-                return false;
-            }).length;
-            
-            const percentage = Math.round((correctTasks / this.entries.length) * 100);
+            const summary = Correctness.summarize(this.entries);
+            const correctTasks = summary.correct;
+            const percentage = summary.accuracy;
             
             console.log('📊 FINAL IMPORTED DATA SUMMARY:');
             console.log(`✅ Total Tasks: ${this.entries.length}`);
@@ -334,27 +368,8 @@ class DashboardManager {
         let correctScore = 0;
         
         entries.forEach(entry => {
-            // Handle both task format (correctness: boolean/string) and main entry format (poprawnosc: string)
-            let isCorrect = false;
-            
-            if (entry.correctness !== undefined) {
-                // Task format: handle both boolean and string correctness
-                if (typeof entry.correctness === 'boolean') {
-                    isCorrect = entry.correctness;
-                } else if (typeof entry.correctness === 'string') {
-                    // Handle string values like "Poprawnie", "Błędnie", "Dobrze", "Źle"
-                    const corrValue = entry.correctness.toLowerCase();
-                    isCorrect = corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true';
-                }
-            } else if (entry.poprawnosc !== undefined) {
-                // Legacy main entry format: string poprawnosc
-                const corrValue = entry.poprawnosc.toLowerCase();
-                isCorrect = corrValue === 'poprawnie' || corrValue === 'dobrze';
-            }
-            
-            if (isCorrect) {
-                correctScore += 1;
-            }
+            // Task format (correctness) and legacy entries (poprawnosc); partial solutions add their weight
+            correctScore += Correctness.getScore(entry);
         });
 
         const percentage = Math.round((correctScore / entries.length) * 100);
@@ -377,27 +392,8 @@ class DashboardManager {
         let correctScore = 0;
         
         entries.forEach(entry => {
-            // Handle both task format (correctness: boolean/string) and main entry format (poprawnosc: string)
-            let isCorrect = false;
-            
-            if (entry.correctness !== undefined) {
-                // Task format: handle both boolean and string correctness
-                if (typeof entry.correctness === 'boolean') {
-                    isCorrect = entry.correctness;
-                } else if (typeof entry.correctness === 'string') {
-                    // Handle string values like "Poprawnie", "Błędnie", "Dobrze", "Źle"
-                    const corrValue = entry.correctness.toLowerCase();
-                    isCorrect = corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true';
-                }
-            } else if (entry.poprawnosc !== undefined) {
-                // Legacy main entry format: string poprawnosc
-                const corrValue = entry.poprawnosc.toLowerCase();
-                isCorrect = corrValue === 'poprawnie' || corrValue === 'dobrze';
-            }
-            
-            if (isCorrect) {
-                correctScore += 1;
-            }
+            // Task format (correctness) and legacy entries (poprawnosc); partial solutions add their weight
+            correctScore += Correctness.getScore(entry);
         });
 
         const percentage = Math.round((correctScore / entries.length) * 100);
@@ -765,7 +761,7 @@ class DashboardManager {
      * Render an exercise item
      */
     renderExerciseItem(entry) {
-        const correctnessType = this.config.DASHBOARD.CORRECTNESS_MAPPING[entry.poprawnosc] || 'unknown';
+        const correctnessType = Correctness.getOutcome(entry);
         const correctnessText = entry.poprawnosc;
         
         return `
@@ -857,7 +853,7 @@ class DashboardManager {
      * Render exercise item for modal display
      */
     renderExerciseItemInModal(entry) {
-        const correctnessType = this.config.DASHBOARD.CORRECTNESS_MAPPING[entry.poprawnosc] || 'unknown';
+        const correctnessType = Correctness.getOutcome(entry);
         const correctnessText = entry.poprawnosc;
         const correctnessColor = this.getProgressColor(
             correctnessType === 'correct' ? 100 : 
@@ -31,18 +31,10 @@
   let selectedSubjects = new Set();
   let selectedRange = 30; // default 30d
   let dailyDays = 21; // zakres dni dla listy dziennej wg przedmiotów
-  function waitForAnalytics(maxMs = 6000) {
-    const start = Date.now();
-    return new Promise(resolve => {
-      (function check() {
-        if (window.analyticsManager && Array.isArray(window.analyticsManager.tasks) && window.analyticsManager.tasks.length >= 0) {
-          return resolve(true);
-        }
-        if (Date.now() - start >= maxMs) return resolve(false);
-        setTimeout(check, 100);
-      })();
-    });
-  }
+  // StudyTasks rows and subjects from the shared data store (replaced on every change)
+  let currentTasks = [];
+  let currentSubjects = [];
+  let progressChart = null;
 
   function groupTasksBySubjectDaily(tasks, days = 30, subjectsFilter = null) {
     const cutoff = days ? new Date(Date.now() - days*24*60*60*1000) : null;
@@ -58,8 +50,7 @@
       bySubDate[sub] = bySubDate[sub] || {};
       const bucket = (bySubDate[sub][dateKey] = bySubDate[sub][dateKey] || { total: 0, correct: 0 });
       bucket.total += 1;
-      const ok = (t.correctness === true) || (t.correctly_completed === 'Yes');
-      if (ok) bucket.correct += 1;
+      bucket.correct += Correctness.getScore(t);
     });
     // Build aligned arrays
     const allDates = new Set();
@@ -101,7 +92,7 @@
     }).join('');
   }
 
-  function bindFilterEvents(tasks, subjects) {
+  function bindFilterEvents() {
     const pillsHost = document.getElementById('subject-filter-pills');
     if (pillsHost) {
       pillsHost.addEventListener('click', (e) => {
@@ -112,7 +103,7 @@
         // Toggle visual state
         btn.classList.toggle('active');
         // Re-render chart
-        renderSubjectProgressChart(tasks);
+        renderSubjectProgressChart(currentTasks);
       });
     }
     const tfHost = document.getElementById('timeframe-pills');
@@ -125,7 +116,7 @@
         // Toggle visual states
         tfHost.querySelectorAll('.pill').forEach(p => p.classList.remove('active'));
         btn.classList.add('active');
-        renderSubjectProgressChart(tasks);
+        renderSubjectProgressChart(currentTasks);
       });
     }
   }
@@ -134,6 +125,8 @@
     const canvas = document.getElementById('subject-progress-chart');
     if (!canvas || !ensureChartJS()) return;
     const { dates, series } = groupTasksBySubjectDaily(tasks, selectedRange ?? null, selectedSubjects);
+    // Charts are redrawn on every data or filter change - free the canvas first
+    if (progressChart) { progressChart.destroy(); progressChart = null; }
     if (!dates.length) {
       const wrap = canvas.parentElement;
       if (wrap) wrap.innerHTML = '<div class="no-data-message">Brak danych do wyświetlenia</div>';
@@ -152,7 +145,7 @@
       spanGaps: true,
       pointRadius: 2
     }));
-    new Chart(canvas, {
+    progressChart = new Chart(canvas, {
       type: 'line',
       data: {
         labels: dates.map(d => new Date(d).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit' })),
@@ -174,15 +167,9 @@
   }
 
   function computeKPIs(tasks) {
-    // Streak: consecutive days with at least 1 task up to today
-    const datesSet = new Set(tasks.map(t => (t.date || (t.start_time || t.timestamp || '').split('T')[0]).slice(0,10)).filter(Boolean));
-    const today = new Date();
-    let streak = 0;
-    for (let i = 0; i < 365; i++) {
-      const d = new Date(today.getTime() - i*24*60*60*1000);
-      const key = d.toISOString().split('T')[0];
-      if (datesSet.has(key)) streak++; else break;
-    }
+    // Streak: same day boundary and freezes as the streak panel (StreakCalculator)
+    const dayStartHour = window.streakManager ? window.streakManager.getDayStartHour() : undefined;
+    const streak = StreakCalculator.calculate(tasks, [], { dayStartHour }).currentStreak;
     // Last task
     const times = tasks.map(t => new Date(t.end_time || t.start_time || t.timestamp || Date.now()).getTime());
     const lastTs = times.length ? Math.max(...times) : null;
@@ -209,8 +196,7 @@
       const s = t.subject || 'Unknown';
       bySub[s] = bySub[s] || { total: 0, correct: 0, dates: [] };
       bySub[s].total += 1;
-      const ok = (t.correctness === true) || (t.correctly_completed === 'Yes');
-      if (ok) bySub[s].correct += 1;
+      bySub[s].correct += Correctness.getScore(t);
       const dateKey = (t.date || (t.start_time || t.timestamp || '').split('T')[0]).slice(0,10);
       if (dateKey) bySub[s].dates.push(dateKey);
     });
@@ -312,10 +298,9 @@
       if (!date) return; const dt = new Date(date);
       if (dt < start || dt > end) return;
       const s = t.subject || 'Unknown';
-      bySub[s] = bySub[s] || { total: 0, correct: 0, incorrect: 0 };
+      bySub[s] = bySub[s] || { total: 0, correct: 0, partial: 0, incorrect: 0 };
       bySub[s].total += 1;
-      const ok = (t.correctness === true) || (t.correctly_completed === 'Yes');
-      if (ok) bySub[s].correct += 1; else bySub[s].incorrect += 1;
+      bySub[s][Correctness.getOutcome(t)] += 1;
     });
     const rows = Object.entries(bySub).map(([name, v])=>({ name, ...v })).sort((a,b)=>b.total-a.total);
     if (!rows.length) { host.innerHTML = ''; return; }
@@ -324,6 +309,7 @@
         <div class="subject-name">${r.name}</div>
         <div class="subject-count">${r.total} razem</div>
         <div class="subject-count good">${r.correct} ✓</div>
+        ${r.partial ? `<div class="subject-count partial">${r.partial} ½</div>` : ''}
         <div class="subject-count bad">${r.incorrect} ✗</div>
       </div>
     `).join('');
@@ -338,8 +324,7 @@
       if (!date) return;
       byDate[date] = byDate[date] || { total: 0, correct: 0, examples: [] };
       byDate[date].total += 1;
-      const ok = (t.correctness === true) || (t.correctly_completed === 'Yes');
-      if (ok) byDate[date].correct += 1;
+      byDate[date].correct += Correctness.getScore(t);
       if (byDate[date].examples.length < 3) {
         byDate[date].examples.push(t.task_name || t.name || 'Zadanie');
       }
@@ -390,11 +375,10 @@
     statusEl.textContent = pct >= expectedPct ? 'Na dobrej drodze' : 'Wymaga pracy';
   }
 
-  function bindExportButtons(tasks) {
+  function bindExportButtons() {
     const csvBtn = document.getElementById('export-csv');
     const jsonBtn = document.getElementById('export-json');
     const copyBtn = document.getElementById('copy-link-progress');
-    const exportTasks = tasks;
     function toCSV(rows) {
       if (!rows.length) return '';
       const headers = Object.keys(rows[0]);
@@ -408,11 +392,11 @@
       const a = document.createElement('a'); a.href=url; a.download=filename; document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
     }
     if (csvBtn) csvBtn.addEventListener('click', ()=>{
-      const csv = toCSV(exportTasks);
+      const csv = toCSV(currentTasks);
       download('tasks.csv', csv, 'text/csv;charset=utf-8;');
     });
     if (jsonBtn) jsonBtn.addEventListener('click', ()=>{
-      download('tasks.json', JSON.stringify(exportTasks, null, 2), 'application/json');
+      download('tasks.json', JSON.stringify(currentTasks, null, 2), 'application/json');
     });
     if (copyBtn) copyBtn.addEventListener('click', ()=>{
       const url = location.origin + location.pathname + '#subject-progress-section';
@@ -420,26 +404,35 @@
     });
   }
 
-  async function start() {
-    const ok = await waitForAnalytics();
-    if (!ok) return;
-    try {
-      // Ensure analytics data is loaded
-      if (!window.analyticsManager.isDataLoaded) {
-        await window.analyticsManager.loadAnalyticsData();
-      }
-    } catch (_) {}
-    const tasks = Array.isArray(window.analyticsManager.tasks) ? window.analyticsManager.tasks : [];
-    // Build subject pills from loaded subjects (appData or analytics)
-    const subs = (window.appData?.subjects && window.appData.subjects.length) ? window.appData.subjects : (window.analyticsManager.subjects || []);
-    buildSubjectFilterPills(subs);
-    bindFilterEvents(tasks, subs);
+  function render() {
+    const tasks = currentTasks;
+    // Build subject pills from loaded subjects
+    buildSubjectFilterPills(currentSubjects);
     renderSubjectProgressChart(tasks);
     renderSubjectMiniCards(tasks);
     renderKPIs(tasks);
     renderDailySubjectList(tasks);
     renderWeeklyGoal(tasks);
-    bindExportButtons(tasks);
+  }
+
+  function start() {
+    if (!window.DataStore) return;
+    bindFilterEvents();
+    bindExportButtons();
+
+    // Rendered from the cache first and again whenever a refresh changes the data
+    const store = DataStore.getShared();
+    let tasksLoaded = false;
+    store.subscribe('subjects', (subjects) => {
+      currentSubjects = subjects;
+      // Wait for the tasks - an empty render replaces the chart with a placeholder
+      if (tasksLoaded) render();
+    });
+    store.subscribe('tasks', (tasks) => {
+      currentTasks = tasks;
+      tasksLoaded = true;
+      render();
+    });
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,300 @@
+/**
+ * Data Store
+ * One copy of subjects, categories, study tasks, study sessions and Tasks sheet
+ * entries shared by every view. Reads are stale-while-revalidate: a collection
+ * is served at once from memory or the IndexedDB cache (TaskCache) and
+ * refreshed from the backend in the background. Views subscribe to a
+ * collection and are called again only when its rows actually change; every
+ * change is also announced on window as `dataStoreChanged`.
+ */
+class DataStore {
+    constructor(googleSheetsAPI, options = {}) {
+        this.googleSheetsAPI = googleSheetsAPI;
+        // Demo data and the local-only backend are never cached
+        this.cache = googleSheetsAPI.taskCache && !googleSheetsAPI.config.DEMO_MODE ? googleSheetsAPI.taskCache : null;
+        this.staleAfterMs = options.staleAfterMs !== undefined ? options.staleAfterMs : 60000;
+        this.invalidateDelayMs = options.invalidateDelayMs !== undefined ? options.invalidateDelayMs : 300;
+
+        this.collections = {};
+        Object.keys(DataStore.COLLECTIONS).forEach(name => {
+            this.collections[name] = {
+                rows: null,        // Last known rows (null until loaded)
+                fetchedAt: 0,      // When the rows last came from the backend (0 = from cache or invalidated)
+                loading: null,     // First load in flight
+                pending: null,     // Backend read in flight
+                invalidation: null,
+                listeners: new Set()
+            };
+        });
+
+        // Writes are announced by GoogleSheetsAPIv2.sendData once the backend acknowledged them
+        if (typeof window !== 'undefined') {
+            window.addEventListener('dataWritten', (event) => this.handleWrite(event.detail.action));
+        }
+    }
+
+    /**
+     * Store shared by every view
+     * @returns {DataStore} Shared store
+     */
+    static getShared() {
+        if (!DataStore.sharedInstance) {
+            const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+            DataStore.sharedInstance = new DataStore(new GoogleSheetsAPIv2(config), {
+                staleAfterMs: config.SYNC && config.SYNC.STALE_AFTER_MS
+            });
+        }
+        return DataStore.sharedInstance;
+    }
+
+    // =============================================
+    // READS
+    // =============================================
+
+    /**
+     * Rows known right now, without waiting for the backend
+     * @param {string} name - Collection name (see DataStore.COLLECTIONS)
+     * @returns {Array} Rows (empty until loaded)
+     */
+    get(name) {
+        return this.getState(name).rows || [];
+    }
+
+    /**
+     * Rows of a collection: memory first, then the cache, then the backend.
+     * Stale rows are returned at once and refreshed in the background.
+     * @param {string} name - Collection name
+     * @returns {Promise<Array>} Rows
+     */
+    load(name) {
+        const state = this.getState(name);
+        if (state.rows) {
+            if (Date.now() - state.fetchedAt > this.staleAfterMs) {
+                this.revalidateInBackground(name);
+            }
+            return Promise.resolve(state.rows);
+        }
+
+        if (!state.loading) {
+            state.loading = this.loadFirst(name).finally(() => {
+                state.loading = null;
+            });
+        }
+        return state.loading;
+    }
+
+    async loadFirst(name) {
+        const cached = await this.readCache(name);
+        const state = this.getState(name);
+        if (state.rows) {
+            return state.rows;
+        }
+
+        if (cached) {
+            this.setRows(name, cached, 'cache');
+            this.revalidateInBackground(name);
+            return cached;
+        }
+        return this.revalidate(name);
+    }
+
+    /**
+     * Read a collection from the backend now (one read per collection at a time)
+     * @param {string} name - Collection name
+     * @returns {Promise<Array>} Rows
+     */
+    revalidate(name) {
+        const state = this.getState(name);
+        if (!state.pending) {
+            state.pending = this.fetchRows(name).finally(() => {
+                state.pending = null;
+            });
+        }
+        return state.pending;
+    }
+
+    async fetchRows(name) {
+        const collection = DataStore.COLLECTIONS[name];
+        const response = await collection.fetch(this.googleSheetsAPI);
+        if (!response.success) {
+            throw new Error(response.error || `Nie udało się pobrać danych (${name})`);
+        }
+
+        const rows = collection.rows(response) || [];
+        this.getState(name).fetchedAt = Date.now();
+        this.setRows(name, rows, 'network');
+
+        // Task rows are cached by GoogleSheetsAPIv2 itself (incremental reads)
+        if (!collection.incremental) {
+            await this.writeCache(name, rows);
+        }
+        return this.getState(name).rows;
+    }
+
+    revalidateInBackground(name) {
+        this.revalidate(name).catch(error => {
+            console.warn(`⚠️ Data store: could not refresh ${name}, showing cached data`, error);
+        });
+    }
+
+    // =============================================
+    // CHANGES
+    // =============================================
+
+    /**
+     * Call `listener(rows, { collection, source })` with the current rows and on every change.
+     * The collection is loaded if it was not yet.
+     * @param {string} name - Collection name
+     * @param {Function} listener - Change listener
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(name, listener) {
+        const state = this.getState(name);
+        state.listeners.add(listener);
+
+        if (state.rows) {
+            listener(state.rows, { collection: name, source: 'memory' });
+        }
+        this.load(name).catch(error => {
+            console.warn(`⚠️ Data store: could not load ${name}`, error);
+        });
+
+        return () => state.listeners.delete(listener);
+    }
+
+    /**
+     * Replace the rows and notify listeners when they differ from the known ones
+     * @param {string} name - Collection name
+     * @param {Array} rows - New rows
+     * @param {string} source - 'cache' or 'network'
+     */
+    setRows(name, rows, source) {
+        const state = this.getState(name);
+        if (state.rows && JSON.stringify(state.rows) === JSON.stringify(rows)) {
+            return;
+        }
+        state.rows = rows;
+
+        const detail = { collection: name, source };
+        state.listeners.forEach(listener => {
+            try {
+                listener(rows, detail);
+            } catch (error) {
+                console.error(`❌ Data store: ${name} listener failed`, error);
+            }
+        });
+
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('dataStoreChanged', {
+                detail: { ...detail, rows }
+            }));
+        }
+    }
+
+    /**
+     * Refresh a collection after it was changed. Writes arriving within
+     * invalidateDelayMs (a saved session writes every task) share one read.
+     * @param {string} name - Collection name
+     * @returns {Promise<Array|null>} Refreshed rows, or null when the collection was never loaded
+     */
+    invalidate(name) {
+        const state = this.getState(name);
+        state.fetchedAt = 0;
+        if (!state.rows && !state.loading) {
+            return Promise.resolve(null);
+        }
+
+        if (!state.invalidation) {
+            state.invalidation = new Promise(resolve => {
+                setTimeout(() => {
+                    state.invalidation = null;
+                    // A read already in flight may have started before the write
+                    const previous = state.pending ? state.pending.catch(() => null) : Promise.resolve();
+                    resolve(previous.then(() => this.revalidate(name)).catch(error => {
+                        console.warn(`⚠️ Data store: could not refresh ${name} after a write`, error);
+                        return null;
+                    }));
+                }, this.invalidateDelayMs);
+            });
+        }
+        return state.invalidation;
+    }
+
+    /**
+     * @param {string} action - Backend write action that was delivered
+     */
+    handleWrite(action) {
+        (DataStore.WRITES[action] || []).forEach(name => this.invalidate(name));
+    }
+
+    // =============================================
+    // CACHE
+    // =============================================
+
+    getCacheKey(name) {
+        return this.googleSheetsAPI.getCacheKey(DataStore.COLLECTIONS[name].action);
+    }
+
+    async readCache(name) {
+        if (!this.cache) return null;
+        try {
+            const entry = await this.cache.get(this.getCacheKey(name));
+            return entry && entry.synced_at ? entry.rows : null;
+        } catch (error) {
+            console.warn(`⚠️ Data store: could not read cached ${name}`, error);
+            return null;
+        }
+    }
+
+    async writeCache(name, rows) {
+        if (!this.cache) return;
+        try {
+            await this.cache.put({ key: this.getCacheKey(name), rows, since: null, synced_at: new Date().toISOString() });
+        } catch (error) {
+            console.warn(`⚠️ Data store: could not cache ${name}`, error);
+        }
+    }
+
+    getState(name) {
+        const state = this.collections[name];
+        if (!state) {
+            throw new Error(`Unknown data store collection: ${name}`);
+        }
+        return state;
+    }
+}
+
+// action: backend read (and cache key), fetch: GoogleSheetsAPIv2 call, rows: rows of its response,
+// incremental: rows are cached by TaskCache during the read
+DataStore.COLLECTIONS = {
+    subjects: { action: 'getSubjects', fetch: api => api.fetchSubjects(), rows: response => response.subjects },
+    categories: { action: 'getCategories', fetch: api => api.fetchCategories(), rows: response => response.categories },
+    tasks: { action: 'getStudyTasks', fetch: api => api.getStudyTasks(), rows: response => response.tasks, incremental: true },
+    sessions: { action: 'getStudySessions', fetch: api => api.getStudySessions(), rows: response => response.sessions },
+    entries: { action: 'getTasks', fetch: api => api.getTasks(), rows: response => response.data, incremental: true }
+};
+
+// Collections changed by each write action
+DataStore.WRITES = {
+    addStudyTask: ['tasks'],
+    importStudyTasks: ['tasks'],
+    updateTask: ['tasks'],
+    deleteTask: ['tasks'],
+    addStudySession: ['sessions'],
+    addTask: ['entries'],
+    addSubject: ['subjects'],
+    addCategory: ['categories'],
+    update: ['subjects', 'categories'],
+    deleteSubject: ['subjects', 'categories'],
+    deleteCategory: ['categories']
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataStore;
+}
+
+// Make DataStore available globally
+if (typeof window !== 'undefined') {
+    window.DataStore = DataStore;
+}
@@ -180,9 +180,7 @@ class EnhancedAnalytics {
             dateGroups[date].tasks.push(task);
             dateGroups[date].total++;
             dateGroups[date].subjects.add(task.subject);
-            if (this.isTaskCorrect(task)) {
-                dateGroups[date].correct++;
-            }
+            dateGroups[date].correct += this.getTaskScore(task);
         });
         
         // Calculate daily accuracy and trends
@@ -222,55 +220,26 @@ class EnhancedAnalytics {
     processStudyConsistency() {
         const consistencyConfig = this.config.ANALYTICS.CONSISTENCY;
         
-        // Calculate daily activity
-        const dailyActivity = {};
-        const today = new Date();
-        
-        // Initialize last 90 days
-        for (let i = 89; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            const dateStr = date.toISOString().split('T')[0];
-            dailyActivity[dateStr] = {
-                date: dateStr,
-                tasks: 0,
-                sessions: 0,
-                active: false,
-                subjects: new Set()
-            };
-        }
-        
-        // Fill with actual data
-        this.tasks.forEach(task => {
-            const date = this.extractDate(task.start_time || task.timestamp);
-            if (dailyActivity[date]) {
-                dailyActivity[date].tasks++;
-                dailyActivity[date].subjects.add(task.subject);
-                dailyActivity[date].active = dailyActivity[date].tasks >= consistencyConfig.STREAK_THRESHOLD;
-            }
-        });
-        
-        this.sessions.forEach(session => {
-            const date = this.extractDate(session.start_time);
-            if (dailyActivity[date]) {
-                dailyActivity[date].sessions++;
-            }
+        // Daily activity for the last 90 days, days without tasks included
+        const dailyActivity = AnalyticsMath.buildDailyActivity(this.tasks, this.sessions, {
+            days: 90,
+            threshold: consistencyConfig.STREAK_THRESHOLD
         });
         
         // Calculate streaks
-        const streaks = this.calculateStreaks(Object.values(dailyActivity));
-        const currentStreak = this.getCurrentStreak(Object.values(dailyActivity));
+        const streaks = this.calculateStreaks(dailyActivity);
+        const currentStreak = this.getCurrentStreak(dailyActivity);
         
         // Calculate consistency metrics
-        const activeDays = Object.values(dailyActivity).filter(day => day.active).length;
-        const totalDays = Object.keys(dailyActivity).length;
+        const activeDays = dailyActivity.filter(day => day.active).length;
+        const totalDays = dailyActivity.length;
         const consistencyScore = totalDays > 0 ? activeDays / totalDays : 0;
         
         // Determine consistency level
         const consistencyLevel = this.getConsistencyLevel(consistencyScore, consistencyConfig.CONSISTENCY_LEVELS);
         
         this.analyticsData.studyConsistency = {
-            dailyActivity: Object.values(dailyActivity),
+            dailyActivity,
             streaks,
             currentStreak,
             activeDays,
@@ -309,18 +278,14 @@ class EnhancedAnalytics {
             if (timePeriods[period]) {
                 timePeriods[period].tasks.push(task);
                 timePeriods[period].total++;
-                if (this.isTaskCorrect(task)) {
-                    timePeriods[period].correct++;
-                }
+                timePeriods[period].correct += this.getTaskScore(task);
                 
                 // Track subjects
                 if (!timePeriods[period].subjects[task.subject]) {
                     timePeriods[period].subjects[task.subject] = { total: 0, correct: 0 };
                 }
                 timePeriods[period].subjects[task.subject].total++;
-                if (this.isTaskCorrect(task)) {
-                    timePeriods[period].subjects[task.subject].correct++;
-                }
+                timePeriods[period].subjects[task.subject].correct += this.getTaskScore(task);
             }
         });
         
@@ -392,9 +357,7 @@ class EnhancedAnalytics {
             subjectData.tasks.push(task);
             subjectData.performance.total++;
             
-            if (this.isTaskCorrect(task)) {
-                subjectData.performance.correct++;
-            }
+            subjectData.performance.correct += this.getTaskScore(task);
             
             // Track categories
             const categories = this.parseCategoriesString(task.categories);
@@ -403,9 +366,7 @@ class EnhancedAnalytics {
                     subjectData.categories[category] = { total: 0, correct: 0 };
                 }
                 subjectData.categories[category].total++;
-                if (this.isTaskCorrect(task)) {
-                    subjectData.categories[category].correct++;
-                }
+                subjectData.categories[category].correct += this.getTaskScore(task);
             });
             
             // Track locations
@@ -414,9 +375,7 @@ class EnhancedAnalytics {
                 subjectData.locations[location] = { total: 0, correct: 0 };
             }
             subjectData.locations[location].total++;
-            if (this.isTaskCorrect(task)) {
-                subjectData.locations[location].correct++;
-            }
+            subjectData.locations[location].correct += this.getTaskScore(task);
             
             // Calculate time spent (if available)
             if (task.end_time && task.start_time) {
@@ -498,9 +457,7 @@ class EnhancedAnalytics {
             locationData.tasks.push(task);
             locationData.total++;
             
-            if (this.isTaskCorrect(task)) {
-                locationData.correct++;
-            }
+            locationData.correct += this.getTaskScore(task);
             
             // Track subjects at this location
             const subject = task.subject || 'Unknown';
@@ -508,9 +465,7 @@ class EnhancedAnalytics {
                 locationData.subjects[subject] = { total: 0, correct: 0 };
             }
             locationData.subjects[subject].total++;
-            if (this.isTaskCorrect(task)) {
-                locationData.subjects[subject].correct++;
-            }
+            locationData.subjects[subject].correct += this.getTaskScore(task);
             
             // Track time of day
             const hour = this.extractHour(task.start_time || task.timestamp);
@@ -519,9 +474,7 @@ class EnhancedAnalytics {
                 locationData.timeOfDay[timePeriod] = { total: 0, correct: 0 };
             }
             locationData.timeOfDay[timePeriod].total++;
-            if (this.isTaskCorrect(task)) {
-                locationData.timeOfDay[timePeriod].correct++;
-            }
+            locationData.timeOfDay[timePeriod].correct += this.getTaskScore(task);
         });
         
         // Calculate accuracy for each location
@@ -599,8 +552,7 @@ class EnhancedAnalytics {
     // Helper Methods
     
     extractDate(timestamp) {
-        if (!timestamp) return new Date().toISOString().split('T')[0];
-        return new Date(timestamp).toISOString().split('T')[0];
+        return AnalyticsMath.toDateKey(timestamp) || AnalyticsMath.toDateKey(new Date());
     }
     
     extractHour(timestamp) {
@@ -609,10 +561,12 @@ class EnhancedAnalytics {
     }
     
     isTaskCorrect(task) {
-        if (typeof task.correctly_completed === 'string') {
-            return task.correctly_completed.toLowerCase() === 'yes';
-        }
-        return task.correctly_completed === true || task.correctness === true;
+        return Correctness.isCorrect(task);
+    }
+    
+    // Credit for a task: 1 correct, 0.5 partial (CONFIG.CORRECTNESS.WEIGHTS), 0 incorrect
+    getTaskScore(task) {
+        return Correctness.getScore(task);
     }
     
     parseCategoriesString(categoriesString) {
@@ -647,35 +601,11 @@ class EnhancedAnalytics {
     }
     
     calculateTrend(data) {
-        if (data.length < 2) return { direction: 'neutral', percentage: 0 };
-        
-        const recent = data.slice(-7); // Last 7 data points
-        const earlier = data.slice(0, Math.min(7, data.length - 7));
-        
-        if (earlier.length === 0) return { direction: 'neutral', percentage: 0 };
-        
-        const recentAvg = recent.reduce((sum, item) => sum + item.accuracy, 0) / recent.length;
-        const earlierAvg = earlier.reduce((sum, item) => sum + item.accuracy, 0) / earlier.length;
-        
-        const change = recentAvg - earlierAvg;
-        const direction = change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable';
-        
-        return { direction, percentage: Math.round(change) };
+        return AnalyticsMath.calculateTrend(data);
     }
     
     calculateRollingAverages(dailyData, windows) {
-        const averages = {};
-        
-        windows.forEach(window => {
-            averages[`${window}day`] = dailyData.map((_, index) => {
-                const start = Math.max(0, index - window + 1);
-                const windowData = dailyData.slice(start, index + 1);
-                const avg = windowData.reduce((sum, day) => sum + day.accuracy, 0) / windowData.length;
-                return Math.round(avg);
-            });
-        });
-        
-        return averages;
+        return AnalyticsMath.calculateRollingAverages(dailyData, windows);
     }
     
     calculateAverageAccuracy(dailyData) {
@@ -697,43 +627,11 @@ class EnhancedAnalytics {
     }
     
     calculateConsistencyScore(dailyData) {
-        if (dailyData.length < 2) return 0;
-        
-        const accuracies = dailyData.map(day => day.accuracy);
-        const mean = accuracies.reduce((sum, acc) => sum + acc, 0) / accuracies.length;
-        const variance = accuracies.reduce((sum, acc) => sum + Math.pow(acc - mean, 2), 0) / accuracies.length;
-        const standardDeviation = Math.sqrt(variance);
-        
-        // Lower standard deviation = higher consistency
-        // Convert to 0-100 scale (100 = perfect consistency)
-        return Math.max(0, Math.round(100 - standardDeviation));
+        return AnalyticsMath.calculateConsistencyScore(dailyData);
     }
     
     calculateStreaks(dailyActivity) {
-        const streaks = [];
-        let currentStreak = null;
-        
-        dailyActivity.forEach(day => {
-            if (day.active) {
-                if (!currentStreak) {
-                    currentStreak = { start: day.date, end: day.date, length: 1 };
-                } else {
-                    currentStreak.end = day.date;
-                    currentStreak.length++;
-                }
-            } else {
-                if (currentStreak) {
-                    streaks.push(currentStreak);
-                    currentStreak = null;
-                }
-            }
-        });
-        
-        if (currentStreak) {
-            streaks.push(currentStreak);
-        }
-        
-        return streaks.sort((a, b) => b.length - a.length);
+        return AnalyticsMath.calculateStreaks(dailyActivity);
     }
     
     getCurrentStreak(dailyActivity) {
@@ -826,24 +724,7 @@ class EnhancedAnalytics {
     }
     
     calculateSubjectTrend(tasks) {
-        if (tasks.length < 4) return { direction: 'neutral', percentage: 0 };
-        
-        const sortedTasks = tasks.sort((a, b) => new Date(a.start_time || a.timestamp) - new Date(b.start_time || b.timestamp));
-        const recent = sortedTasks.slice(-5); // Last 5 tasks
-        const earlier = sortedTasks.slice(0, Math.min(5, sortedTasks.length - 5));
-        
-        if (earlier.length === 0) return { direction: 'neutral', percentage: 0 };
-        
-        const recentCorrect = recent.filter(task => this.isTaskCorrect(task)).length;
-        const earlierCorrect = earlier.filter(task => this.isTaskCorrect(task)).length;
-        
-        const recentPercentage = (recentCorrect / recent.length) * 100;
-        const earlierPercentage = (earlierCorrect / earlier.length) * 100;
-        
-        const change = recentPercentage - earlierPercentage;
-        const direction = change > 10 ? 'improving' : change < -10 ? 'declining' : 'stable';
-        
-        return { direction, percentage: Math.round(change) };
+        return AnalyticsMath.calculateTaskTrend(tasks, task => this.getTaskScore(task));
     }
     
     calculateSubjectEfficiency(subject) {
@@ -1004,7 +885,7 @@ class EnhancedAnalytics {
                 tasks: weekTasks,
                 totalTasks: weekTasks.length,
                 correctTasks: weekTasks.filter(task => this.isTaskCorrect(task)).length,
-                accuracy: weekTasks.length > 0 ? Math.round((weekTasks.filter(task => this.isTaskCorrect(task)).length / weekTasks.length) * 100) : 0
+                accuracy: Correctness.summarize(weekTasks).accuracy
             };
         }
         
@@ -1032,7 +913,7 @@ class EnhancedAnalytics {
                 tasks: monthTasks,
                 totalTasks: monthTasks.length,
                 correctTasks: monthTasks.filter(task => this.isTaskCorrect(task)).length,
-                accuracy: monthTasks.length > 0 ? Math.round((monthTasks.filter(task => this.isTaskCorrect(task)).length / monthTasks.length) * 100) : 0
+                accuracy: Correctness.summarize(monthTasks).accuracy
             };
         }
         
@@ -1046,8 +927,8 @@ class EnhancedAnalytics {
         const firstHalf = sortedTasks.slice(0, Math.floor(sortedTasks.length / 2));
         const secondHalf = sortedTasks.slice(Math.floor(sortedTasks.length / 2));
         
-        const firstAccuracy = (firstHalf.filter(task => this.isTaskCorrect(task)).length / firstHalf.length) * 100;
-        const secondAccuracy = (secondHalf.filter(task => this.isTaskCorrect(task)).length / secondHalf.length) * 100;
+        const firstAccuracy = Correctness.summarize(firstHalf).accuracy;
+        const secondAccuracy = Correctness.summarize(secondHalf).accuracy;
         
         const change = secondAccuracy - firstAccuracy;
         const direction = change > 5 ? 'improving' : change < -5 ? 'declining' : 'stable';
@@ -1107,7 +988,7 @@ class EnhancedAnalytics {
     calculateOverallProgress() {
         const totalTasks = this.tasks.length;
         const totalCorrect = this.tasks.filter(task => this.isTaskCorrect(task)).length;
-        const overallAccuracy = totalTasks > 0 ? (totalCorrect / totalTasks) * 100 : 0;
+        const overallAccuracy = Correctness.summarize(this.tasks).accuracy;
         
         return {
             totalTasks,
@@ -1121,7 +1002,7 @@ class EnhancedAnalytics {
         const milestones = [];
         const totalTasks = this.tasks.length;
         const totalCorrect = this.tasks.filter(task => this.isTaskCorrect(task)).length;
-        const overallAccuracy = totalTasks > 0 ? (totalCorrect / totalTasks) * 100 : 0;
+        const overallAccuracy = Correctness.summarize(this.tasks).accuracy;
         
         // Task count milestones
         const taskMilestones = [10, 25, 50, 100, 200, 500];
@@ -1179,8 +1060,7 @@ class EnhancedAnalytics {
     
     calculateOverallAccuracy() {
         if (this.tasks.length === 0) return 0;
-        const correctTasks = this.tasks.filter(task => this.isTaskCorrect(task)).length;
-        return Math.round((correctTasks / this.tasks.length) * 100);
+        return Correctness.summarize(this.tasks).accuracy;
     }
     
     getUniqueDaysCount() {
@@ -1214,7 +1094,7 @@ class EnhancedAnalytics {
             insights.push({
                 type: 'info',
                 title: 'Najlepszy przedmiot',
-                message: `Świetnie radzisz sobie z przedmiotem ${subjectData.bestSubject.name} (${subjectData.bestSubject.accuracy}% skuteczności)`,
+                message: `Świetnie radzisz sobie z przedmiotem ${subjectData.bestSubject.name} (${subjectData.bestSubject.performance.accuracy}% skuteczności)`,
                 emoji: '🏆'
             });
         }
@@ -1253,6 +1133,11 @@ class EnhancedAnalytics {
 }
 
 // Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnhancedAnalytics;
+}
+
+// Make EnhancedAnalytics available globally
 if (typeof window !== 'undefined') {
     window.EnhancedAnalytics = EnhancedAnalytics;
 }
@@ -0,0 +1,211 @@
+/**
+ * Exam Readiness
+ * How prepared the user is for each exam in CONFIG.EXAMS, from the tasks of the
+ * exam's subject. Pure functions - no DOM, no network - covered by
+ * tests/exam-readiness.test.js.
+ *
+ * Three components, each 0-100, are weighted with CONFIG.READINESS.WEIGHTS:
+ * - accuracy: average score of the last RECENT_DAYS days (all tasks if none are that recent)
+ * - coverage: share of the subject's categories with at least MIN_TASKS_PER_CATEGORY tasks
+ * - volume:   tasks done out of TARGET_TASKS
+ *
+ * The projection assumes the pace of the last RECENT_DAYS days continues until
+ * the exam, and that the accuracy trend (AnalyticsMath.calculateTaskTrend, the
+ * same as EnhancedAnalytics.calculateSubjectTrend) carries on for at most one
+ * more RECENT_DAYS window. A projected score of TARGET_SCORE or more is on track.
+ */
+const ExamReadiness = {
+    DEFAULTS: {
+        WEIGHTS: { accuracy: 0.5, coverage: 0.3, volume: 0.2 },
+        TARGET_SCORE: 70,
+        TARGET_TASKS: 200,
+        MIN_TASKS_PER_CATEGORY: 3,
+        RECENT_DAYS: 30
+    },
+
+    STATUS: {
+        ON_TRACK: 'on_track',
+        BEHIND: 'behind',
+        NO_DATA: 'no_data',
+        FINISHED: 'finished'
+    },
+
+    LABELS: {
+        on_track: '✅ Na dobrej drodze',
+        behind: '⚠️ Poniżej celu',
+        no_data: '❔ Brak danych',
+        finished: '🏁 Po egzaminie'
+    },
+
+    /**
+     * Settings (CONFIG.READINESS when the app config is loaded)
+     * @returns {Object} { WEIGHTS, TARGET_SCORE, TARGET_TASKS, MIN_TASKS_PER_CATEGORY, RECENT_DAYS }
+     */
+    getSettings() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : null;
+        const settings = { ...ExamReadiness.DEFAULTS, ...(config && config.READINESS) };
+        settings.WEIGHTS = { ...ExamReadiness.DEFAULTS.WEIGHTS, ...(config && config.READINESS && config.READINESS.WEIGHTS) };
+        return settings;
+    },
+
+    /**
+     * Exams to track: CONFIG.EXAMS entries with a date, or CONFIG.EXAM when the list is empty
+     * @param {Object} config - App config
+     * @returns {Array} [{ name, date, subject }]
+     */
+    getExams(config) {
+        const cfg = config || {};
+        const exams = Array.isArray(cfg.EXAMS) ? cfg.EXAMS.filter(exam => exam && exam.date) : [];
+        if (!exams.length && cfg.EXAM && cfg.EXAM.DATE) {
+            return [{ name: cfg.EXAM.NAME || 'Egzamin', date: cfg.EXAM.DATE, subject: cfg.EXAM.SUBJECT }];
+        }
+        return exams;
+    },
+
+    /**
+     * Subject of an exam: its `subject` field, otherwise the first subject named in the exam name
+     * @param {Object} exam - CONFIG.EXAMS entry
+     * @param {Array<string>} subjectNames - Known subjects
+     * @returns {string|null} Subject name
+     */
+    findSubject(exam, subjectNames = []) {
+        if (exam.subject) return exam.subject;
+
+        const examName = String(exam.name || '').toLowerCase();
+        return subjectNames.find(name => name && examName.includes(String(name).toLowerCase())) || null;
+    },
+
+    /**
+     * Category names of a task (arrays from AnalyticsManager, comma lists from the sheet)
+     * @param {Object} task - Task
+     * @returns {Array<string>} Category names
+     */
+    getTaskCategories(task) {
+        const value = task.categories !== undefined ? task.categories : task.category;
+        const list = Array.isArray(value) ? value : String(value || '').split(',');
+        return list.map(name => String(name).trim()).filter(Boolean);
+    },
+
+    /**
+     * Readiness of one exam
+     * @param {Object} exam - CONFIG.EXAMS entry ({ name, date, subject })
+     * @param {Array} tasks - Tasks of the exam's subject
+     * @param {Object} options - { categories: category names of the subject, getScore, now }
+     * @returns {Object} { exam, subject, daysRemaining, accuracy, coverage, volume, trend, readiness, projectedScore, requiredPerDay, status }
+     */
+    assess(exam, tasks, options = {}) {
+        const settings = ExamReadiness.getSettings();
+        const getScore = options.getScore || (task => Correctness.getScore(task));
+        const now = options.now || new Date();
+        const today = AnalyticsMath.fromDateKey(AnalyticsMath.toDateKey(now));
+        const examDay = AnalyticsMath.fromDateKey(AnalyticsMath.toDateKey(exam.date) || AnalyticsMath.toDateKey(now));
+        const daysRemaining = Math.round((examDay - today) / 86400000);
+
+        // Accuracy of recent work
+        const recentStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - settings.RECENT_DAYS + 1);
+        const recentKey = AnalyticsMath.toDateKey(recentStart);
+        const recentTasks = tasks.filter(task => AnalyticsMath.getTaskDateKey(task, now) >= recentKey);
+        const accuracySource = recentTasks.length > 0 ? recentTasks : tasks;
+        const accuracy = accuracySource.length > 0
+            ? Math.round((accuracySource.reduce((sum, task) => sum + getScore(task), 0) / accuracySource.length) * 100)
+            : 0;
+
+        // Category coverage - configured categories plus any seen only in tasks
+        const counts = {};
+        (options.categories || []).forEach(name => { counts[name] = 0; });
+        tasks.forEach(task => {
+            ExamReadiness.getTaskCategories(task).forEach(name => {
+                counts[name] = (counts[name] || 0) + 1;
+            });
+        });
+        const categoryNames = Object.keys(counts);
+        const covered = categoryNames.filter(name => counts[name] >= settings.MIN_TASKS_PER_CATEGORY).length;
+        const coveragePercentage = categoryNames.length > 0 ? Math.round((covered / categoryNames.length) * 100) : 0;
+
+        // Volume and pace
+        const volumePercentage = Math.min(100, Math.round((tasks.length / settings.TARGET_TASKS) * 100));
+        const perDay = recentTasks.length / settings.RECENT_DAYS;
+        const daysLeft = Math.max(0, daysRemaining);
+        const projectedNewTasks = Math.round(perDay * daysLeft);
+
+        const trend = AnalyticsMath.calculateTaskTrend(tasks, getScore);
+
+        const weigh = (acc, cov, vol) => Math.round(
+            settings.WEIGHTS.accuracy * acc + settings.WEIGHTS.coverage * cov + settings.WEIGHTS.volume * vol
+        );
+        const clamp = value => Math.max(0, Math.min(100, value));
+
+        const projectedAccuracy = clamp(Math.round(accuracy + trend.percentage * Math.min(1, daysLeft / settings.RECENT_DAYS)));
+        const projectedCovered = Math.min(categoryNames.length, covered + Math.floor(projectedNewTasks / settings.MIN_TASKS_PER_CATEGORY));
+        const projectedCoverage = categoryNames.length > 0 ? Math.round((projectedCovered / categoryNames.length) * 100) : 0;
+        const projectedVolume = Math.min(100, Math.round(((tasks.length + projectedNewTasks) / settings.TARGET_TASKS) * 100));
+
+        const readiness = weigh(accuracy, coveragePercentage, volumePercentage);
+        const projectedScore = daysRemaining < 0 ? readiness : weigh(projectedAccuracy, projectedCoverage, projectedVolume);
+
+        let status;
+        if (daysRemaining < 0) {
+            status = ExamReadiness.STATUS.FINISHED;
+        } else if (tasks.length === 0) {
+            status = ExamReadiness.STATUS.NO_DATA;
+        } else {
+            status = projectedScore >= settings.TARGET_SCORE ? ExamReadiness.STATUS.ON_TRACK : ExamReadiness.STATUS.BEHIND;
+        }
+
+        return {
+            exam,
+            subject: exam.subject || null,
+            daysRemaining,
+            accuracy,
+            coverage: { covered, total: categoryNames.length, percentage: coveragePercentage },
+            volume: { total: tasks.length, recent: recentTasks.length, perDay: Math.round(perDay * 10) / 10, percentage: volumePercentage },
+            trend,
+            readiness,
+            projectedScore,
+            // Tasks per day still needed to reach TARGET_TASKS before the exam
+            requiredPerDay: daysLeft > 0 ? Math.ceil(Math.max(0, settings.TARGET_TASKS - tasks.length) / daysLeft) : 0,
+            status
+        };
+    },
+
+    /**
+     * Readiness of every exam
+     * @param {Array} exams - CONFIG.EXAMS
+     * @param {Array} tasks - All tasks
+     * @param {Object} options - { categories: [{ category_name, subject_name }], subjectNames, getScore, now }
+     * @returns {Array} One assessment per exam, in the same order
+     */
+    assessAll(exams, tasks, options = {}) {
+        const subjectNames = options.subjectNames || Array.from(new Set(tasks.map(task => task.subject).filter(Boolean)));
+        const sameName = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+        return exams.map(exam => {
+            const subject = ExamReadiness.findSubject(exam, subjectNames);
+            const subjectTasks = subject ? tasks.filter(task => sameName(task.subject, subject)) : [];
+            const categories = (options.categories || [])
+                .filter(category => sameName(category.subject_name, subject))
+                .map(category => category.category_name || category.name)
+                .filter(Boolean);
+
+            return ExamReadiness.assess({ ...exam, subject }, subjectTasks, { ...options, categories });
+        });
+    },
+
+    /**
+     * @param {string} status - Assessment status
+     * @returns {string} Polish label with icon
+     */
+    getLabel(status) {
+        return ExamReadiness.LABELS[status] || ExamReadiness.LABELS.no_data;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExamReadiness;
+}
+
+// Make ExamReadiness available globally
+if (typeof window !== 'undefined') {
+    window.ExamReadiness = ExamReadiness;
+}
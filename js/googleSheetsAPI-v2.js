@@ -1,7 +1,8 @@
 /**
  * Enhanced Google Sheets API Integration Class
  * Version 2.0 - Comprehensive data operations for StudyFlow app
- * Handles all interactions with Google Sheets via Google Apps Script Web App
+ * Handles all data operations; reads and writes go through the storage adapter
+ * selected in settings (Google Apps Script Web App or local IndexedDB)
  */
 class GoogleSheetsAPIv2 {
     constructor(config) {
@@ -13,12 +14,29 @@ class GoogleSheetsAPIv2 {
         // Initialize debugger integration
         this.debugger = window.gsDebugger || null;
         
-        if (!this.url) {
-            console.warn('⚠️ Google Apps Script URL not configured');
+        // Storage backend selected in settings (Google Sheets or local IndexedDB)
+        this.storage = createStorageAdapter(config);
+        
+        // Student profile whose rows are read and written ('' without profiles.js - every row is read)
+        this.profileId = window.Profiles ? window.Profiles.getActiveId() : '';
+        
+        // Durable outbox for remote writes (falls back to direct sends when writeQueue.js is not loaded)
+        this.writeQueue = window.WriteQueue && this.isRemoteStorage() ? window.WriteQueue.getShared() : null;
+        if (this.writeQueue) {
+            this.writeQueue.setSender(entry => this.sendData(entry.action, entry.data, entry.params));
         }
         
-        if (!this.spreadsheetId) {
-            console.warn('⚠️ Spreadsheet ID not configured');
+        // Incremental cache of Tasks / StudyTasks rows (falls back to full reads when taskCache.js is not loaded)
+        this.taskCache = window.TaskCache && this.isRemoteStorage() ? window.TaskCache.getShared() : null;
+        
+        if (this.isRemoteStorage()) {
+            if (!this.url) {
+                console.warn('⚠️ Google Apps Script URL not configured');
+            }
+            
+            if (!this.spreadsheetId) {
+                console.warn('⚠️ Spreadsheet ID not configured');
+            }
         }
     }
 
@@ -34,19 +52,22 @@ class GoogleSheetsAPIv2 {
     async addTask(taskData) {
         const startTime = Date.now();
         
-        // Backend expects: [task_name, description, category, subject, correctness, timestamp, session_id]
-        const orderedData = [
-            taskData.name || '',
-            taskData.description || '',
-            taskData.category || '',
-            taskData.subject || '',
-            taskData.correctness ? 'Poprawnie' : 'Błędnie',
-            new Date().toISOString(),
-            taskData.sessionId || ''
-        ];
+        // Fields are named after the Tasks sheet headers - the backend finds their columns by name
+        // task_id is generated once per task so retries and outbox replays update the same row
+        const record = {
+            task_name: taskData.name || '',
+            description: taskData.description || '',
+            category: taskData.category || '',
+            subject: taskData.subject || '',
+            correctness: Correctness.LABELS[Correctness.getOutcome(taskData.correctness)], // Poprawnie / Częściowo / Błędnie
+            timestamp: new Date().toISOString(),
+            session_id: taskData.sessionId || '',
+            task_id: taskData.taskId || this.generateTaskId(),
+            user_id: this.profileId
+        };
 
         try {
-            const result = await this.postData('addTask', orderedData);
+            const result = await this.postData('addTask', record);
             const duration = Date.now() - startTime;
             
             if (this.debugger) {
@@ -56,7 +77,7 @@ class GoogleSheetsAPIv2 {
             return result;
         } catch (error) {
             if (this.debugger) {
-                this.debugger.logError('addTask', error, { taskData, orderedData });
+                this.debugger.logError('addTask', error, { taskData, record });
             }
             throw error;
         }
@@ -70,7 +91,7 @@ class GoogleSheetsAPIv2 {
         const startTime = Date.now();
         
         try {
-            const response = await this.getData('getTasks');
+            const response = await this.readTaskRows('getTasks');
             const duration = Date.now() - startTime;
             
             if (!response.success) {
@@ -191,6 +212,104 @@ class GoogleSheetsAPIv2 {
         }
     }
 
+    /**
+     * Add a subject
+     * @param {Object} subjectData - { subject_name, color, icon }
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async addSubject(subjectData) {
+        return this.submitManagementWrite('addSubject', {
+            subject_name: subjectData.subject_name,
+            color: subjectData.color || '#667eea',
+            icon: subjectData.icon || '📚'
+        });
+    }
+
+    /**
+     * Add a category
+     * @param {Object} categoryData - { category_name, subject_name, difficulty }
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async addCategory(categoryData) {
+        return this.submitManagementWrite('addCategory', {
+            category_name: categoryData.category_name,
+            subject_name: categoryData.subject_name,
+            difficulty: categoryData.difficulty || 'Średni'
+        });
+    }
+
+    /**
+     * Update a subject (subjects are identified by name)
+     * @param {string} subjectId - Current subject name
+     * @param {Object} subjectData - { subject_name, color, icon }
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async updateSubject(subjectId, subjectData) {
+        return this.submitManagementWrite('update', {
+            subject_name: subjectData.subject_name,
+            color: subjectData.color || '#667eea',
+            icon: subjectData.icon || '📚'
+        }, { formType: 'subject', itemId: subjectId });
+    }
+
+    /**
+     * Update a category (categories are identified by name)
+     * @param {string} categoryId - Current category name
+     * @param {Object} categoryData - { category_name, subject_name, difficulty }
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async updateCategory(categoryId, categoryData) {
+        return this.submitManagementWrite('update', {
+            category_name: categoryData.category_name,
+            subject_name: categoryData.subject_name,
+            difficulty: categoryData.difficulty || 'Średni'
+        }, { formType: 'category', itemId: categoryId });
+    }
+
+    /**
+     * Delete a subject
+     * @param {string} subjectId - Subject name
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async deleteSubject(subjectId) {
+        return this.submitManagementWrite('deleteSubject', null, { name: subjectId });
+    }
+
+    /**
+     * Delete a category
+     * @param {string} categoryId - Category name
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async deleteCategory(categoryId) {
+        return this.submitManagementWrite('deleteCategory', null, { name: categoryId });
+    }
+
+    /**
+     * Send a subject/category write with debugger logging
+     * @param {string} action - Backend action
+     * @param {Object|null} data - Fields keyed by sheet header
+     * @param {Object} params - Extra request parameters
+     * @returns {Promise<Object>} Response from the storage backend
+     */
+    async submitManagementWrite(action, data, params = {}) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.postData(action, data, params);
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved(action, 'management_write', { data, params }, { duration: Date.now() - startTime });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError(action, error, { data, params });
+            }
+            throw error;
+        }
+    }
+
     // =============================================
     // POMODORO SESSION OPERATIONS
     // =============================================
@@ -201,21 +320,22 @@ class GoogleSheetsAPIv2 {
      * @returns {Promise<Object>} Response from Google Apps Script
      */
     async addPomodoroSession(sessionData) {
-        const orderedData = [
-            sessionData.sessionId || this.generateSessionId(),
-            sessionData.startTime || new Date().toISOString(),
-            sessionData.endTime || new Date().toISOString(),
-            sessionData.duration || 25,
-            sessionData.subject || '',
-            sessionData.category || '',
-            sessionData.completed || true,
-            sessionData.tasksCompleted || 0
-        ];
+        const record = {
+            session_id: sessionData.sessionId || this.generateSessionId(),
+            start_time: sessionData.startTime || new Date().toISOString(),
+            end_time: sessionData.endTime || new Date().toISOString(),
+            duration_minutes: sessionData.duration || 25,
+            subject: sessionData.subject || '',
+            category: sessionData.category || '',
+            completed: sessionData.completed || true,
+            tasks_completed: sessionData.tasksCompleted || 0,
+            user_id: this.profileId
+        };
 
         const startTime = Date.now();
         
         try {
-            const result = await this.postData('addPomodoroSession', orderedData);
+            const result = await this.postData('addPomodoroSession', record);
             const duration = Date.now() - startTime;
             
             if (this.debugger) {
@@ -293,6 +413,42 @@ class GoogleSheetsAPIv2 {
         }
     }
 
+    /**
+     * Store the active profile's unlock of an achievement (AchievementUnlocks sheet)
+     * @param {string} achievementId - achievement_id
+     * @param {boolean} unlocked - Unlocked or reset
+     * @param {string} unlockDate - ISO time of the unlock
+     * @returns {Promise<Object>} Response from Google Apps Script
+     */
+    async updateAchievement(achievementId, unlocked, unlockDate = null) {
+        const startTime = Date.now();
+
+        if (this.config.DEMO_MODE) {
+            return { success: true, action: 'updateAchievement', data: { rowId: achievementId } };
+        }
+
+        try {
+            const result = await this.postData('updateAchievement', {
+                achievement_id: achievementId,
+                unlocked: unlocked,
+                unlock_date: unlocked ? (unlockDate || new Date().toISOString()) : '',
+                user_id: this.profileId
+            });
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('updateAchievement', 'achievements', [achievementId], { duration });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('updateAchievement', error, { achievementId });
+            }
+            throw error;
+        }
+    }
+
     // =============================================
     // STUDY SESSION OPERATIONS
     // =============================================
@@ -363,8 +519,7 @@ class GoogleSheetsAPIv2 {
         }
         
         try {
-            const params = sessionId ? `&sessionId=${encodeURIComponent(sessionId)}` : '';
-            const response = await this.getData('getStudyTasks', params);
+            const response = await this.readTaskRows('getStudyTasks', sessionId);
             const duration = Date.now() - startTime;
             
             if (!response.success) {
@@ -396,20 +551,20 @@ class GoogleSheetsAPIv2 {
     async addStudySession(sessionData) {
         const startTime = Date.now();
         
-        // Backend expects: [session_id, start_time, end_time, duration_minutes, total_tasks, correct_tasks, accuracy_percentage, notes]
-        const orderedData = [
-            sessionData.session_id || this.generateSessionId(),
-            sessionData.start_time || new Date().toISOString(),
-            sessionData.end_time || new Date().toISOString(),
-            sessionData.duration_minutes || 0,
-            sessionData.total_tasks || 0,
-            sessionData.correct_tasks || 0,
-            sessionData.accuracy_percentage || 0,
-            sessionData.notes || ''
-        ];
+        const record = {
+            session_id: sessionData.session_id || this.generateSessionId(),
+            start_time: sessionData.start_time || new Date().toISOString(),
+            end_time: sessionData.end_time || new Date().toISOString(),
+            duration_minutes: sessionData.duration_minutes || 0,
+            total_tasks: sessionData.total_tasks || 0,
+            correct_tasks: sessionData.correct_tasks || 0,
+            accuracy_percentage: sessionData.accuracy_percentage || 0,
+            notes: sessionData.notes || '',
+            user_id: this.profileId
+        };
 
         try {
-            const result = await this.postData('addStudySession', orderedData);
+            const result = await this.postData('addStudySession', record);
             const duration = Date.now() - startTime;
             
             if (this.debugger) {
@@ -419,7 +574,7 @@ class GoogleSheetsAPIv2 {
             return result;
         } catch (error) {
             if (this.debugger) {
-                this.debugger.logError('addStudySession', error, { sessionData, orderedData });
+                this.debugger.logError('addStudySession', error, { sessionData, record });
             }
             throw error;
         }
@@ -502,66 +657,128 @@ class GoogleSheetsAPIv2 {
     // =============================================
 
     /**
-     * Generic GET request to Google Apps Script
+     * Whether data is stored in Google Sheets (as opposed to the local-only IndexedDB backend)
+     * @returns {boolean}
+     */
+    isRemoteStorage() {
+        return this.storage.isRemote;
+    }
+
+    /**
+     * Generic read through the storage adapter
      * @param {string} action - Action to perform
      * @param {string} extraParams - Additional URL parameters
      * @returns {Promise<Object>} Response data
      */
     async getData(action, extraParams = '') {
-        if (!this.url || !this.spreadsheetId) {
-            throw new Error('Google Apps Script URL or Spreadsheet ID not configured');
-        }
-
-        const url = `${this.url}?action=${action}&spreadsheetId=${this.spreadsheetId}${extraParams}`;
+        const params = Object.fromEntries(new URLSearchParams(extraParams));
+        return this.storage.read(action, this.withProfile(action, params));
+    }
 
-        try {
-            const response = await fetch(url, {
-                method: 'GET',
-                mode: 'cors',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
+    /**
+     * Add the active profile to the parameters of reads that return one student's rows
+     * @param {string} action - Read action
+     * @param {Object} params - Request parameters
+     * @returns {Object} Parameters
+     */
+    withProfile(action, params = {}) {
+        if (!this.profileId || !GoogleSheetsAPIv2.PROFILE_READS.includes(action)) {
+            return params;
+        }
+        return { ...params, user_id: this.profileId };
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
+    /**
+     * Key of a read in the task cache and data store - rows of each profile are cached apart
+     * @param {string} action - Read action
+     * @returns {string} Cache key
+     */
+    getCacheKey(action) {
+        const key = `${this.spreadsheetId}:${action}`;
+        return this.profileId && GoogleSheetsAPIv2.PROFILE_READS.includes(action) ? `${key}:${this.profileId}` : key;
+    }
 
-            const data = await response.json();
-            return data;
-        } catch (error) {
-            throw error;
+    /**
+     * Read all rows of a task sheet. With remote storage only rows changed since the
+     * last read are downloaded and merged into the task cache.
+     * @param {string} action - getTasks or getStudyTasks
+     * @param {string} sessionId - Optional session ID to filter by
+     * @returns {Promise<Object>} { success, data, error }
+     */
+    async readTaskRows(action, sessionId = null) {
+        if (!this.taskCache) {
+            const params = sessionId ? `&sessionId=${encodeURIComponent(sessionId)}` : '';
+            return this.getData(action, params);
         }
+
+        const rows = await this.taskCache.sync(this.getCacheKey(action), params => this.storage.read(action, this.withProfile(action, params)));
+        return {
+            success: true,
+            data: sessionId ? rows.filter(row => String(row.session_id) === String(sessionId)) : rows
+        };
     }
 
     /**
-     * Generic POST request to Google Apps Script
+     * Generic write through the storage adapter.
+     * Remote writes are stored in the outbox first, so they survive reloads and
+     * offline periods, and are delivered in order with earlier queued writes.
      * @param {string} action - Action to perform
-     * @param {Array} data - Data array to send
-     * @returns {Promise<Object>} Response data
+     * @param {*} data - Data sent as the `data` parameter
+     * @param {Object} params - Extra request parameters
+     * @returns {Promise<Object>} Response data (queued: true when not delivered yet)
      */
-    async postData(action, data) {
-        if (!this.url || !this.spreadsheetId) {
+    async postData(action, data, params = {}) {
+        if (this.isRemoteStorage() && (!this.url || !this.spreadsheetId)) {
             throw new Error('Google Apps Script URL or Spreadsheet ID not configured');
         }
 
-        const fd = new FormData();
-        fd.append('action', action);
-        fd.append('spreadsheetId', this.spreadsheetId);
-        fd.append('data', JSON.stringify(data));
+        if (!this.writeQueue) {
+            return this.sendData(action, data, params);
+        }
 
-        try {
-            const response = await fetch(this.url, {
-                method: 'POST',
-                mode: 'no-cors',
-                body: fd
-            });
+        const entryId = await this.writeQueue.enqueue(action, data, params);
+        await this.writeQueue.flush();
 
-            // Note: no-cors mode means we can't read the response body
-            return { success: true, message: `${action} completed successfully` };
-        } catch (error) {
-            throw error;
+        const result = this.writeQueue.takeResult(entryId);
+        if (result) {
+            return result;
+        }
+
+        return {
+            success: true,
+            queued: true,
+            message: `${action} saved offline and will be sent when the connection returns`
+        };
+    }
+
+    /**
+     * Deliver a single write to the storage backend and read its acknowledgement
+     * @param {string} action - Action to perform
+     * @param {*} data - Data sent as the `data` parameter
+     * @param {Object} params - Extra request parameters
+     * @returns {Promise<Object>} { success, action, rowId, data }
+     * @throws {Error} With `retryable` set to false when the backend rejected the write
+     */
+    async sendData(action, data, params = {}) {
+        const result = await this.storage.write(action, data, params);
+        
+        // Let the data store refresh what the write changed (also for outbox replays)
+        if (result && result.success) {
+            window.dispatchEvent(new CustomEvent('dataWritten', { detail: { action, params } }));
         }
+        
+        return result;
+    }
+
+    /**
+     * Get pending/failed counts of the write outbox
+     * @returns {Promise<Object>} { pending, failed }
+     */
+    async getOutboxStats() {
+        if (!this.writeQueue) {
+            return { pending: 0, failed: 0 };
+        }
+        return this.writeQueue.getStats();
     }
 
     /**
@@ -573,48 +790,21 @@ class GoogleSheetsAPIv2 {
     }
     
     /**
-     * Check if a task is correct based on various correctness formats
+     * Check if a task is fully correct (see Correctness)
      * @param {Object} task - Task object
      * @returns {boolean} Whether the task is correct
      */
     isTaskCorrect(task) {
-        if (typeof task.correctness === 'boolean') {
-            return task.correctness === true;
-        } else if (typeof task.correctness === 'string') {
-            const corrValue = task.correctness.toLowerCase();
-            return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'true' || corrValue === 'correct';
-        }
-        return false;
+        return Correctness.isCorrect(task);
     }
     
     /**
-     * Convert correctness value to standardized Yes/No string for Google Sheets
+     * Convert correctness value to the value stored in the correctly_completed column
      * @param {*} correctness - Correctness value (boolean, string, etc.)
-     * @returns {string} "Yes" or "No"
+     * @returns {string} "Yes", "50/50" or "No"
      */
     convertCorrectnessToString(correctness) {
-        // Handle boolean values
-        if (typeof correctness === 'boolean') {
-            return correctness ? 'Yes' : 'No';
-        }
-        
-        // Handle string values
-        if (typeof correctness === 'string') {
-            const corrValue = correctness.toLowerCase();
-            if (corrValue === 'yes' || corrValue === 'true' || corrValue === 'poprawnie' || corrValue === 'dobrze') {
-                return 'Yes';
-            }
-            if (corrValue === 'no' || corrValue === 'false' || corrValue === 'błędnie' || corrValue === 'źle') {
-                return 'No';
-            }
-            // If already "Yes" or "No", return as is
-            if (corrValue === 'yes') return 'Yes';
-            if (corrValue === 'no') return 'No';
-        }
-        
-        // Default to 'No' for any unrecognized values
-        console.warn('Unknown correctness value:', correctness, 'defaulting to "No"');
-        return 'No';
+        return Correctness.toSheetValue(correctness);
     }
 
     /**
@@ -625,39 +815,29 @@ class GoogleSheetsAPIv2 {
     async submitStudyTask(taskData) {
         const startTime = Date.now();
         
-        // Backend expects: [task_id, task_name, description, categories, correctly_completed, start_time, end_time, location, subject, session_id]
-        const orderedData = [
-            taskData.task_id || this.generateTaskId(),
-            taskData.task_name || '',
-            taskData.description || '',
-            taskData.categories || '',
-            // Convert boolean to Yes/No string for Google Sheets
-            this.convertCorrectnessToString(taskData.correctly_completed),
-            taskData.start_time || new Date().toISOString(),
-            taskData.end_time || new Date().toISOString(),
-            taskData.location || '',
-            taskData.subject || '',
-            taskData.session_id || ''
-        ];
+        // Fields are named after the StudyTasks sheet headers - the backend finds their columns by name
+        const record = {
+            task_id: taskData.task_id || this.generateTaskId(),
+            task_name: taskData.task_name || '',
+            description: taskData.description || '',
+            categories: taskData.categories || '',
+            // Convert to the sheet format (Yes / 50/50 / No)
+            correctly_completed: this.convertCorrectnessToString(taskData.correctly_completed),
+            start_time: taskData.start_time || new Date().toISOString(),
+            end_time: taskData.end_time || new Date().toISOString(),
+            location: taskData.location || '',
+            subject: taskData.subject || '',
+            session_id: taskData.session_id || '',
+            user_id: this.profileId
+        };
 
         // Debug logging to help diagnose data issues
         console.log('%c📋 [DEBUG] StudyTask Submission Data:', 'color: #7c3aed; font-weight: bold;');
         console.log('Original taskData:', taskData);
-        console.log('Ordered data for Google Sheets:', orderedData);
-        console.log('Data mapping:');
-        console.log('  task_id:', orderedData[0]);
-        console.log('  task_name:', orderedData[1]);
-        console.log('  description:', orderedData[2]);
-        console.log('  categories:', orderedData[3]);
-        console.log('  correctly_completed:', orderedData[4]);
-        console.log('  start_time:', orderedData[5]);
-        console.log('  end_time:', orderedData[6]);
-        console.log('  location:', orderedData[7]);
-        console.log('  subject:', orderedData[8]);
-        console.log('  session_id:', orderedData[9]);
+        console.log('Record for Google Sheets:', record);
         
         try {
-            const result = await this.postData('addStudyTask', orderedData);
+            const result = await this.postData('addStudyTask', record);
             const duration = Date.now() - startTime;
             
             if (this.debugger) {
@@ -667,7 +847,7 @@ class GoogleSheetsAPIv2 {
             return result;
         } catch (error) {
             if (this.debugger) {
-                this.debugger.logError('addStudyTask', error, { taskData, orderedData });
+                this.debugger.logError('addStudyTask', error, { taskData, record });
             }
             throw error;
         }
@@ -682,6 +862,231 @@ class GoogleSheetsAPIv2 {
         return this.submitStudyTask(taskData);
     }
 
+    /**
+     * Add tasks imported from a file to the StudyTasks sheet in one write
+     * @param {Array} tasks - Study tasks with task_id and start_time (see TaskImport.buildTasks)
+     * @returns {Promise<Object>} Response from Google Apps Script ({ saved, created } in data)
+     */
+    async importStudyTasks(tasks) {
+        const startTime = Date.now();
+
+        const records = tasks.map(task => ({
+            task_id: task.task_id,
+            task_name: task.task_name,
+            description: task.description || '',
+            categories: task.categories || '',
+            correctly_completed: this.convertCorrectnessToString(task.correctly_completed),
+            start_time: task.start_time,
+            end_time: task.end_time || task.start_time,
+            location: task.location || '',
+            subject: task.subject || '',
+            session_id: task.session_id || '',
+            user_id: this.profileId
+        }));
+
+        try {
+            const result = await this.postData('importStudyTasks', records);
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('importStudyTasks', 'study_task_import', records, { duration });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('importStudyTasks', error, { count: records.length });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Update fields of an existing StudyTasks row
+     * @param {string} taskId - Task ID
+     * @param {Object} changes - Fields to change (task_name, description, categories, correctly_completed, location, subject)
+     * @returns {Promise<Object>} Response from Google Apps Script
+     */
+    async updateTask(taskId, changes) {
+        const startTime = Date.now();
+
+        const normalizedChanges = { ...changes };
+        if ('correctly_completed' in normalizedChanges) {
+            normalizedChanges.correctly_completed = this.convertCorrectnessToString(normalizedChanges.correctly_completed);
+        }
+
+        try {
+            const result = await this.postData('updateTask', { task_id: taskId, changes: normalizedChanges });
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('updateTask', 'study_task_update', normalizedChanges, { duration, taskId });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('updateTask', error, { taskId, changes });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a StudyTasks row
+     * @param {string} taskId - Task ID
+     * @returns {Promise<Object>} Response from Google Apps Script
+     */
+    async deleteTask(taskId) {
+        const startTime = Date.now();
+
+        try {
+            const result = await this.postData('deleteTask', { task_id: taskId });
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('deleteTask', 'study_task_delete', { task_id: taskId }, { duration });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('deleteTask', error, { taskId });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get settings from the Settings sheet
+     * @returns {Promise<Object>} { success, settings: { key: { value, type, description, updated_at } } }
+     */
+    async getSettings() {
+        const startTime = Date.now();
+
+        try {
+            const response = await this.getData('getSettings');
+            const duration = Date.now() - startTime;
+
+            if (!response.success) {
+                return { success: false, settings: {}, error: response.error };
+            }
+
+            const settings = response.data || {};
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('getSettings', 'settings', Object.keys(settings), { duration });
+            }
+
+            return { success: true, settings: settings, data: settings };
+
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('getSettings', error);
+            }
+            return { success: false, settings: {}, error: error.message };
+        }
+    }
+
+    /**
+     * Store one setting; the backend keeps the value with the newer updated_at
+     * @param {string} key - Setting key (e.g. 'daily_goal')
+     * @param {*} value - Value
+     * @param {Object} options - { type, updated_at }
+     * @returns {Promise<Object>} Response from Google Apps Script
+     */
+    async updateSetting(key, value, options = {}) {
+        const startTime = Date.now();
+        const data = {
+            key,
+            value,
+            type: options.type || 'string',
+            updated_at: options.updated_at || new Date().toISOString()
+        };
+
+        try {
+            const result = await this.postData('updateSetting', data);
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('updateSetting', 'setting', data, { duration });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('updateSetting', error, { key });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get spaced-repetition cards from the ReviewQueue sheet
+     * @returns {Promise<Object>} { success, cards, data }
+     */
+    async getReviewQueue() {
+        const startTime = Date.now();
+
+        if (this.config.DEMO_MODE) {
+            console.log('%c🔁 [DEMO MODE] Returning empty ReviewQueue', 'color: #f59e0b; font-weight: bold;');
+            return { success: true, cards: [], data: [] };
+        }
+
+        try {
+            const response = await this.getData('getReviewQueue');
+            const duration = Date.now() - startTime;
+
+            if (!response.success) {
+                return { success: false, cards: [], error: response.error };
+            }
+
+            const cards = response.data || [];
+
+            if (this.debugger && cards.length > 0) {
+                this.debugger.logDataRetrieved('getReviewQueue', 'review_cards', cards, { duration });
+            }
+
+            return { success: true, cards: cards, data: cards };
+
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('getReviewQueue', error);
+            }
+            return { success: false, cards: [], error: error.message };
+        }
+    }
+
+    /**
+     * Insert or replace spaced-repetition cards in one write
+     * @param {Array} cards - Cards (see ReviewScheduler)
+     * @returns {Promise<Object>} Response from Google Apps Script
+     */
+    async saveReviewCards(cards) {
+        const startTime = Date.now();
+
+        if (this.config.DEMO_MODE) {
+            return { success: true, action: 'saveReviewCards', data: { saved: cards.length, created: 0 } };
+        }
+
+        try {
+            const records = cards.map(card => ReviewScheduler.toRecord(card));
+            const result = await this.postData('saveReviewCards', records);
+            const duration = Date.now() - startTime;
+
+            if (this.debugger) {
+                this.debugger.logDataRetrieved('saveReviewCards', 'review_cards', cards, { duration });
+            }
+
+            return result;
+        } catch (error) {
+            if (this.debugger) {
+                this.debugger.logError('saveReviewCards', error, { count: cards.length });
+            }
+            throw error;
+        }
+    }
+
     /**
      * Generate unique task ID
      * @returns {string} Task ID
@@ -699,10 +1104,12 @@ class GoogleSheetsAPIv2 {
      */
     async submitData(formData) {
         const taskData = {
+            taskId: formData.task_id,
             name: formData.nazwa,
             category: formData.kategorie,
             subject: formData.przedmiot,
-            correctness: formData.poprawnosc === 'Dobrze' || formData.poprawnosc === 'Poprawnie'
+            // Any of the correctness values (addTask reads it with Correctness.getOutcome)
+            correctness: formData.poprawnosc
         };
 
         return this.addTask(taskData);
@@ -713,6 +1120,7 @@ class GoogleSheetsAPIv2 {
      */
     async submitQuickTask(taskData) {
         return this.addTask({
+            taskId: taskData.taskId,
             name: taskData.name,
             category: taskData.category,
             subject: taskData.subject,
@@ -973,6 +1381,9 @@ class GoogleSheetsAPIv2 {
     }
 }
 
+// Reads that return the rows of one student profile (see js/profiles.js)
+GoogleSheetsAPIv2.PROFILE_READS = ['getTasks', 'getStudyTasks', 'getStudySessions', 'getPomodoroSessions', 'getReviewQueue', 'getAnalytics', 'getDailyStats', 'getAchievements'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GoogleSheetsAPIv2;
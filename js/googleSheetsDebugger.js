@@ -129,7 +129,7 @@ class GoogleSheetsDebugger {
                 if (data.length <= 5) {
                     console.log('%c📄 Recent Tasks:', 'color: #6b7280;');
                     data.slice(0, 5).forEach((task, index) => {
-                        const status = this.isTaskCorrect(task) ? '✅' : '❌';
+                        const status = Correctness.ICONS[Correctness.getOutcome(task)];
                         console.log(`%c  ${status} ${task.name || task.task_name}`, 'color: #374151;');
                     });
                 }
@@ -177,30 +177,16 @@ class GoogleSheetsDebugger {
      * Calculate task statistics
      */
     calculateTaskStats(tasks) {
-        const total = tasks.length;
-        let correct = 0;
+        const summary = Correctness.summarize(tasks);
         
-        tasks.forEach(task => {
-            if (this.isTaskCorrect(task)) correct++;
-        });
-        
-        const incorrect = total - correct;
-        const successRate = total > 0 ? Math.round((correct / total) * 100) : 0;
-        
-        return { total, correct, incorrect, successRate };
+        return { total: summary.total, correct: summary.correct, partial: summary.partial, incorrect: summary.incorrect, successRate: summary.accuracy };
     }
     
     /**
      * Check if task is correct
      */
     isTaskCorrect(task) {
-        if (typeof task.correctness === 'boolean') {
-            return task.correctness === true;
-        } else if (typeof task.correctness === 'string') {
-            const corrValue = task.correctness.toLowerCase();
-            return corrValue === 'poprawnie' || corrValue === 'dobrze' || corrValue === 'correct';
-        }
-        return false;
+        return Correctness.isCorrect(task);
     }
     
     /**
@@ -0,0 +1,330 @@
+/**
+ * Import Manager
+ * "Import zadań" view: tasks tracked in another spreadsheet are read from a CSV
+ * or Excel file, its columns are mapped to task fields, a dry run shows what
+ * would be added, and the new tasks are sent in importStudyTasks batches.
+ * Subjects and categories the file refers to are created first (ManagementForms).
+ */
+class ImportManager {
+    constructor(config, googleSheetsAPI) {
+        this.config = config;
+        this.googleSheetsAPI = googleSheetsAPI;
+        this.fileName = '';
+        this.rows = [];
+        this.mapping = {};
+        // Result of the last dry run: { tasks, errors, plan } - cleared when the file or mapping changes
+        this.dryRun = null;
+        this.importing = false;
+
+        this.init();
+    }
+
+    init() {
+        const fileInput = document.getElementById('import-file');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.handleFile(fileInput.files[0]));
+        }
+
+        const dryRunBtn = document.getElementById('import-dry-run');
+        if (dryRunBtn) {
+            dryRunBtn.addEventListener('click', () => this.runDryRun());
+        }
+
+        const submitBtn = document.getElementById('import-submit');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', () => this.runImport());
+        }
+    }
+
+    /**
+     * Show the view (called by LeftNavigationManager)
+     */
+    show() {
+        this.updateButtons();
+    }
+
+    // =============================================
+    // FILE AND MAPPING
+    // =============================================
+
+    async handleFile(file) {
+        this.rows = [];
+        this.mapping = {};
+        this.dryRun = null;
+        this.renderResult('');
+        this.renderMapping();
+        if (!file) return;
+
+        this.setStatus('⏳ Wczytywanie pliku...');
+        try {
+            const rows = await TaskImport.readFile(file);
+            if (rows.length < 2) {
+                throw new Error('Plik nie zawiera wierszy z zadaniami (pierwszy wiersz to nagłówki kolumn)');
+            }
+
+            this.fileName = file.name;
+            this.rows = rows;
+            this.mapping = TaskImport.guessMapping(rows[0]);
+            this.setStatus(`📄 ${file.name}: ${rows.length - 1} wierszy`);
+            console.log(`📥 Import file read: ${file.name}, ${rows.length - 1} rows`);
+        } catch (error) {
+            console.error('❌ Import file could not be read:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+
+        this.renderMapping();
+    }
+
+    renderMapping() {
+        const container = document.getElementById('import-mapping');
+        if (!container) return;
+
+        if (this.rows.length === 0) {
+            container.innerHTML = '';
+            this.updateButtons();
+            return;
+        }
+
+        const headers = this.rows[0];
+        const columnOptions = selected => ['<option value="-1">— pomiń —</option>']
+            .concat(headers.map((header, index) => `<option value="${index}" ${index === selected ? 'selected' : ''}>${this.escapeHtml(header || `Kolumna ${index + 1}`)}</option>`))
+            .join('');
+
+        const selects = Object.entries(TaskImport.FIELDS).map(([field, { label, required }]) => `
+            <div class="form-group">
+                <label for="import-map-${field}" class="form-label">${label}${required ? ' *' : ''}</label>
+                <select id="import-map-${field}" class="form-control form-select" data-import-field="${field}">
+                    ${columnOptions(this.mapping[field] >= 0 ? this.mapping[field] : -1)}
+                </select>
+            </div>
+        `).join('');
+
+        const preview = this.rows.slice(0, 6);
+        container.innerHTML = `
+            <h3>🔗 Kolumny</h3>
+            <div class="import-mapping-grid">${selects}</div>
+            <div class="import-table-wrapper">
+                <table class="import-table">
+                    <thead><tr>${preview[0].map(cell => `<th>${this.escapeHtml(cell)}</th>`).join('')}</tr></thead>
+                    <tbody>${preview.slice(1).map(row => `<tr>${headers.map((_, index) => `<td>${this.escapeHtml(this.formatCell(row[index]))}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelectorAll('[data-import-field]').forEach(select => {
+            select.addEventListener('change', () => {
+                this.mapping[select.getAttribute('data-import-field')] = Number(select.value);
+                this.dryRun = null;
+                this.renderResult('');
+                this.updateButtons();
+            });
+        });
+
+        this.updateButtons();
+    }
+
+    // =============================================
+    // DRY RUN
+    // =============================================
+
+    /**
+     * Check every row and compare with what is stored - nothing is written
+     */
+    async runDryRun() {
+        const missing = TaskImport.getMissingFields(this.mapping);
+        if (missing.length > 0) {
+            this.renderResult(`<div class="import-errors">❌ Wybierz kolumny: ${missing.join(', ')}</div>`);
+            return;
+        }
+
+        this.setStatus('⏳ Sprawdzanie...');
+        try {
+            const { tasks, errors } = TaskImport.buildTasks(this.rows, this.mapping);
+            const [tasksResponse, subjectsResponse, categoriesResponse] = await Promise.all([
+                this.googleSheetsAPI.getStudyTasks(),
+                this.googleSheetsAPI.fetchSubjects(),
+                this.googleSheetsAPI.fetchCategories()
+            ]);
+            if (!tasksResponse.success || !subjectsResponse.success || !categoriesResponse.success) {
+                throw new Error(tasksResponse.error || subjectsResponse.error || categoriesResponse.error || 'Nie udało się wczytać zapisanych danych');
+            }
+
+            const plan = TaskImport.plan(tasks, {
+                tasks: tasksResponse.tasks,
+                subjects: subjectsResponse.subjects,
+                categories: categoriesResponse.categories
+            });
+            this.dryRun = { tasks, errors, plan };
+            this.renderDryRun();
+            this.setStatus(`📄 ${this.fileName}: ${this.rows.length - 1} wierszy`);
+        } catch (error) {
+            console.error('❌ Import dry run failed:', error);
+            this.setStatus(`❌ ${error.message}`);
+        }
+
+        this.updateButtons();
+    }
+
+    renderDryRun() {
+        const { errors, plan } = this.dryRun;
+        const list = (items, render) => items.slice(0, 10).map(render).join('') + (items.length > 10 ? `<li>… i ${items.length - 10} więcej</li>` : '');
+
+        this.renderResult(`
+            <div class="review-summary">
+                <span class="chip success">➕ Nowe zadania: ${plan.added.length}</span>
+                <span class="chip neutral">⏭️ Już zaimportowane: ${plan.existing.length}</span>
+                <span class="chip ${errors.length > 0 ? 'error' : 'neutral'}">⚠️ Wiersze z błędami: ${errors.length}</span>
+            </div>
+            ${plan.subjects.length > 0 ? `<p>📚 Zostaną dodane przedmioty: ${plan.subjects.map(name => this.escapeHtml(name)).join(', ')}</p>` : ''}
+            ${plan.categories.length > 0 ? `<p>🏷️ Zostaną dodane kategorie: ${plan.categories.map(category => `${this.escapeHtml(category.category_name)} (${this.escapeHtml(category.subject_name)})`).join(', ')}</p>` : ''}
+            ${errors.length > 0 ? `<ul class="import-errors">${list(errors, error => `<li>Wiersz ${error.row}: ${this.escapeHtml(error.message)}</li>`)}</ul>` : ''}
+            ${plan.added.length > 0 ? `
+                <div class="import-table-wrapper">
+                    <table class="import-table">
+                        <thead><tr>${Object.values(TaskImport.FIELDS).map(({ label }) => `<th>${label}</th>`).join('')}</tr></thead>
+                        <tbody>${plan.added.slice(0, 5).map(task => `<tr>
+                            <td>${this.escapeHtml(task.task_name)}</td>
+                            <td>${this.escapeHtml(task.subject)}</td>
+                            <td>${this.escapeHtml(task.categories)}</td>
+                            <td>${Correctness.getLabel(task.correctly_completed)}</td>
+                            <td>${this.escapeHtml(new Date(task.start_time).toLocaleString('pl-PL'))}</td>
+                            <td>${this.escapeHtml(task.location)}</td>
+                        </tr>`).join('')}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `);
+    }
+
+    // =============================================
+    // IMPORT
+    // =============================================
+
+    /**
+     * Create missing subjects and categories, then send the new tasks in batches
+     */
+    async runImport() {
+        if (!this.dryRun || this.importing) return;
+
+        const { plan } = this.dryRun;
+        const confirmation = confirm(
+            `Zaimportować ${plan.added.length} zadań?\n\n` +
+            (plan.subjects.length + plan.categories.length > 0 ? `Zostaną też dodane przedmioty (${plan.subjects.length}) i kategorie (${plan.categories.length}).\n\n` : '') +
+            'Wiersze z błędami zostaną pominięte.'
+        );
+        if (!confirmation) return;
+
+        this.importing = true;
+        this.updateButtons();
+
+        let sent = 0;
+        let queued = false;
+        let failure = null;
+
+        try {
+            if (plan.subjects.length + plan.categories.length > 0) {
+                this.setStatus('⏳ Dodawanie przedmiotów i kategorii...');
+                const added = window.managementForms
+                    ? await window.managementForms.ensureSubjectsAndCategories(plan)
+                    : { errors: ['Formularze przedmiotów są niedostępne'] };
+                added.errors.forEach(message => console.warn('⚠️ Import: could not add', message));
+            }
+
+            for (const batch of TaskImport.toBatches(plan.added)) {
+                this.setStatus(`⏳ Wysyłanie zadań... ${sent}/${plan.added.length}`);
+                const result = await this.googleSheetsAPI.importStudyTasks(batch);
+                if (!result || !result.success) {
+                    throw new Error((result && result.error) || 'Zapis odrzucony');
+                }
+                if (result.queued) queued = true;
+                sent += batch.length;
+            }
+        } catch (error) {
+            console.error('❌ Import failed:', error);
+            failure = error;
+        }
+
+        this.importing = false;
+        this.dryRun = null;
+        this.updateButtons();
+        console.log(`📥 Imported ${sent} of ${plan.added.length} tasks${queued ? ' (some queued offline)' : ''}`);
+
+        if (failure) {
+            this.setStatus(`❌ Zaimportowano ${sent} z ${plan.added.length} zadań: ${failure.message}`);
+            this.showMessage(`Import przerwany: ${failure.message}`, 'error');
+        } else {
+            this.setStatus(queued
+                ? `📤 ${sent} zadań zapisanych offline - zostaną wysłane po odzyskaniu połączenia`
+                : `✅ Zaimportowano ${sent} zadań`);
+            this.showMessage(`Zaimportowano ${sent} zadań`, 'success');
+        }
+        this.renderResult('');
+
+        if (sent > 0) {
+            this.refreshViews();
+        }
+    }
+
+    /**
+     * Streaks, achievements and the review queue are computed from the task history
+     */
+    refreshViews() {
+        if (window.reviewManager) {
+            window.reviewManager.load().catch(error => console.warn('⚠️ Review queue update failed:', error));
+        }
+        if (window.achievementSystem) {
+            window.achievementSystem.refresh();
+        }
+        if (window.streakManager) {
+            window.streakManager.refresh();
+        }
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    updateButtons() {
+        const dryRunBtn = document.getElementById('import-dry-run');
+        const submitBtn = document.getElementById('import-submit');
+
+        if (dryRunBtn) dryRunBtn.disabled = this.rows.length === 0 || this.importing;
+        if (submitBtn) submitBtn.disabled = !this.dryRun || this.dryRun.plan.added.length === 0 || this.importing;
+    }
+
+    setStatus(text) {
+        const status = document.getElementById('import-status');
+        if (status) status.textContent = text;
+    }
+
+    renderResult(html) {
+        const result = document.getElementById('import-result');
+        if (result) result.innerHTML = html;
+    }
+
+    showMessage(message, type) {
+        if (window.navigationManager) {
+            window.navigationManager.showMessage(message, type);
+        }
+    }
+
+    formatCell(value) {
+        return value instanceof Date ? value.toLocaleString('pl-PL') : value;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportManager;
+}
+
+// Make ImportManager available globally
+if (typeof window !== 'undefined') {
+    window.ImportManager = ImportManager;
+}
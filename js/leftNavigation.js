@@ -68,6 +68,12 @@ class LeftNavigationManager {
             'main': document.getElementById('main-form-container'),
             'study': document.getElementById('study-container'),
             'analytics': document.getElementById('analytics-container'),
+            'review': document.getElementById('review-container'),
+            'import': document.getElementById('import-container'),
+            'anki': document.getElementById('anki-container'),
+            'report': document.getElementById('report-container'),
+            'achievements': document.getElementById('achievements-container'),
+            'settings': document.getElementById('settings-container'),
             'add-tasks': document.getElementById('tasks-tab'),
             'add-subjects': document.getElementById('subjects-tab'),
             'add-categories': document.getElementById('categories-tab')
@@ -133,6 +139,26 @@ class LeftNavigationManager {
             this.showContainer(target);
         }
         
+        if (target === 'review' && window.reviewManager) {
+            window.reviewManager.show();
+        }
+        
+        if (target === 'import' && window.importManager) {
+            window.importManager.show();
+        }
+        
+        if (target === 'anki' && window.ankiExportManager) {
+            window.ankiExportManager.show();
+        }
+        
+        if (target === 'report' && window.reportManager) {
+            window.reportManager.show();
+        }
+        
+        if (target === 'achievements' && window.achievementSystem) {
+            window.achievementSystem.show();
+        }
+        
         this.setActiveNavItem(activeItem);
         
     }
@@ -240,60 +266,33 @@ class LeftNavigationManager {
         }
     }
     
-    // NO LONGER loads from API; subjects provided by bootstrap
-    // Initialize subjects from global cache or wait for event
+    // Subjects come from the shared data store: cached ones render at once,
+    // and the list is re-rendered whenever a background refresh changes them
     initializeSubjectsFromCache() {
         if (!this.subjectsNavList) return;
         
-        console.log('🔄 Initializing subjects for navigation from cache...');
-
-        // If already available, render immediately
-        if (window.appData && Array.isArray(window.appData.subjects)) {
-            this.subjects = window.appData.subjects;
-            if (this.subjects.length > 0) {
-                this.renderSubjectsNav();
-                return;
-            }
+        console.log('🔄 Initializing subjects for navigation from the data store...');
+        
+        if (!window.DataStore) {
+            this.showNoSubjectsMessage();
+            return;
         }
-
-        // Otherwise wait for the bootstrap event
-        const onLoaded = (e) => {
-            const subjects = e?.detail?.subjects || [];
+        
+        DataStore.getShared().subscribe('subjects', (subjects) => {
             this.subjects = subjects;
             if (this.subjects.length > 0) {
                 this.renderSubjectsNav();
             } else {
                 this.showNoSubjectsMessage();
             }
-            window.removeEventListener('subjectsLoaded', onLoaded);
-        };
-        window.addEventListener('subjectsLoaded', onLoaded);
-
+        });
+        
         // If nothing arrives after a short grace period, show placeholder
         setTimeout(() => {
             if (!this.subjects || this.subjects.length === 0) {
                 this.showNoSubjectsMessage();
             }
         }, 3000);
-
-        return;
-        
-        // No further action needed; subjects will arrive via event or cache
-    }
-    
-    // Legacy API wait removed (navigation no longer fetches subjects)
-    async waitForAPIs(timeout = 5000) {
-        const startTime = Date.now();
-        
-        while (Date.now() - startTime < timeout) {
-            // We only need the API constructor or instance; CONFIG may be a top-level const (not on window)
-            if (window.googleSheetsAPI || window.GoogleSheetsAPIv2) {
-                return true;
-            }
-            await new Promise(resolve => setTimeout(resolve, 100));
-        }
-        
-        return false;
     }
     
     renderSubjectsNav() {
@@ -339,8 +338,18 @@ class LeftNavigationManager {
                 </div>
             `;
         }
-        const subjects = (window.appData && Array.isArray(window.appData.subjects)) ? window.appData.subjects : [];
-        this.subjects = subjects;
+        if (!window.DataStore) {
+            this.showNoSubjectsMessage();
+            return;
+        }
+        // The subscription re-renders the list when the subjects changed
+        try {
+            await DataStore.getShared().revalidate('subjects');
+        } catch (error) {
+            console.warn('⚠️ Could not refresh subjects:', error);
+            this.showSubjectsError();
+            return;
+        }
         if (this.subjects.length > 0) {
             this.renderSubjectsNav();
         } else {
@@ -1,7 +1,7 @@
 /**
  * Management Forms - Subject and Category CRUD Operations
  * Handles all operations for managing subjects and categories
- * Works with Google Apps Script API endpoints
+ * Works with the storage backend through GoogleSheetsAPIv2
  */
 
 class ManagementForms {
@@ -10,6 +10,7 @@ class ManagementForms {
         this.currentEditType = null;
         this.subjects = [];
         this.categories = [];
+        this.googleSheetsAPI = new GoogleSheetsAPIv2(CONFIG);
         
         this.init();
     }
@@ -276,22 +277,7 @@ class ManagementForms {
             submitBtn.innerHTML = '<span class="btn-icon">⏳</span> Dodawanie...';
             submitBtn.disabled = true;
 
-            // Prepare data for API - New structure: [subject_name, color, icon]
-            const data = [subject_name, color, icon];
-
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: 'addSubject',
-                    spreadsheetId: CONFIG.SPREADSHEET_ID,
-                    data: JSON.stringify(data)
-                })
-            });
-
-            const result = await response.json();
+            const result = await this.googleSheetsAPI.addSubject({ subject_name, color, icon });
 
             if (result.success) {
                 this.showSuccess('Przedmiot został dodany pomyślnie!');
@@ -353,22 +339,7 @@ class ManagementForms {
             submitBtn.innerHTML = '<span class="btn-icon">⏳</span> Dodawanie...';
             submitBtn.disabled = true;
 
-            // Prepare data for API - New structure: [category_name, subject_name, difficulty]
-            const data = [category_name, subject_name, difficulty];
-
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: 'addCategory',
-                    spreadsheetId: CONFIG.SPREADSHEET_ID,
-                    data: JSON.stringify(data)
-                })
-            });
-
-            const result = await response.json();
+            const result = await this.googleSheetsAPI.addCategory({ category_name, subject_name, difficulty });
 
             if (result.success) {
                 this.showSuccess('Kategoria została dodana pomyślnie!');
@@ -395,6 +366,50 @@ class ManagementForms {
         }
     }
 
+    /**
+     * Add subjects and categories that imported tasks refer to but that do not exist yet
+     * @param {Object} missing - { subjects: [name], categories: [{ category_name, subject_name }] } (see TaskImport.plan)
+     * @returns {Promise<Object>} { subjects: added count, categories: added count, errors: [message] }
+     */
+    async ensureSubjectsAndCategories({ subjects = [], categories = [] }) {
+        const added = { subjects: 0, categories: 0, errors: [] };
+
+        for (const subject_name of subjects) {
+            try {
+                const result = await this.googleSheetsAPI.addSubject({ subject_name, color: '#667eea', icon: '📚' });
+                if (!result.success) throw new Error(result.error || 'Błąd podczas dodawania przedmiotu');
+                added.subjects++;
+            } catch (error) {
+                added.errors.push(`${subject_name}: ${error.message}`);
+            }
+        }
+
+        for (const category of categories) {
+            try {
+                const result = await this.googleSheetsAPI.addCategory({ ...category, difficulty: 'Średni' });
+                if (!result.success) throw new Error(result.error || 'Błąd podczas dodawania kategorii');
+                added.categories++;
+            } catch (error) {
+                added.errors.push(`${category.category_name}: ${error.message}`);
+            }
+        }
+
+        if (added.subjects > 0 || added.categories > 0) {
+            console.log(`📚 Added ${added.subjects} subjects and ${added.categories} categories for imported tasks`);
+            await this.loadSubjects();
+            await this.loadCategories();
+            this.loadSubjectsForDropdown('category-subject');
+
+            // Refresh dropdowns in main form
+            if (typeof window.app !== 'undefined') {
+                window.app.loadSubjects();
+                window.app.loadCategories();
+            }
+        }
+
+        return added;
+    }
+
     /**
      * Load subjects from API
      */
@@ -405,12 +420,7 @@ class ManagementForms {
 
             subjectsList.innerHTML = '<div class="loading-state"><div class="loading-spinner"></div><span>Ładowanie przedmiotów...</span></div>';
 
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL + '?' + new URLSearchParams({
-                action: 'getSubjects',
-                spreadsheetId: CONFIG.SPREADSHEET_ID
-            }));
-
-            const result = await response.json();
+            const result = await this.googleSheetsAPI.getData('getSubjects');
 
             if (result.success) {
                 this.subjects = result.data || [];
@@ -445,12 +455,7 @@ class ManagementForms {
 
             categoriesList.innerHTML = '<div class="loading-state"><div class="loading-spinner"></div><span>Ładowanie kategorii...</span></div>';
 
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL + '?' + new URLSearchParams({
-                action: 'getCategories',
-                spreadsheetId: CONFIG.SPREADSHEET_ID
-            }));
-
-            const result = await response.json();
+            const result = await this.googleSheetsAPI.getData('getCategories');
 
             if (result.success) {
                 this.categories = result.data || [];
@@ -757,21 +762,9 @@ class ManagementForms {
             submitBtn.innerHTML = '<span class="btn-icon">⏳</span> Zapisywanie...';
             submitBtn.disabled = true;
 
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    action: 'update',
-                    formType: formType,
-                    itemId: itemId,
-                    spreadsheetId: CONFIG.SPREADSHEET_ID,
-                    data: JSON.stringify(data)
-                })
-            });
-
-            const result = await response.json();
+            const result = formType === 'subject'
+                ? await this.googleSheetsAPI.updateSubject(itemId, { subject_name: data[0], color: data[1], icon: data[2] })
+                : await this.googleSheetsAPI.updateCategory(itemId, { category_name: data[0], subject_name: data[1], difficulty: data[2] });
 
             if (result.success) {
                 this.showSuccess(`${formType === 'subject' ? 'Przedmiot' : 'Kategoria'} został zaktualizowany pomyślnie!`);
@@ -817,13 +810,8 @@ class ManagementForms {
         }
 
         try {
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL + '?' + new URLSearchParams({
-                action: 'deleteSubject',
-                name: subjectId, // Using subject name as identifier
-                spreadsheetId: CONFIG.SPREADSHEET_ID
-            }));
-
-            const result = await response.json();
+            // Using subject name as identifier
+            const result = await this.googleSheetsAPI.deleteSubject(subjectId);
 
             if (result.success) {
                 this.showSuccess('Przedmiot został usunięty pomyślnie!');
@@ -854,13 +842,8 @@ class ManagementForms {
         }
 
         try {
-            const response = await fetch(CONFIG.GAS_WEB_APP_URL + '?' + new URLSearchParams({
-                action: 'deleteCategory',
-                name: categoryId, // Using category name as identifier
-                spreadsheetId: CONFIG.SPREADSHEET_ID
-            }));
-
-            const result = await response.json();
+            // Using category name as identifier
+            const result = await this.googleSheetsAPI.deleteCategory(categoryId);
 
             if (result.success) {
                 this.showSuccess('Kategoria została usunięta pomyślnie!');
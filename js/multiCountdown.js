@@ -53,6 +53,7 @@
         </div>
         <div class="cd-date">${new Date(exam.date).toLocaleDateString('pl-PL')}</div>
         <div class="cd-progress"><div class="cd-progress-fill" id="${id}-p"></div></div>
+        <div class="cd-readiness" id="${id}-r"></div>
       </div>`;
   }
   function startTimers(exams) {
@@ -105,6 +106,7 @@
     if (!exams.length && cfg.EXAM && cfg.EXAM.DATE) {
       exams = [{ name: cfg.EXAM.NAME || 'Egzamin', date: cfg.EXAM.DATE }];
     }
+    // Same list (and order) as ExamReadiness.getExams, so tile i shows assessment i
     // Render all configured exams (no artificial limit)
     if (!exams.length) {
       host.innerHTML = '<div class="no-data-message">Brak skonfigurowanych egzaminów</div>';
@@ -117,7 +119,29 @@
       setTimeout(() => el.classList.add('reveal'), i * 60);
     });
     startTimers(exams);
+    // Readiness may have been calculated before the tiles existed
+    if (window.analyticsManager && window.analyticsManager.examReadiness) {
+      renderReadiness(window.analyticsManager.examReadiness);
+    }
+  }
+  function renderReadiness(assessments) {
+    assessments.forEach((a, i) => {
+      const el = document.getElementById(`cd-${i}-r`);
+      if (!el || !a) return;
+      el.className = `cd-readiness ${a.status}`;
+      if (a.status === 'no_data' || a.status === 'finished') {
+        el.innerHTML = `<span class="cd-readiness-status">${ExamReadiness.getLabel(a.status)}</span>`;
+        el.title = '';
+        return;
+      }
+      el.innerHTML = `
+        <span class="cd-readiness-score">Gotowość ${a.readiness}% → ${a.projectedScore}%</span>
+        <span class="cd-readiness-status">${ExamReadiness.getLabel(a.status)}</span>`;
+      el.title = `Skuteczność ${a.accuracy}% · kategorie ${a.coverage.covered}/${a.coverage.total} · zadania ${a.volume.total}` +
+        (a.requiredPerDay > 0 ? ` · potrzeba ~${a.requiredPerDay} zadań dziennie` : '');
+    });
   }
+  window.addEventListener('examReadinessUpdated', (e) => renderReadiness(e.detail.assessments || []));
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', render);
   } else {
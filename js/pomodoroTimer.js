@@ -198,8 +198,9 @@ class PomodoroTimer {
                 return;
             }
             
-            // Set up session data
+            // Set up session data (a resumed session keeps its id)
             this.currentSession = {
+                id: (this.isPaused && this.currentSession?.id) || this.googleSheetsAPI.generateTaskId(),
                 category: this.elements.categorySelect?.value,
                 subject: this.elements.subjectSelect?.value,
                 startTime: new Date(),
@@ -441,6 +442,7 @@ class PomodoroTimer {
         
         try {
             const sessionData = {
+                task_id: this.currentSession.id,
                 nazwa: `Pomodoro: ${this.currentSession.subject}`,
                 tresc: `Sesja skupionej nauki - ${Math.round(this.workDuration / 60)} minut`,
                 poprawnosc: 'Poprawne', // Default to correct for completed sessions
@@ -453,13 +455,18 @@ class PomodoroTimer {
             if (response.success) {
                 // console.log('Pomodoro session saved successfully');
                 if (window.navigationManager) {
-                    window.navigationManager.showMessage('Sesja zapisana pomyślnie!', 'success');
+                    const message = response.queued
+                        ? 'Sesja zapisana offline - zostanie wysłana po odzyskaniu połączenia'
+                        : 'Sesja zapisana pomyślnie!';
+                    window.navigationManager.showMessage(message, 'success');
                 }
             } else {
-                console.error('Failed to save Pomodoro session:', response.message);
+                console.error('Failed to save Pomodoro session:', response.error);
+                this.showError(`Nie udało się zapisać sesji: ${response.error}`);
             }
         } catch (error) {
             console.error('Error saving Pomodoro session:', error);
+            this.showError(`Nie udało się zapisać sesji: ${error.message}`);
         }
     }
     
@@ -0,0 +1,183 @@
+/**
+ * Student Profiles
+ * Several students can share one spreadsheet. Their tasks, study sessions,
+ * Pomodoro sessions, review cards and achievement unlocks are stored with a
+ * `user_id` and the backend returns only the rows of the profile chosen in
+ * the header, so analytics, streaks, achievements and the review queue stay
+ * per person. Subjects, categories, achievement definitions and settings
+ * are shared.
+ *
+ * The profile list is kept in this browser. A profile's id is derived from
+ * its name, so adding the same name on another device opens the same data.
+ */
+const Profiles = {
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'Domyślny',
+
+    /**
+     * localStorage keys (CONFIG.STORAGE_KEYS when the app config is loaded)
+     * @returns {Object} { list, active }
+     */
+    getStorageKeys() {
+        const keys = (typeof CONFIG !== 'undefined' && CONFIG.STORAGE_KEYS) || {};
+        return { list: keys.PROFILES || 'profiles', active: keys.ACTIVE_PROFILE || 'activeProfile' };
+    },
+
+    read(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (_) {
+            return null;
+        }
+    },
+
+    /**
+     * Id of a profile name: lower case, without Polish characters, words joined with '-'
+     * @param {string} name - Profile name
+     * @returns {string} Id ('' when the name has no letters or digits)
+     */
+    toId(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/ł/g, 'l')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    /**
+     * Every profile of this browser, the default one first
+     * @returns {Array} [{ id, name }]
+     */
+    getAll() {
+        let stored = [];
+        try {
+            stored = JSON.parse(Profiles.read(Profiles.getStorageKeys().list)) || [];
+        } catch (_) {}
+
+        const profiles = [{ id: Profiles.DEFAULT_ID, name: Profiles.DEFAULT_NAME }];
+        stored.forEach(profile => {
+            if (profile && profile.id && !profiles.some(known => known.id === profile.id)) {
+                profiles.push({ id: String(profile.id), name: String(profile.name || profile.id) });
+            }
+        });
+        return profiles;
+    },
+
+    /**
+     * Id of the profile whose data is shown (the default one when nothing was chosen)
+     * @returns {string} Profile id
+     */
+    getActiveId() {
+        const id = Profiles.read(Profiles.getStorageKeys().active);
+        return id && Profiles.getAll().some(profile => profile.id === id) ? id : Profiles.DEFAULT_ID;
+    },
+
+    /**
+     * @returns {Object} Active profile { id, name }
+     */
+    getActive() {
+        const id = Profiles.getActiveId();
+        return Profiles.getAll().find(profile => profile.id === id);
+    },
+
+    /**
+     * Add a profile to this browser. Adding a name that is already known returns that profile.
+     * @param {string} name - Profile name
+     * @returns {Object} Profile { id, name }
+     * @throws {Error} When the name has no letters or digits
+     */
+    add(name) {
+        const trimmed = String(name || '').trim();
+        const id = Profiles.toId(trimmed);
+        if (!id) {
+            throw new Error('Nazwa profilu musi zawierać litery lub cyfry');
+        }
+
+        const profiles = Profiles.getAll();
+        const existing = profiles.find(profile => profile.id === id);
+        if (existing) {
+            return existing;
+        }
+
+        const profile = { id, name: trimmed };
+        localStorage.setItem(Profiles.getStorageKeys().list, JSON.stringify(profiles.slice(1).concat(profile)));
+        return profile;
+    },
+
+    /**
+     * Show another profile's data. The app reloads so every module reads it with the new profile.
+     * @param {string} id - Profile id
+     */
+    switchTo(id) {
+        if (id === Profiles.getActiveId()) return;
+
+        localStorage.setItem(Profiles.getStorageKeys().active, id);
+        console.log(`👤 Switching to profile ${id}`);
+        window.location.reload();
+    }
+};
+
+/**
+ * Profile switcher in the header
+ */
+(function profileSwitcher() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') return;
+
+    const NEW_PROFILE = '__new__';
+
+    function render(select) {
+        const activeId = Profiles.getActiveId();
+        select.innerHTML = '';
+
+        Profiles.getAll().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = `👤 ${profile.name}`;
+            option.selected = profile.id === activeId;
+            select.appendChild(option);
+        });
+
+        const add = document.createElement('option');
+        add.value = NEW_PROFILE;
+        add.textContent = '➕ Nowy profil…';
+        select.appendChild(add);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const select = document.getElementById('profile-switcher');
+        if (!select) return;
+
+        render(select);
+        select.addEventListener('change', () => {
+            if (select.value !== NEW_PROFILE) {
+                Profiles.switchTo(select.value);
+                return;
+            }
+
+            const name = window.prompt('Nazwa nowego profilu (np. imię ucznia):');
+            if (!name) {
+                render(select);
+                return;
+            }
+
+            try {
+                Profiles.switchTo(Profiles.add(name).id);
+            } catch (error) {
+                alert(error.message);
+            }
+            render(select);
+        });
+    });
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Profiles;
+}
+
+// Make Profiles available globally
+if (typeof window !== 'undefined') {
+    window.Profiles = Profiles;
+}
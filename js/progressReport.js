@@ -0,0 +1,199 @@
+/**
+ * Progress Report
+ * Data of the printable progress report for a week or a month: summary KPIs,
+ * subjects, weakest categories, the streak calendar, insights and recommendations.
+ * Pure functions - the report view is ReportManager.
+ *
+ * Insights, recommendations and subject stats come from EnhancedAnalytics.generateReport
+ * run on the tasks of the period only; streaks from StreakCalculator, as on the dashboard,
+ * counted up to the end of the period.
+ */
+const ProgressReport = {
+    PERIODS: {
+        'this-week': 'Bieżący tydzień',
+        'last-week': 'Poprzedni tydzień',
+        'this-month': 'Bieżący miesiąc',
+        'last-month': 'Poprzedni miesiąc',
+        'last-30': 'Ostatnie 30 dni'
+    },
+
+    // Weakest categories: at least this many tasks in the period, at most LIMIT listed
+    WEAK_CATEGORY_MIN_TASKS: 2,
+    WEAK_CATEGORY_LIMIT: 5,
+
+    /**
+     * Dates of a period
+     * @param {string} key - Key of PERIODS
+     * @param {Date} now - Current time
+     * @returns {Object} { key, label, start, end, days } - start at 00:00, end at 23:59:59.999 of the last day
+     */
+    getPeriod(key, now = new Date()) {
+        if (!ProgressReport.PERIODS[key]) {
+            throw new Error(`Nieznany okres raportu: ${key}`);
+        }
+
+        const year = now.getFullYear();
+        const month = now.getMonth();
+        const day = now.getDate();
+        // Weeks start on Monday
+        const monday = day - ((now.getDay() + 6) % 7);
+
+        let start;
+        let last;
+        switch (key) {
+            case 'this-week':
+                start = new Date(year, month, monday);
+                last = new Date(year, month, monday + 6);
+                break;
+            case 'last-week':
+                start = new Date(year, month, monday - 7);
+                last = new Date(year, month, monday - 1);
+                break;
+            case 'this-month':
+                start = new Date(year, month, 1);
+                last = new Date(year, month + 1, 0);
+                break;
+            case 'last-month':
+                start = new Date(year, month - 1, 1);
+                last = new Date(year, month, 0);
+                break;
+            case 'last-30':
+                start = new Date(year, month, day - 29);
+                last = new Date(year, month, day);
+                break;
+        }
+
+        const end = new Date(last.getFullYear(), last.getMonth(), last.getDate(), 23, 59, 59, 999);
+        return {
+            key,
+            label: ProgressReport.PERIODS[key],
+            start,
+            end,
+            days: Math.round((last - start) / 86400000) + 1
+        };
+    },
+
+    /**
+     * The same number of days right before a period, for the comparison
+     */
+    getPreviousPeriod(period) {
+        const start = new Date(period.start.getFullYear(), period.start.getMonth(), period.start.getDate() - period.days);
+        return { start, end: new Date(period.start.getTime() - 1), days: period.days };
+    },
+
+    /**
+     * Whether a task or session falls into a period
+     */
+    isInPeriod(record, period) {
+        const time = new Date(record.start_time || record.timestamp || 0);
+        return time >= period.start && time <= period.end;
+    },
+
+    /**
+     * Report of a period
+     * @param {Object} data - { tasks, sessions, subjects } of the active profile
+     * @param {string} key - Key of PERIODS
+     * @param {Object} options - { now, config } - config is the app CONFIG (its ANALYTICS settings)
+     * @returns {Object} { period, generatedAt, summary, subjects, weakestCategories, calendar, insights, recommendations }
+     */
+    build({ tasks = [], sessions = [], subjects = [] }, key, { now = new Date(), config = {} } = {}) {
+        const period = ProgressReport.getPeriod(key, now);
+        const previousPeriod = ProgressReport.getPreviousPeriod(period);
+        const periodTasks = tasks.filter(task => ProgressReport.isInPeriod(task, period));
+        const periodSessions = sessions.filter(session => ProgressReport.isInPeriod(session, period));
+        const previousTasks = tasks.filter(task => ProgressReport.isInPeriod(task, previousPeriod));
+
+        // A copy - EnhancedAnalytics fills in missing ANALYTICS settings on the config it gets
+        const analytics = new EnhancedAnalytics({ ...config }, null);
+        analytics.tasks = periodTasks;
+        analytics.sessions = periodSessions;
+        analytics.subjects = subjects;
+        analytics.processAllAnalytics();
+        const generated = analytics.generateReport();
+
+        const counts = Correctness.summarize(periodTasks);
+        const previous = Correctness.summarize(previousTasks);
+        const streak = StreakCalculator.calculate(tasks, sessions, {
+            now: period.end < now ? period.end : now,
+            calendarDays: period.days
+        });
+        const startKey = AnalyticsMath.toDateKey(period.start);
+        const endKey = AnalyticsMath.toDateKey(period.end);
+
+        const colors = {};
+        subjects.forEach(subject => {
+            const name = subject.subject_name || subject.name;
+            if (name) colors[name] = subject.color;
+        });
+
+        const subjectStats = Object.values(generated.data.subjectAnalysis.subjects || {})
+            .map(subject => ({
+                name: subject.name,
+                color: colors[subject.name] || null,
+                totalTasks: subject.performance.total,
+                accuracy: subject.performance.accuracy,
+                level: subject.performance.category ? subject.performance.category.label : '',
+                tasks: subject.tasks
+            }))
+            .sort((a, b) => b.totalTasks - a.totalTasks || a.name.localeCompare(b.name));
+
+        return {
+            period,
+            generatedAt: now,
+            summary: {
+                totalTasks: counts.total,
+                correct: counts.correct,
+                partial: counts.partial,
+                incorrect: counts.incorrect,
+                accuracy: counts.accuracy,
+                // null when there is nothing to compare with
+                accuracyChange: previous.total > 0 && counts.total > 0 ? counts.accuracy - previous.accuracy : null,
+                previousTasks: previous.total,
+                studyDays: generated.summary.studyDays,
+                totalSessions: generated.summary.totalSessions,
+                studyMinutes: periodSessions.reduce((sum, session) => sum + (Number(session.duration_minutes) || 0), 0),
+                currentStreak: streak.currentStreak,
+                longestStreak: streak.longestStreak
+            },
+            subjects: subjectStats,
+            weakestCategories: ProgressReport.getWeakestCategories(generated.data.subjectAnalysis.subjects || {}),
+            calendar: streak.calendar.filter(day => day.date >= startKey && day.date <= endKey),
+            insights: generated.insights,
+            recommendations: generated.recommendations
+        };
+    },
+
+    /**
+     * Categories with the lowest accuracy across subjects
+     * @param {Object} subjectAnalysis - EnhancedAnalytics subject analysis ({ name: { categories: { name: { total, correct } } } })
+     * @returns {Array} [{ subject, name, totalTasks, accuracy }], weakest first
+     */
+    getWeakestCategories(subjectAnalysis) {
+        const categories = [];
+        Object.values(subjectAnalysis).forEach(subject => {
+            Object.entries(subject.categories || {}).forEach(([name, data]) => {
+                if (name === 'Unknown' || data.total < ProgressReport.WEAK_CATEGORY_MIN_TASKS) return;
+                categories.push({
+                    subject: subject.name,
+                    name,
+                    totalTasks: data.total,
+                    accuracy: Math.round((data.correct / data.total) * 100)
+                });
+            });
+        });
+
+        return categories
+            .sort((a, b) => a.accuracy - b.accuracy || b.totalTasks - a.totalTasks)
+            .slice(0, ProgressReport.WEAK_CATEGORY_LIMIT);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProgressReport;
+}
+
+// Make ProgressReport available globally
+if (typeof window !== 'undefined') {
+    window.ProgressReport = ProgressReport;
+}
@@ -36,6 +36,26 @@ class QuickTaskManager {
             this.setLoadedData(window.appData);
         }
         
+        // Keep the dropdowns in step with the shared data store (cached first, then revalidated)
+        if (window.DataStore) {
+            const store = DataStore.getShared();
+            store.subscribe('subjects', (subjects) => {
+                const selected = this.elements.subjectSelect ? this.elements.subjectSelect.value : '';
+                this.subjects = subjects;
+                this.updateSubjectDropdown();
+                // A refresh while the modal is open keeps the chosen subject
+                if (selected && this.subjects.some(subject => subject.name === selected)) {
+                    this.elements.subjectSelect.value = selected;
+                }
+            });
+            store.subscribe('categories', (categories) => {
+                this.categories = categories;
+                if (this.elements.subjectSelect && this.elements.subjectSelect.value) {
+                    this.updateCategoriesForSubject(this.elements.subjectSelect.value);
+                }
+            });
+        }
+        
         // Quick Task Manager initialized
     }
     
@@ -128,10 +148,13 @@ class QuickTaskManager {
         try {
             // console.log('Starting parallel data fetch...');
             
-            // Load subjects and categories in parallel
+            // Load subjects and categories in parallel (read again, bypassing the data store cache)
+            const read = (name, key, request) => window.DataStore
+                ? DataStore.getShared().revalidate(name).then(rows => ({ success: true, [key]: rows }))
+                : request();
             const [subjectsResponse, categoriesResponse] = await Promise.all([
-                this.googleSheetsAPI.fetchSubjects(),
-                this.googleSheetsAPI.fetchCategories()
+                read('subjects', 'subjects', () => this.googleSheetsAPI.fetchSubjects()),
+                read('categories', 'categories', () => this.googleSheetsAPI.fetchCategories())
             ]);
             
             // console.log('Parallel fetch completed:');
@@ -356,6 +379,9 @@ class QuickTaskManager {
             this.elements.form.reset();
         }
         
+        // Next task gets a fresh id
+        this.pendingTaskId = null;
+        
         // Reset correctness selection
         this.selectedCorrectness = null;
         this.elements.correctnessButtons.forEach(button => {
@@ -372,8 +398,14 @@ class QuickTaskManager {
     async handleSubmit(event) {
         event.preventDefault();
         
+        // One id per filled-in task: resubmitting after an error updates the same row
+        if (!this.pendingTaskId) {
+            this.pendingTaskId = this.googleSheetsAPI.generateTaskId();
+        }
+        
         const formData = new FormData(this.elements.form);
         const taskData = {
+            taskId: this.pendingTaskId,
             name: formData.get('name').trim(),
             subject: formData.get('subject'),
             category: formData.get('category'),
@@ -392,36 +424,34 @@ class QuickTaskManager {
             this.setSubmitting(true);
             
             // Submit task
-            await this.submitTask(taskData);
+            const result = await this.submitTask(taskData);
+            if (!result.success) {
+                throw new Error(result.error || 'Zadanie nie zostało zapisane');
+            }
             
-            // Record activity in streak manager
-            const points = taskData.correctness ? 
-                this.config.POINTS.CORRECT_TASK : 
-                this.config.POINTS.INCORRECT_TASK;
-                
+            // Recompute the streak from the updated history
             if (window.streakManager) {
-                window.streakManager.recordActivity(points);
+                window.streakManager.recordActivity();
             }
             
-            // Check for achievements
+            // Re-evaluate achievements against the updated history
             if (window.achievementSystem) {
-                window.achievementSystem.checkTaskAchievements();
+                window.achievementSystem.refresh();
             }
             
             // Show success message
-            this.showSuccess('Zadanie zostało dodane pomyślnie!');
+            this.showSuccess(result.queued
+                ? 'Brak połączenia - zadanie zostanie wysłane automatycznie'
+                : 'Zadanie zostało dodane pomyślnie!');
             
             // Close modal
             this.closeModal();
             
-            // Update dashboard if visible
-            if (window.dashboardManager && window.navigationManager?.currentForm === 'dashboard') {
-                window.dashboardManager.loadDashboardData();
-            }
+            // The dashboard re-renders from the data store once the write is delivered
             
         } catch (error) {
             // console.error('Error submitting quick task:', error);
-            this.showError('Błąd podczas dodawania zadania');
+            this.showError(`Błąd podczas dodawania zadania: ${error.message}`);
         } finally {
             this.setSubmitting(false);
         }
@@ -431,37 +461,14 @@ class QuickTaskManager {
      * Submit task to Google Sheets
      */
     async submitTask(taskData) {
-        const orderedData = [
-            taskData.name,
-            taskData.category,
-            taskData.subject,
-            taskData.correctness ? 'Poprawnie' : 'Błędnie',
-            taskData.timestamp,
-            taskData.correctness ? this.config.POINTS.CORRECT_TASK : this.config.POINTS.INCORRECT_TASK,
-            '' // session_id (empty for manual tasks)
-        ];
-        
-        const fd = new FormData();
-        fd.append('spreadsheetId', this.config.SPREADSHEET_ID);
-        fd.append('sheetName', this.config.SHEETS.TASKS.SHEET_NAME);
-        fd.append('range', this.config.SHEETS.TASKS.RANGE);
-        fd.append('data', JSON.stringify(orderedData));
-        fd.append('formType', 'task');
-        
-        if (this.config.DEBUG_MODE) {
-            // console.log('=== QUICK TASK SUBMISSION ===');
-            // console.log('Task data:', taskData);
-            // console.log('Ordered data:', orderedData);
-            // console.log('=============================');
-        }
-        
-        const response = await fetch(this.config.GAS_WEB_APP_URL, {
-            method: 'POST',
-            mode: 'no-cors',
-            body: fd
+        // Routed through the API so the write goes into the offline outbox
+        return this.googleSheetsAPI.addTask({
+            taskId: taskData.taskId,
+            name: taskData.name,
+            category: taskData.category,
+            subject: taskData.subject,
+            correctness: taskData.correctness
         });
-        
-        return { success: true, data: { opaque: true } };
     }
     
     /**
@@ -0,0 +1,318 @@
+/**
+ * Report Manager
+ * "Raport postępów" view: the ProgressReport of a chosen week or month laid out as
+ * a document - summary, a chart per subject, weakest categories, the streak calendar
+ * and recommendations - printed or saved as PDF through the browser's print dialog.
+ */
+class ReportManager {
+    constructor(config, googleSheetsAPI) {
+        this.config = config;
+        this.googleSheetsAPI = googleSheetsAPI;
+        // Own instance - the report charts live next to the analytics ones
+        this.chartsManager = typeof ChartsManager !== 'undefined' ? new ChartsManager(null) : null;
+        this.report = null;
+
+        this.init();
+    }
+
+    init() {
+        const periodSelect = document.getElementById('report-period');
+        if (periodSelect) {
+            periodSelect.innerHTML = Object.entries(ProgressReport.PERIODS)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            periodSelect.addEventListener('change', () => this.load());
+        }
+
+        const printBtn = document.getElementById('report-print');
+        if (printBtn) {
+            printBtn.addEventListener('click', () => window.print());
+        }
+
+        // Only the report is printed while its view is open (print CSS in styles.css);
+        // charts are sized for the screen and the page has another width on paper
+        window.addEventListener('beforeprint', () => {
+            const container = document.getElementById('report-container');
+            document.body.classList.toggle('printing-report', !!container && container.style.display !== 'none');
+            this.resizeCharts();
+        });
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-report');
+            this.resizeCharts();
+        });
+    }
+
+    /**
+     * Show the view (called by LeftNavigationManager) - the report is built anew every time
+     */
+    show() {
+        this.load();
+    }
+
+    // =============================================
+    // DATA
+    // =============================================
+
+    async load() {
+        const content = document.getElementById('report-content');
+        if (!content) return;
+
+        const periodSelect = document.getElementById('report-period');
+        const key = periodSelect ? periodSelect.value : 'this-week';
+        const printBtn = document.getElementById('report-print');
+        if (printBtn) printBtn.disabled = true;
+        content.innerHTML = '<div class="loading-state"><div class="loading-spinner"></div><div class="loading-text">Przygotowywanie raportu...</div></div>';
+
+        try {
+            const [tasksResponse, sessionsResponse, subjectsResponse] = await Promise.all([
+                this.googleSheetsAPI.getStudyTasks(),
+                this.googleSheetsAPI.getStudySessions(),
+                this.googleSheetsAPI.fetchSubjects()
+            ]);
+            if (!tasksResponse.success) {
+                throw new Error(tasksResponse.error || 'Nie udało się wczytać zadań');
+            }
+
+            this.report = ProgressReport.build({
+                tasks: tasksResponse.tasks,
+                sessions: sessionsResponse.success ? sessionsResponse.sessions : [],
+                subjects: subjectsResponse.success ? subjectsResponse.subjects : []
+            }, key, { config: this.config });
+
+            this.render();
+            if (printBtn) printBtn.disabled = false;
+            console.log(`📄 Progress report built: ${this.report.period.label}, ${this.report.summary.totalTasks} tasks`);
+        } catch (error) {
+            console.error('❌ Progress report failed:', error);
+            content.innerHTML = `<div class="report-error">❌ Nie udało się przygotować raportu: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    // =============================================
+    // VIEW
+    // =============================================
+
+    render() {
+        const content = document.getElementById('report-content');
+        if (!content || !this.report) return;
+
+        if (this.chartsManager) this.chartsManager.destroyAllCharts();
+
+        const { period, summary } = this.report;
+        const profile = typeof Profiles !== 'undefined' ? Profiles.getActive() : null;
+
+        content.innerHTML = `
+            <article class="report-sheet">
+                <header class="report-header">
+                    <h2>📄 Raport postępów${profile ? ` - ${this.escapeHtml(profile.name)}` : ''}</h2>
+                    <p class="report-period">${period.label}: ${this.formatDate(period.start)} - ${this.formatDate(period.end)}</p>
+                    <p class="report-generated">Wygenerowano ${this.report.generatedAt.toLocaleString('pl-PL')}</p>
+                </header>
+                ${summary.totalTasks === 0 ? `
+                    <p class="report-empty">W tym okresie nie zapisano żadnych zadań.</p>
+                ` : `
+                    ${this.renderSummary()}
+                    ${this.renderSubjects()}
+                    ${this.renderWeakestCategories()}
+                `}
+                ${this.renderCalendar()}
+                ${summary.totalTasks > 0 ? this.renderAdvice() : ''}
+            </article>
+        `;
+
+        this.renderCharts();
+    }
+
+    renderSummary() {
+        const { summary } = this.report;
+        const change = summary.accuracyChange;
+        const changeText = change === null
+            ? ''
+            : `<div class="report-kpi-note ${change > 0 ? 'positive' : change < 0 ? 'negative' : ''}">${change > 0 ? '+' : ''}${change} pp. względem poprzedniego okresu</div>`;
+
+        return `
+            <section class="report-section">
+                <h3>📊 Podsumowanie</h3>
+                <div class="report-kpis">
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">${summary.totalTasks}</div>
+                        <div class="report-kpi-label">Zadania</div>
+                        <div class="report-kpi-note">✅ ${summary.correct} · ◐ ${summary.partial} · ❌ ${summary.incorrect}</div>
+                    </div>
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">${summary.accuracy}%</div>
+                        <div class="report-kpi-label">Skuteczność</div>
+                        ${changeText}
+                    </div>
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">${summary.studyDays}/${this.report.period.days}</div>
+                        <div class="report-kpi-label">Dni nauki</div>
+                    </div>
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">${summary.totalSessions}</div>
+                        <div class="report-kpi-label">Sesje</div>
+                        <div class="report-kpi-note">${this.formatMinutes(summary.studyMinutes)}</div>
+                    </div>
+                    <div class="report-kpi">
+                        <div class="report-kpi-value">🔥 ${summary.currentStreak}</div>
+                        <div class="report-kpi-label">Passa na koniec okresu</div>
+                        <div class="report-kpi-note">Najdłuższa: ${summary.longestStreak} dni</div>
+                    </div>
+                </div>
+            </section>
+        `;
+    }
+
+    renderSubjects() {
+        return `
+            <section class="report-section">
+                <h3>📚 Przedmioty</h3>
+                ${this.report.subjects.map((subject, index) => `
+                    <div class="report-subject">
+                        <div class="report-subject-header" style="border-left-color: ${this.escapeHtml(subject.color || '#667eea')}">
+                            <strong>${this.escapeHtml(subject.name)}</strong>
+                            <span>${subject.totalTasks} zadań · ${subject.accuracy}% · ${this.escapeHtml(subject.level)}</span>
+                        </div>
+                        <div class="report-chart" id="report-chart-${index}"></div>
+                    </div>
+                `).join('')}
+            </section>
+        `;
+    }
+
+    renderWeakestCategories() {
+        const categories = this.report.weakestCategories;
+        return `
+            <section class="report-section">
+                <h3>⚠️ Najsłabsze kategorie</h3>
+                ${categories.length === 0 ? `
+                    <p class="report-empty">Za mało zadań, aby ocenić kategorie (co najmniej ${ProgressReport.WEAK_CATEGORY_MIN_TASKS} w kategorii).</p>
+                ` : `
+                    <table class="report-table">
+                        <thead><tr><th>Kategoria</th><th>Przedmiot</th><th>Zadania</th><th>Skuteczność</th></tr></thead>
+                        <tbody>
+                            ${categories.map(category => `
+                                <tr>
+                                    <td>${this.escapeHtml(category.name)}</td>
+                                    <td>${this.escapeHtml(category.subject)}</td>
+                                    <td>${category.totalTasks}</td>
+                                    <td>${category.accuracy}%</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </section>
+        `;
+    }
+
+    renderCalendar() {
+        const days = this.report.calendar;
+        // Empty cells so the first day lands under its weekday (Monday first)
+        const offset = days.length > 0 ? (AnalyticsMath.fromDateKey(days[0].date).getDay() + 6) % 7 : 0;
+
+        return `
+            <section class="report-section">
+                <h3>🗓️ Kalendarz nauki</h3>
+                <div class="report-calendar">
+                    ${['Pn', 'Wt', 'Śr', 'Cz', 'Pt', 'So', 'Nd'].map(name => `<div class="report-calendar-weekday">${name}</div>`).join('')}
+                    ${'<div></div>'.repeat(offset)}
+                    ${days.map(day => {
+                        const classes = ['report-calendar-day'];
+                        if (day.active) classes.push('active');
+                        if (day.frozen) classes.push('frozen');
+                        const date = AnalyticsMath.fromDateKey(day.date);
+                        return `
+                            <div class="${classes.join(' ')}" title="${day.frozen ? 'zamrożenie passy' : `${day.tasks} zadań`}">
+                                <span class="report-calendar-date">${date.getDate()}</span>
+                                <span class="report-calendar-tasks">${day.frozen ? '❄️' : day.tasks || ''}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </section>
+        `;
+    }
+
+    renderAdvice() {
+        const { insights, recommendations } = this.report;
+        const weakest = this.report.weakestCategories.filter(category => category.accuracy < 60);
+        const items = [
+            ...insights.map(insight => `${insight.emoji} <strong>${this.escapeHtml(insight.title)}:</strong> ${this.escapeHtml(insight.message)}`),
+            ...recommendations.map(recommendation => `${recommendation.emoji} ${this.escapeHtml(recommendation.message)}`),
+            ...weakest.map(category => `📝 Powtórz kategorię <strong>${this.escapeHtml(category.name)}</strong> (${this.escapeHtml(category.subject)}) - ${category.accuracy}% skuteczności`)
+        ];
+
+        return `
+            <section class="report-section">
+                <h3>💡 Wnioski i zalecenia</h3>
+                ${items.length === 0
+                    ? '<p class="report-empty">Za mało danych w tym okresie, aby sformułować zalecenia.</p>'
+                    : `<ul class="report-advice">${items.map(item => `<li>${item}</li>`).join('')}</ul>`}
+            </section>
+        `;
+    }
+
+    /**
+     * A daily tasks chart per subject, in print colors and without animation
+     */
+    renderCharts() {
+        if (!this.chartsManager || typeof Chart === 'undefined') return;
+
+        this.report.subjects.forEach((subject, index) => {
+            const chart = this.chartsManager.createDailyTasksStackedChart(subject.tasks, `report-chart-${index}`);
+            if (!chart) return;
+
+            // The app defaults are light text for the dark theme - the report is a white page
+            const ink = '#1f2937';
+            chart.options.animation = false;
+            chart.options.plugins.title.color = ink;
+            chart.options.plugins.legend.labels.color = ink;
+            Object.values(chart.options.scales).forEach(scale => {
+                scale.ticks.color = ink;
+                scale.grid.color = 'rgba(31, 41, 55, 0.1)';
+            });
+            chart.update();
+        });
+    }
+
+    resizeCharts() {
+        if (!this.chartsManager) return;
+        Object.values(this.chartsManager.charts).forEach(chart => {
+            if (chart) chart.resize();
+        });
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    formatDate(date) {
+        return date.toLocaleDateString('pl-PL', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+    }
+
+    // Also quotes - the result is used inside attribute values
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportManager;
+}
+
+// Make ReportManager available globally
+if (typeof window !== 'undefined') {
+    window.ReportManager = ReportManager;
+}
@@ -0,0 +1,259 @@
+/**
+ * Review Manager
+ * "Do powtórki" view: wrong and partial tasks come back on a spaced-repetition
+ * schedule (see ReviewScheduler). The queue is kept in sync with StudyTasks -
+ * on load it replays the task history, after every saved session it grades
+ * the new attempts - and changed cards are written to the ReviewQueue sheet.
+ */
+class ReviewManager {
+    constructor(config, googleSheetsAPI) {
+        this.config = config;
+        this.googleSheetsAPI = googleSheetsAPI;
+        this.cards = [];
+        this.loaded = false;
+        this.loadingPromise = null;
+
+        // Card picked with "Powtórz" - consumed by the first task form of the next session
+        this.pendingReview = null;
+    }
+
+    // =============================================
+    // DATA
+    // =============================================
+
+    /**
+     * Load cards and tasks, create or grade cards for attempts not seen yet
+     * @returns {Promise<Array>} All cards
+     */
+    load() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchAndSync().finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+        return this.loadingPromise;
+    }
+
+    async fetchAndSync() {
+        const [tasksResponse, queueResponse] = await Promise.all([
+            this.googleSheetsAPI.getStudyTasks(),
+            this.googleSheetsAPI.getReviewQueue()
+        ]);
+
+        if (!tasksResponse.success || !queueResponse.success) {
+            throw new Error(tasksResponse.error || queueResponse.error || 'Nie udało się wczytać kolejki powtórek');
+        }
+
+        const { cards, changed } = ReviewScheduler.syncWithTasks(tasksResponse.tasks, queueResponse.cards);
+        this.cards = cards;
+        this.loaded = true;
+
+        await this.saveCards(changed);
+        this.notifyChanged();
+
+        console.log(`🔁 Review queue loaded: ${cards.length} cards, ${this.getDueCards().length} due`);
+        return cards;
+    }
+
+    /**
+     * Grade the tasks of a session that was just saved
+     * @param {Array} tasks - Saved StudyTasks
+     */
+    async processSavedTasks(tasks) {
+        if (!this.loaded) {
+            await this.load();
+            return;
+        }
+
+        const { cards, changed } = ReviewScheduler.syncWithTasks(tasks, this.cards);
+        this.cards = cards;
+
+        await this.saveCards(changed);
+        this.notifyChanged();
+    }
+
+    async saveCards(cards) {
+        if (cards.length === 0) return;
+
+        try {
+            await this.googleSheetsAPI.saveReviewCards(cards);
+            console.log(`💾 Saved ${cards.length} review cards`);
+        } catch (error) {
+            // Cards are rebuilt from the task history on the next load
+            console.warn('⚠️ Could not save review cards:', error);
+        }
+    }
+
+    getDueCards() {
+        return ReviewScheduler.getDueCards(this.cards);
+    }
+
+    notifyChanged() {
+        const due = this.getDueCards().length;
+        this.updateNavBadge(due);
+        window.dispatchEvent(new CustomEvent('reviewQueueUpdated', {
+            detail: { total: this.cards.length, due }
+        }));
+
+        const container = document.getElementById('review-container');
+        if (container && container.style.display !== 'none') {
+            this.render();
+        }
+    }
+
+    // =============================================
+    // VIEW
+    // =============================================
+
+    /**
+     * Show the view (called by LeftNavigationManager)
+     */
+    async show() {
+        const content = document.getElementById('review-content');
+        if (!content) return;
+
+        if (!this.loaded) {
+            content.innerHTML = '<div class="review-empty">⏳ Ładowanie kolejki powtórek...</div>';
+            try {
+                await this.load();
+            } catch (error) {
+                console.error('❌ Review queue failed to load:', error);
+                content.innerHTML = `<div class="review-empty">❌ ${this.escapeHtml(error.message)}</div>`;
+                return;
+            }
+        }
+
+        this.render();
+    }
+
+    render() {
+        const content = document.getElementById('review-content');
+        if (!content) return;
+
+        const due = this.getDueCards();
+        const upcoming = this.cards
+            .filter(card => !due.includes(card))
+            .sort((a, b) => a.due_date.localeCompare(b.due_date));
+
+        if (this.cards.length === 0) {
+            content.innerHTML = '<div class="review-empty">🎉 Brak zadań do powtórki. Zadania rozwiązane błędnie lub częściowo pojawią się tutaj.</div>';
+            return;
+        }
+
+        content.innerHTML = `
+            <div class="review-summary">
+                <span class="chip ${due.length > 0 ? 'error' : 'success'}">📌 Na dziś: ${due.length}</span>
+                <span class="chip neutral">📅 Zaplanowane: ${upcoming.length}</span>
+                ${upcoming.length > 0 ? `<span class="chip neutral">⏭️ Najbliższa: ${this.formatDate(upcoming[0].due_date)}</span>` : ''}
+            </div>
+            ${due.length > 0
+                ? `<div class="review-list">${due.map(card => this.renderCard(card)).join('')}</div>`
+                : '<div class="review-empty">✅ Wszystko powtórzone na dziś.</div>'}
+        `;
+
+        content.querySelectorAll('[data-review-card]').forEach(button => {
+            button.addEventListener('click', () => this.startReview(button.getAttribute('data-review-card')));
+        });
+    }
+
+    renderCard(card) {
+        const overdueDays = Math.round((AnalyticsMath.fromDateKey(AnalyticsMath.toDateKey(new Date())) - AnalyticsMath.fromDateKey(card.due_date)) / 86400000);
+        const overdue = overdueDays > 0 ? `zaległe ${overdueDays} ${overdueDays === 1 ? 'dzień' : 'dni'}` : 'na dziś';
+
+        return `
+            <div class="review-card review-card-${this.escapeHtml(card.last_outcome)}">
+                <div class="review-card-main">
+                    <div class="review-card-title">${this.escapeHtml(card.task_name)}</div>
+                    <div class="review-card-meta">
+                        📚 ${this.escapeHtml(card.subject)}
+                        ${card.categories ? ` · 🏷️ ${this.escapeHtml(card.categories)}` : ''}
+                    </div>
+                    <div class="review-card-meta">
+                        ${Correctness.getLabel(card.last_outcome)} · ⏰ ${overdue} · 🔁 powtórek: ${card.repetitions}${card.lapses > 0 ? ` · ❗ pomyłek: ${card.lapses}` : ''}
+                    </div>
+                </div>
+                <button type="button" class="btn btn-primary review-card-btn" data-review-card="${this.escapeHtml(card.card_id)}">🎯 Powtórz</button>
+            </div>
+        `;
+    }
+
+    updateNavBadge(count) {
+        const badge = document.getElementById('review-nav-badge');
+        if (!badge) return;
+
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'inline-flex' : 'none';
+    }
+
+    // =============================================
+    // REVIEW SESSION
+    // =============================================
+
+    /**
+     * Open the study view and start a session with the card's task pre-filled
+     * @param {string} cardId - Card ID
+     */
+    startReview(cardId) {
+        const card = this.cards.find(item => item.card_id === cardId);
+        if (!card || !window.formApp) return;
+
+        this.pendingReview = card;
+
+        const studyNavItem = document.querySelector('.nav-item[data-target="study"]');
+        if (window.leftNavigationManager) {
+            window.leftNavigationManager.navigateTo('study', studyNavItem);
+        }
+        window.formApp.startStudySession();
+    }
+
+    /**
+     * Subject to preselect in the session configuration
+     * @returns {string|null} Subject
+     */
+    getPendingSubject() {
+        return this.pendingReview ? this.pendingReview.subject : null;
+    }
+
+    /**
+     * Task fields for the first form of a review session; clears the pending card
+     * @returns {Object|null} { task_name, categories: [] }
+     */
+    takePendingReview() {
+        const card = this.pendingReview;
+        this.pendingReview = null;
+        if (!card) return null;
+
+        return {
+            task_name: card.task_name,
+            categories: String(card.categories || '').split(',').map(category => category.trim()).filter(Boolean)
+        };
+    }
+
+    // =============================================
+    // HELPERS
+    // =============================================
+
+    formatDate(dateKey) {
+        return AnalyticsMath.fromDateKey(dateKey).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit' });
+    }
+
+    // Also quotes - the result is used inside attribute values
+    escapeHtml(text) {
+        return String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewManager;
+}
+
+// Make ReviewManager available globally
+if (typeof window !== 'undefined') {
+    window.ReviewManager = ReviewManager;
+}
@@ -0,0 +1,223 @@
+/**
+ * Review Scheduler
+ * Spaced repetition (SM-2) for tasks that were solved wrong or only partially.
+ * Pure functions over review cards - no DOM, no network - covered by
+ * tests/review-scheduler.test.js.
+ *
+ * A card is created the first time a task is not solved correctly and is due
+ * the next day. Every later attempt of the same task (same subject and task
+ * name, see getTaskKey) is graded with CONFIG.REVIEW.QUALITY and moves the due
+ * date. Attempts are replayed in time order and only those newer than
+ * `last_reviewed` count, so syncing the same history twice changes nothing.
+ */
+const ReviewScheduler = {
+    DEFAULTS: {
+        QUALITY: { correct: 5, partial: 3, incorrect: 1 },
+        INITIAL_EASE: 2.5,
+        MIN_EASE: 1.3,
+        MAX_INTERVAL_DAYS: 180
+    },
+
+    // Headers of the ReviewQueue sheet, in their default order
+    COLUMNS: ['card_id', 'task_id', 'task_name', 'subject', 'categories', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'due_date', 'last_reviewed', 'last_outcome', 'created_at', 'user_id'],
+
+    /**
+     * Scheduler settings (CONFIG.REVIEW when the app config is loaded)
+     * @returns {Object} { QUALITY, INITIAL_EASE, MIN_EASE, MAX_INTERVAL_DAYS }
+     */
+    getSettings() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : null;
+        const settings = { ...ReviewScheduler.DEFAULTS, ...(config && config.REVIEW) };
+        settings.QUALITY = { ...ReviewScheduler.DEFAULTS.QUALITY, ...(config && config.REVIEW && config.REVIEW.QUALITY) };
+        return settings;
+    },
+
+    /**
+     * Key that identifies repeated attempts of the same task
+     * @param {Object} item - Task or card
+     * @returns {string} 'subject|task name', lower-case
+     */
+    getTaskKey(item) {
+        const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return `${normalize(item.subject)}|${normalize(item.task_name || item.name)}`;
+    },
+
+    /**
+     * Day key `days` days after a moment
+     * @param {Date|string} when - Moment
+     * @param {number} days - Days to add
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    addDays(when, days) {
+        const start = AnalyticsMath.fromDateKey(AnalyticsMath.toDateKey(when));
+        return AnalyticsMath.toDateKey(new Date(start.getFullYear(), start.getMonth(), start.getDate() + days));
+    },
+
+    /**
+     * Clean up a card read from a sheet (numbers may arrive as strings, dates as ISO timestamps)
+     * @param {Object} card - Raw card
+     * @returns {Object} Card
+     */
+    normalizeCard(card) {
+        const settings = ReviewScheduler.getSettings();
+        return {
+            ...card,
+            ease_factor: Number(card.ease_factor) || settings.INITIAL_EASE,
+            interval_days: Number(card.interval_days) || 0,
+            repetitions: Number(card.repetitions) || 0,
+            lapses: Number(card.lapses) || 0,
+            due_date: AnalyticsMath.toDateKey(card.due_date) || AnalyticsMath.toDateKey(new Date()),
+            last_reviewed: card.last_reviewed ? new Date(card.last_reviewed).toISOString() : ''
+        };
+    },
+
+    /**
+     * New card for a task that was not solved correctly, due the next day
+     * @param {Object} task - StudyTask
+     * @param {Date|string} when - When the task was attempted
+     * @returns {Object} Card
+     */
+    createCard(task, when) {
+        const settings = ReviewScheduler.getSettings();
+        const reviewed = new Date(when).toISOString();
+        return {
+            card_id: `card_${task.task_id}`,
+            task_id: task.task_id,
+            task_name: task.task_name || task.name || '',
+            subject: task.subject || '',
+            categories: task.categories || task.category || '',
+            ease_factor: settings.INITIAL_EASE,
+            interval_days: 1,
+            repetitions: 0,
+            lapses: 0,
+            due_date: ReviewScheduler.addDays(reviewed, 1),
+            last_reviewed: reviewed,
+            last_outcome: Correctness.getOutcome(task),
+            created_at: reviewed,
+            // The card belongs to the student profile of the task
+            user_id: task.user_id || ''
+        };
+    },
+
+    /**
+     * Grade a re-attempt (SM-2). Quality below 3 restarts the card with a one-day interval.
+     * @param {Object} card - Card
+     * @param {string} outcome - 'correct' | 'partial' | 'incorrect'
+     * @param {Date|string} when - When the task was re-attempted
+     * @returns {Object} Updated card (the input is not modified)
+     */
+    review(card, outcome, when) {
+        const settings = ReviewScheduler.getSettings();
+        const quality = settings.QUALITY[outcome];
+        const next = { ...card };
+
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.lapses = card.lapses + 1;
+            next.interval_days = 1;
+        } else {
+            next.repetitions = card.repetitions + 1;
+            if (next.repetitions === 1) {
+                next.interval_days = 1;
+            } else if (next.repetitions === 2) {
+                next.interval_days = 6;
+            } else {
+                next.interval_days = Math.round(card.interval_days * card.ease_factor);
+            }
+        }
+
+        const easeChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+        next.ease_factor = Math.max(settings.MIN_EASE, Math.round((card.ease_factor + easeChange) * 100) / 100);
+        next.interval_days = Math.min(next.interval_days, settings.MAX_INTERVAL_DAYS);
+
+        const reviewed = new Date(when).toISOString();
+        next.due_date = ReviewScheduler.addDays(reviewed, next.interval_days);
+        next.last_reviewed = reviewed;
+        next.last_outcome = outcome;
+        return next;
+    },
+
+    /**
+     * Replay task attempts against the queue: wrong or partial tasks without a card get one,
+     * attempts newer than a card's last review grade it.
+     * @param {Array} tasks - StudyTasks (any order)
+     * @param {Array} cards - Existing cards
+     * @returns {Object} { cards: all cards, changed: cards to save }
+     */
+    syncWithTasks(tasks, cards) {
+        const byKey = new Map();
+        cards.map(card => ReviewScheduler.normalizeCard(card)).forEach(card => byKey.set(ReviewScheduler.getTaskKey(card), card));
+        const changed = new Set();
+
+        const attempts = tasks
+            .map(task => ({ task, time: new Date(task.start_time || task.timestamp).getTime() }))
+            .filter(attempt => !isNaN(attempt.time) && (attempt.task.task_name || attempt.task.name))
+            .sort((a, b) => a.time - b.time);
+
+        attempts.forEach(({ task, time }) => {
+            const key = ReviewScheduler.getTaskKey(task);
+            const card = byKey.get(key);
+            const outcome = Correctness.getOutcome(task);
+
+            if (card) {
+                if (time > new Date(card.last_reviewed || 0).getTime()) {
+                    byKey.set(key, ReviewScheduler.review(card, outcome, time));
+                    changed.add(key);
+                }
+            } else if (outcome !== Correctness.OUTCOMES.CORRECT && task.task_id) {
+                byKey.set(key, ReviewScheduler.createCard(task, time));
+                changed.add(key);
+            }
+        });
+
+        return {
+            cards: Array.from(byKey.values()),
+            changed: Array.from(changed).map(key => byKey.get(key))
+        };
+    },
+
+    /**
+     * Cards due on or before a day, most overdue first
+     * @param {Array} cards - Cards
+     * @param {Date} now - Current moment
+     * @returns {Array} Due cards
+     */
+    getDueCards(cards, now = new Date()) {
+        const today = AnalyticsMath.toDateKey(now);
+        return cards
+            .filter(card => card.due_date <= today)
+            .sort((a, b) => a.due_date.localeCompare(b.due_date) || String(a.subject).localeCompare(String(b.subject)));
+    },
+
+    /**
+     * Card as a ReviewQueue row
+     * @param {Object} card - Card
+     * @returns {Array} Row values in COLUMNS order
+     */
+    toRow(card) {
+        return ReviewScheduler.COLUMNS.map(column => (card[column] !== undefined ? card[column] : ''));
+    },
+
+    /**
+     * Card as a ReviewQueue record - the backend writes each field to the column of the same name
+     * @param {Object} card - Card
+     * @returns {Object} Values keyed by COLUMNS
+     */
+    toRecord(card) {
+        const record = {};
+        ReviewScheduler.COLUMNS.forEach(column => {
+            record[column] = card[column] !== undefined ? card[column] : '';
+        });
+        return record;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReviewScheduler;
+}
+
+// Make ReviewScheduler available globally
+if (typeof window !== 'undefined') {
+    window.ReviewScheduler = ReviewScheduler;
+}
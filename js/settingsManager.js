@@ -1,11 +1,20 @@
 /**
  * Settings Manager
- * Handles application settings, preferences, and configuration
+ * Handles application settings, preferences, and configuration.
+ * Exam, goal and Pomodoro settings are synced with the Settings sheet
+ * (getSettings / updateSetting); the newer change of each setting wins.
  */
 class SettingsManager {
     constructor(config) {
         this.config = config;
         this.currentSettings = {};
+        this.googleSheetsAPI = null;
+        
+        // Backup chosen for restore: { archive, storage, comparison, warnings }
+        this.pendingRestore = null;
+        
+        // When each synced setting last changed, by Settings sheet key
+        this.syncStamps = this.loadSyncStamps();
         
         this.init();
     }
@@ -48,6 +57,42 @@ class SettingsManager {
             });
         }
         
+        // Backup restore: choosing a file or target shows the preview, the button restores it
+        const importBackupInput = document.getElementById('import-backup');
+        const restoreTargetSelect = document.getElementById('restore-target');
+        if (importBackupInput) {
+            importBackupInput.addEventListener('change', () => {
+                this.handleBackupFile(importBackupInput.files[0]);
+            });
+        }
+        if (restoreTargetSelect) {
+            restoreTargetSelect.addEventListener('change', () => {
+                if (importBackupInput) this.handleBackupFile(importBackupInput.files[0]);
+            });
+        }
+        
+        const restoreOverwriteInput = document.getElementById('restore-overwrite');
+        if (restoreOverwriteInput) {
+            restoreOverwriteInput.addEventListener('change', () => {
+                if (this.pendingRestore) this.renderRestorePreview();
+            });
+        }
+        
+        const confirmRestoreBtn = document.getElementById('confirm-restore');
+        if (confirmRestoreBtn) {
+            confirmRestoreBtn.addEventListener('click', () => {
+                this.restoreBackup();
+            });
+        }
+        
+        // Storage backend selector - applied immediately, the app reloads with the new backend
+        const storageBackendSelect = document.getElementById('storage-backend');
+        if (storageBackendSelect) {
+            storageBackendSelect.addEventListener('change', (e) => {
+                this.setStorageBackend(e.target.value);
+            });
+        }
+        
         // Management buttons
         const managementButtons = {
             'manage-subjects': 'subject',
@@ -75,6 +120,7 @@ class SettingsManager {
         const examDate = localStorage.getItem(this.config.STORAGE_KEYS.EXAM_DATE) || this.config.EXAM.DATE;
         const examName = localStorage.getItem('examName') || this.config.EXAM.NAME;
         const dailyGoal = localStorage.getItem('dailyGoal') || '10';
+        const dayStartHour = localStorage.getItem('dayStartHour') ?? String(this.config.STREAKS.DAY_START_HOUR);
         
         // Pomodoro settings
         const timerSettings = localStorage.getItem(this.config.STORAGE_KEYS.TIMER_SETTINGS);
@@ -95,13 +141,18 @@ class SettingsManager {
         
         // App settings
         const debugMode = localStorage.getItem('debugMode') === 'true' || this.config.DEBUG_MODE;
+        const storageBackend = localStorage.getItem(this.config.STORAGE_KEYS.STORAGE_BACKEND) || this.config.STORAGE_BACKEND || 'sheets';
+        const apiToken = localStorage.getItem(this.config.STORAGE_KEYS.API_TOKEN) || '';
         
         this.currentSettings = {
             examDate,
             examName,
             dailyGoal: parseInt(dailyGoal),
+            dayStartHour: parseInt(dayStartHour),
             ...pomodoroSettings,
-            debugMode
+            debugMode,
+            storageBackend,
+            apiToken
         };
         
         // Update UI with current settings
@@ -121,6 +172,9 @@ class SettingsManager {
         if (examNameInput) examNameInput.value = this.currentSettings.examName;
         if (dailyGoalInput) dailyGoalInput.value = this.currentSettings.dailyGoal;
         
+        const dayStartHourInput = document.getElementById('day-start-hour');
+        if (dayStartHourInput) dayStartHourInput.value = this.currentSettings.dayStartHour;
+        
         // Pomodoro settings
         const workDurationInput = document.getElementById('work-duration');
         const shortBreakInput = document.getElementById('short-break');
@@ -135,6 +189,15 @@ class SettingsManager {
         // App settings
         const debugModeInput = document.getElementById('debug-mode');
         if (debugModeInput) debugModeInput.checked = this.currentSettings.debugMode;
+        
+        const storageBackendSelect = document.getElementById('storage-backend');
+        if (storageBackendSelect) storageBackendSelect.value = this.currentSettings.storageBackend;
+        
+        const restoreTargetSelect = document.getElementById('restore-target');
+        if (restoreTargetSelect && !this.pendingRestore) restoreTargetSelect.value = this.currentSettings.storageBackend;
+        
+        const apiTokenInput = document.getElementById('api-token');
+        if (apiTokenInput) apiTokenInput.value = this.currentSettings.apiToken;
     }
     
     /**
@@ -152,6 +215,10 @@ class SettingsManager {
                 return;
             }
             
+            // Remember which synced settings changed before replacing the current ones
+            const changed = this.markChanged(this.currentSettings, newSettings);
+            const tokenChanged = newSettings.apiToken !== this.currentSettings.apiToken;
+            
             // Save to local storage
             this.saveSettingsToStorage(newSettings);
             
@@ -161,6 +228,14 @@ class SettingsManager {
             // Apply settings to application
             this.applySettings(newSettings);
             
+            // Writes rejected with the old token are sent again, signed with the new one
+            if (tokenChanged && window.WriteQueue) {
+                WriteQueue.getShared().retryFailed();
+            }
+            
+            // Send changes to the Settings sheet (queued in the outbox when offline)
+            this.pushSettings(changed);
+            
             // Show success message
             this.showSuccess('Ustawienia zostały zapisane pomyślnie!');
             
@@ -174,15 +249,22 @@ class SettingsManager {
      * Get settings values from form inputs
      */
     getSettingsFromForm() {
+        // 0 (midnight) is a valid hour, so it cannot fall back with ||
+        const dayStartHour = parseInt(document.getElementById('day-start-hour')?.value);
+        
         return {
             examDate: document.getElementById('exam-date')?.value || this.currentSettings.examDate,
             examName: document.getElementById('exam-name')?.value || this.currentSettings.examName,
             dailyGoal: parseInt(document.getElementById('daily-goal')?.value) || this.currentSettings.dailyGoal,
+            dayStartHour: isNaN(dayStartHour) ? this.currentSettings.dayStartHour : dayStartHour,
             workDuration: parseInt(document.getElementById('work-duration')?.value) || this.currentSettings.workDuration,
             shortBreak: parseInt(document.getElementById('short-break')?.value) || this.currentSettings.shortBreak,
             longBreak: parseInt(document.getElementById('long-break')?.value) || this.currentSettings.longBreak,
-            soundEnabled: document.getElementById('sound-enabled')?.checked || this.currentSettings.soundEnabled,
-            debugMode: document.getElementById('debug-mode')?.checked || this.currentSettings.debugMode
+            soundEnabled: document.getElementById('sound-enabled')?.checked ?? this.currentSettings.soundEnabled,
+            debugMode: document.getElementById('debug-mode')?.checked ?? this.currentSettings.debugMode,
+            // Changed through setStorageBackend(), which needs a reload
+            storageBackend: this.currentSettings.storageBackend,
+            apiToken: document.getElementById('api-token')?.value.trim() ?? this.currentSettings.apiToken
         };
     }
     
@@ -192,10 +274,10 @@ class SettingsManager {
     validateSettings(settings) {
         const errors = [];
         
-        // Validate exam date
+        // Validate exam date (an unchanged date may already be in the past)
         if (!settings.examDate) {
             errors.push('Data egzaminu jest wymagana');
-        } else {
+        } else if (settings.examDate !== this.currentSettings.examDate) {
             const examDate = new Date(settings.examDate);
             const today = new Date();
             if (examDate < today) {
@@ -208,6 +290,11 @@ class SettingsManager {
             errors.push('Dzienny cel musi być między 1 a 100 zadań');
         }
         
+        // Validate streak day boundary
+        if (settings.dayStartHour < 0 || settings.dayStartHour > 6) {
+            errors.push('Początek dnia musi być między 0:00 a 6:00');
+        }
+        
         // Validate Pomodoro timers
         if (settings.workDuration < 5 || settings.workDuration > 60) {
             errors.push('Czas pracy musi być między 5 a 60 minut');
@@ -235,6 +322,7 @@ class SettingsManager {
         localStorage.setItem(this.config.STORAGE_KEYS.EXAM_DATE, settings.examDate);
         localStorage.setItem('examName', settings.examName);
         localStorage.setItem('dailyGoal', settings.dailyGoal.toString());
+        localStorage.setItem('dayStartHour', settings.dayStartHour.toString());
         
         // Pomodoro settings
         const timerSettings = {
@@ -247,6 +335,13 @@ class SettingsManager {
         
         // App settings
         localStorage.setItem('debugMode', settings.debugMode.toString());
+        
+        // Read by GoogleSheetsStorage on every request - stays in this browser only
+        if (settings.apiToken) {
+            localStorage.setItem(this.config.STORAGE_KEYS.API_TOKEN, settings.apiToken);
+        } else {
+            localStorage.removeItem(this.config.STORAGE_KEYS.API_TOKEN);
+        }
     }
     
     /**
@@ -269,12 +364,57 @@ class SettingsManager {
             });
         }
         
+        // Recompute streaks with the new day boundary
+        if (window.streakManager && window.streakManager.dayStartHour !== settings.dayStartHour) {
+            window.streakManager.refresh();
+        }
+        
         // Update debug mode
         CONFIG.DEBUG_MODE = settings.debugMode;
         
         console.log('Settings applied:', settings);
     }
     
+    /**
+     * Switch between Google Sheets and local-only (IndexedDB) storage.
+     * Data is not copied between backends; the app reloads so every module uses the new one.
+     * @param {string} backend - 'sheets' or 'local'
+     */
+    setStorageBackend(backend) {
+        const select = document.getElementById('storage-backend');
+        
+        if (backend === this.currentSettings.storageBackend) return;
+        
+        if (backend !== 'sheets' && backend !== 'local') {
+            this.showError('Nieznany sposób przechowywania danych');
+            if (select) select.value = this.currentSettings.storageBackend;
+            return;
+        }
+        
+        if (backend === 'local' && !(window.IndexedDBStorage && IndexedDBStorage.isSupported())) {
+            this.showError('Ta przeglądarka nie obsługuje IndexedDB - tryb lokalny jest niedostępny');
+            if (select) select.value = this.currentSettings.storageBackend;
+            return;
+        }
+        
+        const confirmation = confirm(
+            'Zmiana sposobu przechowywania danych wymaga przeładowania aplikacji.\n\n' +
+            'Dane nie są kopiowane między Google Sheets a pamięcią lokalną.\n\n' +
+            'Czy chcesz kontynuować?'
+        );
+        
+        if (!confirmation) {
+            if (select) select.value = this.currentSettings.storageBackend;
+            return;
+        }
+        
+        localStorage.setItem(this.config.STORAGE_KEYS.STORAGE_BACKEND, backend);
+        this.currentSettings.storageBackend = backend;
+        
+        console.log(`💾 Storage backend changed to: ${backend}`);
+        window.location.reload();
+    }
+    
     /**
      * Handle reset progress confirmation
      */
@@ -282,7 +422,6 @@ class SettingsManager {
         const confirmation = confirm(
             'Czy na pewno chcesz zresetować cały postęp?\\n\\n' +
             'Ta akcja usunie:\\n' +
-            '• Aktualną passę i punkty\\n' +
             '• Wszystkie odblokowane osiągnięcia\\n' +
             '• Statystyki sesji Pomodoro\\n' +
             '• Lokalne dane analityki\\n\\n' +
@@ -300,10 +439,7 @@ class SettingsManager {
      */
     resetAllProgress() {
         try {
-            // Reset streak manager
-            if (window.streakManager) {
-                window.streakManager.resetAllProgress();
-            }
+            // Streaks and points are computed from the task history, so there is nothing to reset
             
             // Reset achievements
             if (window.achievementSystem) {
@@ -324,7 +460,7 @@ class SettingsManager {
             localStorage.removeItem('analyticsData');
             
             // Clear settings (except exam date and preferences)
-            const preservedSettings = ['examDate', 'examName', 'dailyGoal', 'timerSettings', 'debugMode'];
+            const preservedSettings = ['examDate', 'examName', 'dailyGoal', 'dayStartHour', 'timerSettings', 'debugMode', this.config.STORAGE_KEYS.STORAGE_BACKEND, this.config.STORAGE_KEYS.API_TOKEN, this.config.STORAGE_KEYS.PROFILES, this.config.STORAGE_KEYS.ACTIVE_PROFILE];
             Object.keys(localStorage).forEach(key => {
                 if (!preservedSettings.includes(key) && !key.startsWith('warp_')) {
                     localStorage.removeItem(key);
@@ -344,71 +480,94 @@ class SettingsManager {
         }
     }
     
+    // =============================================
+    // BACKUP AND RESTORE
+    // =============================================
+    
+    /**
+     * Storage the app reads and writes (the API's adapter once the app has started)
+     */
+    getActiveStorage() {
+        return this.googleSheetsAPI ? this.googleSheetsAPI.storage : createStorageAdapter(this.config);
+    }
+    
+    /**
+     * Storage a backup is restored to
+     * @param {string} backend - 'sheets' or 'local'
+     */
+    getRestoreStorage(backend) {
+        const active = this.getActiveStorage();
+        if (active.name === backend) return active;
+        
+        if (backend === 'local') {
+            if (!(window.IndexedDBStorage && IndexedDBStorage.isSupported())) {
+                throw new Error('Ta przeglądarka nie obsługuje IndexedDB');
+            }
+            return IndexedDBStorage.getShared(this.config);
+        }
+        return new GoogleSheetsStorage(this.config);
+    }
+    
     /**
      * Handle data export
      */
-    handleExportData() {
+    async handleExportData() {
+        const button = document.getElementById('export-data');
+        if (button) button.disabled = true;
+        this.updateBackupStatus('⏳ Odczytywanie danych...');
+        
         try {
-            const exportData = this.generateExportData();
-            this.downloadExportFile(exportData);
+            const exportData = await this.generateExportData();
+            this.downloadExportFile(exportData, BackupArchive.getFileName(exportData));
+            
+            const total = Object.values(exportData.collections).reduce((sum, records) => sum + records.length, 0);
+            this.updateBackupStatus(`✅ Zapisano ${total} rekordów`);
             this.showSuccess('Dane zostały wyeksportowane pomyślnie!');
             
         } catch (error) {
             console.error('Error exporting data:', error);
-            this.showError('Błąd podczas eksportowania danych');
+            this.updateBackupStatus('');
+            this.showError(`Błąd podczas eksportowania danych: ${error.message}`);
+        } finally {
+            if (button) button.disabled = false;
         }
     }
     
     /**
-     * Generate export data
+     * Generate export data: every collection of the active profile, read from the active backend
+     * @returns {Promise<Object>} Backup archive (see BackupArchive)
      */
-    generateExportData() {
-        const exportData = {
-            exportDate: new Date().toISOString(),
-            appVersion: '2.0',
-            settings: this.currentSettings,
-            streak: {
-                current: window.streakManager?.getCurrentStreak() || 0,
-                totalPoints: window.streakManager?.getTotalPoints() || 0,
-                lastActivity: localStorage.getItem(this.config.STORAGE_KEYS.LAST_ACTIVITY_DATE)
-            },
-            achievements: {
-                unlocked: JSON.parse(localStorage.getItem(this.config.STORAGE_KEYS.UNLOCKED_ACHIEVEMENTS) || '[]'),
-                stats: window.achievementSystem?.getAchievementStats() || {}
-            },
-            pomodoroSessions: {},
-            tasks: {}
-        };
-        
-        // Export Pomodoro sessions from last 30 days
-        for (let i = 0; i < 30; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateKey = date.toISOString().split('T')[0];
-            const sessions = localStorage.getItem(`pomodoro_sessions_${dateKey}`);
-            if (sessions) {
-                exportData.pomodoroSessions[dateKey] = JSON.parse(sessions);
-            }
-            
-            const tasks = localStorage.getItem(`tasks_${dateKey}`);
-            if (tasks) {
-                exportData.tasks[dateKey] = JSON.parse(tasks);
-            }
-        }
+    async generateExportData() {
+        const storage = this.getActiveStorage();
+        const profile = window.Profiles ? Profiles.getActive() : null;
+        const collections = await BackupArchive.readCollections(storage, profile ? profile.id : '');
+        
+        // Only the synced settings - the API token is a secret and does not belong in a file that may be shared
+        const settings = {};
+        Object.keys(SettingsManager.SYNCED_SETTINGS).forEach(field => {
+            settings[field] = this.currentSettings[field];
+        });
         
-        return exportData;
+        return BackupArchive.create({
+            collections,
+            settings,
+            // Recomputed from the restored history - kept for reference
+            streak: window.streakManager?.getStreakStats() || {},
+            profile,
+            source: storage.name
+        });
     }
     
     /**
      * Download export file
      */
-    downloadExportFile(data) {
+    downloadExportFile(data, fileName) {
         const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         
         a.href = url;
-        a.download = `studyflow-export-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = fileName;
         a.style.display = 'none';
         
         document.body.appendChild(a);
@@ -418,12 +577,182 @@ class SettingsManager {
         URL.revokeObjectURL(url);
     }
     
+    /**
+     * Read a chosen backup file and show what restoring it would change
+     * @param {File} file - Chosen file
+     */
+    async handleBackupFile(file) {
+        this.pendingRestore = null;
+        this.updateRestoreButton();
+        if (!file) {
+            this.renderBackupPreview('');
+            return;
+        }
+        
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (error) {
+            this.renderBackupPreview(`<div class="backup-errors">❌ Plik nie jest poprawnym plikiem JSON</div>`);
+            return;
+        }
+        
+        const validation = BackupArchive.validate(archive);
+        if (!validation.valid) {
+            this.renderBackupPreview(`<div class="backup-errors">❌ ${validation.errors.slice(0, 5).map(this.escapeHtml).join('<br>❌ ')}</div>`);
+            return;
+        }
+        
+        const backend = document.getElementById('restore-target')?.value || this.currentSettings.storageBackend;
+        this.updateBackupStatus('⏳ Porównywanie z zapisanymi danymi...');
+        
+        try {
+            const storage = this.getRestoreStorage(backend);
+            // Every profile's rows - records are keyed across profiles, except the unlocks of the profile restored to
+            const profileId = window.Profiles ? Profiles.getActiveId() : '';
+            const current = await BackupArchive.readCollections(storage, '', profileId);
+            const comparison = BackupArchive.compare(archive, current);
+            
+            this.pendingRestore = { archive, storage, comparison, warnings: validation.warnings };
+            this.renderRestorePreview();
+            this.updateBackupStatus('');
+        } catch (error) {
+            console.error('Error reading restore target:', error);
+            this.updateBackupStatus('');
+            this.renderBackupPreview(`<div class="backup-errors">❌ Nie udało się odczytać danych: ${this.escapeHtml(error.message)}</div>`);
+        }
+        this.updateRestoreButton();
+    }
+    
+    /**
+     * Counts of new, unchanged and differing records per collection
+     */
+    renderRestorePreview() {
+        const { archive, storage, comparison, warnings } = this.pendingRestore;
+        const overwrite = document.getElementById('restore-overwrite')?.checked || false;
+        
+        const rows = Object.entries(BackupArchive.COLLECTIONS).map(([name, collection]) => {
+            const result = comparison[name];
+            const keys = result.conflicts.slice(0, 3).map(conflict => this.escapeHtml(conflict.key)).join(', ');
+            const more = result.conflicts.length > 3 ? ` i ${result.conflicts.length - 3} więcej` : '';
+            
+            return `<tr>
+                <td>${collection.label}</td>
+                <td>${result.added.length}</td>
+                <td>${result.unchanged.length}</td>
+                <td>${result.conflicts.length}${keys ? ` <span class="field-help">(${keys}${more})</span>` : ''}</td>
+            </tr>`;
+        }).join('');
+        
+        const profile = archive.profile && archive.profile.name ? this.escapeHtml(archive.profile.name) : '-';
+        const exported = new Date(archive.exported_at).toLocaleString('pl-PL');
+        const target = storage.name === 'local' ? 'tej przeglądarki' : 'Google Sheets';
+        
+        this.renderBackupPreview(`
+            <div>Kopia z ${this.escapeHtml(exported)}, profil: ${profile}. Przywracanie do ${target}.</div>
+            <table>
+                <thead><tr><th>Dane</th><th>Nowe</th><th>Bez zmian</th><th>Różnią się</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div>${overwrite ? 'Rekordy, które się różnią, zostaną zastąpione danymi z kopii.' : 'Rekordy, które się różnią, zostaną pominięte.'}
+            Ustawienia z kopii zastąpią obecne.</div>
+            ${warnings.length > 0 ? `<div class="field-help">⚠️ ${warnings.slice(0, 5).map(this.escapeHtml).join('<br>⚠️ ')}</div>` : ''}
+        `);
+    }
+    
+    /**
+     * Restore the previewed backup
+     */
+    async restoreBackup() {
+        if (!this.pendingRestore) return;
+        
+        const { archive, storage, comparison } = this.pendingRestore;
+        const overwrite = document.getElementById('restore-overwrite')?.checked || false;
+        const profileId = window.Profiles ? Profiles.getActiveId() : '';
+        const writes = BackupArchive.planWrites(comparison, { overwrite, profileId });
+        
+        const confirmation = confirm(
+            `Przywrócić kopię zapasową?\n\n` +
+            `Liczba zapisów: ${writes.length}. Dane z kopii trafią do profilu aktywnego w tej chwili.`
+        );
+        if (!confirmation) return;
+        
+        this.pendingRestore = null;
+        this.updateRestoreButton();
+        
+        const { written, failed } = await BackupArchive.restore(storage, writes, (done, total) => {
+            this.updateBackupStatus(`⏳ Przywracanie... ${done}/${total}`);
+        });
+        this.restoreSettings(archive.settings || {});
+        
+        // Views of the active backend read the restored rows again
+        if (storage === this.getActiveStorage()) {
+            new Set(writes.map(write => write.action)).forEach(action => {
+                window.dispatchEvent(new CustomEvent('dataWritten', { detail: { action } }));
+            });
+        }
+        
+        this.updateBackupStatus(`✅ Przywrócono ${written} rekordów${failed.length > 0 ? `, nieudane zapisy: ${failed.length}` : ''}`);
+        this.renderBackupPreview(failed.length > 0
+            ? `<div class="backup-errors">❌ ${failed.slice(0, 5).map(failure => this.escapeHtml(`${failure.keys.join(', ')}: ${failure.error}`)).join('<br>❌ ')}</div>`
+            : '');
+        
+        if (failed.length > 0) {
+            this.showError(`Nie udało się przywrócić części danych (${failed.length} zapisów)`);
+        } else {
+            this.showSuccess('Kopia zapasowa została przywrócona!');
+        }
+    }
+    
+    /**
+     * Apply the synced settings of a backup
+     * @param {Object} settings - Settings of the archive
+     */
+    restoreSettings(settings) {
+        const values = {};
+        Object.entries(SettingsManager.SYNCED_SETTINGS).forEach(([field, { type }]) => {
+            const value = SettingsManager.parseSettingValue(settings[field], type);
+            if (value !== null) values[field] = value;
+        });
+        
+        const changed = this.markChanged(this.currentSettings, { ...this.currentSettings, ...values });
+        if (changed.length === 0) return;
+        
+        this.adoptSettings(values);
+        this.pushSettings(changed);
+    }
+    
+    renderBackupPreview(html) {
+        const preview = document.getElementById('backup-preview');
+        if (!preview) return;
+        preview.innerHTML = html;
+        preview.style.display = html ? 'block' : 'none';
+    }
+    
+    updateRestoreButton() {
+        const button = document.getElementById('confirm-restore');
+        if (button) button.disabled = !this.pendingRestore;
+    }
+    
+    updateBackupStatus(text) {
+        const status = document.getElementById('backup-status');
+        if (status) status.textContent = text;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text === null || text === undefined ? '' : String(text);
+        return div.innerHTML;
+    }
+    
     /**
      * Show success message
      */
     showSuccess(message) {
         if (window.navigationManager) {
             window.navigationManager.showMessage(message, 'success');
+        } else if (window.formApp) {
+            window.formApp.showMessage(message, 'success');
         } else {
             console.log('Success:', message);
         }
@@ -435,6 +764,8 @@ class SettingsManager {
     showError(message) {
         if (window.navigationManager) {
             window.navigationManager.showMessage(message, 'error');
+        } else if (window.formApp) {
+            window.formApp.showMessage(message, 'error');
         } else {
             console.error('Settings Error:', message);
         }
@@ -451,14 +782,216 @@ class SettingsManager {
      * Update specific setting
      */
     updateSetting(key, value) {
+        const changed = this.markChanged(this.currentSettings, { ...this.currentSettings, [key]: value });
         this.currentSettings[key] = value;
         this.saveSettingsToStorage(this.currentSettings);
         this.applySettings(this.currentSettings);
+        this.pushSettings(changed);
+    }
+    
+    // =============================================
+    // SERVER SYNC
+    // =============================================
+    
+    /**
+     * Start syncing with the backend (called by the app once its API exists).
+     * Local-only storage and demo mode keep settings in this browser.
+     * @param {GoogleSheetsAPIv2} googleSheetsAPI - API instance
+     */
+    async connect(googleSheetsAPI) {
+        this.googleSheetsAPI = googleSheetsAPI;
+        
+        if (!googleSheetsAPI.isRemoteStorage() || this.config.DEMO_MODE) {
+            this.updateSyncStatus('💾 Ustawienia zapisywane tylko w tej przeglądarce');
+            return;
+        }
+        
+        await this.syncWithBackend();
+    }
+    
+    /**
+     * Pull settings changed on other devices and push the ones changed here
+     */
+    async syncWithBackend() {
+        const response = await this.googleSheetsAPI.getSettings();
+        if (!response.success) {
+            console.warn('⚠️ Could not load settings from the backend:', response.error);
+            this.updateSyncStatus('⚠️ Nie udało się pobrać ustawień - używane są lokalne');
+            return;
+        }
+        
+        const { fromServer, toServer, stamps } = SettingsManager.reconcile(this.currentSettings, this.syncStamps, response.settings);
+        
+        if (Object.keys(fromServer).length > 0) {
+            this.adoptSettings(fromServer);
+            console.log('☁️ Settings updated from the backend:', fromServer);
+        }
+        this.syncStamps = stamps;
+        this.saveSyncStamps();
+        
+        await this.pushSettings(toServer);
+        
+        this.updateSyncStatus(`☁️ Zsynchronizowano ${new Date().toLocaleTimeString('pl-PL', { hour: '2-digit', minute: '2-digit' })}`);
+        window.dispatchEvent(new CustomEvent('settingsSynced', {
+            detail: { pulled: Object.keys(fromServer), pushed: toServer }
+        }));
+    }
+    
+    /**
+     * Send synced settings to the backend
+     * @param {Array<string>} fields - currentSettings fields
+     */
+    async pushSettings(fields) {
+        if (!this.googleSheetsAPI || !this.googleSheetsAPI.isRemoteStorage() || this.config.DEMO_MODE) return;
+        
+        for (const field of fields) {
+            const { key, type } = SettingsManager.SYNCED_SETTINGS[field];
+            try {
+                const result = await this.googleSheetsAPI.updateSetting(key, this.currentSettings[field], {
+                    type,
+                    updated_at: this.syncStamps[key]
+                });
+                
+                // Another device changed it later - take that value instead
+                const stored = result && result.data && result.data.stale ? result.data.setting : null;
+                if (stored) {
+                    this.adoptSettings({ [field]: SettingsManager.parseSettingValue(stored.value, type) });
+                    this.syncStamps[key] = stored.updated_at;
+                    this.saveSyncStamps();
+                }
+            } catch (error) {
+                // Rejected writes are not retried; the setting is pushed again on the next sync
+                console.warn(`⚠️ Could not save setting ${key}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Stamp the synced settings whose value changed
+     * @returns {Array<string>} Changed fields
+     */
+    markChanged(previous, next) {
+        const now = new Date().toISOString();
+        const changed = Object.keys(SettingsManager.SYNCED_SETTINGS).filter(field => previous[field] !== next[field]);
+        
+        changed.forEach(field => {
+            this.syncStamps[SettingsManager.SYNCED_SETTINGS[field].key] = now;
+        });
+        if (changed.length > 0) {
+            this.saveSyncStamps();
+        }
+        return changed;
+    }
+    
+    /**
+     * Apply values that came from the backend
+     */
+    adoptSettings(values) {
+        this.currentSettings = { ...this.currentSettings, ...values };
+        this.saveSettingsToStorage(this.currentSettings);
+        this.updateSettingsUI();
+        this.applySettings(this.currentSettings);
+    }
+    
+    loadSyncStamps() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.STORAGE_KEYS.SETTINGS_SYNC) || '{}');
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    saveSyncStamps() {
+        localStorage.setItem(this.config.STORAGE_KEYS.SETTINGS_SYNC, JSON.stringify(this.syncStamps));
+    }
+    
+    updateSyncStatus(text) {
+        const status = document.getElementById('settings-sync-status');
+        if (status) status.textContent = text;
+    }
+    
+    /**
+     * Sheet value as a settings value
+     * @param {*} value - Value from the Settings sheet
+     * @param {string} type - 'number' | 'boolean' | 'date' | 'string'
+     * @returns {*} Parsed value, or null when it cannot be used
+     */
+    static parseSettingValue(value, type) {
+        if (value === null || value === undefined || value === '') return null;
+        
+        switch (type) {
+            case 'number': {
+                const number = Number(value);
+                return isNaN(number) ? null : number;
+            }
+            case 'boolean':
+                return value === true || String(value).toLowerCase() === 'true';
+            case 'date':
+                return String(value).slice(0, 10);
+            default:
+                return String(value);
+        }
+    }
+    
+    /**
+     * Decide, per synced setting, whether the local or the server value is newer.
+     * Values without a timestamp (server defaults, rows typed into the sheet, settings never
+     * changed on this device) never override the other side.
+     * @param {Object} localSettings - currentSettings
+     * @param {Object} localStamps - { setting_key: updated_at } of local values
+     * @param {Object} serverSettings - getSettings response { setting_key: { value, updated_at } }
+     * @returns {Object} { fromServer: { field: value }, toServer: [field], stamps }
+     */
+    static reconcile(localSettings, localStamps, serverSettings) {
+        const fromServer = {};
+        const toServer = [];
+        const stamps = { ...localStamps };
+        
+        Object.entries(SettingsManager.SYNCED_SETTINGS).forEach(([field, { key, type }]) => {
+            const server = serverSettings[key];
+            const serverTime = server && server.updated_at ? Date.parse(server.updated_at) || 0 : 0;
+            const localTime = localStamps[key] ? Date.parse(localStamps[key]) || 0 : 0;
+            
+            if (serverTime > 0 && serverTime >= localTime) {
+                const value = SettingsManager.parseSettingValue(server.value, type);
+                if (value !== null && value !== localSettings[field]) {
+                    fromServer[field] = value;
+                }
+                stamps[key] = server.updated_at;
+            } else if (localTime > serverTime) {
+                toServer.push(field);
+            }
+        });
+        
+        return { fromServer, toServer, stamps };
     }
 }
 
+/**
+ * Settings that follow the user between devices: settings field → Settings sheet key and type.
+ * Storage backend and debug mode stay per device.
+ */
+SettingsManager.SYNCED_SETTINGS = {
+    examDate: { key: 'exam_date', type: 'date' },
+    examName: { key: 'exam_name', type: 'string' },
+    dailyGoal: { key: 'daily_goal', type: 'number' },
+    dayStartHour: { key: 'day_start_hour', type: 'number' },
+    workDuration: { key: 'work_duration', type: 'number' },
+    shortBreak: { key: 'short_break', type: 'number' },
+    longBreak: { key: 'long_break', type: 'number' },
+    soundEnabled: { key: 'sound_enabled', type: 'boolean' }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
+
 // Initialize settings manager when DOM is ready
 let settingsManager;
-document.addEventListener('DOMContentLoaded', () => {
-    settingsManager = new SettingsManager(CONFIG);
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        settingsManager = new SettingsManager(CONFIG);
+        window.settingsManager = settingsManager;
+    });
+}
@@ -0,0 +1,946 @@
+/**
+ * Storage Adapters
+ * Pluggable backends behind GoogleSheetsAPIv2. Every adapter speaks the same
+ * action protocol as the Google Apps Script web app, so the API class does not
+ * care where the data lives:
+ *   read(action, params)         -> { success, data, error }
+ *   write(action, data, params)  -> { success, action, rowId, data, message }
+ *                                   throws with `retryable === false` when the write is rejected
+ */
+class StorageAdapter {
+    constructor(config) {
+        this.config = config;
+        this.name = 'base';
+        // Remote writes go through the offline outbox, local ones are applied directly
+        this.isRemote = false;
+    }
+
+    /**
+     * Read data
+     * @param {string} action - Read action (getStudyTasks, getSubjects, ...)
+     * @param {Object} params - Action parameters (sessionId, subject, ...)
+     * @returns {Promise<Object>} { success, data, error }
+     */
+    async read(action, params = {}) {
+        throw new Error(`${this.name}: read() not implemented`);
+    }
+
+    /**
+     * Write data
+     * @param {string} action - Write action (addStudyTask, updateTask, ...)
+     * @param {*} data - Payload, same format as the `data` parameter of the web app
+     * @param {Object} params - Extra request parameters (formType, itemId, name)
+     * @returns {Promise<Object>} { success, action, rowId, data, message }
+     */
+    async write(action, data, params = {}) {
+        throw new Error(`${this.name}: write() not implemented`);
+    }
+}
+
+// =============================================
+// GOOGLE SHEETS (Apps Script web app)
+// =============================================
+
+class GoogleSheetsStorage extends StorageAdapter {
+    constructor(config) {
+        super(config);
+        this.name = 'sheets';
+        this.isRemote = true;
+        this.url = config.GAS_WEB_APP_URL;
+        this.spreadsheetId = config.SPREADSHEET_ID;
+    }
+
+    /**
+     * Throw when the web app is not configured
+     */
+    ensureConfigured() {
+        if (!this.url || !this.spreadsheetId) {
+            throw new Error('Google Apps Script URL or Spreadsheet ID not configured');
+        }
+    }
+
+    /**
+     * Request parameters as strings, signed when an API token is set (see signParams)
+     * @param {string} action - Action to perform
+     * @param {Object} params - Additional parameters
+     * @returns {Promise<Object>} Parameters
+     */
+    async buildParams(action, params = {}) {
+        const prepared = {};
+        Object.entries({ ...params, action, spreadsheetId: this.spreadsheetId }).forEach(([key, value]) => {
+            if (value !== undefined) prepared[key] = String(value);
+        });
+        return this.signParams(prepared);
+    }
+
+    /**
+     * Add `ts`, `nonce` and `signature` (hex HMAC-SHA256 of getSigningString with the token as key).
+     * The token itself is never sent; Code.gs checks the signature against its API_SECRET.
+     * Every call signs anew, so an outbox retry is a new request the backend accepts.
+     * @param {Object} params - String parameters
+     * @returns {Promise<Object>} Signed parameters (the same ones when no token is set)
+     */
+    async signParams(params) {
+        const token = getApiToken(this.config);
+        if (!token) return params;
+
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new Error('Signing requests needs Web Crypto - open the app over HTTPS or localhost');
+        }
+
+        const nonce = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+        const signed = { ...params, ts: String(Date.now()), nonce };
+        signed.signature = await GoogleSheetsStorage.computeSignature(GoogleSheetsStorage.getSigningString(signed), token);
+        return signed;
+    }
+
+    /**
+     * Signed text of a request: every parameter except `signature`, sorted by name,
+     * URI-encoded as name=value and joined with '&' (same as getSigningString in Code.gs)
+     * @param {Object} params - String parameters
+     * @returns {string} Text to sign
+     */
+    static getSigningString(params) {
+        return Object.keys(params)
+            .filter(key => key !== 'signature')
+            .sort()
+            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]))}`)
+            .join('&');
+    }
+
+    /**
+     * @param {string} message - Text to sign
+     * @param {string} secret - API token
+     * @returns {Promise<string>} Hex HMAC-SHA256
+     */
+    static async computeSignature(message, secret) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async read(action, params = {}) {
+        this.ensureConfigured();
+
+        const query = new URLSearchParams(await this.buildParams(action, params)).toString();
+        const response = await fetch(`${this.url}?${query}`, {
+            method: 'GET',
+            mode: 'cors',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Send a single write and read its acknowledgement.
+     * Uses a text/plain JSON POST (no CORS preflight, response is readable);
+     * if that request cannot be made, the same write is sent as a GET.
+     */
+    async write(action, data, params = {}) {
+        this.ensureConfigured();
+
+        // `data` travels as the JSON text that is signed
+        const writeParams = { ...params, data: JSON.stringify(data) };
+        const body = JSON.stringify(await this.buildParams(action, writeParams));
+        let response;
+
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                mode: 'cors',
+                redirect: 'follow',
+                headers: {
+                    'Content-Type': 'text/plain;charset=utf-8'
+                },
+                body
+            });
+        } catch (postError) {
+            // Signed again - the POST may have reached the backend and used up its nonce
+            const query = new URLSearchParams(await this.buildParams(action, writeParams)).toString();
+            response = await fetch(`${this.url}?${query}`, {
+                method: 'GET',
+                mode: 'cors',
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+
+        const result = await response.json();
+
+        if (!result.success) {
+            const error = new Error(result.error || `${action} failed`);
+            error.code = result.code;
+            error.retryable = result.retryable === true;
+            throw error;
+        }
+
+        return {
+            success: true,
+            action,
+            rowId: result.data ? result.data.rowId : null,
+            data: result.data,
+            message: (result.data && result.data.message) || `${action} completed successfully`
+        };
+    }
+}
+
+// =============================================
+// INDEXEDDB (local-only mode)
+// =============================================
+
+class IndexedDBStorage extends StorageAdapter {
+    constructor(config, options = {}) {
+        super(config);
+        this.name = 'local';
+        this.dbName = options.dbName || 'studyflow-local';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Shared instance - every GoogleSheetsAPIv2 instance must see the same database connection
+     * @param {Object} config - App configuration
+     * @returns {IndexedDBStorage} Shared adapter
+     */
+    static getShared(config) {
+        if (!IndexedDBStorage.sharedInstance) {
+            IndexedDBStorage.sharedInstance = new IndexedDBStorage(config);
+        }
+        return IndexedDBStorage.sharedInstance;
+    }
+
+    /**
+     * Whether the browser supports IndexedDB
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    // =============================================
+    // STORAGE
+    // =============================================
+
+    /**
+     * Open (or create) the local database. New databases are seeded with the
+     * same default subjects and categories the backend serves for an empty sheet.
+     * @returns {Promise<IDBDatabase>} Database handle
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, IndexedDBStorage.DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const created = [];
+                Object.entries(IndexedDBStorage.STORES).forEach(([storeName, store]) => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, { keyPath: store.key });
+                        created.push(storeName);
+                    }
+                });
+
+                // Achievement definitions come with the store, like the default Achievements sheet
+                if (created.includes('achievements')) {
+                    IndexedDBStorage.DEFAULT_ACHIEVEMENTS.forEach(achievement => request.transaction.objectStore('achievements').put(achievement));
+                } else if (created.includes('achievementUnlocks')) {
+                    // Unlocks stored on the definitions before they were kept per profile are the default profile's
+                    const achievements = request.transaction.objectStore('achievements');
+                    const unlocks = request.transaction.objectStore('achievementUnlocks');
+                    achievements.getAll().onsuccess = (getEvent) => {
+                        getEvent.target.result.filter(achievement => achievement.unlocked && achievement.unlock_date).forEach(achievement => {
+                            unlocks.put({ achievement_id: achievement.achievement_id, user_id: IndexedDBStorage.DEFAULT_USER_ID, unlock_date: achievement.unlock_date });
+                            achievements.put({ ...achievement, unlocked: false, unlock_date: null });
+                        });
+                    };
+                }
+
+                // Upgrades only add stores - defaults are seeded into new databases only
+                if (event.oldVersion === 0) {
+                    const transaction = request.transaction;
+                    IndexedDBStorage.DEFAULT_SUBJECTS.forEach(subject => transaction.objectStore('subjects').put(subject));
+                    IndexedDBStorage.DEFAULT_CATEGORIES.forEach(category => transaction.objectStore('categories').put(category));
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against a store
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runTransaction(storeName, mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    getAll(storeName) {
+        return this.runTransaction(storeName, 'readonly', store => store.getAll());
+    }
+
+    getRecord(storeName, key) {
+        return this.runTransaction(storeName, 'readonly', store => store.get(key));
+    }
+
+    putRecord(storeName, record) {
+        return this.runTransaction(storeName, 'readwrite', store => store.put(record));
+    }
+
+    deleteRecord(storeName, key) {
+        return this.runTransaction(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Record of a write's `data`: an object keyed by column names (fields the store does not
+     * know are kept, like extra sheet columns) or a positional row array from an older outbox
+     * @param {string} storeName - Object store
+     * @param {Object|Array} data - Record or row values
+     * @returns {Object} Record with every column of the store
+     */
+    toRecord(storeName, data) {
+        if (!data || typeof data !== 'object' || (Array.isArray(data) && data.length === 0)) {
+            throw this.validationError(`Invalid ${storeName} data format`);
+        }
+
+        const record = {};
+        IndexedDBStorage.STORES[storeName].columns.forEach((column, index) => {
+            const value = Array.isArray(data) ? data[index] : data[column];
+            record[column] = value !== undefined && value !== null ? value : '';
+        });
+        return Array.isArray(data) ? record : { ...data, ...record };
+    }
+
+    /**
+     * Insert or replace a record keyed by its client-generated id
+     * @returns {Promise<Object>} { rowId, created }
+     */
+    async upsert(storeName, record) {
+        const key = record[IndexedDBStorage.STORES[storeName].key];
+        const existing = await this.getRecord(storeName, key);
+        await this.putRecord(storeName, record);
+        return { rowId: key, created: !existing };
+    }
+
+    /**
+     * Get all records of a store sorted by a time column (sheet rows come back in insertion order)
+     */
+    async getSorted(storeName, timeColumn) {
+        const records = await this.getAll(storeName);
+        return records.sort((a, b) => String(a[timeColumn] || '').localeCompare(String(b[timeColumn] || '')));
+    }
+
+    // =============================================
+    // READS
+    // =============================================
+
+    async read(action, params = {}) {
+        try {
+            switch (action) {
+                case 'getTasks':
+                    return this.success(this.forProfile(await this.getSorted('tasks', 'timestamp'), params));
+                case 'getStudyTasks': {
+                    const tasks = this.forProfile(await this.getSorted('studyTasks', 'start_time'), params);
+                    return this.success(params.sessionId ? tasks.filter(task => task.session_id === params.sessionId) : tasks);
+                }
+                case 'getStudySessions':
+                    return this.success(this.forProfile(await this.getSorted('studySessions', 'start_time'), params));
+                case 'getSubjects': {
+                    const subjects = await this.getAll('subjects');
+                    return this.success(subjects.filter(subject => subject.active !== false));
+                }
+                case 'getCategories': {
+                    const categories = (await this.getAll('categories')).filter(category => category.active !== false);
+                    return this.success(params.subject ? categories.filter(category => category.subject_name === params.subject) : categories);
+                }
+                case 'getPomodoroSessions':
+                    return this.success(this.forProfile(await this.getSorted('pomodoroSessions', 'start_time'), params));
+                case 'getReviewQueue':
+                    return this.success(this.forProfile(await this.getSorted('reviewQueue', 'due_date'), params));
+                case 'getAchievements':
+                    return this.success(await this.getAchievements(params));
+                case 'getDailyStats':
+                    return this.success(await this.computeDailyStats(params));
+                case 'getAnalytics':
+                    return this.success(await this.computeAnalytics(params));
+                default:
+                    return { success: false, error: 'Unknown action: ' + action };
+            }
+        } catch (error) {
+            console.error(`❌ Local storage: ${action} failed:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    success(data) {
+        return { success: true, data };
+    }
+
+    /**
+     * Achievement definitions with the unlocks of the profile named by `params.user_id`
+     * (the default profile without it), like handleGetAchievements in Code.gs
+     */
+    async getAchievements(params) {
+        const userId = String(params.user_id || IndexedDBStorage.DEFAULT_USER_ID);
+        const unlockDates = new Map((await this.getAll('achievementUnlocks'))
+            .filter(unlock => String(unlock.user_id) === userId)
+            .map(unlock => [unlock.achievement_id, unlock.unlock_date]));
+
+        return (await this.getAll('achievements')).map(achievement => ({
+            ...achievement,
+            unlocked: unlockDates.has(achievement.achievement_id),
+            unlock_date: unlockDates.get(achievement.achievement_id) || null
+        }));
+    }
+
+    /**
+     * Records of the profile named by `params.user_id` (filterByProfile in Code.gs);
+     * records without a user_id belong to the default profile
+     */
+    forProfile(records, params) {
+        if (!params.user_id) return records;
+        return records.filter(record => String(record.user_id || IndexedDBStorage.DEFAULT_USER_ID) === String(params.user_id));
+    }
+
+    /**
+     * Per-day summary of StudyTasks (same shape as the DailyStats sheet)
+     * @param {Object} params - Read parameters (`user_id`)
+     * @returns {Promise<Array>} Daily stats, oldest first
+     */
+    async computeDailyStats(params = {}) {
+        const tasks = this.forProfile(await this.getAll('studyTasks'), params);
+        const days = {};
+
+        tasks.forEach(task => {
+            if (!task.start_time) return;
+            const date = String(task.start_time).split('T')[0];
+            const day = days[date] || (days[date] = { date, tasks: [] });
+            day.tasks.push(task);
+        });
+
+        return Object.values(days).sort((a, b) => a.date.localeCompare(b.date)).map(day => {
+            const summary = Correctness.summarize(day.tasks);
+            const subjectCounts = {};
+            let studyMinutes = 0;
+
+            day.tasks.forEach(task => {
+                subjectCounts[task.subject] = (subjectCounts[task.subject] || 0) + 1;
+                const duration = new Date(task.end_time) - new Date(task.start_time);
+                if (duration > 0) studyMinutes += duration / 60000;
+            });
+
+            const subjects = Object.keys(subjectCounts).filter(Boolean);
+
+            return {
+                date: day.date,
+                total_tasks: day.tasks.length,
+                correct_tasks: summary.correct,
+                accuracy_percentage: summary.accuracy,
+                total_study_time: Math.round(studyMinutes),
+                sessions_count: new Set(day.tasks.map(task => task.session_id).filter(Boolean)).size,
+                subjects,
+                top_subject: subjects.sort((a, b) => subjectCounts[b] - subjectCounts[a])[0] || ''
+            };
+        });
+    }
+
+    /**
+     * Totals over Tasks and Pomodoro sessions (same shape as the getAnalytics action)
+     * @param {Object} params - Read parameters (`user_id`)
+     * @returns {Promise<Object>} Analytics summary
+     */
+    async computeAnalytics(params = {}) {
+        const tasks = this.forProfile(await this.getSorted('tasks', 'timestamp'), params);
+        const sessions = this.forProfile(await this.getAll('pomodoroSessions'), params);
+
+        return {
+            totalTasks: tasks.length,
+            correctTasks: tasks.filter(task => Correctness.isCorrect(task)).length,
+            totalPoints: 0,
+            totalSessions: sessions.length,
+            totalStudyTime: sessions.reduce((sum, session) => sum + (Number(session.duration_minutes) || 0), 0),
+            subjectStats: {},
+            categoryStats: {},
+            recentTasks: tasks.slice(-10).reverse(),
+            weeklyProgress: []
+        };
+    }
+
+    // =============================================
+    // WRITES
+    // =============================================
+
+    async write(action, data, params = {}) {
+        let result;
+
+        switch (action) {
+            case 'addTask':
+                result = await this.addRow('tasks', data, 'task_id');
+                break;
+            case 'addStudyTask':
+                result = await this.addStudyTask(data);
+                break;
+            case 'importStudyTasks':
+                result = await this.importStudyTasks(data);
+                break;
+            case 'updateTask':
+                result = await this.updateTask(data);
+                break;
+            case 'deleteTask':
+                result = await this.deleteTask(data);
+                break;
+            case 'addStudySession':
+                result = await this.addRow('studySessions', data, 'session_id');
+                break;
+            case 'addPomodoroSession':
+                result = await this.addRow('pomodoroSessions', data, 'session_id');
+                break;
+            case 'saveReviewCards':
+                result = await this.saveReviewCards(data);
+                break;
+            case 'updateAchievement':
+                result = await this.updateAchievement(data);
+                break;
+            case 'addSubject':
+                result = await this.addNamedRecord('subjects', data);
+                break;
+            case 'addCategory':
+                result = await this.addNamedRecord('categories', data);
+                break;
+            case 'update':
+                result = await this.updateNamedRecord(params.formType === 'subject' ? 'subjects' : 'categories', params.itemId, data);
+                break;
+            case 'deleteSubject':
+                result = await this.deleteNamedRecord('subjects', params.name);
+                break;
+            case 'deleteCategory':
+                result = await this.deleteNamedRecord('categories', params.name);
+                break;
+            default:
+                throw this.validationError('Unknown action: ' + action);
+        }
+
+        return {
+            success: true,
+            action,
+            rowId: result.rowId,
+            data: result,
+            message: result.message
+        };
+    }
+
+    /**
+     * Create an error for writes that will never succeed as sent
+     */
+    validationError(message) {
+        const error = new Error(message);
+        error.code = 'VALIDATION_ERROR';
+        error.retryable = false;
+        return error;
+    }
+
+    generateId(prefix) {
+        return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Store a row keyed by its client-generated id (addTask, addStudySession, addPomodoroSession)
+     */
+    async addRow(storeName, data, idColumn) {
+        const record = this.toRecord(storeName, data);
+        if (!record[idColumn]) record[idColumn] = this.generateId(idColumn === 'task_id' ? 'task' : 'session');
+
+        const result = await this.upsert(storeName, record);
+        return {
+            rowId: result.rowId,
+            duplicate: !result.created,
+            message: result.created ? 'Row added' : 'Row already stored - updated'
+        };
+    }
+
+    async addStudyTask(data) {
+        const record = this.toRecord('studyTasks', data);
+        if (!record.task_name) {
+            throw this.validationError('Required field task_name is empty');
+        }
+
+        const now = new Date().toISOString();
+        if (!record.task_id) record.task_id = this.generateId('task');
+        if (!record.start_time) record.start_time = now;
+        if (!record.end_time) record.end_time = now;
+
+        const result = await this.upsert('studyTasks', record);
+        return {
+            rowId: result.rowId,
+            duplicate: !result.created,
+            message: result.created ? 'Study task added successfully' : 'Study task already stored - row updated'
+        };
+    }
+
+    /**
+     * Store tasks imported from a file; the batch is checked whole before anything is written
+     */
+    async importStudyTasks(data) {
+        if (!Array.isArray(data) || data.length === 0) {
+            throw this.validationError('Invalid import data - expected an array of tasks');
+        }
+
+        const seen = new Set();
+        const tasks = data.map((item, index) => {
+            const task = this.toRecord('studyTasks', item);
+            const label = `Task ${index + 1}: `;
+
+            if (!task.task_id) throw this.validationError(label + 'task_id is empty');
+            if (!task.task_name) throw this.validationError(label + 'required field task_name is empty');
+            if (!task.start_time || isNaN(new Date(task.start_time).getTime())) {
+                throw this.validationError(label + 'invalid start_time: ' + task.start_time);
+            }
+            if (seen.has(task.task_id)) throw this.validationError(label + 'task_id ' + task.task_id + ' appears twice');
+            seen.add(task.task_id);
+
+            if (!task.end_time) task.end_time = task.start_time;
+            return task;
+        });
+
+        let created = 0;
+        for (const task of tasks) {
+            const result = await this.upsert('studyTasks', task);
+            if (result.created) created++;
+        }
+
+        return {
+            rowId: '',
+            saved: tasks.length,
+            created,
+            message: `Imported ${tasks.length} study tasks (${created} new)`
+        };
+    }
+
+    async updateTask(data) {
+        if (!data || !data.task_id || !data.changes || typeof data.changes !== 'object') {
+            throw this.validationError('Invalid update data - expected { task_id, changes }');
+        }
+
+        const task = await this.getRecord('studyTasks', data.task_id);
+        if (!task) {
+            throw this.validationError('Task not found: ' + data.task_id);
+        }
+
+        const columns = IndexedDBStorage.STORES.studyTasks.columns;
+        Object.keys(data.changes).forEach(field => {
+            if (columns.indexOf(field) < 1) {
+                throw this.validationError('Unknown or read-only task field: ' + field);
+            }
+            task[field] = data.changes[field];
+        });
+
+        if (!task.task_name) {
+            throw this.validationError('Required field task_name is empty');
+        }
+
+        await this.putRecord('studyTasks', task);
+        return { rowId: data.task_id, message: 'Study task updated successfully' };
+    }
+
+    async deleteTask(data) {
+        if (!data || !data.task_id) {
+            throw this.validationError('Invalid delete data - expected { task_id }');
+        }
+
+        const existing = await this.getRecord('studyTasks', data.task_id);
+        if (existing) {
+            await this.deleteRecord('studyTasks', data.task_id);
+        }
+
+        return {
+            rowId: data.task_id,
+            duplicate: !existing,
+            message: existing ? 'Study task deleted successfully' : 'Study task already deleted'
+        };
+    }
+
+    /**
+     * Insert or replace spaced-repetition cards (records keyed by ReviewQueue column names)
+     */
+    async saveReviewCards(data) {
+        const cards = Array.isArray(data) ? data.map(card => (card && typeof card === 'object' ? this.toRecord('reviewQueue', card) : {})) : [];
+        if (!Array.isArray(data) || cards.some(card => !card.card_id)) {
+            throw this.validationError('Invalid review card data - expected an array of cards with card_id');
+        }
+
+        let created = 0;
+        for (const card of cards) {
+            const result = await this.upsert('reviewQueue', card);
+            if (result.created) created++;
+        }
+
+        return {
+            rowId: cards.length === 1 ? cards[0].card_id : '',
+            saved: cards.length,
+            created,
+            message: `Saved ${cards.length} review cards (${created} new)`
+        };
+    }
+
+    /**
+     * Store a profile's unlock ({ achievement_id, unlocked, unlock_date, user_id }); the first unlock date is kept
+     */
+    async updateAchievement(data) {
+        if (!data || !data.achievement_id) {
+            throw this.validationError('Invalid achievement data - expected { achievement_id, unlocked, unlock_date, user_id }');
+        }
+
+        if (!(await this.getRecord('achievements', data.achievement_id))) {
+            throw this.validationError('Achievement not found: ' + data.achievement_id);
+        }
+
+        const key = [data.achievement_id, String(data.user_id || IndexedDBStorage.DEFAULT_USER_ID)];
+        const unlocked = data.unlocked === true || String(data.unlocked) === 'true';
+        if (!unlocked) {
+            await this.deleteRecord('achievementUnlocks', key);
+            return { rowId: data.achievement_id, unlock_date: '', message: 'Achievement reset' };
+        }
+
+        let unlock = await this.getRecord('achievementUnlocks', key);
+        if (!unlock) {
+            unlock = { achievement_id: key[0], user_id: key[1], unlock_date: new Date(data.unlock_date || Date.now()).toISOString() };
+            await this.putRecord('achievementUnlocks', unlock);
+        }
+
+        return { rowId: data.achievement_id, unlock_date: unlock.unlock_date, message: 'Achievement updated' };
+    }
+
+    /**
+     * Add a subject ({ subject_name, color, icon }) or category ({ category_name, subject_name, difficulty })
+     */
+    async addNamedRecord(storeName, data) {
+        const key = IndexedDBStorage.STORES[storeName].key;
+        const record = this.toNamedRecord(storeName, data);
+        record.active = true;
+
+        if (await this.getRecord(storeName, record[key])) {
+            throw this.validationError(`"${record[key]}" already exists`);
+        }
+
+        await this.putRecord(storeName, record);
+        return { rowId: record[key], message: 'Added successfully' };
+    }
+
+    /**
+     * Replace a subject or category; renaming a subject moves its categories along
+     */
+    async updateNamedRecord(storeName, itemId, data) {
+        const key = IndexedDBStorage.STORES[storeName].key;
+        const existing = await this.getRecord(storeName, itemId);
+        if (!existing) {
+            throw this.validationError('Item not found: ' + itemId);
+        }
+        const changes = this.toNamedRecord(storeName, data);
+        // Empty fields keep their value, like in the sheet
+        Object.keys(changes).forEach(field => {
+            if (changes[field] === '') delete changes[field];
+        });
+        const record = { ...existing, ...changes, active: existing.active };
+
+        if (record[key] !== itemId) {
+            if (await this.getRecord(storeName, record[key])) {
+                throw this.validationError(`"${record[key]}" already exists`);
+            }
+            await this.deleteRecord(storeName, itemId);
+
+            if (storeName === 'subjects') {
+                const categories = await this.getAll('categories');
+                for (const category of categories.filter(item => item.subject_name === itemId)) {
+                    await this.putRecord('categories', { ...category, subject_name: record[key] });
+                }
+            }
+        }
+
+        await this.putRecord(storeName, record);
+        return { rowId: record[key], message: 'Updated successfully' };
+    }
+
+    /**
+     * Subject / category record with its trimmed name; the name is required
+     */
+    toNamedRecord(storeName, data) {
+        const key = IndexedDBStorage.STORES[storeName].key;
+        const record = data && typeof data === 'object' ? this.toRecord(storeName, data) : {};
+        if (!record[key] || !String(record[key]).trim()) {
+            throw this.validationError('Name is required');
+        }
+        record[key] = String(record[key]).trim();
+        return record;
+    }
+
+    async deleteNamedRecord(storeName, name) {
+        if (!name) {
+            throw this.validationError('Name is required');
+        }
+
+        await this.deleteRecord(storeName, name);
+        return { rowId: name, message: 'Deleted successfully' };
+    }
+}
+
+// Object stores mirror the sheets: `columns` are the sheet headers, in the order of legacy row-array writes
+IndexedDBStorage.STORES = {
+    tasks: {
+        key: 'task_id',
+        columns: ['task_name', 'description', 'category', 'subject', 'correctness', 'timestamp', 'session_id', 'task_id', 'user_id']
+    },
+    studyTasks: {
+        key: 'task_id',
+        columns: ['task_id', 'task_name', 'description', 'categories', 'correctly_completed', 'start_time', 'end_time', 'location', 'subject', 'session_id', 'user_id']
+    },
+    studySessions: {
+        key: 'session_id',
+        columns: ['session_id', 'start_time', 'end_time', 'duration_minutes', 'total_tasks', 'correct_tasks', 'accuracy_percentage', 'notes', 'user_id']
+    },
+    pomodoroSessions: {
+        key: 'session_id',
+        columns: ['session_id', 'start_time', 'end_time', 'duration_minutes', 'subject', 'category', 'completed', 'tasks_completed', 'user_id']
+    },
+    subjects: {
+        key: 'subject_name',
+        columns: ['subject_name', 'color', 'icon', 'active']
+    },
+    categories: {
+        key: 'category_name',
+        columns: ['category_name', 'subject_name', 'difficulty', 'active']
+    },
+    reviewQueue: {
+        key: 'card_id',
+        columns: ['card_id', 'task_id', 'task_name', 'subject', 'categories', 'ease_factor', 'interval_days', 'repetitions', 'lapses', 'due_date', 'last_reviewed', 'last_outcome', 'created_at', 'user_id']
+    },
+    achievements: {
+        key: 'achievement_id',
+        columns: ['achievement_id', 'name', 'description', 'icon', 'type', 'target_value', 'points_reward', 'rule']
+    },
+    // One record per achievement and profile - compound key
+    achievementUnlocks: {
+        key: ['achievement_id', 'user_id'],
+        columns: ['achievement_id', 'user_id', 'unlock_date']
+    }
+};
+
+// Bump when a store is added - onupgradeneeded creates the missing stores
+IndexedDBStorage.DB_VERSION = 4;
+
+// Profile of records without a user_id - same as CONFIG.DEFAULT_USER_ID in google-apps-script/Code.gs
+IndexedDBStorage.DEFAULT_USER_ID = 'default';
+
+// Same as getDefaultAchievements() in google-apps-script/Code.gs
+IndexedDBStorage.DEFAULT_ACHIEVEMENTS = [
+    { achievement_id: 'first_task', name: 'Pierwsze kroki', description: 'Wykonaj pierwsze zadanie', icon: '🎯', type: 'tasks', target_value: 1, points_reward: 10, unlocked: false, unlock_date: null },
+    { achievement_id: 'streak_7', name: 'Tydzień pasma', description: 'Utrzymaj passę przez 7 dni', icon: '🔥', type: 'streak', target_value: 7, points_reward: 50, unlocked: false, unlock_date: null },
+    { achievement_id: 'pomodoro_10', name: 'Skupiony', description: 'Ukończ 10 sesji Pomodoro', icon: '🍅', type: 'pomodoro', target_value: 10, points_reward: 30, unlocked: false, unlock_date: null },
+    { achievement_id: 'tasks_100', name: 'Setka', description: 'Rozwiąż 100 zadań', icon: '💯', type: 'tasks', target_value: 100, points_reward: 40, unlocked: false, unlock_date: null },
+    { achievement_id: 'correct_50', name: 'Celne oko', description: 'Rozwiąż poprawnie 50 zadań', icon: '✅', type: 'correct_tasks', target_value: 50, points_reward: 40, unlocked: false, unlock_date: null },
+    { achievement_id: 'geometry_week', name: 'Tydzień z geometrią', description: 'Rozwiąż poprawnie 20 zadań z geometrii w ciągu 7 dni', icon: '📐', type: 'correct_tasks', target_value: 20, points_reward: 50, unlocked: false, unlock_date: null, rule: '{"metric":"correct_tasks","window":7,"threshold":20,"filters":{"category":"Geometria"}}' },
+    { achievement_id: 'early_bird', name: 'Ranny ptaszek', description: 'Rozpocznij 5 sesji nauki przed 8:00', icon: '🌅', type: 'sessions', target_value: 5, points_reward: 30, unlocked: false, unlock_date: null, rule: '{"metric":"sessions","threshold":5,"filters":{"before_hour":8}}' }
+];
+
+IndexedDBStorage.DEFAULT_SUBJECTS = [
+    { subject_name: 'Matematyka', color: '#FF6B6B', icon: '📐', active: true },
+    { subject_name: 'Polski', color: '#4ECDC4', icon: '📝', active: true },
+    { subject_name: 'Angielski', color: '#45B7D1', icon: '🇬🇧', active: true },
+    { subject_name: 'Historia', color: '#F7B731', icon: '📚', active: true }
+];
+
+IndexedDBStorage.DEFAULT_CATEGORIES = [
+    { category_name: 'Algebra', subject_name: 'Matematyka', difficulty: 'Średni', active: true },
+    { category_name: 'Geometria', subject_name: 'Matematyka', difficulty: 'Trudny', active: true },
+    { category_name: 'Części mowy', subject_name: 'Polski', difficulty: 'Łatwy', active: true },
+    { category_name: 'Składnia', subject_name: 'Polski', difficulty: 'Trudny', active: true },
+    { category_name: 'Grammar', subject_name: 'Angielski', difficulty: 'Średni', active: true },
+    { category_name: 'Vocabulary', subject_name: 'Angielski', difficulty: 'Łatwy', active: true }
+];
+
+/**
+ * Get the storage backend chosen in settings ('sheets' or 'local')
+ * @param {Object} config - App configuration
+ * @returns {string} Backend name
+ */
+function getStorageBackend(config) {
+    let backend = null;
+    try {
+        backend = localStorage.getItem(config.STORAGE_KEYS.STORAGE_BACKEND);
+    } catch (_) {}
+    return backend || config.STORAGE_BACKEND || 'sheets';
+}
+
+/**
+ * Get the API token entered in settings (signs requests to the Apps Script web app)
+ * @param {Object} config - App configuration
+ * @returns {string} Token, or '' when requests are not signed
+ */
+function getApiToken(config) {
+    let token = null;
+    try {
+        token = config.STORAGE_KEYS && localStorage.getItem(config.STORAGE_KEYS.API_TOKEN);
+    } catch (_) {}
+    return token || config.API_TOKEN || '';
+}
+
+/**
+ * Create the adapter for the configured backend
+ * @param {Object} config - App configuration
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createStorageAdapter(config) {
+    if (getStorageBackend(config) === 'local') {
+        if (IndexedDBStorage.isSupported()) {
+            return IndexedDBStorage.getShared(config);
+        }
+        console.warn('⚠️ IndexedDB unavailable - falling back to Google Sheets storage');
+    }
+    return new GoogleSheetsStorage(config);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageAdapter, GoogleSheetsStorage, IndexedDBStorage, getStorageBackend, getApiToken, createStorageAdapter };
+}
+
+// Make adapters available globally
+if (typeof window !== 'undefined') {
+    window.StorageAdapter = StorageAdapter;
+    window.GoogleSheetsStorage = GoogleSheetsStorage;
+    window.IndexedDBStorage = IndexedDBStorage;
+    window.getStorageBackend = getStorageBackend;
+    window.getApiToken = getApiToken;
+    window.createStorageAdapter = createStorageAdapter;
+}
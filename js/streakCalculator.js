@@ -0,0 +1,209 @@
+/**
+ * Streak Calculator
+ * Study streaks derived from the StudyTasks history, so every device shows the
+ * same streak. Pure functions - no DOM, no network - covered by
+ * tests/streak-calculator.test.js.
+ *
+ * - Day boundary: activity before DAY_START_HOUR counts for the previous day,
+ *   so studying until 2:00 does not start a new day.
+ * - A day is active with at least MIN_TASKS_PER_DAY tasks. Tasks without a time
+ *   of their own take it from their StudySessions row.
+ * - Today not being active yet does not break the current streak.
+ * - Streak freezes: every POINTS_PER_FREEZE points earned (see getTaskPoints)
+ *   gives one freeze, up to MAX_AVAILABLE held at once. A freeze covers one
+ *   missed day inside a streak; the streak goes on but the day does not count.
+ */
+const StreakCalculator = {
+    DEFAULTS: {
+        DAY_START_HOUR: 3,
+        MIN_TASKS_PER_DAY: 1,
+        CALENDAR_DAYS: 35,
+        FREEZES: { ENABLED: true, POINTS_PER_FREEZE: 200, MAX_AVAILABLE: 2 }
+    },
+
+    // Used when CONFIG.POINTS is not loaded
+    DEFAULT_POINTS: { CORRECT_TASK: 10, INCORRECT_TASK: 2 },
+
+    /**
+     * Settings (CONFIG.STREAKS when the app config is loaded)
+     * @returns {Object} { DAY_START_HOUR, MIN_TASKS_PER_DAY, CALENDAR_DAYS, FREEZES }
+     */
+    getSettings() {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : null;
+        const settings = { ...StreakCalculator.DEFAULTS, ...(config && config.STREAKS) };
+        settings.FREEZES = { ...StreakCalculator.DEFAULTS.FREEZES, ...(config && config.STREAKS && config.STREAKS.FREEZES) };
+        return settings;
+    },
+
+    /**
+     * Day key of a moment with a day boundary
+     * @param {Date|string} value - Moment
+     * @param {number} dayStartHour - Hour the day starts at (0-23)
+     * @returns {string|null} 'YYYY-MM-DD'
+     */
+    getDayKey(value, dayStartHour = 0) {
+        const key = AnalyticsMath.toDateKey(value);
+        if (!key) return null;
+        // Bare dates carry no time of day - they are the day itself
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) return key;
+
+        const date = value instanceof Date ? value : new Date(String(value).trim().replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+        return AnalyticsMath.toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours() - dayStartHour, date.getMinutes()));
+    },
+
+    /**
+     * Points of a task: INCORRECT_TASK for trying, up to CORRECT_TASK for a correct answer
+     * @param {Object} task - StudyTask
+     * @returns {number} Points
+     */
+    getTaskPoints(task) {
+        const config = typeof CONFIG !== 'undefined' ? CONFIG : null;
+        const points = { ...StreakCalculator.DEFAULT_POINTS, ...(config && config.POINTS) };
+        const score = Correctness.getScore(task);
+        return Math.round(points.INCORRECT_TASK + (points.CORRECT_TASK - points.INCORRECT_TASK) * score);
+    },
+
+    /**
+     * Streaks from the task history
+     * @param {Array} tasks - StudyTasks
+     * @param {Array} sessions - StudySessions
+     * @param {Object} options - { dayStartHour, now, calendarDays } (override the settings)
+     * @returns {Object} { currentStreak, longestStreak, todayActive, points, freezesAvailable, freezesUsed, streaks, calendar }
+     */
+    calculate(tasks, sessions = [], options = {}) {
+        const settings = StreakCalculator.getSettings();
+        const dayStartHour = options.dayStartHour !== undefined ? Number(options.dayStartHour) : settings.DAY_START_HOUR;
+        const now = options.now || new Date();
+        const today = StreakCalculator.getDayKey(now, dayStartHour);
+        const calendarDays = options.calendarDays || settings.CALENDAR_DAYS;
+
+        const sessionStarts = {};
+        sessions.forEach(session => {
+            if (session.session_id) sessionStarts[session.session_id] = session.start_time;
+        });
+
+        // Tasks, sessions and points per (shifted) day
+        const perDay = {};
+        const dayOf = value => {
+            const key = StreakCalculator.getDayKey(value, dayStartHour);
+            if (!key || key > today) return null;
+            perDay[key] = perDay[key] || { tasks: 0, sessions: 0, points: 0 };
+            return perDay[key];
+        };
+        tasks.forEach(task => {
+            const day = dayOf(task.start_time || task.timestamp || sessionStarts[task.session_id] || task.date);
+            if (!day) return;
+            day.tasks++;
+            day.points += StreakCalculator.getTaskPoints(task);
+        });
+        sessions.forEach(session => {
+            const day = dayOf(session.start_time);
+            if (day) day.sessions++;
+        });
+
+        const dayKeys = Object.keys(perDay).sort();
+        const points = dayKeys.reduce((sum, key) => sum + perDay[key].points, 0);
+        if (dayKeys.length === 0) {
+            return {
+                currentStreak: 0, longestStreak: 0, todayActive: false, points: 0,
+                freezesAvailable: 0, freezesUsed: 0, streaks: [],
+                calendar: StreakCalculator.buildCalendar([], today, calendarDays)
+            };
+        }
+
+        // Every calendar day from the first activity to today
+        const days = [];
+        const first = AnalyticsMath.fromDateKey(dayKeys[0]);
+        for (let date = first; AnalyticsMath.toDateKey(date) <= today; date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)) {
+            const key = AnalyticsMath.toDateKey(date);
+            const day = perDay[key] || { tasks: 0, sessions: 0, points: 0 };
+            days.push({ ...day, date: key, active: day.tasks >= settings.MIN_TASKS_PER_DAY, frozen: false });
+        }
+
+        // Freezes are earned as points accumulate and spent automatically on a missed
+        // day right after an active (or frozen) one. Points of a day only count from
+        // the next day on, and today is never frozen - there is still time to study.
+        let earnedPoints = 0;
+        let freezes = 0;
+        let granted = 0;
+        let freezesUsed = 0;
+        days.forEach((day, index) => {
+            const previous = index > 0 ? days[index - 1] : null;
+            if (settings.FREEZES.ENABLED && !day.active && day.date !== today && freezes > 0 &&
+                previous && (previous.active || previous.frozen)) {
+                day.frozen = true;
+                freezes--;
+                freezesUsed++;
+            }
+
+            earnedPoints += day.points;
+            const total = settings.FREEZES.POINTS_PER_FREEZE > 0 ? Math.floor(earnedPoints / settings.FREEZES.POINTS_PER_FREEZE) : 0;
+            if (total > granted) {
+                freezes = Math.min(settings.FREEZES.MAX_AVAILABLE, freezes + total - granted);
+                granted = total;
+            }
+        });
+
+        // Runs of active or frozen days (AnalyticsMath.calculateStreaks, as in EnhancedAnalytics);
+        // only the active days count towards a run's length
+        const runs = AnalyticsMath.calculateStreaks(days.map(day => ({ date: day.date, active: day.active || day.frozen })));
+        const activeIn = run => days.filter(day => day.active && day.date >= run.start && day.date <= run.end).length;
+        const streaks = runs
+            .map(run => ({ start: run.start, end: run.end, length: activeIn(run) }))
+            .sort((a, b) => b.length - a.length || b.end.localeCompare(a.end));
+
+        const todayActive = perDay[today] ? perDay[today].tasks >= settings.MIN_TASKS_PER_DAY : false;
+        const todayDate = AnalyticsMath.fromDateKey(today);
+        const yesterday = AnalyticsMath.toDateKey(new Date(todayDate.getFullYear(), todayDate.getMonth(), todayDate.getDate() - 1));
+        const current = streaks.find(run => run.end === today || run.end === yesterday);
+
+        return {
+            currentStreak: current ? current.length : 0,
+            longestStreak: streaks.length > 0 ? streaks[0].length : 0,
+            todayActive,
+            points,
+            freezesAvailable: settings.FREEZES.ENABLED ? freezes : 0,
+            freezesUsed,
+            streaks,
+            calendar: StreakCalculator.buildCalendar(days, today, calendarDays)
+        };
+    },
+
+    /**
+     * Last `count` days for the streak calendar
+     * @param {Array} days - Calculated days, oldest first
+     * @param {string} today - Day key of today
+     * @param {number} count - Days to show
+     * @returns {Array} [{ date, tasks, sessions, active, frozen, today }], oldest first
+     */
+    buildCalendar(days, today, count) {
+        const byDate = {};
+        days.forEach(day => { byDate[day.date] = day; });
+
+        const end = AnalyticsMath.fromDateKey(today);
+        const calendar = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const key = AnalyticsMath.toDateKey(new Date(end.getFullYear(), end.getMonth(), end.getDate() - i));
+            const day = byDate[key];
+            calendar.push({
+                date: key,
+                tasks: day ? day.tasks : 0,
+                sessions: day ? day.sessions : 0,
+                active: day ? day.active : false,
+                frozen: day ? day.frozen : false,
+                today: key === today
+            });
+        }
+        return calendar;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreakCalculator;
+}
+
+// Make StreakCalculator available globally
+if (typeof window !== 'undefined') {
+    window.StreakCalculator = StreakCalculator;
+}
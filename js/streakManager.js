@@ -1,135 +1,134 @@
 /**
  * Streak Manager
- * Handles daily streak tracking and motivation system
+ * Shows the study streak, points and streak calendar. Everything is recomputed
+ * from the StudyTasks / StudySessions history (see StreakCalculator), so a streak
+ * does not break when studying on another device.
  */
 class StreakManager {
-    constructor(config) {
+    constructor(config, googleSheetsAPI) {
         this.config = config;
-        this.currentStreak = 0;
-        this.lastActivityDate = null;
-        this.totalPoints = 0;
-        
+        this.googleSheetsAPI = googleSheetsAPI;
+        this.stats = null;
+        this.achievementPoints = 0;
+        this.dayStartHour = this.getDayStartHour();
+        this.loadingPromise = null;
+
         this.init();
     }
-    
+
     /**
      * Initialize streak manager
      */
     init() {
-        this.loadFromLocalStorage();
+        // Points of unlocked achievements are added to the points earned from tasks
+        if (window.achievementSystem) {
+            this.achievementPoints = window.achievementSystem.getAchievementStats().totalPoints;
+        }
+        window.addEventListener('achievementsUpdated', (event) => {
+            this.achievementPoints = event.detail.totalPoints || 0;
+            this.updatePointsDisplay();
+        });
+
         this.updateStreakDisplay();
-        
-        // Streak Manager initialized
     }
-    
-    /**
-     * Load streak data from local storage
-     */
-    loadFromLocalStorage() {
-        this.currentStreak = parseInt(localStorage.getItem(this.config.STORAGE_KEYS.CURRENT_STREAK)) || 0;
-        this.lastActivityDate = localStorage.getItem(this.config.STORAGE_KEYS.LAST_ACTIVITY_DATE);
-        this.totalPoints = parseInt(localStorage.getItem(this.config.STORAGE_KEYS.TOTAL_POINTS)) || 0;
-    }
-    
+
+    // =============================================
+    // DATA
+    // =============================================
+
     /**
-     * Save streak data to local storage
+     * Load the history and recompute streaks
+     * @returns {Promise<Object>} Streak stats from StreakCalculator.calculate
      */
-    saveToLocalStorage() {
-        localStorage.setItem(this.config.STORAGE_KEYS.CURRENT_STREAK, this.currentStreak.toString());
-        localStorage.setItem(this.config.STORAGE_KEYS.LAST_ACTIVITY_DATE, this.lastActivityDate);
-        localStorage.setItem(this.config.STORAGE_KEYS.TOTAL_POINTS, this.totalPoints.toString());
+    load() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchAndCalculate().finally(() => {
+                this.loadingPromise = null;
+            });
+        }
+        return this.loadingPromise;
     }
-    
-    /**
-     * Record activity and update streak
-     */
-    recordActivity(points = 0) {
-        const today = this.getTodayString();
-        const yesterday = this.getYesterdayString();
-        
-        // Add points
-        this.totalPoints += points;
-        
-        if (!this.lastActivityDate) {
-            // First ever activity
-            this.currentStreak = 1;
-            this.lastActivityDate = today;
-            this.addStreakPoints();
-            this.showStreakMessage('Zaczynasz swoją pierwszą passę! 🔥');
-            
-        } else if (this.lastActivityDate === today) {
-            // Activity already recorded today
-            // Just add points, don't change streak
-            
-        } else if (this.lastActivityDate === yesterday) {
-            // Continuing streak from yesterday
-            this.currentStreak += 1;
-            this.lastActivityDate = today;
-            this.addStreakPoints();
+
+    async fetchAndCalculate() {
+        const [tasksResponse, sessionsResponse] = await Promise.all([
+            this.googleSheetsAPI.getStudyTasks(),
+            this.googleSheetsAPI.getStudySessions()
+        ]);
+
+        if (!tasksResponse.success || !sessionsResponse.success) {
+            throw new Error(tasksResponse.error || sessionsResponse.error || 'Nie udało się wczytać historii zadań');
+        }
+
+        const previous = this.stats;
+        this.dayStartHour = this.getDayStartHour();
+        this.stats = StreakCalculator.calculate(tasksResponse.tasks, sessionsResponse.sessions, {
+            dayStartHour: this.dayStartHour
+        });
+
+        // Only a streak that grows while the app is open is celebrated, not the one found on load
+        if (previous && this.stats.currentStreak > previous.currentStreak) {
             this.checkStreakMilestones();
-            
-        } else {
-            // Streak broken - starting new streak
-            const oldStreak = this.currentStreak;
-            this.currentStreak = 1;
-            this.lastActivityDate = today;
-            this.addStreakPoints();
-            
-            if (oldStreak > 1) {
-                this.showStreakMessage(`Passa przerwana po ${oldStreak} dniach. Zaczynasz od nowa! 💪`);
-            } else {
-                this.showStreakMessage('Nowa passa rozpoczęta! 🔥');
-            }
         }
-        
-        this.saveToLocalStorage();
+
         this.updateStreakDisplay();
         this.updatePointsDisplay();
-        
-        return {
-            streak: this.currentStreak,
-            points: points,
-            totalPoints: this.totalPoints
-        };
+        this.renderCalendar();
+
+        window.dispatchEvent(new CustomEvent('streakUpdated', {
+            detail: this.getStreakStats()
+        }));
+
+        console.log(`🔥 Streak recalculated: ${this.stats.currentStreak} (longest ${this.stats.longestStreak}, freezes ${this.stats.freezesAvailable})`);
+        return this.stats;
     }
-    
+
     /**
-     * Add points for maintaining streak
+     * Recompute after new tasks or sessions were saved, or the day boundary changed
      */
-    addStreakPoints() {
-        this.totalPoints += this.config.POINTS.DAILY_STREAK;
-        
-        // Bonus points for longer streaks
-        if (this.currentStreak >= 7) {
-            this.totalPoints += this.config.POINTS.WEEKLY_STREAK;
-        }
-        if (this.currentStreak >= 30) {
-            this.totalPoints += this.config.POINTS.MONTHLY_STREAK;
+    async refresh() {
+        try {
+            await this.load();
+        } catch (error) {
+            console.warn('⚠️ Could not refresh streak:', error);
         }
     }
-    
+
+    /**
+     * Record activity - the saved task is already in the history, so this just recomputes
+     */
+    recordActivity() {
+        return this.refresh();
+    }
+
+    /**
+     * Hour the study day starts at: the synced setting, else CONFIG.STREAKS.DAY_START_HOUR
+     */
+    getDayStartHour() {
+        const setting = window.settingsManager?.currentSettings?.dayStartHour;
+        return Number.isInteger(setting) ? setting : this.config.STREAKS.DAY_START_HOUR;
+    }
+
+    // =============================================
+    // MILESTONES
+    // =============================================
+
     /**
      * Check for streak milestones and show achievements
      */
     checkStreakMilestones() {
         const milestones = [3, 7, 14, 30, 60, 100];
-        
-        if (milestones.includes(this.currentStreak)) {
-            this.showStreakMilestone(this.currentStreak);
-            
-            // Trigger achievement if system is available
+        const streak = this.getCurrentStreak();
+
+        if (milestones.includes(streak)) {
+            this.showStreakMilestone(streak);
+
+            // Streak achievements are `streak` rules in the Achievements sheet
             if (window.achievementSystem) {
-                if (this.currentStreak === 3) {
-                    window.achievementSystem.unlockAchievement('DAILY_STREAK_3');
-                } else if (this.currentStreak === 7) {
-                    window.achievementSystem.unlockAchievement('DAILY_STREAK_7');
-                } else if (this.currentStreak === 30) {
-                    window.achievementSystem.unlockAchievement('DAILY_STREAK_30');
-                }
+                window.achievementSystem.refresh();
             }
         }
     }
-    
+
     /**
      * Show streak milestone message
      */
@@ -142,11 +141,11 @@ class StreakManager {
             60: 'Legenda! 2 miesiące! 🏆',
             100: 'Nie do uwierzenia! 100 dni! 🎯'
         };
-        
+
         const message = messages[streak] || `Niesamowita passa ${streak} dni! 🌟`;
         this.showStreakMessage(message);
     }
-    
+
     /**
      * Show streak message to user
      */
@@ -158,138 +157,131 @@ class StreakManager {
             console.log('Streak message:', message);
         }
     }
-    
+
+    // =============================================
+    // VIEW
+    // =============================================
+
     /**
      * Update streak display in UI
      */
     updateStreakDisplay() {
+        const streak = this.getCurrentStreak();
         const streakElement = document.getElementById('streak-count');
         const currentStreakElement = document.getElementById('current-streak');
+        const longestStreakElement = document.getElementById('longest-streak');
+        const freezesElement = document.getElementById('streak-freezes');
         const streakMessageElement = document.getElementById('streak-message');
-        
+
         if (streakElement) {
-            streakElement.textContent = this.currentStreak;
+            streakElement.textContent = streak;
         }
-        
+
         if (currentStreakElement) {
-            currentStreakElement.textContent = this.currentStreak;
+            currentStreakElement.textContent = streak;
         }
-        
+
+        if (longestStreakElement) {
+            longestStreakElement.textContent = this.stats ? this.stats.longestStreak : 0;
+        }
+
+        if (freezesElement) {
+            freezesElement.textContent = this.stats ? this.stats.freezesAvailable : 0;
+        }
+
         if (streakMessageElement) {
-            if (this.currentStreak === 0) {
+            if (streak === 0) {
                 streakMessageElement.textContent = 'Zacznij naukę, aby rozpocząć passę!';
-            } else if (this.currentStreak === 1) {
+            } else if (this.stats && !this.stats.todayActive) {
+                streakMessageElement.textContent = `${streak} dni z rzędu - zrób dziś zadanie, aby utrzymać passę!`;
+            } else if (streak === 1) {
                 streakMessageElement.textContent = 'Nowa passa rozpoczęta! 🔥';
             } else {
-                streakMessageElement.textContent = `${this.currentStreak} dni z rzędu! Tak trzymaj! 💪`;
+                streakMessageElement.textContent = `${streak} dni z rzędu! Tak trzymaj! 💪`;
             }
         }
     }
-    
+
     /**
      * Update points display in UI
      */
     updatePointsDisplay() {
         const pointsElement = document.getElementById('total-points');
-        
+
         if (pointsElement) {
-            pointsElement.textContent = this.totalPoints.toLocaleString();
+            pointsElement.textContent = this.getTotalPoints().toLocaleString();
         }
     }
-    
-    /**
-     * Get today's date as string
-     */
-    getTodayString() {
-        const today = new Date();
-        return today.toISOString().split('T')[0]; // YYYY-MM-DD format
-    }
-    
-    /**
-     * Get yesterday's date as string
-     */
-    getYesterdayString() {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        return yesterday.toISOString().split('T')[0];
-    }
-    
+
     /**
-     * Check if user has activity today
+     * Render the streak calendar: active, frozen and missed days
      */
-    hasActivityToday() {
-        return this.lastActivityDate === this.getTodayString();
+    renderCalendar() {
+        const calendarElement = document.getElementById('streak-calendar');
+        if (!calendarElement || !this.stats) return;
+
+        calendarElement.innerHTML = this.stats.calendar.map(day => {
+            const classes = ['streak-day'];
+            if (day.active) classes.push('active');
+            if (day.frozen) classes.push('frozen');
+            if (day.today) classes.push('today');
+
+            const label = AnalyticsMath.fromDateKey(day.date).toLocaleDateString('pl-PL', { day: '2-digit', month: '2-digit' });
+            const status = day.frozen ? 'zamrożenie passy' : `${day.tasks} zadań`;
+            return `<div class="${classes.join(' ')}" title="${label}: ${status}">${day.frozen ? '❄️' : ''}</div>`;
+        }).join('');
     }
-    
+
+    // =============================================
+    // STATS
+    // =============================================
+
     /**
      * Get current streak
      */
     getCurrentStreak() {
-        return this.currentStreak;
+        return this.stats ? this.stats.currentStreak : 0;
     }
-    
+
     /**
-     * Get total points
+     * Get total points: tasks plus unlocked achievements
      */
     getTotalPoints() {
-        return this.totalPoints;
-    }
-    
-    /**
-     * Add points without affecting streak
-     */
-    addPoints(points) {
-        this.totalPoints += points;
-        this.saveToLocalStorage();
-        this.updatePointsDisplay();
-    }
-    
-    /**
-     * Reset streak (for testing or manual reset)
-     */
-    resetStreak() {
-        this.currentStreak = 0;
-        this.lastActivityDate = null;
-        this.saveToLocalStorage();
-        this.updateStreakDisplay();
+        return (this.stats ? this.stats.points : 0) + this.achievementPoints;
     }
-    
+
     /**
-     * Reset all progress
+     * Check if user has activity today
      */
-    resetAllProgress() {
-        this.currentStreak = 0;
-        this.lastActivityDate = null;
-        this.totalPoints = 0;
-        
-        // Clear local storage
-        localStorage.removeItem(this.config.STORAGE_KEYS.CURRENT_STREAK);
-        localStorage.removeItem(this.config.STORAGE_KEYS.LAST_ACTIVITY_DATE);
-        localStorage.removeItem(this.config.STORAGE_KEYS.TOTAL_POINTS);
-        
-        this.updateStreakDisplay();
-        this.updatePointsDisplay();
+    hasActivityToday() {
+        return this.stats ? this.stats.todayActive : false;
     }
-    
+
     /**
      * Get streak statistics for analytics
      */
     getStreakStats() {
-        const today = this.getTodayString();
-        const hasActivityToday = this.lastActivityDate === today;
-        
+        const activeDays = this.stats ? this.stats.calendar.filter(day => day.active) : [];
+
         return {
-            currentStreak: this.currentStreak,
-            hasActivityToday: hasActivityToday,
-            lastActivityDate: this.lastActivityDate,
-            totalPoints: this.totalPoints,
-            daysActive: this.lastActivityDate ? 1 : 0 // Simplified for now
+            currentStreak: this.getCurrentStreak(),
+            longestStreak: this.stats ? this.stats.longestStreak : 0,
+            hasActivityToday: this.hasActivityToday(),
+            lastActivityDate: activeDays.length > 0 ? activeDays[activeDays.length - 1].date : null,
+            totalPoints: this.getTotalPoints(),
+            freezesAvailable: this.stats ? this.stats.freezesAvailable : 0,
+            freezesUsed: this.stats ? this.stats.freezesUsed : 0,
+            dayStartHour: this.dayStartHour
         };
     }
 }
 
-// Initialize streak manager when DOM is ready
-let streakManager;
-document.addEventListener('DOMContentLoaded', () => {
-    streakManager = new StreakManager(CONFIG);
-});
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreakManager;
+}
+
+// Make StreakManager available globally
+if (typeof window !== 'undefined') {
+    window.StreakManager = StreakManager;
+}
@@ -703,6 +703,11 @@ class StudyTrackingManager {
         }
         this.isSubmitting = true;
 
+        // Every task of this session shares one stable session id, also across retries
+        if (!this.currentSessionId) {
+            this.currentSessionId = this.generateSessionId();
+        }
+
         try {
             // Collect all task data from forms
             const taskForms = this.elements.analysisContainer.querySelectorAll('.task-analysis-form');
@@ -860,7 +865,7 @@ class StudyTrackingManager {
                     end_time: originalTask.endTime.toISOString(),
                     location: location,
                     subject: subject,
-                    session_id: this.currentSessionId || this.generateSessionId()
+                    session_id: this.currentSessionId
                 };
                 
                 console.log('✅ Final taskData prepared:', taskData);
@@ -881,7 +886,9 @@ class StudyTrackingManager {
             const result = await this.submitTasksToSheet(tasksData);
 
             if (result.success) {
-                this.showMessage('Wszystkie dane zostały pomyślnie zapisane do Google Sheets!', 'success');
+                this.showMessage(result.queued > 0
+                    ? `Brak połączenia - ${result.queued} zadań zostanie wysłanych automatycznie`
+                    : 'Wszystkie dane zostały pomyślnie zapisane do Google Sheets!', 'success');
                 
                 // Save the session data to StudySessions sheet
                 await this.saveSessionToSheets();
@@ -948,12 +955,19 @@ class StudyTrackingManager {
                 console.error(`❌ ${failed.length} tasks failed to submit:`, failed);
                 return {
                     success: false,
-                    error: `${failed.length} z ${tasksData.length} zadań nie zostało zapisanych`
+                    error: `${failed.length} z ${tasksData.length} zadań nie zostało zapisanych (${failed[0].error})`
                 };
             }
 
-            console.log(`✅ All ${tasksData.length} tasks submitted successfully!`);
-            return { success: true };
+            // Offline writes are kept in the outbox and sent later
+            const queued = results.filter(result => result.queued).length;
+
+            console.log(`✅ All ${tasksData.length} tasks submitted successfully!`, { queued });
+            return {
+                success: true,
+                queued: queued,
+                rowIds: results.map(result => result.rowId).filter(Boolean)
+            };
 
         } catch (error) {
             console.error('Error in submitTasksToSheet:', error);
@@ -1770,9 +1784,8 @@ class StudyTrackingManager {
         }
         
         const tasksHtml = tasks.map((task, index) => {
-            const isCorrect = this.isTaskCorrect(task.correctly_completed);
-            const statusIcon = isCorrect ? '✅' : '❌';
-            const statusClass = isCorrect ? 'correct' : 'incorrect';
+            const statusClass = Correctness.getOutcome(task.correctly_completed);
+            const statusIcon = Correctness.ICONS[statusClass];
             const taskDuration = this.calculateTaskDuration(task);
             
             return `
@@ -1803,15 +1816,7 @@ class StudyTrackingManager {
      * Check if task is correct
      */
     isTaskCorrect(correctlyCompleted) {
-        if (typeof correctlyCompleted === 'boolean') {
-            return correctlyCompleted;
-        }
-        if (typeof correctlyCompleted === 'string') {
-            return correctlyCompleted.toLowerCase() === 'yes' || 
-                   correctlyCompleted.toLowerCase() === 'true' ||
-                   correctlyCompleted.toLowerCase() === 'poprawnie';
-        }
-        return false;
+        return Correctness.isCorrect(correctlyCompleted);
     }
     
     /**
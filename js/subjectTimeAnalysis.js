@@ -308,7 +308,7 @@ class SubjectTimeAnalysisManager {
             else periodKey = 'NIGHT';
             
             periods[periodKey].total++;
-            if (this.isTaskCorrect(task)) periods[periodKey].correct++;
+            periods[periodKey].correct += Correctness.getScore(task);
             
             // Calculate time spent if available
             if (task.start_time && task.end_time) {
@@ -598,10 +598,7 @@ class SubjectTimeAnalysisManager {
     }
     
     isTaskCorrect(task) {
-        if (typeof task.correctly_completed === 'string') {
-            return task.correctly_completed.toLowerCase() === 'yes';
-        }
-        return task.correctly_completed === true || task.correctness === true;
+        return Correctness.isCorrect(task);
     }
 }
 
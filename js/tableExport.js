@@ -0,0 +1,120 @@
+/**
+ * Table Export
+ * Saves a table of records as CSV or XLSX. The caller passes the records already
+ * filtered and sorted the way they are shown, and columns describing each value:
+ * { label, value: record => value }.
+ */
+const TableExport = {
+    FORMATS: ['csv', 'xlsx'],
+
+    // Text starting with these is run as a formula by spreadsheet programs
+    FORMULA_PREFIX: /^[=+\-@\t\r]/,
+
+    /**
+     * Rows of values, header row first
+     * @param {Array<Object>} columns - [{ label, value }]
+     * @param {Array} records - Records in the order they are shown
+     * @returns {Array<Array>} Rows
+     */
+    toRows(columns, records) {
+        return [columns.map(column => column.label)]
+            .concat(records.map(record => columns.map(column => {
+                const value = column.value(record);
+                return value === null || value === undefined ? '' : value;
+            })));
+    },
+
+    /**
+     * CSV text of rows (comma separated, quoted where needed)
+     */
+    toCSV(rows) {
+        const escape = value => {
+            if (value instanceof Date) value = value.toISOString();
+            let text = String(value);
+            if (typeof value === 'string' && TableExport.FORMULA_PREFIX.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\r\n');
+    },
+
+    /**
+     * File name: <name>-<YYYY-MM-DD>.<format>, without Polish characters or spaces
+     */
+    getFileName(name, format, date = new Date()) {
+        const slug = String(name || 'eksport')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ł/g, 'l')
+            .replace(/Ł/g, 'L')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'eksport';
+        return `${slug}-${TableExport.formatDay(date)}.${format}`;
+    },
+
+    /**
+     * Local day as YYYY-MM-DD - sorts correctly in a spreadsheet, unlike "1 marca 2024"
+     */
+    formatDay(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Save a table as a file
+     * @param {Object} options
+     * @param {string} options.name - Base of the file name
+     * @param {string} options.format - 'csv' or 'xlsx'
+     * @param {Array<Object>} options.columns - [{ label, value }]
+     * @param {Array} options.records - Records as shown
+     * @param {Array<Array>} [options.info] - [label, value] pairs describing the filters; a second sheet in XLSX
+     * @returns {Promise<string>} Name of the saved file
+     */
+    async download({ name, format, columns, records, info = [] }) {
+        if (!TableExport.FORMATS.includes(format)) {
+            throw new Error(`Nieobsługiwany format: ${format}`);
+        }
+
+        const rows = TableExport.toRows(columns, records);
+        const fileName = TableExport.getFileName(name, format);
+
+        if (format === 'csv') {
+            // BOM so Excel reads Polish characters as UTF-8
+            TableExport.saveBlob(new Blob(['\uFEFF' + TableExport.toCSV(rows)], { type: 'text/csv;charset=utf-8;' }), fileName);
+        } else {
+            // SheetJS is shared with the task import and loaded on first use
+            await TaskImport.loadXLSX();
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Dane');
+            if (info.length > 0) {
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(info), 'Informacje');
+            }
+            XLSX.writeFile(workbook, fileName);
+        }
+
+        console.log(`⬇️ Exported ${records.length} rows to ${fileName}`);
+        return fileName;
+    },
+
+    saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableExport;
+}
+
+// Make TableExport available globally
+if (typeof window !== 'undefined') {
+    window.TableExport = TableExport;
+}
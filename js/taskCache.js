@@ -0,0 +1,240 @@
+/**
+ * Task Cache
+ * Keeps the Tasks / StudyTasks rows in IndexedDB and brings them up to date
+ * with incremental reads: only rows changed since the last sync are
+ * downloaded (`since`), in pages (`limit` / `cursor`), and rows deleted in
+ * the sheet are dropped using the `ids` list of the first page. Startup stays
+ * fast however many tasks have been logged.
+ *
+ * Rows edited by hand keep their old updated_at unless the spreadsheet has the
+ * edit trigger (installEditTrigger in Code.gs), so every `fullSyncHours` the
+ * rows are downloaded in full once instead.
+ */
+class TaskCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'studyflow-cache';
+        this.storeName = 'rows';
+        this.pageSize = options.pageSize || 500;
+        this.fullSyncHours = options.fullSyncHours || 24;
+        this.dbPromise = null;
+        // One sync per key at a time - managers load tasks in parallel on startup
+        this.pendingSyncs = new Map();
+
+        // In-memory fallback when IndexedDB is unavailable (private mode, old browsers, tests)
+        this.memoryStore = new Map();
+    }
+
+    /**
+     * Shared cache instance used by every GoogleSheetsAPIv2 instance
+     * @returns {TaskCache} Shared cache
+     */
+    static getShared() {
+        if (!TaskCache.sharedInstance) {
+            const config = typeof CONFIG !== 'undefined' ? CONFIG : {};
+            TaskCache.sharedInstance = new TaskCache({
+                pageSize: config.SYNC && config.SYNC.PAGE_SIZE,
+                fullSyncHours: config.SYNC && config.SYNC.FULL_SYNC_HOURS
+            });
+        }
+        return TaskCache.sharedInstance;
+    }
+
+    // =============================================
+    // STORAGE
+    // =============================================
+
+    /**
+     * Open (or create) the cache database
+     * @returns {Promise<IDBDatabase|null>} Database handle or null when unsupported
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Task cache: IndexedDB unavailable, caching in memory only', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the cache store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * @param {string} key - Cache key (spreadsheet and action)
+     * @returns {Promise<Object|null>} { key, rows, since, synced_at, full_sync_at } or null
+     */
+    async get(key) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return this.memoryStore.get(key) || null;
+        }
+        return (await this.runTransaction('readonly', store => store.get(key))) || null;
+    }
+
+    /**
+     * @param {Object} entry - { key, rows, since, synced_at, full_sync_at }
+     */
+    async put(entry) {
+        const db = await this.openDatabase();
+        if (!db) {
+            this.memoryStore.set(entry.key, entry);
+            return;
+        }
+        await this.runTransaction('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Forget every cached row - the next sync downloads everything again
+     */
+    async clear() {
+        const db = await this.openDatabase();
+        if (!db) {
+            this.memoryStore.clear();
+            return;
+        }
+        await this.runTransaction('readwrite', store => store.clear());
+    }
+
+    // =============================================
+    // SYNC
+    // =============================================
+
+    /**
+     * Bring the cached rows up to date
+     * @param {string} key - Cache key
+     * @param {Function} fetchPage - async (params: { since, limit, cursor }) => backend response
+     *                               { success, data, next_cursor, server_time, ids, error }
+     * @returns {Promise<Array>} All rows, in sheet order
+     */
+    sync(key, fetchPage) {
+        if (!this.pendingSyncs.has(key)) {
+            const syncPromise = this.fetchChanges(key, fetchPage).finally(() => {
+                this.pendingSyncs.delete(key);
+            });
+            this.pendingSyncs.set(key, syncPromise);
+        }
+        return this.pendingSyncs.get(key);
+    }
+
+    async fetchChanges(key, fetchPage) {
+        const cached = await this.get(key);
+        const since = cached && !this.isFullSyncDue(cached) ? cached.since : null;
+
+        const changed = [];
+        let ids = null;
+        let serverTime = null;
+        let cursor = null;
+
+        do {
+            const params = { limit: String(this.pageSize) };
+            if (since) params.since = since;
+            if (cursor) params.cursor = cursor;
+
+            const response = await fetchPage(params);
+            if (!response.success) {
+                throw new Error(response.error || 'Nie udało się pobrać zadań');
+            }
+
+            // Backends without incremental reads answer with every row and no server_time
+            if (!response.server_time) {
+                return response.data || [];
+            }
+
+            changed.push(...(response.data || []));
+            if (response.ids) ids = response.ids;
+            // Rows changed while paging are newer than the first page and come with the next sync
+            serverTime = serverTime || response.server_time;
+            cursor = response.next_cursor;
+        } while (cursor);
+
+        const rows = since ? TaskCache.merge(cached.rows, changed, ids) : changed;
+
+        // A row the sheet has but neither the cache nor this sync does (written while the
+        // previous sync was reading) - start over with a full download
+        const expected = ids ? new Set(ids.map(String)).size : 0;
+        if (since && ids && rows.length < expected) {
+            console.warn(`⚠️ Task cache ${key}: ${expected - rows.length} rows missing, downloading all rows`);
+            await this.put({ key, rows: [], since: null, synced_at: null, full_sync_at: null });
+            return this.fetchChanges(key, fetchPage);
+        }
+
+        const now = new Date().toISOString();
+        await this.put({ key, rows, since: serverTime, synced_at: now, full_sync_at: since ? cached.full_sync_at : now });
+
+        console.log(`🗃️ Task cache ${key}: ${changed.length} changed of ${rows.length} rows`);
+        return rows;
+    }
+
+    /**
+     * Whether the cached rows are due for a full download (older caches have no full_sync_at)
+     * @param {Object} cached - Cache entry
+     * @returns {boolean}
+     */
+    isFullSyncDue(cached) {
+        const last = new Date(cached.full_sync_at || 0).getTime();
+        return !(Date.now() - last < this.fullSyncHours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Apply changed rows to the cached ones
+     * @param {Array} rows - Cached rows
+     * @param {Array} changed - New or modified rows
+     * @param {Array|null} ids - task_id of every row in the sheet, in sheet order (drops deleted rows)
+     * @returns {Array} Up-to-date rows
+     */
+    static merge(rows, changed, ids) {
+        const byId = new Map();
+        rows.forEach(row => byId.set(String(row.task_id), row));
+        changed.forEach(row => byId.set(String(row.task_id), row));
+
+        if (!ids) {
+            return Array.from(byId.values());
+        }
+        return Array.from(new Set(ids.map(String)))
+            .map(id => byId.get(id))
+            .filter(Boolean);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskCache;
+}
+
+// Make TaskCache available globally
+if (typeof window !== 'undefined') {
+    window.TaskCache = TaskCache;
+}
@@ -0,0 +1,404 @@
+/**
+ * Task Import
+ * Turns a CSV or Excel file of tasks tracked elsewhere into StudyTasks records:
+ * the file is read into rows, its columns are mapped to task fields, and every
+ * row becomes a task or an error. Pure functions - the import view is ImportManager.
+ *
+ * Imported tasks get an id derived from their content, so importing the same
+ * file again updates the rows it added instead of adding copies.
+ */
+const TaskImport = {
+    // Tasks sent in one importStudyTasks request (the backend accepts up to 200)
+    BATCH_SIZE: 100,
+
+    // SheetJS, loaded only when an Excel file is chosen
+    XLSX_URL: 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js',
+
+    // Full ISO times with a zone, as written by the app
+    ZONED_TIME: /^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/,
+
+    /**
+     * Task fields a column can be mapped to. `aliases` are header names (lower case,
+     * without Polish characters) the field is guessed from.
+     */
+    FIELDS: {
+        task_name: { label: 'Nazwa zadania', required: true, aliases: ['task_name', 'nazwa', 'nazwa zadania', 'zadanie', 'task', 'temat'] },
+        subject: { label: 'Przedmiot', aliases: ['subject', 'przedmiot'] },
+        categories: { label: 'Kategorie', aliases: ['categories', 'category', 'kategorie', 'kategoria', 'dzial'] },
+        correctly_completed: { label: 'Poprawność', aliases: ['correctly_completed', 'correctness', 'poprawnosc', 'wynik', 'ocena', 'poprawnie'] },
+        start_time: { label: 'Data', required: true, aliases: ['start_time', 'date', 'data', 'czas', 'kiedy', 'timestamp', 'data rozwiazania'] },
+        location: { label: 'Miejsce', aliases: ['location', 'miejsce', 'lokalizacja'] }
+    },
+
+    // =============================================
+    // READING FILES
+    // =============================================
+
+    /**
+     * Rows of a CSV text. The delimiter (comma, semicolon or tab) is taken from the first line;
+     * quoted fields may contain delimiters, doubled quotes and line breaks.
+     * @param {string} text - File contents
+     * @returns {Array<Array<string>>} Rows, without empty ones
+     */
+    parseCSV(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = TaskImport.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    },
+
+    detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 1 ? counts[0][0] : ',';
+    },
+
+    /**
+     * Rows of the first sheet of an Excel workbook (needs SheetJS, see loadXLSX)
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Array<Array>} Rows; date cells are Date objects
+     */
+    parseWorkbook(buffer) {
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet) return [];
+
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+        return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+    },
+
+    /**
+     * Load SheetJS once
+     * @returns {Promise<void>}
+     */
+    loadXLSX() {
+        if (typeof XLSX !== 'undefined') return Promise.resolve();
+
+        if (!TaskImport.xlsxLoading) {
+            TaskImport.xlsxLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = TaskImport.XLSX_URL;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    TaskImport.xlsxLoading = null;
+                    reject(new Error('Nie udało się wczytać obsługi plików Excel - sprawdź połączenie z internetem'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return TaskImport.xlsxLoading;
+    },
+
+    /**
+     * Rows of a chosen file, by its extension
+     * @param {File} file - CSV, XLSX or XLS file
+     * @returns {Promise<Array<Array>>} Rows, the first one being the header row
+     */
+    async readFile(file) {
+        const name = String(file.name || '').toLowerCase();
+
+        if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+            await TaskImport.loadXLSX();
+            return TaskImport.parseWorkbook(await file.arrayBuffer());
+        }
+        if (name.endsWith('.csv') || name.endsWith('.txt') || name.endsWith('.tsv')) {
+            return TaskImport.parseCSV(await file.text());
+        }
+        throw new Error('Obsługiwane są pliki CSV i XLSX');
+    },
+
+    // =============================================
+    // COLUMN MAPPING
+    // =============================================
+
+    /**
+     * Header name as compared with the field aliases
+     */
+    normalizeHeader(header) {
+        return String(header || '')
+            .trim()
+            .toLowerCase()
+            .replace(/ł/g, 'l')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Guess which column holds each field from the header row
+     * @param {Array} headers - Header row
+     * @returns {Object} { field: column index } for the fields that were found
+     */
+    guessMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        Object.entries(TaskImport.FIELDS).forEach(([field, { aliases }]) => {
+            const index = headers.findIndex((header, column) => !used.has(column) && aliases.includes(TaskImport.normalizeHeader(header)));
+            if (index !== -1) {
+                mapping[field] = index;
+                used.add(index);
+            }
+        });
+
+        return mapping;
+    },
+
+    /**
+     * Required fields without a column
+     * @param {Object} mapping - { field: column index }
+     * @returns {Array<string>} Labels of the missing fields
+     */
+    getMissingFields(mapping) {
+        return Object.entries(TaskImport.FIELDS)
+            .filter(([field, { required }]) => required && !(mapping[field] >= 0))
+            .map(([, { label }]) => label);
+    },
+
+    // =============================================
+    // TASKS
+    // =============================================
+
+    /**
+     * Tasks of the data rows (every row after the header row)
+     * @param {Array<Array>} rows - Rows of the file, header row first
+     * @param {Object} mapping - { field: column index }
+     * @returns {Object} { tasks: [task], errors: [{ row, message }] } - `row` is the row number in the file
+     */
+    buildTasks(rows, mapping) {
+        const tasks = [];
+        const errors = [];
+        const ids = new Set();
+        const cell = (row, field) => (mapping[field] >= 0 ? row[mapping[field]] : '');
+        const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+        rows.slice(1).forEach((row, index) => {
+            const rowNumber = index + 2;
+            const task_name = text(cell(row, 'task_name'));
+            const start = TaskImport.parseDate(cell(row, 'start_time'));
+            const correctness = cell(row, 'correctly_completed');
+            // Excel cells may hold numbers (1 / 0.5 / 0) and booleans
+            const outcome = text(correctness) === '' ? null : Correctness.normalize(typeof correctness === 'string' ? correctness.trim() : correctness);
+
+            if (!task_name) {
+                errors.push({ row: rowNumber, message: 'brak nazwy zadania' });
+                return;
+            }
+            if (!start) {
+                errors.push({ row: rowNumber, message: `nieprawidłowa data: "${text(cell(row, 'start_time'))}"` });
+                return;
+            }
+            if (text(correctness) !== '' && !outcome) {
+                errors.push({ row: rowNumber, message: `nieznana poprawność: "${text(correctness)}"` });
+                return;
+            }
+
+            const task = {
+                task_name,
+                subject: text(cell(row, 'subject')),
+                categories: TaskImport.splitList(cell(row, 'categories')).join(', '),
+                // Rows without a result count as incorrect, like tasks entered in the app
+                correctly_completed: Correctness.SHEET_VALUES[outcome || Correctness.OUTCOMES.INCORRECT],
+                start_time: start.toISOString(),
+                location: text(cell(row, 'location'))
+            };
+            task.task_id = TaskImport.getTaskId(task, TaskImport.getFileTime(cell(row, 'start_time'), start));
+
+            if (ids.has(task.task_id)) {
+                errors.push({ row: rowNumber, message: 'powtórzony wiersz (to samo zadanie o tym samym czasie)' });
+                return;
+            }
+            ids.add(task.task_id);
+            tasks.push(task);
+        });
+
+        return { tasks, errors };
+    },
+
+    /**
+     * Date of a cell: a Date, ISO text (2024-03-01, 2024-03-01T10:00, 2024-03-01 10:00)
+     * or Polish day-first text (01.03.2024, 1/3/2024 10:00). Times without a zone are local.
+     * @returns {Date|null} Date, or null when the cell is empty or not a date
+     */
+    parseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        if (!text) return null;
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (match) {
+            return TaskImport.toDate(match[1], match[2], match[3], match[4], match[5], match[6]);
+        }
+
+        match = text.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{4})(?:,?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (match) {
+            return TaskImport.toDate(match[3], match[2], match[1], match[4], match[5], match[6]);
+        }
+
+        if (TaskImport.ZONED_TIME.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        return null;
+    },
+
+    /**
+     * Time of a date cell as the file has it: the wall-clock time (2024-03-01T10:00:00) of local
+     * dates, the UTC time of texts with a zone. Unlike start_time it does not depend on the
+     * time zone the file is imported in.
+     * @param {*} value - Cell
+     * @param {Date} date - The cell parsed by parseDate
+     * @returns {string}
+     */
+    getFileTime(value, date) {
+        if (typeof value === 'string' && TaskImport.ZONED_TIME.test(value.trim())) {
+            return date.toISOString();
+        }
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    },
+
+    toDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+        const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours || 0), Number(minutes || 0), Number(seconds || 0));
+        // 31.02 would roll over into March
+        if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+            return null;
+        }
+        return date;
+    },
+
+    /**
+     * Names of a list cell ("Algebra, Geometria" or "Algebra; Geometria")
+     */
+    splitList(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .split(/[,;]/)
+            .map(item => item.trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * Id of an imported task, derived from what identifies it: when, what and in which subject
+     * @param {Object} task - { start_time, task_name, subject }
+     * @param {string} [time] - When, as written in the file (getFileTime); start_time by default
+     * @returns {string} import_<hash>
+     */
+    getTaskId(task, time = task.start_time) {
+        const key = [time, task.task_name.toLowerCase(), task.subject.toLowerCase()].join('|');
+        // FNV-1a, twice with different seeds for 16 hex digits
+        const hash = seed => {
+            let value = seed;
+            for (let i = 0; i < key.length; i++) {
+                value ^= key.charCodeAt(i);
+                value = Math.imul(value, 16777619) >>> 0;
+            }
+            return value.toString(16).padStart(8, '0');
+        };
+        return `import_${hash(2166136261)}${hash(84696351)}`;
+    },
+
+    // =============================================
+    // DRY RUN
+    // =============================================
+
+    /**
+     * What an import would change
+     * @param {Array} tasks - Result of buildTasks
+     * @param {Object} current - { tasks, subjects, categories } already stored
+     * @returns {Object} { added: [task], existing: [task], subjects: [name], categories: [{ category_name, subject_name }] }
+     */
+    plan(tasks, { tasks: stored = [], subjects = [], categories = [] } = {}) {
+        const storedIds = new Set(stored.map(task => String(task.task_id)));
+        const added = tasks.filter(task => !storedIds.has(task.task_id));
+        const existing = tasks.filter(task => storedIds.has(task.task_id));
+
+        const known = names => new Set(names.map(name => String(name || '').trim().toLowerCase()));
+        const knownSubjects = known(subjects.map(subject => subject.subject_name || subject.name));
+        const knownCategories = known(categories.map(category => category.category_name || category.name));
+
+        const missingSubjects = new Map();
+        const missingCategories = new Map();
+        tasks.forEach(task => {
+            const subjectKey = task.subject.toLowerCase();
+            if (task.subject && !knownSubjects.has(subjectKey) && !missingSubjects.has(subjectKey)) {
+                missingSubjects.set(subjectKey, task.subject);
+            }
+
+            TaskImport.splitList(task.categories).forEach(name => {
+                const key = name.toLowerCase();
+                // A category belongs to the subject of the first row it appears in; rows without a subject create none
+                if (!knownCategories.has(key) && !missingCategories.has(key) && task.subject) {
+                    missingCategories.set(key, { category_name: name, subject_name: task.subject });
+                }
+            });
+        });
+
+        return {
+            added,
+            existing,
+            subjects: Array.from(missingSubjects.values()),
+            categories: Array.from(missingCategories.values())
+        };
+    },
+
+    /**
+     * Split tasks into importStudyTasks batches
+     * @returns {Array<Array>} Batches of at most BATCH_SIZE tasks
+     */
+    toBatches(tasks, size = TaskImport.BATCH_SIZE) {
+        const batches = [];
+        for (let i = 0; i < tasks.length; i += size) {
+            batches.push(tasks.slice(i, i + size));
+        }
+        return batches;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskImport;
+}
+
+// Make TaskImport available globally
+if (typeof window !== 'undefined') {
+    window.TaskImport = TaskImport;
+}
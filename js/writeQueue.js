@@ -0,0 +1,379 @@
+/**
+ * Write Queue (offline outbox)
+ * Persists every write to Google Sheets in IndexedDB before it is sent,
+ * replays pending writes in order when connectivity returns and reports
+ * pending/failed counts to the UI via the `outboxChanged` window event.
+ */
+class WriteQueue {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'studyflow-outbox';
+        this.storeName = 'outbox';
+        this.maxAttempts = options.maxAttempts || 5;
+        this.sender = null;
+        this.flushPromise = null;
+        this.dbPromise = null;
+        this.deliveredResults = new Map();
+        this.awaitedIds = new Set();
+
+        // In-memory fallback when IndexedDB is unavailable (private mode, old browsers)
+        this.memoryStore = [];
+        this.memoryId = 0;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => {
+                this.flush();
+            });
+        }
+    }
+
+    /**
+     * Shared queue instance - several GoogleSheetsAPIv2 instances exist at runtime,
+     * but they must all drain the same outbox to keep writes ordered
+     * @returns {WriteQueue} Shared queue
+     */
+    static getShared() {
+        if (!WriteQueue.sharedInstance) {
+            WriteQueue.sharedInstance = new WriteQueue();
+        }
+        return WriteQueue.sharedInstance;
+    }
+
+    /**
+     * Register the function that actually delivers a queued write.
+     * Writes left over from a previous visit are replayed right away.
+     * @param {Function} sender - async (entry) => result; throws on failure, with
+     *                            `retryable === false` when the backend rejected the write
+     */
+    setSender(sender) {
+        if (this.sender) return;
+
+        this.sender = sender;
+        this.flush();
+    }
+
+    // =============================================
+    // STORAGE
+    // =============================================
+
+    /**
+     * Open (or create) the outbox database
+     * @returns {Promise<IDBDatabase|null>} Database handle or null when unsupported
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠️ Outbox: IndexedDB unavailable, using in-memory queue', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the outbox store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runTransaction(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get all queued entries ordered by insertion
+     * @returns {Promise<Array>} Outbox entries
+     */
+    async getAll() {
+        const db = await this.openDatabase();
+        if (!db) {
+            return this.memoryStore.slice();
+        }
+        return this.runTransaction('readonly', store => store.getAll());
+    }
+
+    /**
+     * Insert a new entry
+     * @param {Object} entry - Entry without id
+     * @returns {Promise<number>} Assigned id
+     */
+    async insert(entry) {
+        const db = await this.openDatabase();
+        if (!db) {
+            const id = ++this.memoryId;
+            this.memoryStore.push({ ...entry, id });
+            return id;
+        }
+        return this.runTransaction('readwrite', store => store.add(entry));
+    }
+
+    /**
+     * Persist changes to an existing entry
+     * @param {Object} entry - Entry with id
+     */
+    async update(entry) {
+        const db = await this.openDatabase();
+        if (!db) {
+            const index = this.memoryStore.findIndex(item => item.id === entry.id);
+            if (index !== -1) this.memoryStore[index] = entry;
+            return;
+        }
+        await this.runTransaction('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Remove a delivered entry
+     * @param {number} id - Entry id
+     */
+    async remove(id) {
+        const db = await this.openDatabase();
+        if (!db) {
+            this.memoryStore = this.memoryStore.filter(item => item.id !== id);
+            return;
+        }
+        await this.runTransaction('readwrite', store => store.delete(id));
+    }
+
+    // =============================================
+    // QUEUE OPERATIONS
+    // =============================================
+
+    /**
+     * Add a write to the outbox
+     * @param {string} action - Backend action (addTask, addStudyTask, ...)
+     * @param {*} data - Payload sent as the `data` parameter
+     * @param {Object} params - Extra request parameters (formType, itemId, name)
+     * @returns {Promise<number>} Entry id
+     */
+    async enqueue(action, data, params = {}) {
+        const id = await this.insert({
+            action,
+            data,
+            params,
+            status: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: new Date().toISOString()
+        });
+
+        this.awaitedIds.add(id);
+        this.notifyChange();
+        return id;
+    }
+
+    /**
+     * Deliver pending writes in insertion order.
+     * Stops at the first network failure so later writes never overtake earlier ones.
+     * A call made while a flush is running waits for it and then flushes again,
+     * so writes enqueued in the meantime are not left behind.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.sender) return;
+
+        if (this.flushPromise) {
+            await this.flushPromise;
+            return this.flush();
+        }
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return;
+        }
+
+        this.flushPromise = (async () => {
+            // Serialize across browser tabs when the Web Locks API is available
+            if (typeof navigator !== 'undefined' && navigator.locks) {
+                await navigator.locks.request(this.dbName, () => this.drain());
+            } else {
+                await this.drain();
+            }
+        })();
+
+        try {
+            await this.flushPromise;
+        } finally {
+            this.flushPromise = null;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Send pending entries one by one until the outbox is empty or a send fails
+     */
+    async drain() {
+        while (true) {
+            const entry = (await this.getAll()).find(item => item.status === 'pending');
+            if (!entry) return;
+
+            try {
+                const result = await this.sender(entry);
+                await this.remove(entry.id);
+
+                // Only writes enqueued by this page have a caller waiting for the result
+                if (this.awaitedIds.has(entry.id)) {
+                    this.deliveredResults.set(entry.id, result);
+                }
+            } catch (error) {
+                entry.attempts += 1;
+                entry.lastError = error.message;
+
+                // Rejected by the backend (validation, duplicate...) - resending will not help
+                if (error.retryable === false) {
+                    entry.status = 'failed';
+                    console.error(`❌ Outbox: ${entry.action} rejected by the server:`, error);
+
+                    if (this.awaitedIds.has(entry.id)) {
+                        // The caller reports the failure itself, so the entry is not kept around
+                        await this.remove(entry.id);
+                        this.deliveredResults.set(entry.id, { success: false, error: error.message, code: error.code });
+                    } else {
+                        await this.update(entry);
+                    }
+                    continue;
+                }
+
+                if (entry.attempts >= this.maxAttempts) {
+                    entry.status = 'failed';
+                    console.error(`❌ Outbox: ${entry.action} failed after ${entry.attempts} attempts:`, error);
+                }
+
+                await this.update(entry);
+
+                // Keep ordering intact - retry the rest on the next flush
+                return;
+            }
+        }
+    }
+
+    /**
+     * Take the backend result of a delivered entry
+     * @param {number} id - Entry id returned by enqueue()
+     * @returns {Object|null} Result, or null if the entry is still queued
+     */
+    takeResult(id) {
+        if (!this.deliveredResults.has(id)) return null;
+
+        this.awaitedIds.delete(id);
+        const result = this.deliveredResults.get(id);
+        this.deliveredResults.delete(id);
+        return result;
+    }
+
+    /**
+     * Move failed entries back to pending and try again
+     */
+    async retryFailed() {
+        const entries = await this.getAll();
+
+        for (const entry of entries) {
+            if (entry.status === 'failed') {
+                entry.status = 'pending';
+                entry.attempts = 0;
+                await this.update(entry);
+            }
+        }
+
+        return this.flush();
+    }
+
+    /**
+     * Get pending and failed counts
+     * @returns {Promise<Object>} { pending, failed }
+     */
+    async getStats() {
+        const entries = await this.getAll();
+        return {
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            failed: entries.filter(entry => entry.status === 'failed').length
+        };
+    }
+
+    /**
+     * Publish current counts for UI listeners
+     */
+    async notifyChange() {
+        if (typeof window === 'undefined') return;
+
+        try {
+            const stats = await this.getStats();
+            window.dispatchEvent(new CustomEvent('outboxChanged', { detail: stats }));
+        } catch (error) {
+            console.warn('⚠️ Outbox: could not read queue stats', error);
+        }
+    }
+}
+
+/**
+ * Header badge showing writes that have not reached the sheet yet.
+ * Clicking it retries failed writes.
+ */
+(function outboxStatusIndicator() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') return;
+
+    function render(stats) {
+        const badge = document.getElementById('outbox-status');
+        if (!badge) return;
+
+        const { pending, failed } = stats;
+
+        if (pending === 0 && failed === 0) {
+            badge.style.display = 'none';
+            return;
+        }
+
+        const parts = [];
+        if (pending > 0) parts.push(`⏳ ${pending} w kolejce`);
+        if (failed > 0) parts.push(`⚠️ ${failed} nieudanych`);
+
+        badge.textContent = parts.join(' · ');
+        badge.title = failed > 0
+            ? 'Kliknij, aby ponowić nieudane zapisy'
+            : 'Zapisy zostaną wysłane po przywróceniu połączenia';
+        badge.classList.toggle('has-failed', failed > 0);
+        badge.style.display = 'inline-flex';
+    }
+
+    window.addEventListener('outboxChanged', (event) => render(event.detail));
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const badge = document.getElementById('outbox-status');
+        if (badge) {
+            badge.addEventListener('click', () => WriteQueue.getShared().retryFailed());
+        }
+        WriteQueue.getShared().notifyChange();
+    });
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WriteQueue;
+}
+
+// Make WriteQueue available globally
+if (typeof window !== 'undefined') {
+    window.WriteQueue = WriteQueue;
+}
@@ -0,0 +1,672 @@
+#!/usr/bin/env node
+/**
+ * Mock Apps Script Server
+ * Runs google-apps-script/Code.gs in Node with in-memory stand-ins for
+ * SpreadsheetApp, ContentService, LockService, PropertiesService, CacheService,
+ * Utilities and Session, and serves its doGet/doPost over HTTP the way the
+ * deployed web app does.
+ *
+ * The server also serves the app itself, with CONFIG.GAS_WEB_APP_URL in
+ * js/config.js pointed at the mock, so the whole app runs offline:
+ *
+ *   node scripts/mock-gas-server.js [--port 8787] [--fixtures data.json] [--api-secret s3cret] [--verbose]
+ *
+ * Fixtures are JSON objects mapping sheet names to rows, header row first:
+ *   { "StudyTasks": [["task_id", "task_name", ...], ["task_1", "Zadanie 1", ...]] }
+ *
+ * --api-secret sets the API_SECRET script property, so requests must be signed
+ * with the same secret (Settings > Klucz dostępu in the app).
+ *
+ * Only Node built-ins are used.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const CODE_GS_PATH = path.join(REPO_ROOT, 'google-apps-script', 'Code.gs');
+const DEFAULT_PORT = 8787;
+const EXEC_PATH = '/exec';
+
+// Sheets every fresh mock spreadsheet starts with (the ones older setup docs asked to create by hand).
+// Code.gs migrates them and creates the remaining sheets on the first request (ensureSchema).
+const DEFAULT_SHEET_HEADERS = {
+    Tasks: ['task_name', 'description', 'category', 'subject', 'correctness', 'timestamp', 'session_id', 'task_id'],
+    Subjects: ['subject_name', 'color', 'icon', 'active'],
+    Categories: ['category_name', 'subject_name', 'difficulty', 'active'],
+    Pomodoro_Sessions: ['session_id', 'start_time', 'end_time', 'duration_minutes', 'subject', 'category', 'completed', 'tasks_completed'],
+    User_Stats: ['date', 'tasks_completed', 'correct_tasks', 'points_earned', 'pomodoro_sessions', 'study_time_minutes']
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.md': 'text/plain; charset=utf-8'
+};
+
+// =============================================
+// SPREADSHEET FAKES
+// =============================================
+
+/**
+ * Convert a column label (A, B, ..., AA) to its 1-based index
+ * @param {string} letters - Column label
+ * @returns {number} Column index
+ */
+function columnToIndex(letters) {
+    return letters.split('').reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0);
+}
+
+class FakeRange {
+    constructor(sheet, row, column, numRows, numColumns) {
+        this.sheet = sheet;
+        this.row = row;
+        this.column = column;
+        this.numRows = numRows;
+        this.numColumns = numColumns;
+    }
+
+    getValues() {
+        const values = [];
+        for (let r = 0; r < this.numRows; r++) {
+            const source = this.sheet.rows[this.row - 1 + r] || [];
+            const row = [];
+            for (let c = 0; c < this.numColumns; c++) {
+                const value = source[this.column - 1 + c];
+                row.push(value === undefined || value === null ? '' : value);
+            }
+            values.push(row);
+        }
+        return values;
+    }
+
+    setValues(values) {
+        if (!Array.isArray(values) || values.length !== this.numRows) {
+            throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values.length} but the range has ${this.numRows}.`);
+        }
+
+        values.forEach((row, r) => {
+            if (row.length !== this.numColumns) {
+                throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row.length} but the range has ${this.numColumns}.`);
+            }
+            row.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value));
+        });
+        return this;
+    }
+
+    getValue() {
+        return this.getValues()[0][0];
+    }
+
+    setValue(value) {
+        this.sheet.setCell(this.row, this.column, value);
+        return this;
+    }
+
+    getRow() {
+        return this.row;
+    }
+
+    getColumn() {
+        return this.column;
+    }
+
+    getSheet() {
+        return this.sheet;
+    }
+
+    getNumRows() {
+        return this.numRows;
+    }
+
+    getNumColumns() {
+        return this.numColumns;
+    }
+}
+
+class FakeSheet {
+    constructor(name, rows = []) {
+        this.name = name;
+        this.rows = rows.map(row => row.slice());
+    }
+
+    getName() {
+        return this.name;
+    }
+
+    getLastRow() {
+        for (let r = this.rows.length; r > 0; r--) {
+            if ((this.rows[r - 1] || []).some(value => value !== '' && value !== null && value !== undefined)) {
+                return r;
+            }
+        }
+        return 0;
+    }
+
+    getLastColumn() {
+        return this.rows.reduce((max, row) => Math.max(max, row ? row.length : 0), 0);
+    }
+
+    /**
+     * getRange('A:H' | 'A1:D1' | 'H1') or getRange(row, column, numRows = 1, numColumns = 1).
+     * Whole-column ranges end at the last row with data (at least one row), where the real
+     * service would pad with empty rows up to the sheet size.
+     */
+    getRange(rowOrA1, column, numRows = 1, numColumns = 1) {
+        if (typeof rowOrA1 === 'number') {
+            if (rowOrA1 < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+                throw new Error('The coordinates of the range are outside the dimensions of the sheet.');
+            }
+            return new FakeRange(this, rowOrA1, column, numRows, numColumns);
+        }
+
+        const match = /^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/.exec(String(rowOrA1).toUpperCase());
+        if (!match) {
+            throw new Error('Range not found: ' + rowOrA1);
+        }
+
+        const startColumn = columnToIndex(match[1]);
+        const endColumn = match[3] ? columnToIndex(match[3]) : startColumn;
+        const startRow = match[2] ? Number(match[2]) : 1;
+        const endRow = match[3]
+            ? (match[4] ? Number(match[4]) : Math.max(this.getLastRow(), startRow))
+            : startRow;
+
+        return new FakeRange(this, startRow, startColumn, endRow - startRow + 1, endColumn - startColumn + 1);
+    }
+
+    appendRow(values) {
+        this.rows.splice(this.getLastRow(), this.rows.length, values.slice());
+        return this;
+    }
+
+    deleteRow(rowNumber) {
+        if (rowNumber < 1 || rowNumber > this.rows.length) {
+            throw new Error('Those rows are out of bounds.');
+        }
+        this.rows.splice(rowNumber - 1, 1);
+    }
+
+    deleteRows(rowPosition, howMany) {
+        if (rowPosition < 1 || howMany < 1 || rowPosition + howMany - 1 > this.rows.length) {
+            throw new Error('Those rows are out of bounds.');
+        }
+        this.rows.splice(rowPosition - 1, howMany);
+    }
+
+    setCell(row, column, value) {
+        while (this.rows.length < row) {
+            this.rows.push([]);
+        }
+        const target = this.rows[row - 1];
+        while (target.length < column - 1) {
+            target.push('');
+        }
+        target[column - 1] = value;
+    }
+}
+
+class FakeSpreadsheet {
+    constructor(id) {
+        this.id = id;
+        this.sheets = new Map();
+    }
+
+    getId() {
+        return this.id;
+    }
+
+    getSheetByName(name) {
+        return this.sheets.get(name) || null;
+    }
+
+    getSheets() {
+        return Array.from(this.sheets.values());
+    }
+
+    insertSheet(name) {
+        if (this.sheets.has(name)) {
+            throw new Error(`A sheet with the name "${name}" already exists. Please enter another name.`);
+        }
+        const sheet = new FakeSheet(name);
+        this.sheets.set(name, sheet);
+        return sheet;
+    }
+
+    /**
+     * Replace a sheet's contents (header row first)
+     * @param {string} name - Sheet name
+     * @param {Array<Array>} rows - Rows
+     * @returns {FakeSheet} Sheet
+     */
+    setSheet(name, rows) {
+        const sheet = new FakeSheet(name, rows);
+        this.sheets.set(name, sheet);
+        return sheet;
+    }
+
+    /**
+     * Rows of a sheet, header row first (empty array when the sheet does not exist)
+     * @param {string} name - Sheet name
+     * @returns {Array<Array>} Copy of the rows
+     */
+    dump(name) {
+        const sheet = this.sheets.get(name);
+        return sheet ? sheet.rows.slice(0, sheet.getLastRow()).map(row => row.slice()) : [];
+    }
+}
+
+// =============================================
+// APPS SCRIPT SERVICES
+// =============================================
+
+/**
+ * Format a date the way Utilities.formatDate does, for the pattern letters Code.gs uses
+ * @param {Date|string|number} date - Date to format
+ * @param {string} timeZone - IANA time zone
+ * @param {string} pattern - e.g. 'yyyy-MM-dd'
+ * @returns {string} Formatted date
+ */
+function formatDate(date, timeZone, pattern) {
+    const value = date instanceof Date ? date : new Date(date);
+    if (isNaN(value.getTime())) {
+        throw new Error('Invalid argument: date');
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(value).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return pattern.replace(/yyyy|MM|dd|HH|mm|ss/g, token => ({
+        yyyy: parts.year,
+        MM: parts.month,
+        dd: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second
+    })[token]);
+}
+
+/**
+ * HMAC-SHA256 as Utilities.computeHmacSha256Signature returns it: signed bytes (-128..127)
+ * @param {string} value - Message
+ * @param {string} key - Secret
+ * @returns {Array<number>} Signature bytes
+ */
+function computeHmacSha256Signature(value, key) {
+    return Array.from(crypto.createHmac('sha256', key).update(value, 'utf8').digest())
+        .map(byte => (byte > 127 ? byte - 256 : byte));
+}
+
+/**
+ * In-memory CacheService cache; entries expire after their time-to-live
+ * @returns {Object} Cache with get / put / remove
+ */
+function createCache() {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry || entry.expires <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        put(key, value, expirationInSeconds = 600) {
+            entries.set(key, { value: String(value), expires: Date.now() + expirationInSeconds * 1000 });
+        },
+        remove(key) {
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Create the in-memory Apps Script backend
+ * @param {Object} options - { codePath, fixtures, timeZone, scriptProperties, verbose }
+ * @returns {Object} { doGet, doPost, openSpreadsheet, spreadsheets, scriptProperties, context }
+ */
+function createMockBackend(options = {}) {
+    const codePath = options.codePath || CODE_GS_PATH;
+    const fixtures = options.fixtures || {};
+    const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    const spreadsheets = new Map();
+    const scriptProperties = new Map(Object.entries(options.scriptProperties || {}));
+    const scriptCache = createCache();
+
+    const silent = () => {};
+    const scriptConsole = {
+        log: options.verbose ? console.log : silent,
+        info: options.verbose ? console.info : silent,
+        warn: options.verbose ? console.warn : silent,
+        error: options.verbose ? console.error : silent
+    };
+
+    const context = vm.createContext({
+        console: scriptConsole,
+        SpreadsheetApp: {
+            openById: id => openSpreadsheet(id)
+        },
+        ContentService: {
+            MimeType: {
+                JSON: 'application/json',
+                TEXT: 'text/plain',
+                CSV: 'text/csv'
+            },
+            createTextOutput: (content = '') => ({
+                content: String(content),
+                mimeType: 'text/plain',
+                setMimeType(mimeType) {
+                    this.mimeType = mimeType;
+                    return this;
+                },
+                getMimeType() {
+                    return this.mimeType;
+                },
+                getContent() {
+                    return this.content;
+                }
+            })
+        },
+        LockService: {
+            // Requests are handled one at a time, so the lock is never contended
+            getScriptLock: () => ({
+                waitLock() {},
+                tryLock: () => true,
+                hasLock: () => true,
+                releaseLock() {}
+            })
+        },
+        PropertiesService: {
+            getScriptProperties: () => ({
+                getProperty: key => (scriptProperties.has(key) ? scriptProperties.get(key) : null),
+                setProperty(key, value) {
+                    scriptProperties.set(key, String(value));
+                    return this;
+                },
+                deleteProperty(key) {
+                    scriptProperties.delete(key);
+                    return this;
+                }
+            })
+        },
+        CacheService: {
+            getScriptCache: () => scriptCache
+        },
+        Utilities: {
+            Charset: { UTF_8: 'UTF-8' },
+            formatDate,
+            computeHmacSha256Signature,
+            getUuid: () => crypto.randomUUID()
+        },
+        Session: {
+            getScriptTimeZone: () => timeZone
+        }
+    });
+
+    vm.runInContext(fs.readFileSync(codePath, 'utf8'), context, { filename: codePath });
+
+    /**
+     * Open a spreadsheet by id. Unknown ids get a fresh spreadsheet, so the
+     * SPREADSHEET_ID from js/config.js works without any setup.
+     */
+    function openSpreadsheet(id) {
+        if (!spreadsheets.has(id)) {
+            spreadsheets.set(id, createSpreadsheet(id));
+        }
+        return spreadsheets.get(id);
+    }
+
+    function createSpreadsheet(id) {
+        const spreadsheet = new FakeSpreadsheet(id);
+
+        Object.keys(DEFAULT_SHEET_HEADERS).forEach(name => {
+            spreadsheet.setSheet(name, [DEFAULT_SHEET_HEADERS[name]]);
+        });
+
+        // Same defaults the script falls back to for an empty sheet
+        context.getDefaultSubjects().forEach(subject => {
+            spreadsheet.getSheetByName('Subjects').appendRow(DEFAULT_SHEET_HEADERS.Subjects.map(key => subject[key]));
+        });
+        context.getDefaultCategories().forEach(category => {
+            spreadsheet.getSheetByName('Categories').appendRow(DEFAULT_SHEET_HEADERS.Categories.map(key => category[key]));
+        });
+
+        Object.keys(fixtures).forEach(name => {
+            spreadsheet.setSheet(name, fixtures[name]);
+        });
+
+        return spreadsheet;
+    }
+
+    /**
+     * Call doGet/doPost and unwrap the TextOutput
+     * @returns {{body: string, mimeType: string}} Response
+     */
+    function run(handler, event) {
+        const output = context[handler](event);
+        return {
+            body: output && typeof output.getContent === 'function' ? output.getContent() : '',
+            mimeType: output && typeof output.getMimeType === 'function' ? output.getMimeType() : 'text/plain'
+        };
+    }
+
+    return {
+        context,
+        spreadsheets,
+        scriptProperties,
+        openSpreadsheet,
+        doGet: event => run('doGet', event),
+        doPost: event => run('doPost', event)
+    };
+}
+
+// =============================================
+// HTTP SERVER
+// =============================================
+
+/**
+ * Build the Apps Script event object (e.parameter, e.parameters, e.postData)
+ * @param {URL} url - Request URL
+ * @param {string|null} body - POST body
+ * @param {string} contentType - POST content type
+ * @returns {Object} Event
+ */
+function createEvent(url, body, contentType) {
+    const parameter = {};
+    const parameters = {};
+    const addParams = (searchParams) => {
+        searchParams.forEach((value, key) => {
+            if (!(key in parameter)) parameter[key] = value;
+            (parameters[key] = parameters[key] || []).push(value);
+        });
+    };
+
+    addParams(url.searchParams);
+
+    const event = {
+        parameter,
+        parameters,
+        queryString: url.search.replace(/^\?/, ''),
+        contextPath: '',
+        contentLength: -1
+    };
+
+    if (body !== null) {
+        // Form-encoded bodies are merged into e.parameter by the real runtime as well
+        if (/application\/x-www-form-urlencoded/i.test(contentType)) {
+            addParams(new URLSearchParams(body));
+        }
+        event.contentLength = Buffer.byteLength(body);
+        event.postData = {
+            contents: body,
+            length: event.contentLength,
+            type: (contentType || 'text/plain').split(';')[0].trim(),
+            name: 'postData'
+        };
+    }
+
+    return event;
+}
+
+/**
+ * Read a request body as UTF-8 text
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Serve a repository file; js/config.js is rewritten to use the mock web app
+ */
+function serveStatic(request, response, url, staticRoot) {
+    const relativePath = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    const filePath = path.resolve(staticRoot, '.' + relativePath);
+
+    if (!filePath.startsWith(staticRoot + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+        response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        response.end('Not found');
+        return;
+    }
+
+    let content = fs.readFileSync(filePath);
+
+    if (path.relative(staticRoot, filePath) === path.join('js', 'config.js')) {
+        const execUrl = `http://${request.headers.host}${EXEC_PATH}`;
+        content = content.toString('utf8').replace(/GAS_WEB_APP_URL:\s*'[^']*'/, `GAS_WEB_APP_URL: '${execUrl}'`);
+    }
+
+    response.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        'Cache-Control': 'no-store'
+    });
+    response.end(content);
+}
+
+/**
+ * Create the HTTP server (not listening yet)
+ * @param {Object} options - createMockBackend options plus { staticRoot, serveApp }
+ * @returns {http.Server} Server with the backend attached as `server.backend`
+ */
+function createMockServer(options = {}) {
+    const backend = createMockBackend(options);
+    const staticRoot = path.resolve(options.staticRoot || REPO_ROOT);
+    const serveApp = options.serveApp !== false;
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+
+        try {
+            if (url.pathname.endsWith(EXEC_PATH)) {
+                // Like the real web app: simple GET/POST only, no CORS preflight support
+                if (request.method !== 'GET' && request.method !== 'POST') {
+                    response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    response.end('Method not allowed');
+                    return;
+                }
+
+                const body = request.method === 'POST' ? await readBody(request) : null;
+                const event = createEvent(url, body, request.headers['content-type']);
+                const result = request.method === 'POST' ? backend.doPost(event) : backend.doGet(event);
+
+                response.writeHead(200, {
+                    'Content-Type': `${result.mimeType}; charset=utf-8`,
+                    'Access-Control-Allow-Origin': '*'
+                });
+                response.end(result.body);
+                return;
+            }
+
+            if (serveApp && (request.method === 'GET' || request.method === 'HEAD')) {
+                serveStatic(request, response, url, staticRoot);
+                return;
+            }
+
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+        } catch (error) {
+            // Code.gs catches its own errors - reaching this means the script crashed outright
+            console.error('❌ Mock Apps Script error:', error);
+            response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end(String(error && error.stack || error));
+        }
+    });
+
+    server.backend = backend;
+    return server;
+}
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { port, fixtures, scriptProperties, verbose }
+ */
+function parseArgs(argv) {
+    const options = { port: DEFAULT_PORT, fixtures: null, scriptProperties: {}, verbose: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = Number(argv[++i]);
+                break;
+            case '--fixtures':
+                options.fixtures = JSON.parse(fs.readFileSync(path.resolve(argv[++i]), 'utf8'));
+                break;
+            case '--api-secret':
+                options.scriptProperties.API_SECRET = argv[++i];
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            default:
+                throw new Error('Unknown option: ' + argv[i]);
+        }
+    }
+
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const server = createMockServer(options);
+
+    server.listen(options.port, () => {
+        const { port } = server.address();
+        console.log(`🧪 Mock Apps Script running at http://localhost:${port}${EXEC_PATH}`);
+        console.log(`🌐 App (using the mock backend): http://localhost:${port}/`);
+    });
+}
+
+module.exports = {
+    createMockBackend,
+    createMockServer,
+    createEvent,
+    formatDate,
+    FakeSpreadsheet,
+    FakeSheet,
+    FakeRange,
+    DEFAULT_SHEET_HEADERS
+};
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for achievement progress (js/achievementEvaluator.js).
+ * Run with: node --test tests/
+ */
+// Streak days are local dates - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The evaluator expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+global.StreakCalculator = require('../js/streakCalculator.js');
+global.AchievementRules = require('../js/achievementRules.js');
+const AchievementEvaluator = require('../js/achievementEvaluator.js');
+
+const NOW = new Date(2026, 3, 10, 12, 0); // 10 April 2026, local noon
+
+function task(day, correctness) {
+    return { task_name: 'Zadanie', correctly_completed: correctness, start_time: new Date(2026, 3, day, 10, 0).toISOString() };
+}
+
+// Sheet rows arrive with strings for numbers and booleans
+const SHEET = [
+    { achievement_id: 'first_task', type: 'tasks', target_value: '1', points_reward: '10', unlocked: 'FALSE', unlock_date: '' },
+    { achievement_id: 'correct_3', type: 'correct_tasks', target_value: '3', points_reward: '20', unlocked: false, unlock_date: null },
+    { achievement_id: 'streak_3', type: 'streak', target_value: 3, points_reward: 30, unlocked: false },
+    { achievement_id: 'minutes_90', type: 'study_minutes', target_value: 90, points_reward: 5, unlocked: true, unlock_date: '2026-04-01T08:00:00.000Z' },
+    { achievement_id: 'mystery', type: 'unknown', target_value: 5, unlocked: false },
+    { achievement_id: '', type: 'tasks', target_value: 1 }
+];
+
+describe('evaluate', () => {
+    const history = {
+        tasks: [task(1, 'Yes'), task(2, 'No'), task(3, 'Yes'), task(7, 'Yes'), task(8, '50/50')],
+        sessions: [{ duration_minutes: '45' }, { duration_minutes: 30 }],
+        pomodoros: []
+    };
+    const { achievements, newlyUnlocked } = AchievementEvaluator.evaluate(SHEET, history, { now: NOW });
+    const byId = Object.fromEntries(achievements.map(achievement => [achievement.achievement_id, achievement]));
+
+    test('progress is measured over the whole history', () => {
+        assert.equal(byId.first_task.current, 5);
+        assert.equal(byId.correct_3.current, 3);
+        assert.equal(byId.streak_3.current, 3);
+        assert.equal(byId.minutes_90.current, 75);
+        assert.equal(byId.minutes_90.percentage, 83);
+    });
+
+    test('reached achievements that are not unlocked yet are reported once', () => {
+        assert.deepEqual(newlyUnlocked.map(achievement => achievement.achievement_id), ['first_task', 'correct_3', 'streak_3']);
+    });
+
+    test('unlocks stored in the sheet stay unlocked below the target', () => {
+        assert.equal(byId.minutes_90.reached, true);
+        assert.equal(byId.minutes_90.unlock_date, '2026-04-01T08:00:00.000Z');
+    });
+
+    test('unknown types stay at 0 with an error and rows without an id are skipped', () => {
+        assert.equal(byId.mystery.current, 0);
+        assert.equal(byId.mystery.reached, false);
+        assert.equal(byId.mystery.errors.length, 1);
+        assert.equal(achievements.length, 5);
+    });
+
+    test('the rule column takes precedence over type and target_value', () => {
+        const [early] = AchievementEvaluator.evaluate([
+            { achievement_id: 'early', type: 'tasks', target_value: 100, rule: '{"metric":"tasks","threshold":2,"filters":{"before_hour":11}}' }
+        ], history, { now: NOW }).achievements;
+
+        assert.equal(early.rule.threshold, 2);
+        assert.equal(early.reached, true);
+    });
+});
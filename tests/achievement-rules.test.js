@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the achievement rule language (js/achievementRules.js).
+ * Run with: node --test tests/
+ */
+// Windows and hours are local - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The rules expect these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+global.StreakCalculator = require('../js/streakCalculator.js');
+const AchievementRules = require('../js/achievementRules.js');
+
+const NOW = new Date(2026, 3, 30, 12, 0); // 30 April 2026, local noon
+
+function task(day, correctness, categories, hour = 10, subject = 'Matematyka') {
+    return { subject, categories, correctly_completed: correctness, start_time: new Date(2026, 3, day, hour, 0).toISOString() };
+}
+
+function session(day, hour, minutes = 30) {
+    return { start_time: new Date(2026, 3, day, hour, 15).toISOString(), duration_minutes: minutes };
+}
+
+function run(rule, history) {
+    return AchievementRules.evaluate(AchievementRules.fromAchievement({ rule }), { tasks: [], sessions: [], pomodoros: [], ...history }, {
+        now: NOW,
+        categories: [
+            { category_name: 'Geometria', difficulty: 'Trudny' },
+            { category_name: 'Algebra', difficulty: 'Średni' }
+        ]
+    });
+}
+
+describe('windows', () => {
+    // 3 correct geometry tasks a day on 1-4 April, then 2 a day on 10-14 April
+    const tasks = [1, 2, 3, 4].flatMap(day => [task(day, 'Yes', 'Geometria'), task(day, 'Yes', 'Geometria'), task(day, 'Yes', 'Geometria, Algebra')])
+        .concat([10, 11, 12, 13, 14].flatMap(day => [task(day, 'Yes', 'Geometria'), task(day, 'No', 'Geometria')]));
+
+    test('the best stretch of `window` days counts', () => {
+        const result = run({ metric: 'correct_tasks', window: 7, threshold: 20, filters: { category: 'Geometria' } }, { tasks });
+
+        assert.equal(result.current, 12);
+        assert.equal(result.percentage, 60);
+        assert.equal(result.reached, false);
+    });
+
+    test('without a window the whole history counts', () => {
+        const result = run({ metric: 'correct_tasks', threshold: 15, filters: { category: 'geometria' } }, { tasks });
+
+        assert.equal(result.current, 17);
+        assert.equal(result.reached, true);
+    });
+
+    test('active days in a window and the longest streak', () => {
+        assert.equal(run({ metric: 'active_days', window: '7d', threshold: 5 }, { tasks }).current, 5);
+        assert.equal(run({ metric: 'streak', threshold: 5 }, { tasks }).reached, true);
+    });
+
+    test('streak days start at the day-start hour and match StreakCalculator', () => {
+        // Mon 10:00, Tue 2:00 (still Monday's study day) and Wed 10:00
+        const lateNight = [task(13, 'Yes', 'Algebra', 10), task(14, 'Yes', 'Algebra', 2), task(15, 'Yes', 'Algebra', 10)];
+        const streak = StreakCalculator.calculate(lateNight, [], { now: NOW, dayStartHour: 3 });
+        const result = AchievementRules.evaluate(AchievementRules.fromAchievement({ rule: { metric: 'streak', threshold: 3 } }),
+            { tasks: lateNight, sessions: [], pomodoros: [] }, { now: NOW, dayStartHour: 3 });
+
+        assert.equal(result.current, streak.longestStreak);
+        assert.equal(result.current, 1);
+        assert.equal(result.reached, false);
+        assert.equal(run({ metric: 'active_days', threshold: 2 }, { tasks: lateNight }).current, 2);
+    });
+
+    test('a day covered by a freeze keeps the streak going, as in the header', () => {
+        // 10 correct tasks a day earn a freeze (200 points) by 3 April; 4 April is missed
+        const frozen = [1, 2, 3, 5, 6].flatMap(day => Array.from({ length: 10 }, () => task(day, 'Yes', 'Algebra')));
+        const streak = StreakCalculator.calculate(frozen, [], { now: NOW });
+
+        assert.ok(streak.freezesUsed >= 1);
+        assert.equal(run({ metric: 'streak', threshold: 5 }, { tasks: frozen }).current, streak.longestStreak);
+        assert.equal(streak.longestStreak, 5);
+    });
+});
+
+describe('filters', () => {
+    test('sessions started before 8:00', () => {
+        const sessions = [session(1, 6), session(2, 7), session(3, 8), session(4, 21), session(5, 5)];
+        const result = run({ metric: 'sessions', threshold: 5, filters: { before_hour: 8 } }, { sessions });
+
+        assert.equal(result.current, 3);
+        assert.equal(run({ metric: 'study_minutes', threshold: 60, filters: { after_hour: 20 } }, { sessions }).current, 30);
+    });
+
+    test('difficulty comes from the categories of the task', () => {
+        const tasks = [task(1, 'Yes', 'Geometria'), task(1, 'Yes', 'Algebra'), task(2, 'Yes', 'Algebra, Geometria')];
+
+        assert.equal(run({ metric: 'tasks', threshold: 1, filters: { difficulty: 'trudny' } }, { tasks }).current, 2);
+    });
+
+    test('accuracy over the last days needs min_count tasks', () => {
+        const tasks = [task(25, 'Yes', 'Algebra'), task(28, 'No', 'Algebra'), task(29, '50/50', 'Algebra'), task(1, 'No', 'Algebra')];
+
+        assert.equal(run({ metric: 'accuracy', window: 7, threshold: 50 }, { tasks }).current, 50);
+        assert.equal(run({ metric: 'accuracy', window: 7, threshold: 50, filters: { min_count: 5 } }, { tasks }).current, 0);
+    });
+
+    test('subject and outcome filters', () => {
+        const tasks = [task(1, 'No', 'Algebra'), task(1, 'No', 'Lektury', 10, 'Polski'), task(2, 'Yes', 'Algebra')];
+
+        assert.equal(run({ metric: 'tasks', threshold: 1, filters: { subject: 'Polski', outcome: 'incorrect' } }, { tasks }).current, 1);
+    });
+});
+
+describe('comparators and validation', () => {
+    test('"at most" rules are reached or not, without partial progress', () => {
+        const tasks = [task(1, 'No', 'Algebra')];
+        const result = run({ metric: 'tasks', comparator: '<=', threshold: 0, filters: { outcome: 'incorrect' } }, { tasks });
+
+        assert.equal(result.reached, false);
+        assert.equal(result.percentage, 0);
+    });
+
+    test('the type/target_value shorthand is used without a rule', () => {
+        const rule = AchievementRules.fromAchievement({ type: 'Tasks', target_value: '100', rule: '' });
+
+        assert.deepEqual(rule, { metric: 'tasks', window: null, comparator: '>=', threshold: 100, filters: {} });
+    });
+
+    test('invalid rules report every problem', () => {
+        const result = run({ metric: 'points', comparator: '~', filters: { weekday: 1 } }, {});
+
+        assert.equal(result.errors.length, 3);
+        assert.equal(result.reached, false);
+        assert.match(AchievementRules.evaluate(AchievementRules.fromAchievement({ rule: '{oops' }), {}).errors[0], /JSON/);
+    });
+});
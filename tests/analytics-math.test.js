@@ -0,0 +1,306 @@
+/**
+ * Unit tests for the analytics calculations (js/analyticsMath.js) and the
+ * manager methods that delegate to them.
+ * Run with: node --test tests/
+ */
+// Day keys are local dates - pin the zone so the midnight fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The managers expect these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+const ChartsManager = require('../js/chartsManager.js');
+const EnhancedAnalytics = require('../js/enhancedAnalytics.js');
+
+function loadFixture(name) {
+    return require(path.join(__dirname, 'fixtures', 'analytics', `${name}.json`));
+}
+
+const mixedCorrectness = loadFixture('mixed-correctness');
+const timezoneBoundary = loadFixture('timezone-boundary');
+const sparseDays = loadFixture('sparse-days');
+
+// Every manager scores tasks through the shared Correctness module
+const chartsManager = new ChartsManager(null);
+const getScore = task => Correctness.getScore(task);
+
+function days(...accuracies) {
+    return accuracies.map((accuracy, index) => ({ date: `2025-01-${String(index + 1).padStart(2, '0')}`, accuracy }));
+}
+
+function createEnhancedAnalytics() {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return new EnhancedAnalytics({}, null);
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+describe('toDateKey', () => {
+    test('uses the local calendar day', () => {
+        assert.equal(AnalyticsMath.toDateKey('2025-01-14T22:59:00.000Z'), '2025-01-14');
+        assert.equal(AnalyticsMath.toDateKey('2025-01-14T23:30:00.000Z'), '2025-01-15');
+        assert.equal(AnalyticsMath.toDateKey(new Date(2025, 0, 15, 0, 0, 0)), '2025-01-15');
+    });
+
+    test('reads sheet timestamps and bare dates as local', () => {
+        assert.equal(AnalyticsMath.toDateKey('2025-01-15 00:15:00'), '2025-01-15');
+        assert.equal(AnalyticsMath.toDateKey('2025-01-15'), '2025-01-15');
+        assert.equal(AnalyticsMath.toDateKey(Date.UTC(2025, 5, 30, 22, 30)), '2025-07-01');
+    });
+
+    test('returns null for missing or invalid values', () => {
+        assert.equal(AnalyticsMath.toDateKey(''), null);
+        assert.equal(AnalyticsMath.toDateKey(null), null);
+        assert.equal(AnalyticsMath.toDateKey(undefined), null);
+        assert.equal(AnalyticsMath.toDateKey('not a date'), null);
+    });
+
+    test('tasks without a date fall back to the given day', () => {
+        const now = new Date(2025, 2, 1, 12);
+        assert.equal(AnalyticsMath.getTaskDateKey({ start_time: '' }, now), '2025-03-01');
+        assert.equal(AnalyticsMath.getTaskDateKey({ start_time: '', timestamp: '2025-02-27 10:00:00' }, now), '2025-02-27');
+    });
+});
+
+describe('calculateSubjectStats', () => {
+    test('counts every correctness format, partial solutions for half', () => {
+        assert.deepEqual(AnalyticsMath.calculateSubjectStats(mixedCorrectness.tasks, getScore), mixedCorrectness.expected);
+    });
+
+    test('returns zeros for no tasks', () => {
+        assert.deepEqual(AnalyticsMath.calculateSubjectStats([], getScore), {
+            totalTasks: 0,
+            correctTasks: 0,
+            partialTasks: 0,
+            incorrectTasks: 0,
+            correctPercentage: 0
+        });
+    });
+
+    test('rounds the percentage', () => {
+        const tasks = [{ correctness: true }, { correctness: false }, { correctness: false }];
+        assert.equal(AnalyticsMath.calculateSubjectStats(tasks, getScore).correctPercentage, 33);
+    });
+});
+
+describe('buildDailyAggregates', () => {
+    test('splits days at local midnight', () => {
+        const daily = AnalyticsMath.buildDailyAggregates(timezoneBoundary.tasks, getScore);
+        const withoutLabels = daily.map(({ displayDate, ...day }) => day);
+
+        assert.deepEqual(withoutLabels, timezoneBoundary.expectedDays);
+        assert.deepEqual(daily.map(day => day.displayDate), ['14.01', '15.01']);
+    });
+
+    test('only returns days that have tasks, oldest first', () => {
+        const daily = AnalyticsMath.buildDailyAggregates(sparseDays.tasks, getScore);
+
+        assert.deepEqual(daily.map(day => day.date), [
+            '2025-01-20', '2025-02-01', '2025-02-02', '2025-02-03', '2025-02-06', '2025-02-07', '2025-02-09', '2025-02-10'
+        ]);
+        assert.deepEqual(daily.map(day => day.accuracy), [100, 100, 50, 0, 100, 100, 100, 100]);
+    });
+
+    test('counts mixed correctness formats on one day', () => {
+        const [day] = AnalyticsMath.buildDailyAggregates(mixedCorrectness.tasks, getScore);
+
+        assert.equal(day.total, 11);
+        assert.equal(day.correct, 6);
+        assert.equal(day.partial, 1);
+        assert.equal(day.incorrect, 4);
+        assert.equal(day.accuracy, 59);
+    });
+
+    test('puts undated tasks on the current day', () => {
+        const daily = AnalyticsMath.buildDailyAggregates([{ correctness: true }], getScore, { now: new Date(2025, 4, 4, 9) });
+        assert.equal(daily[0].date, '2025-05-04');
+    });
+
+    test('returns nothing for no tasks', () => {
+        assert.deepEqual(AnalyticsMath.buildDailyAggregates([], getScore), []);
+    });
+
+    test('ChartsManager delegates with the shared correctness scores', () => {
+        assert.deepEqual(
+            chartsManager.buildDailyAggregates(timezoneBoundary.tasks).map(day => day.accuracy),
+            [100, 50]
+        );
+    });
+});
+
+describe('buildDailyActivity', () => {
+    const now = new Date(sparseDays.now);
+
+    test('includes days without tasks as inactive', () => {
+        const activity = AnalyticsMath.buildDailyActivity(sparseDays.tasks, sparseDays.sessions, { days: 10, now });
+
+        assert.equal(activity.length, 10);
+        assert.equal(activity[0].date, '2025-02-01');
+        assert.equal(activity[9].date, '2025-02-10');
+        assert.deepEqual(activity.filter(day => day.active).map(day => day.date), sparseDays.expectedActiveDays);
+    });
+
+    test('counts sessions on inactive days without activating them', () => {
+        const activity = AnalyticsMath.buildDailyActivity(sparseDays.tasks, sparseDays.sessions, { days: 10, now });
+        const sessionDay = activity.find(day => day.date === '2025-02-05');
+
+        assert.equal(sessionDay.sessions, 1);
+        assert.equal(sessionDay.active, false);
+    });
+
+    test('respects the activity threshold', () => {
+        const activity = AnalyticsMath.buildDailyActivity(sparseDays.tasks, [], { days: 10, threshold: 2, now });
+        assert.deepEqual(activity.filter(day => day.active).map(day => day.date), ['2025-02-02']);
+    });
+
+    test('has one entry per calendar day across a DST change', () => {
+        const activity = AnalyticsMath.buildDailyActivity([], [], { days: 3, now: new Date(2025, 2, 31, 0, 30) });
+        assert.deepEqual(activity.map(day => day.date), ['2025-03-29', '2025-03-30', '2025-03-31']);
+    });
+});
+
+describe('calculateStreaks', () => {
+    test('finds runs of active days, longest first', () => {
+        const activity = AnalyticsMath.buildDailyActivity(sparseDays.tasks, [], { days: 10, now: new Date(sparseDays.now) });
+
+        assert.deepEqual(AnalyticsMath.calculateStreaks(activity), [
+            { start: '2025-02-01', end: '2025-02-03', length: 3 },
+            { start: '2025-02-06', end: '2025-02-07', length: 2 },
+            { start: '2025-02-09', end: '2025-02-10', length: 2 }
+        ]);
+    });
+
+    test('returns no streaks for inactive or empty history', () => {
+        assert.deepEqual(AnalyticsMath.calculateStreaks([]), []);
+        assert.deepEqual(AnalyticsMath.calculateStreaks([{ date: '2025-01-01', active: false }]), []);
+    });
+
+    test('EnhancedAnalytics reports the current and longest streak', () => {
+        const daysAgo = offset => {
+            const date = new Date();
+            date.setDate(date.getDate() - offset);
+            return { subject: 'Polski', start_time: date.toISOString(), correctness: true };
+        };
+        const analytics = createEnhancedAnalytics();
+        analytics.tasks = [daysAgo(0), daysAgo(1), daysAgo(4), daysAgo(5), daysAgo(6)];
+        analytics.sessions = [];
+
+        analytics.processStudyConsistency();
+
+        const consistency = analytics.analyticsData.studyConsistency;
+        assert.equal(consistency.currentStreak, 2);
+        assert.equal(consistency.longestStreak, 3);
+        assert.equal(consistency.activeDays, 5);
+        assert.equal(consistency.totalDays, 90);
+    });
+});
+
+describe('calculateTrend', () => {
+    test('is neutral with fewer than eight data points', () => {
+        assert.deepEqual(AnalyticsMath.calculateTrend([]), { direction: 'neutral', percentage: 0 });
+        assert.deepEqual(AnalyticsMath.calculateTrend(days(10, 90)), { direction: 'neutral', percentage: 0 });
+        assert.deepEqual(AnalyticsMath.calculateTrend(days(10, 20, 30, 40, 50, 60, 70)), { direction: 'neutral', percentage: 0 });
+    });
+
+    test('compares the last seven points with the first ones', () => {
+        assert.deepEqual(
+            AnalyticsMath.calculateTrend(days(50, 50, 50, 50, 50, 50, 50, 80, 80, 80, 80, 80, 80, 80)),
+            { direction: 'improving', percentage: 30 }
+        );
+        assert.deepEqual(
+            AnalyticsMath.calculateTrend(days(40, 40, 40, 60, 60, 60, 60, 60, 60, 60)),
+            { direction: 'improving', percentage: 20 }
+        );
+        assert.deepEqual(
+            AnalyticsMath.calculateTrend(days(90, 70, 70, 70, 70, 70, 70, 70)),
+            { direction: 'declining', percentage: -20 }
+        );
+    });
+
+    test('treats changes of up to 5 points as stable', () => {
+        assert.deepEqual(AnalyticsMath.calculateTrend(days(60, 65, 65, 65, 65, 65, 65, 65)), { direction: 'stable', percentage: 5 });
+        assert.deepEqual(AnalyticsMath.calculateTrend(days(60, 54, 54, 54, 54, 54, 54, 54)), { direction: 'declining', percentage: -6 });
+    });
+});
+
+describe('calculateRollingAverages', () => {
+    test('averages over data points, not calendar days', () => {
+        const daily = AnalyticsMath.buildDailyAggregates(sparseDays.tasks, getScore);
+        const averages = AnalyticsMath.calculateRollingAverages(daily, [3]);
+
+        assert.deepEqual(averages['3day'], [100, 100, 83, 50, 50, 67, 100, 100]);
+    });
+
+    test('uses the available points at the start of the series', () => {
+        const averages = AnalyticsMath.calculateRollingAverages(days(0, 100, 50), [7, 2]);
+
+        assert.deepEqual(averages['7day'], [0, 50, 50]);
+        assert.deepEqual(averages['2day'], [0, 50, 75]);
+    });
+
+    test('returns empty series for no data', () => {
+        assert.deepEqual(AnalyticsMath.calculateRollingAverages([], [7]), { '7day': [] });
+    });
+});
+
+describe('calculateConsistencyScore', () => {
+    test('is 0 with fewer than two days', () => {
+        assert.equal(AnalyticsMath.calculateConsistencyScore([]), 0);
+        assert.equal(AnalyticsMath.calculateConsistencyScore(days(80)), 0);
+    });
+
+    test('is 100 minus the standard deviation of daily accuracy', () => {
+        assert.equal(AnalyticsMath.calculateConsistencyScore(days(70, 70, 70)), 100);
+        assert.equal(AnalyticsMath.calculateConsistencyScore(days(0, 100)), 50);
+
+        const daily = AnalyticsMath.buildDailyAggregates(sparseDays.tasks, getScore);
+        assert.equal(AnalyticsMath.calculateConsistencyScore(daily), 65);
+    });
+});
+
+describe('calculateTaskTrend', () => {
+    const at = (day, correctness) => ({ start_time: `2025-01-${String(day).padStart(2, '0')}T10:00:00`, correctly_completed: correctness });
+
+    test('compares the last 5 tasks with the 5 before them, in time order', () => {
+        const tasks = [
+            at(10, 'Yes'), at(9, 'Yes'), at(8, 'Yes'), at(7, 'Yes'), at(6, '50/50'),
+            at(5, 'No'), at(4, 'No'), at(3, 'No'), at(2, 'Yes'), at(1, 'No')
+        ];
+
+        assert.deepEqual(AnalyticsMath.calculateTaskTrend(tasks, getScore), { direction: 'improving', percentage: 70 });
+        assert.equal(tasks[0].start_time, '2025-01-10T10:00:00', 'input order is kept');
+    });
+
+    test('EnhancedAnalytics.calculateSubjectTrend uses it', () => {
+        const tasks = [at(1, 'Yes'), at(2, 'Yes'), at(3, 'Yes'), at(4, 'No'), at(5, 'No'), at(6, 'No'), at(7, 'No')];
+
+        assert.deepEqual(createEnhancedAnalytics().calculateSubjectTrend(tasks), { direction: 'declining', percentage: -80 });
+        assert.deepEqual(AnalyticsMath.calculateTaskTrend(tasks.slice(0, 5), getScore), { direction: 'neutral', percentage: 0 });
+    });
+});
+
+describe('EnhancedAnalytics performance over time', () => {
+    test('groups StudyTasks by local day using correctly_completed', () => {
+        const analytics = createEnhancedAnalytics();
+        analytics.tasks = timezoneBoundary.tasks;
+
+        analytics.processPerformanceOverTime();
+
+        const { dailyData, consistency } = analytics.analyticsData.performanceOverTime;
+        assert.deepEqual(dailyData.map(day => [day.date, day.total, day.correct, day.accuracy]), [
+            ['2025-01-14', 1, 1, 100],
+            ['2025-01-15', 4, 2, 50]
+        ]);
+        assert.equal(consistency, 75);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for the Anki deck export (js/ankiExport.js).
+ * Run with: node --test tests/
+ */
+// Day keys are local dates - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The export expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = require('../js/analyticsMath.js');
+global.Correctness = require('../js/correctness.js');
+global.TaskImport = require('../js/taskImport.js');
+const AnkiExport = require('../js/ankiExport.js');
+
+function task(day, name, subject, categories, correctness, extra = {}) {
+    return {
+        task_id: `task_${day}_${name}`,
+        task_name: name,
+        subject,
+        categories,
+        correctly_completed: correctness,
+        start_time: new Date(2026, 3, day, 10, 0).toISOString(),
+        ...extra
+    };
+}
+
+describe('filterTasks', () => {
+    const tasks = [
+        task(14, 'Równanie kwadratowe', 'Matematyka', 'Algebra, Funkcje', 'No'),
+        task(2, 'Pole trójkąta', 'Matematyka', 'Geometria', 'No'),
+        task(10, 'Soczewki', 'Fizyka', 'Optyka', '50/50'),
+        task(12, 'Układ równań', 'Matematyka', 'Algebra', 'Yes'),
+        task(13, '', 'Matematyka', 'Algebra', 'No')
+    ];
+    const names = list => list.map(item => item.task_name);
+
+    test('keeps wrong answers by default, oldest first', () => {
+        assert.deepEqual(names(AnkiExport.filterTasks(tasks)), ['Pole trójkąta', 'Równanie kwadratowe']);
+    });
+
+    test('filters by subject, category, days and outcomes', () => {
+        assert.deepEqual(names(AnkiExport.filterTasks(tasks, { category: 'Algebra', outcomes: ['incorrect', 'correct'] })),
+            ['Układ równań', 'Równanie kwadratowe']);
+        assert.deepEqual(names(AnkiExport.filterTasks(tasks, { subject: 'Fizyka', outcomes: ['incorrect', 'partial'] })),
+            ['Soczewki']);
+        // Both ends of the range are included
+        assert.deepEqual(names(AnkiExport.filterTasks(tasks, { from: '2026-04-02', to: '2026-04-13' })), ['Pole trójkąta']);
+        assert.deepEqual(AnkiExport.filterTasks(tasks, { outcomes: [] }), []);
+    });
+
+    test('tasks without a date are left out only when a range is set', () => {
+        const undated = [task(1, 'Bez daty', 'Fizyka', '', 'No', { start_time: '' })];
+
+        assert.equal(AnkiExport.filterTasks(undated).length, 1);
+        assert.equal(AnkiExport.filterTasks(undated, { from: '2026-01-01' }).length, 0);
+    });
+});
+
+describe('toNote', () => {
+    test('puts the name on the front, the description and details on the back, categories as tags', () => {
+        const note = AnkiExport.toNote(task(14, 'Wzór na <delta>', 'Matematyka', 'Algebra; Funkcje kwadratowe', 'No', {
+            description: 'Δ = b² - 4ac\nPamiętaj o znaku'
+        }));
+
+        assert.deepEqual(note, {
+            guid: 'study-tracker-task_14_Wzór na <delta>',
+            front: 'Wzór na &lt;delta&gt;',
+            back: 'Δ = b² - 4ac<br>Pamiętaj o znaku<br><br><small>Matematyka · 2026-04-14 · Błędnie</small>',
+            tags: ['Algebra', 'Funkcje_kwadratowe']
+        });
+    });
+
+    test('rows without a task_id get the id an import would give them', () => {
+        const row = task(14, 'Soczewki', 'Fizyka', 'Optyka', 'No', { task_id: '' });
+
+        assert.equal(AnkiExport.toNote(row).guid, `study-tracker-${TaskImport.getTaskId(row)}`);
+    });
+});
+
+describe('toTSV', () => {
+    test('starts with the Anki file headers and keeps one note per line', () => {
+        const text = AnkiExport.toTSV([
+            { guid: 'a', front: 'Przód\tz tabem', back: 'Tył\nw dwóch liniach', tags: ['Algebra', 'Funkcje'] },
+            { guid: 'b', front: 'Drugi', back: 'Opis', tags: [] }
+        ], { deck: 'Matura::Matematyka' });
+
+        assert.equal(text, [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic',
+            '#deck:Matura::Matematyka',
+            '#guid column:1',
+            '#tags column:4',
+            'a\tPrzód z tabem\tTył<br>w dwóch liniach\tAlgebra Funkcje',
+            'b\tDrugi\tOpis\t',
+            ''
+        ].join('\n'));
+    });
+
+    test('an empty deck name falls back to the default deck', () => {
+        assert.ok(AnkiExport.toTSV([], { deck: '  ' }).includes(`#deck:${AnkiExport.DEFAULT_DECK}\n`));
+    });
+});
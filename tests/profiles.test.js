@@ -0,0 +1,49 @@
+/**
+ * Unit tests for student profiles (js/profiles.js).
+ * Run with: node --test tests/
+ */
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Profiles = require('../js/profiles.js');
+
+// Stand-in for the browser's localStorage
+beforeEach(() => {
+    const values = new Map();
+    global.localStorage = {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value))
+    };
+});
+
+describe('toId', () => {
+    test('names become lower-case ids without Polish characters', () => {
+        assert.equal(Profiles.toId('Łucja Żółć'), 'lucja-zolc');
+        assert.equal(Profiles.toId('  Kasia (3b) '), 'kasia-3b');
+        assert.equal(Profiles.toId('!!!'), '');
+    });
+});
+
+describe('profiles', () => {
+    test('the default profile is active until another one is chosen', () => {
+        assert.deepEqual(Profiles.getAll(), [{ id: 'default', name: 'Domyślny' }]);
+        assert.equal(Profiles.getActiveId(), 'default');
+    });
+
+    test('adding a known name returns the existing profile', () => {
+        const ania = Profiles.add('Ania');
+        assert.deepEqual(ania, { id: 'ania', name: 'Ania' });
+        assert.equal(Profiles.add(' ania ').name, 'Ania');
+        assert.deepEqual(Profiles.getAll().map(profile => profile.id), ['default', 'ania']);
+
+        assert.throws(() => Profiles.add('   '), /litery lub cyfry/);
+    });
+
+    test('an active profile missing from this browser falls back to the default one', () => {
+        localStorage.setItem('activeProfile', 'ola');
+        assert.equal(Profiles.getActiveId(), 'default');
+
+        Profiles.add('Ola');
+        assert.equal(Profiles.getActive().name, 'Ola');
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the printable progress report data (js/progressReport.js).
+ * Run with: node --test tests/
+ */
+// Day keys are local dates - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+// The report expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = require('../js/analyticsMath.js');
+global.Correctness = require('../js/correctness.js');
+global.StreakCalculator = require('../js/streakCalculator.js');
+global.EnhancedAnalytics = require('../js/enhancedAnalytics.js');
+const ProgressReport = require('../js/progressReport.js');
+
+const NOW = new Date(2026, 3, 15, 12, 0); // Wednesday 15 April 2026
+
+function task(day, subject, categories, correctness, hour = 10) {
+    return {
+        task_name: `${subject} ${day}`,
+        subject,
+        categories,
+        correctly_completed: correctness,
+        start_time: new Date(2026, 3, day, hour, 0).toISOString()
+    };
+}
+
+// EnhancedAnalytics logs its progress
+function quietly(fn) {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+describe('getPeriod', () => {
+    test('weeks start on Monday and months use calendar days', () => {
+        const day = date => AnalyticsMath.toDateKey(date);
+        const range = key => {
+            const period = ProgressReport.getPeriod(key, NOW);
+            return [day(period.start), day(period.end), period.days];
+        };
+
+        assert.deepEqual(range('this-week'), ['2026-04-13', '2026-04-19', 7]);
+        assert.deepEqual(range('last-week'), ['2026-04-06', '2026-04-12', 7]);
+        assert.deepEqual(range('this-month'), ['2026-04-01', '2026-04-30', 30]);
+        assert.deepEqual(range('last-month'), ['2026-03-01', '2026-03-31', 31]);
+        assert.deepEqual(range('last-30'), ['2026-03-17', '2026-04-15', 30]);
+        assert.throws(() => ProgressReport.getPeriod('year', NOW), /year/);
+    });
+
+    test('a Sunday belongs to the week that started the Monday before', () => {
+        const period = ProgressReport.getPeriod('this-week', new Date(2026, 3, 19, 20, 0));
+        assert.equal(AnalyticsMath.toDateKey(period.start), '2026-04-13');
+    });
+
+    test('the period ends at the last millisecond of its last day', () => {
+        const period = ProgressReport.getPeriod('last-week', NOW);
+        assert.equal(ProgressReport.isInPeriod({ start_time: new Date(2026, 3, 12, 23, 59).toISOString() }, period), true);
+        assert.equal(ProgressReport.isInPeriod({ start_time: new Date(2026, 3, 13, 0, 0).toISOString() }, period), false);
+    });
+});
+
+describe('build', () => {
+    const tasks = [
+        // Previous week: 2 tasks, 50%
+        task(7, 'Matematyka', 'Algebra', 'Yes'),
+        task(8, 'Matematyka', 'Algebra', 'No'),
+        // This week
+        task(13, 'Matematyka', 'Algebra', 'Yes'),
+        task(13, 'Matematyka', 'Geometria', 'No', 11),
+        task(14, 'Matematyka', 'Geometria', 'No'),
+        task(14, 'Fizyka', 'Optyka', '50/50', 11),
+        task(15, 'Fizyka', 'Optyka', 'Yes')
+    ];
+    const sessions = [
+        { session_id: 's1', start_time: new Date(2026, 3, 13, 9, 0).toISOString(), duration_minutes: 45 },
+        { session_id: 's2', start_time: new Date(2026, 3, 8, 9, 0).toISOString(), duration_minutes: 30 }
+    ];
+    const subjects = [{ subject_name: 'Fizyka', color: '#10b981' }];
+
+    test('counts only the tasks and sessions of the period', () => {
+        const report = quietly(() => ProgressReport.build({ tasks, sessions, subjects }, 'this-week', { now: NOW }));
+
+        assert.equal(report.period.label, 'Bieżący tydzień');
+        assert.deepEqual(report.summary, {
+            totalTasks: 5,
+            correct: 2,
+            partial: 1,
+            incorrect: 2,
+            accuracy: 50,
+            accuracyChange: 0,
+            previousTasks: 2,
+            studyDays: 3,
+            totalSessions: 1,
+            studyMinutes: 45,
+            currentStreak: 3,
+            longestStreak: 3
+        });
+    });
+
+    test('lists subjects by task count and the weakest categories', () => {
+        const report = quietly(() => ProgressReport.build({ tasks, sessions, subjects }, 'this-week', { now: NOW }));
+
+        assert.deepEqual(report.subjects.map(subject => [subject.name, subject.totalTasks, subject.accuracy, subject.color]), [
+            ['Matematyka', 3, 33, null],
+            ['Fizyka', 2, 75, '#10b981']
+        ]);
+        // Algebra has a single task this week - too few to judge
+        assert.deepEqual(report.weakestCategories, [
+            { subject: 'Matematyka', name: 'Geometria', totalTasks: 2, accuracy: 0 },
+            { subject: 'Fizyka', name: 'Optyka', totalTasks: 2, accuracy: 75 }
+        ]);
+        assert.ok(report.insights.some(insight => insight.message.includes('Fizyka (75% skuteczności)')));
+    });
+
+    test('the calendar covers the period and streaks stop at its end', () => {
+        const report = quietly(() => ProgressReport.build({ tasks, sessions, subjects }, 'last-week', { now: NOW }));
+
+        assert.deepEqual(report.calendar.map(day => day.date), [
+            '2026-04-06', '2026-04-07', '2026-04-08', '2026-04-09', '2026-04-10', '2026-04-11', '2026-04-12'
+        ]);
+        assert.deepEqual(report.calendar.filter(day => day.active).map(day => day.date), ['2026-04-07', '2026-04-08']);
+        // Four days without tasks before 12 April - no freezes for 2 tasks' worth of points
+        assert.equal(report.summary.currentStreak, 0);
+        assert.equal(report.summary.accuracyChange, null, 'nothing to compare with the week before');
+    });
+});
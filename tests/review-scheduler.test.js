@@ -0,0 +1,154 @@
+/**
+ * Unit tests for the spaced-repetition scheduler (js/reviewScheduler.js).
+ * Run with: node --test tests/
+ */
+// Due dates are local days - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The scheduler expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+const ReviewScheduler = require('../js/reviewScheduler.js');
+
+function task(taskId, startTime, correctness, overrides = {}) {
+    return {
+        task_id: taskId,
+        task_name: 'Zadanie 12',
+        categories: 'Algebra',
+        correctly_completed: correctness,
+        start_time: startTime,
+        subject: 'Matematyka',
+        ...overrides
+    };
+}
+
+describe('review (SM-2)', () => {
+    const start = ReviewScheduler.createCard(task('t1', '2025-03-01T10:00:00', 'No'), '2025-03-01T10:00:00');
+
+    test('a new card is due the next day', () => {
+        assert.equal(start.card_id, 'card_t1');
+        assert.equal(start.due_date, '2025-03-02');
+        assert.equal(start.interval_days, 1);
+        assert.equal(start.ease_factor, 2.5);
+        assert.equal(start.last_outcome, 'incorrect');
+    });
+
+    test('correct answers grow the interval 1 → 6 → interval × ease', () => {
+        const first = ReviewScheduler.review(start, 'correct', '2025-03-02T10:00:00');
+        const second = ReviewScheduler.review(first, 'correct', '2025-03-03T10:00:00');
+        const third = ReviewScheduler.review(second, 'correct', '2025-03-09T10:00:00');
+
+        assert.deepEqual([first.interval_days, second.interval_days, third.interval_days], [1, 6, 16]);
+        assert.deepEqual([first.ease_factor, second.ease_factor, third.ease_factor], [2.6, 2.7, 2.8]);
+        assert.equal(third.due_date, '2025-03-25');
+        assert.equal(third.repetitions, 3);
+    });
+
+    test('a wrong answer restarts the card and counts a lapse', () => {
+        const first = ReviewScheduler.review(start, 'correct', '2025-03-02T10:00:00');
+        const second = ReviewScheduler.review(first, 'correct', '2025-03-03T10:00:00');
+        const lapse = ReviewScheduler.review(second, 'incorrect', '2025-03-09T10:00:00');
+
+        assert.equal(lapse.repetitions, 0);
+        assert.equal(lapse.lapses, 1);
+        assert.equal(lapse.interval_days, 1);
+        assert.equal(lapse.due_date, '2025-03-10');
+        assert.equal(lapse.ease_factor, 2.16);
+    });
+
+    test('a partial answer advances the card but lowers the ease', () => {
+        const partial = ReviewScheduler.review(start, 'partial', '2025-03-02T10:00:00');
+
+        assert.equal(partial.repetitions, 1);
+        assert.equal(partial.ease_factor, 2.36);
+        assert.equal(partial.last_outcome, 'partial');
+    });
+
+    test('ease never drops below the minimum and intervals are capped', () => {
+        let card = start;
+        for (let i = 0; i < 10; i++) {
+            card = ReviewScheduler.review(card, 'incorrect', '2025-03-02T10:00:00');
+        }
+        assert.equal(card.ease_factor, 1.3);
+
+        const long = ReviewScheduler.review({ ...start, repetitions: 5, interval_days: 150 }, 'correct', '2025-03-02T10:00:00');
+        assert.equal(long.interval_days, 180);
+    });
+
+    test('review does not modify the input card', () => {
+        const copy = { ...start };
+        ReviewScheduler.review(start, 'correct', '2025-03-02T10:00:00');
+        assert.deepEqual(start, copy);
+    });
+});
+
+describe('syncWithTasks', () => {
+    const history = [
+        task('t3', '2025-03-05T18:00:00', 'Yes', { task_name: ' zadanie  12 ' }),
+        task('t1', '2025-03-01T10:00:00', 'No'),
+        task('t2', '2025-03-02T09:00:00', '50/50'),
+        task('t4', '2025-03-01T11:00:00', 'Yes', { task_name: 'Zadanie 13' })
+    ];
+
+    test('wrong tasks get a card and later attempts of the same task grade it', () => {
+        const { cards, changed } = ReviewScheduler.syncWithTasks(history, []);
+
+        assert.equal(cards.length, 1);
+        assert.equal(changed.length, 1);
+        assert.equal(cards[0].card_id, 'card_t1');
+        assert.equal(cards[0].repetitions, 2);
+        assert.equal(cards[0].interval_days, 6);
+        assert.equal(cards[0].last_outcome, 'correct');
+        assert.equal(cards[0].due_date, '2025-03-11');
+    });
+
+    test('syncing the same history again changes nothing', () => {
+        const first = ReviewScheduler.syncWithTasks(history, []);
+        const rows = first.cards.map(card => ReviewScheduler.toRow(card));
+        const fromSheet = rows.map(row => Object.fromEntries(ReviewScheduler.COLUMNS.map((column, i) => [column, String(row[i])])));
+
+        const second = ReviewScheduler.syncWithTasks(history, fromSheet);
+
+        assert.equal(second.changed.length, 0);
+        assert.deepEqual(second.cards, first.cards);
+    });
+
+    test('only attempts after the last review are graded', () => {
+        const { cards } = ReviewScheduler.syncWithTasks(history, []);
+        const next = ReviewScheduler.syncWithTasks([task('t5', '2025-03-11T08:00:00', 'No')], cards);
+
+        assert.equal(next.changed.length, 1);
+        assert.equal(next.cards[0].lapses, 1);
+        assert.equal(next.cards[0].due_date, '2025-03-12');
+    });
+
+    test('correct first attempts and tasks without a name are not queued', () => {
+        const { cards } = ReviewScheduler.syncWithTasks([
+            task('t6', '2025-03-01T10:00:00', 'Yes'),
+            task('t7', '2025-03-01T10:00:00', 'No', { task_name: '' })
+        ], []);
+
+        assert.equal(cards.length, 0);
+    });
+});
+
+describe('getDueCards', () => {
+    test('returns cards due today or earlier, most overdue first', () => {
+        const cards = [
+            { card_id: 'a', subject: 'Polski', due_date: '2025-03-10' },
+            { card_id: 'b', subject: 'Matematyka', due_date: '2025-03-08' },
+            { card_id: 'c', subject: 'Historia', due_date: '2025-03-11' },
+            { card_id: 'd', subject: 'Angielski', due_date: '2025-03-10' }
+        ];
+
+        const due = ReviewScheduler.getDueCards(cards, new Date(2025, 2, 10, 23, 30));
+
+        assert.deepEqual(due.map(card => card.card_id), ['b', 'd', 'a']);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for settings sync decisions (SettingsManager.reconcile in js/settingsManager.js).
+ * Run with: node --test tests/
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SettingsManager = require('../js/settingsManager.js');
+
+const LOCAL = {
+    examDate: '2026-05-04',
+    examName: 'Matura 2026',
+    dailyGoal: 10,
+    workDuration: 25,
+    shortBreak: 5,
+    longBreak: 15,
+    soundEnabled: true,
+    debugMode: false,
+    storageBackend: 'sheets'
+};
+
+describe('reconcile', () => {
+    test('a newer server value is taken, a newer local value is pushed', () => {
+        const { fromServer, toServer, stamps } = SettingsManager.reconcile(LOCAL, {
+            daily_goal: '2026-03-01T10:00:00.000Z',
+            work_duration: '2026-03-05T10:00:00.000Z'
+        }, {
+            daily_goal: { value: '15', type: 'number', updated_at: '2026-03-02T10:00:00.000Z' },
+            work_duration: { value: '50', type: 'number', updated_at: '2026-03-04T10:00:00.000Z' }
+        });
+
+        assert.deepEqual(fromServer, { dailyGoal: 15 });
+        assert.deepEqual(toServer, ['workDuration']);
+        assert.equal(stamps.daily_goal, '2026-03-02T10:00:00.000Z');
+        assert.equal(stamps.work_duration, '2026-03-05T10:00:00.000Z');
+    });
+
+    test('values without a timestamp never override the other side', () => {
+        const { fromServer, toServer } = SettingsManager.reconcile(LOCAL, {}, {
+            exam_date: { value: '2024-06-15', type: 'date', updated_at: '' },
+            exam_name: { value: 'Matura 2024', type: 'string' }
+        });
+
+        assert.deepEqual(fromServer, {});
+        assert.deepEqual(toServer, []);
+    });
+
+    test('local settings changed while the server has none are pushed', () => {
+        const { toServer } = SettingsManager.reconcile(LOCAL, { sound_enabled: '2026-03-01T10:00:00.000Z' }, {});
+
+        assert.deepEqual(toServer, ['soundEnabled']);
+    });
+
+    test('sheet values are parsed to the setting type', () => {
+        const { fromServer } = SettingsManager.reconcile(LOCAL, {}, {
+            exam_date: { value: '2026-05-05T00:00:00.000Z', type: 'date', updated_at: '2026-03-01T10:00:00.000Z' },
+            sound_enabled: { value: 'FALSE', type: 'boolean', updated_at: '2026-03-01T10:00:00.000Z' },
+            long_break: { value: 'abc', type: 'number', updated_at: '2026-03-01T10:00:00.000Z' }
+        });
+
+        assert.deepEqual(fromServer, { examDate: '2026-05-05', soundEnabled: false });
+    });
+
+    test('device-only settings are not synced', () => {
+        assert.equal(SettingsManager.SYNCED_SETTINGS.storageBackend, undefined);
+        assert.equal(SettingsManager.SYNCED_SETTINGS.debugMode, undefined);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Unit tests for streaks computed from the task history (js/streakCalculator.js).
+ * Run with: node --test tests/
+ */
+// Day keys are local dates - pin the zone so the fixtures mean the same everywhere
+process.env.TZ = 'Europe/Warsaw';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AnalyticsMath = require('../js/analyticsMath.js');
+const Correctness = require('../js/correctness.js');
+
+// The calculator expects these as browser globals (loaded by earlier <script> tags)
+global.AnalyticsMath = AnalyticsMath;
+global.Correctness = Correctness;
+const StreakCalculator = require('../js/streakCalculator.js');
+
+const NOW = new Date(2026, 3, 10, 12, 0); // 10 April 2026, local noon
+
+// `count` tasks on the day `daysAgo` days before NOW, at `hour`
+function tasksOn(daysAgo, count = 1, correctness = 'Yes', hour = 10) {
+    return Array.from({ length: count }, (_, i) => ({
+        task_name: `Zadanie ${i}`,
+        correctly_completed: correctness,
+        start_time: new Date(2026, 3, 10 - daysAgo, hour, i % 60).toISOString()
+    }));
+}
+
+function history(...days) {
+    return days.flatMap(daysAgo => tasksOn(daysAgo));
+}
+
+describe('calculate', () => {
+    test('without tasks there is no streak', () => {
+        const result = StreakCalculator.calculate([], [], { now: NOW });
+
+        assert.equal(result.currentStreak, 0);
+        assert.equal(result.longestStreak, 0);
+        assert.equal(result.todayActive, false);
+        assert.equal(result.calendar.length, 35);
+        assert.equal(result.calendar[34].date, '2026-04-10');
+        assert.equal(result.calendar[34].today, true);
+    });
+
+    test('the calendar length can be set per call', () => {
+        const result = StreakCalculator.calculate(history(0, 40), [], { now: NOW, calendarDays: 45 });
+
+        assert.equal(result.calendar.length, 45);
+        assert.equal(result.calendar[4].date, '2026-03-01');
+        assert.equal(result.calendar[4].active, true);
+    });
+
+    test('consecutive active days up to today form the current streak', () => {
+        const result = StreakCalculator.calculate(history(0, 1, 2, 5, 6, 7, 8), [], { now: NOW });
+
+        assert.equal(result.currentStreak, 3);
+        assert.equal(result.longestStreak, 4);
+        assert.equal(result.todayActive, true);
+        assert.deepEqual(result.streaks[0], { start: '2026-04-02', end: '2026-04-05', length: 4 });
+    });
+
+    test('a streak that ended yesterday is still current until today is over', () => {
+        const result = StreakCalculator.calculate(history(1, 2, 3), [], { now: NOW });
+
+        assert.equal(result.currentStreak, 3);
+        assert.equal(result.todayActive, false);
+    });
+
+    test('a missed day without freezes breaks the streak', () => {
+        const result = StreakCalculator.calculate(history(2, 3, 4), [], { now: NOW });
+
+        assert.equal(result.currentStreak, 0);
+        assert.equal(result.longestStreak, 3);
+        assert.equal(result.freezesUsed, 0);
+    });
+
+    test('tasks before the day boundary count for the previous day', () => {
+        // 1:00 on 10 April belongs to 9 April with the default 3:00 boundary
+        const tasks = [...tasksOn(2), ...tasksOn(0, 1, 'Yes', 1)];
+
+        const late = StreakCalculator.calculate(tasks, [], { now: NOW });
+        assert.equal(late.currentStreak, 2);
+        assert.equal(late.todayActive, false);
+        assert.equal(late.calendar.find(day => day.date === '2026-04-09').tasks, 1);
+
+        // With midnight as the boundary 9 April is missed
+        const midnight = StreakCalculator.calculate(tasks, [], { now: NOW, dayStartHour: 0 });
+        assert.equal(midnight.currentStreak, 1);
+        assert.equal(midnight.longestStreak, 1);
+    });
+
+    test('today starts at the boundary hour', () => {
+        const now = new Date(2026, 3, 10, 2, 0); // still 9 April with a 3:00 boundary
+        const result = StreakCalculator.calculate(tasksOn(1), [], { now });
+
+        assert.equal(result.todayActive, true);
+        assert.equal(result.calendar[34].date, '2026-04-09');
+    });
+
+    test('tasks without a time take it from their session', () => {
+        const sessions = [{ session_id: 's1', start_time: new Date(2026, 3, 9, 18, 0).toISOString() }];
+        const tasks = [{ task_name: 'Zadanie', correctly_completed: 'Yes', session_id: 's1' }];
+
+        const result = StreakCalculator.calculate(tasks, sessions, { now: NOW });
+
+        assert.equal(result.currentStreak, 1);
+        assert.deepEqual(
+            result.calendar.find(day => day.date === '2026-04-09'),
+            { date: '2026-04-09', tasks: 1, sessions: 1, active: true, frozen: false, today: false }
+        );
+    });
+});
+
+describe('freezes', () => {
+    test('points earned before a missed day freeze it and keep the streak going', () => {
+        // 20 correct tasks = 200 points = one freeze; 7 April is missed
+        const tasks = [...tasksOn(4, 20), ...tasksOn(2), ...tasksOn(1), ...tasksOn(0)];
+
+        const result = StreakCalculator.calculate(tasks, [], { now: NOW });
+
+        assert.equal(result.freezesUsed, 1);
+        assert.equal(result.freezesAvailable, 0);
+        // Frozen days keep the streak alive without counting towards it
+        assert.equal(result.currentStreak, 4);
+        assert.deepEqual(result.streaks[0], { start: '2026-04-06', end: '2026-04-10', length: 4 });
+        assert.equal(result.calendar.find(day => day.date === '2026-04-07').frozen, true);
+    });
+
+    test('a freeze cannot cover a day missed before it was earned', () => {
+        const tasks = [...tasksOn(4), ...tasksOn(2, 20), ...tasksOn(1)];
+
+        const result = StreakCalculator.calculate(tasks, [], { now: NOW });
+
+        assert.equal(result.freezesUsed, 0);
+        assert.equal(result.freezesAvailable, 1);
+        assert.equal(result.currentStreak, 2);
+    });
+
+    test('only MAX_AVAILABLE freezes are held at once', () => {
+        const tasks = [...tasksOn(9, 100), ...tasksOn(0)];
+
+        const result = StreakCalculator.calculate(tasks, [], { now: NOW });
+
+        // 1000 points are 5 freezes, but 2 are held; they cover 2 of the 8 missed days
+        assert.equal(result.freezesUsed, 2);
+        assert.equal(result.currentStreak, 1);
+        assert.equal(result.longestStreak, 1);
+    });
+
+    test('today is never frozen', () => {
+        const result = StreakCalculator.calculate([...tasksOn(1, 20)], [], { now: NOW });
+
+        assert.equal(result.freezesUsed, 0);
+        assert.equal(result.freezesAvailable, 1);
+        assert.equal(result.currentStreak, 1);
+    });
+});
+
+describe('getTaskPoints', () => {
+    test('points scale with the correctness score', () => {
+        assert.equal(StreakCalculator.getTaskPoints({ correctly_completed: 'Yes' }), 10);
+        assert.equal(StreakCalculator.getTaskPoints({ correctly_completed: '50/50' }), 6);
+        assert.equal(StreakCalculator.getTaskPoints({ correctly_completed: 'No' }), 2);
+    });
+});
+
+describe('getDayKey', () => {
+    test('shifts moments by the boundary but keeps bare dates', () => {
+        assert.equal(StreakCalculator.getDayKey(new Date(2026, 3, 10, 2, 59), 3), '2026-04-09');
+        assert.equal(StreakCalculator.getDayKey(new Date(2026, 3, 10, 3, 0), 3), '2026-04-10');
+        assert.equal(StreakCalculator.getDayKey('2026-04-10', 3), '2026-04-10');
+        assert.equal(StreakCalculator.getDayKey('not a date', 3), null);
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Unit tests for the CSV/XLSX table export (js/tableExport.js).
+ * Run with: node --test tests/
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TableExport = require('../js/tableExport.js');
+
+const columns = [
+    { label: 'Kategoria', value: category => category.name },
+    { label: 'Zadania', value: category => category.totalTasks },
+    { label: 'Uwagi', value: category => category.note }
+];
+
+describe('toRows', () => {
+    test('puts the header row first and keeps the order of the records', () => {
+        const rows = TableExport.toRows(columns, [
+            { name: 'Geometria', totalTasks: 3 },
+            { name: 'Algebra', totalTasks: 10, note: null }
+        ]);
+
+        assert.deepEqual(rows, [
+            ['Kategoria', 'Zadania', 'Uwagi'],
+            ['Geometria', 3, ''],
+            ['Algebra', 10, '']
+        ]);
+    });
+});
+
+describe('toCSV', () => {
+    test('quotes separators, quotes and line breaks', () => {
+        const csv = TableExport.toCSV([
+            ['Kategoria', 'Uwagi'],
+            ['Algebra, równania', 'Powiedział "tak"'],
+            ['Optyka', 'linia 1\nlinia 2']
+        ]);
+
+        assert.equal(csv, 'Kategoria,Uwagi\r\n"Algebra, równania","Powiedział ""tak"""\r\nOptyka,"linia 1\nlinia 2"');
+    });
+
+    test('keeps text that looks like a formula from being run, but not negative numbers', () => {
+        const csv = TableExport.toCSV([['=SUMA(A1:A2)', '@cmd', '-5', -5, 12.5]]);
+        assert.equal(csv, "'=SUMA(A1:A2),'@cmd,'-5,-5,12.5");
+    });
+});
+
+describe('getFileName', () => {
+    test('uses the name without Polish characters and the local day', () => {
+        const date = new Date(2024, 2, 5, 23, 30);
+
+        assert.equal(TableExport.getFileName('Język polski - kategorie (30 dni)', 'csv', date), 'jezyk-polski-kategorie-30-dni-2024-03-05.csv');
+        assert.equal(TableExport.getFileName('Łódź', 'xlsx', date), 'lodz-2024-03-05.xlsx');
+        assert.equal(TableExport.getFileName('', 'csv', date), 'eksport-2024-03-05.csv');
+    });
+
+    test('refuses formats other than CSV and XLSX', async () => {
+        await assert.rejects(TableExport.download({ name: 'x', format: 'pdf', columns, records: [] }), /pdf/);
+    });
+});
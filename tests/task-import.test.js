@@ -0,0 +1,146 @@
+/**
+ * Unit tests for the CSV/XLSX task import (js/taskImport.js).
+ * Run with: node --test tests/
+ */
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.Correctness = require('../js/correctness.js');
+const TaskImport = require('../js/taskImport.js');
+
+describe('parseCSV', () => {
+    test('reads quoted fields, a BOM and a semicolon delimiter', () => {
+        const rows = TaskImport.parseCSV('\uFEFFZadanie;Kategorie;Data\r\n"Zad. 1; trudne";"Algebra, Równania";01.03.2024\r\n"Cytat ""x""";;2024-03-02\r\n');
+
+        assert.deepEqual(rows, [
+            ['Zadanie', 'Kategorie', 'Data'],
+            ['Zad. 1; trudne', 'Algebra, Równania', '01.03.2024'],
+            ['Cytat "x"', '', '2024-03-02']
+        ]);
+    });
+
+    test('keeps line breaks inside quotes and skips empty lines', () => {
+        const rows = TaskImport.parseCSV('a,b\n"x\ny",2\n\n');
+        assert.deepEqual(rows, [['a', 'b'], ['x\ny', '2']]);
+    });
+});
+
+describe('guessMapping', () => {
+    test('maps Polish and English headers, ignoring case and accents', () => {
+        const mapping = TaskImport.guessMapping(['Data', 'Nazwa zadania', 'PRZEDMIOT', 'Poprawność', 'notatki', 'Categories']);
+
+        assert.equal(mapping.start_time, 0);
+        assert.equal(mapping.task_name, 1);
+        assert.equal(mapping.subject, 2);
+        assert.equal(mapping.correctly_completed, 3);
+        assert.equal(mapping.categories, 5);
+        assert.equal(mapping.location, undefined);
+        assert.deepEqual(TaskImport.getMissingFields(mapping), []);
+        assert.deepEqual(TaskImport.getMissingFields({ task_name: 0 }), ['Data']);
+    });
+});
+
+describe('buildTasks', () => {
+    const mapping = { task_name: 0, subject: 1, categories: 2, correctly_completed: 3, start_time: 4 };
+
+    test('turns rows into tasks and reports bad rows by their line in the file', () => {
+        const { tasks, errors } = TaskImport.buildTasks([
+            ['Zadanie', 'Przedmiot', 'Kategorie', 'Wynik', 'Data'],
+            ['Zad. 1', 'Matematyka', 'Algebra; Równania', 'tak', '01.03.2024 10:30'],
+            ['Zad. 2', 'Matematyka', '', 0.5, new Date(2024, 2, 2, 9, 0)],
+            ['', 'Matematyka', '', 'tak', '2024-03-03'],
+            ['Zad. 4', 'Fizyka', '', 'może', '2024-03-03'],
+            ['Zad. 5', 'Fizyka', '', '', '31.02.2024'],
+            ['Zad. 6', 'Fizyka', '', '', '2024-03-04'],
+            ['Zad. 1', 'Matematyka', '', 'nie', '2024-03-01 10:30']
+        ], mapping);
+
+        assert.equal(tasks.length, 3);
+        assert.deepEqual(tasks[0], {
+            task_name: 'Zad. 1',
+            subject: 'Matematyka',
+            categories: 'Algebra, Równania',
+            correctly_completed: 'Yes',
+            start_time: new Date(2024, 2, 1, 10, 30).toISOString(),
+            location: '',
+            task_id: tasks[0].task_id
+        });
+        assert.equal(tasks[1].correctly_completed, '50/50');
+        assert.equal(tasks[1].start_time, new Date(2024, 2, 2, 9, 0).toISOString());
+        assert.equal(tasks[2].correctly_completed, 'No', 'an empty result counts as incorrect');
+
+        assert.deepEqual(errors.map(error => error.row), [4, 5, 6, 8]);
+        assert.match(errors[0].message, /brak nazwy/);
+        assert.match(errors[1].message, /może/);
+        assert.match(errors[2].message, /31\.02\.2024/);
+        assert.match(errors[3].message, /powtórzony/);
+    });
+
+    test('gives the same row the same id on every import', () => {
+        const rows = [['Zadanie', 'Przedmiot', '', '', 'Data'], ['Zad. 1', 'Matematyka', '', '', '2024-03-01']];
+        const first = TaskImport.buildTasks(rows, mapping).tasks[0];
+        const second = TaskImport.buildTasks(rows, mapping).tasks[0];
+        const other = TaskImport.buildTasks([rows[0], ['Zad. 1', 'Fizyka', '', '', '2024-03-01']], mapping).tasks[0];
+
+        assert.match(first.task_id, /^import_[0-9a-f]{16}$/);
+        assert.equal(first.task_id, second.task_id);
+        assert.notEqual(first.task_id, other.task_id);
+    });
+
+    test('gives the same ids when the file is imported in another time zone', () => {
+        const importIn = timeZone => {
+            const previous = process.env.TZ;
+            process.env.TZ = timeZone;
+            try {
+                return TaskImport.buildTasks([
+                    ['Zadanie', 'Przedmiot', '', '', 'Data'],
+                    ['Zad. 1', 'Matematyka', '', '', '01.03.2024 10:30'],
+                    // Excel date cells are read as the wall-clock time in the importing zone
+                    ['Zad. 2', 'Matematyka', '', '', new Date(2024, 2, 2, 23, 15)],
+                    ['Zad. 3', 'Fizyka', '', '', '2024-03-03T08:00:00.000Z']
+                ], mapping).tasks;
+            } finally {
+                if (previous === undefined) delete process.env.TZ;
+                else process.env.TZ = previous;
+            }
+        };
+
+        const warsaw = importIn('Europe/Warsaw');
+        const newYork = importIn('America/New_York');
+
+        assert.notEqual(warsaw[0].start_time, newYork[0].start_time);
+        assert.deepEqual(warsaw.map(task => task.task_id), newYork.map(task => task.task_id));
+        assert.equal(warsaw[2].start_time, newYork[2].start_time);
+    });
+});
+
+describe('plan', () => {
+    test('skips tasks already stored and lists subjects and categories to create', () => {
+        const { tasks } = TaskImport.buildTasks([
+            ['Zadanie', 'Przedmiot', 'Kategorie', 'Data'],
+            ['Zad. 1', 'Matematyka', 'Algebra, Geometria', '2024-03-01'],
+            ['Zad. 2', 'fizyka', 'Optyka', '2024-03-02'],
+            ['Zad. 3', '', 'Ogólne', '2024-03-03']
+        ], { task_name: 0, subject: 1, categories: 2, start_time: 3 });
+
+        const plan = TaskImport.plan(tasks, {
+            tasks: [{ task_id: tasks[0].task_id }],
+            subjects: [{ subject_name: 'Matematyka' }],
+            categories: [{ category_name: 'algebra', subject_name: 'Matematyka' }]
+        });
+
+        assert.deepEqual(plan.added.map(task => task.task_name), ['Zad. 2', 'Zad. 3']);
+        assert.deepEqual(plan.existing.map(task => task.task_name), ['Zad. 1']);
+        assert.deepEqual(plan.subjects, ['fizyka']);
+        assert.deepEqual(plan.categories, [
+            { category_name: 'Geometria', subject_name: 'Matematyka' },
+            { category_name: 'Optyka', subject_name: 'fizyka' }
+        ]);
+    });
+
+    test('splits tasks into batches', () => {
+        const batches = TaskImport.toBatches(Array.from({ length: 250 }, (_, i) => i));
+        assert.deepEqual(batches.map(batch => batch.length), [100, 100, 50]);
+        assert.deepEqual(TaskImport.toBatches([]), []);
+    });
+});